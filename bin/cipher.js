@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * cipher - Command-line interface for Cipher Agents
+ *
+ * Run `cipher --help` for commands. See lib/cli.js.
+ */
+
+const { run } = require("../lib/cli");
+
+run(process.argv.slice(2)).then(code => {
+  // Exit explicitly: P2P/DHT sockets and timers would keep the process alive
+  process.exit(code);
+});
@@ -13,12 +13,14 @@ async function main() {
   console.log("🌍 Starting Cipher Bootstrap Node...\n");
   
   const agent = new CipherAgent({
-    rpcUrl: process.env.RPC_URL || "https://api.devnet.solana.com",
+    network: process.env.CIPHER_NETWORK || "devnet",
+    rpcUrl: process.env.RPC_URL,
     p2pPort: parseInt(process.env.P2P_PORT || '8547'),
   });
 
   console.log("📋 Bootstrap Node Configuration:");
   console.log("   Wallet:", agent.wallet.publicKey.toBase58());
+  console.log("   Network:", agent.network.name);
   console.log("   RPC:", agent.rpcUrl);
   console.log("   P2P Port:", agent.p2p.port);
   console.log("   DHT Port:", agent.p2p.dhtPort);
@@ -55,23 +57,19 @@ async function main() {
   console.log("   ✓ Share Merkle trees");
   console.log("   ✗ NOT perform deposits/withdraws");
   console.log("");
-  console.log("💡 To use as bootstrap node, add to other agents:");
-  console.log(`   DHT_BOOTSTRAP_NODES.push({ host: 'YOUR_IP', port: ${agent.p2p.dhtPort} })`);
+  console.log(`💡 To use as bootstrap node, add to other ${agent.network.name} agents:`);
+  console.log(`   new CipherAgent({ dhtBootstrapNodes: [{ host: 'YOUR_IP', port: ${agent.p2p.dhtPort} }] })`);
   console.log("");
   console.log("Press Ctrl+C to stop\n");
 
   // Keep process alive
-  process.on('SIGTERM', () => {
+  const shutdown = async () => {
     console.log("\n🛑 Shutting down bootstrap node...");
-    agent.p2p.stopServer();
+    await agent.shutdown({ drainTimeout: 0 });
     process.exit(0);
-  });
-
-  process.on('SIGINT', () => {
-    console.log("\n🛑 Shutting down bootstrap node...");
-    agent.p2p.stopServer();
-    process.exit(0);
-  });
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
 
   // Load initial tree to serve to other agents
   try {
@@ -64,8 +64,8 @@ async function main() {
     withdrawn: d.withdrawn || false,
   })));
 
-  // Stop P2P server
-  agent.stop();
+  // Drain relayer + stop P2P server
+  await agent.shutdown();
 
   console.log("\n✅ Example complete!");
 }
@@ -148,8 +148,8 @@ async function main() {
   console.log("   - Nullifier prevents double-spending");
   console.log("   - Merkle tree ensures correctness");
 
-  // Stop P2P server
-  agent.stop();
+  // Drain relayer + stop P2P server
+  await agent.shutdown();
 }
 
 main().catch(err => {
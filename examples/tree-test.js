@@ -41,7 +41,7 @@ async function main() {
   }
 
   console.log("\n✅ Test complete!");
-  agent.stop();
+  await agent.shutdown();
 }
 
 main().catch(console.error);
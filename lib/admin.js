@@ -0,0 +1,394 @@
+/**
+ * Admin API for a Running Agent
+ *
+ * Lets operators (e.g. a fleet manager) control an agent without
+ * restarting it: pause/resume the mixing loop, trigger deposits and
+ * withdrawals, inspect storage, list/evict relayer queue items, force a
+ * tree reload and view peers + DHT state.
+ *
+ *   GET    /admin/status                  Agent, mixer, storage and relayer summary
+ *   POST   /admin/mixer/pause             Hold the mixing loop before its next step
+ *   POST   /admin/mixer/resume
+ *   POST   /admin/deposit                 { amount?, mint?, dryRun? }
+ *   POST   /admin/withdraw                { recipient, amount?, mint?, depositCode?, relayerUrl?, dryRun?, force? }
+ *   GET    /admin/storage                 DepositStorage stats
+ *   GET    /admin/relayer/queue           Pending relayer items (no proofs/recipients)
+ *   DELETE /admin/relayer/queue/:queueId  Evict a pending item
+ *   POST   /admin/tree/reload             { chunkId? } Rebuild from chain (default: current chunk)
+ *   GET    /admin/peers
+ *   GET    /admin/dht
+ *
+ * SECURITY: Binds to loopback or a unix socket (0600) only, and every
+ * request needs `Authorization: Bearer <token>`. The token is generated
+ * on first start into <dataDir>/admin-token (0600). Deposits and
+ * withdrawals go through the spending policy and approval provider like
+ * any other call.
+ *
+ * PRIVACY: Responses never contain deposit codes, commitments or nullifier
+ * hashes - codes stay in DepositStorage. Peer and DHT addresses are shown
+ * (the operator's own view, like `cipher peers`).
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const { PublicKey } = require("@solana/web3.js");
+const { resolveLogger, redactString } = require("./logger");
+
+const DEFAULT_ADMIN_PORT = 8550;
+const MAX_BODY_SIZE = 16 * 1024;
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+
+/**
+ * Read the admin token, creating it (0600) on first use
+ *
+ * @param {string} tokenFile
+ * @returns {string} Token
+ */
+function loadAdminToken(tokenFile) {
+  try {
+    return fs.readFileSync(tokenFile, "utf-8").trim();
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+  const token = crypto.randomBytes(32).toString("hex");
+  fs.writeFileSync(tokenFile, token + "\n", { mode: 0o600, flag: "wx" });
+  return token;
+}
+
+/**
+ * Error with an HTTP status (anything else is a 500)
+ */
+class AdminError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AdminError";
+    this.status = status;
+  }
+}
+
+class AdminServer {
+  /**
+   * @param {CipherAgent} agent
+   * @param {Object} [options]
+   * @param {string} [options.socketPath] - Unix socket (instead of TCP)
+   * @param {number} [options.port=8550] - TCP port on `host`
+   * @param {string} [options.host='127.0.0.1'] - Loopback address only
+   * @param {string} options.tokenFile - Bearer token file (created if missing)
+   * @param {Object} [options.logger]
+   */
+  constructor(agent, options = {}) {
+    if (!options.tokenFile) {
+      throw new Error("AdminServer requires a tokenFile");
+    }
+    this.host = options.host || "127.0.0.1";
+    if (!options.socketPath && !LOOPBACK_HOSTS.includes(this.host)) {
+      throw new Error(`Admin API must bind to loopback or a unix socket, not ${this.host}`);
+    }
+    this.agent = agent;
+    this.socketPath = options.socketPath || null;
+    this.port = options.port ?? DEFAULT_ADMIN_PORT;
+    this.tokenFile = options.tokenFile;
+    this.logger = resolveLogger(options.logger).child({ module: "admin" });
+    this.expectedAuth = null;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   *
+   * @returns {Promise<Object>} { socketPath } or { host, port }
+   */
+  async start() {
+    if (this.server) return this.address();
+    this.expectedAuth = Buffer.from(`Bearer ${loadAdminToken(this.tokenFile)}`);
+
+    if (this.socketPath) {
+      this._removeStaleSocket();
+    }
+    const server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      if (this.socketPath) {
+        server.listen(this.socketPath, resolve);
+      } else {
+        server.listen(this.port, this.host, resolve);
+      }
+    });
+    if (this.socketPath) {
+      fs.chmodSync(this.socketPath, 0o600);
+    }
+    this.server = server;
+
+    const address = this.address();
+    this.logger.info(`🛠️  Admin API listening on ${address.socketPath || `${address.host}:${address.port}`}`);
+    return address;
+  }
+
+  /**
+   * Stop listening (in-flight requests finish)
+   */
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    server.closeIdleConnections();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  address() {
+    if (this.socketPath) return { socketPath: this.socketPath };
+    const { address, port } = this.server.address();
+    return { host: address, port };
+  }
+
+  /**
+   * @private
+   */
+  _removeStaleSocket() {
+    let stats;
+    try {
+      stats = fs.lstatSync(this.socketPath);
+    } catch {
+      return;
+    }
+    if (!stats.isSocket()) {
+      throw new Error(`${this.socketPath} exists and is not a socket`);
+    }
+    fs.unlinkSync(this.socketPath);
+  }
+
+  /**
+   * @private
+   */
+  async handleRequest(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    const auth = Buffer.from(req.headers.authorization || "");
+    if (auth.length !== this.expectedAuth.length || !crypto.timingSafeEqual(auth, this.expectedAuth)) {
+      send(401, { error: "Unauthorized" });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, "http://admin");
+    const handler = this._route(req.method, pathname);
+    if (!handler) {
+      send(404, { error: "Not found" });
+      return;
+    }
+
+    try {
+      const body = req.method === "POST" ? await readJsonBody(req) : {};
+      this.logger.info(`🛠️  Admin: ${req.method} ${pathname}`);
+      const result = await handler(body);
+      send(200, result);
+    } catch (err) {
+      const status = err.status
+        || (err.name === "PolicyViolation" || err.name === "ApprovalRejected" ? 403 : 500);
+      if (status >= 500) {
+        this.logger.warn(`⚠️  Admin ${req.method} ${pathname} failed`, { error: err.message });
+      }
+      send(status, { error: redactString(err.message), name: err.name });
+    }
+  }
+
+  /**
+   * Handler for a request (body => result), or null
+   * @private
+   */
+  _route(method, pathname) {
+    const agent = this.agent;
+    const routes = {
+      "GET /admin/status": () => this.status(),
+      "POST /admin/mixer/pause": () => ({ changed: agent.pauseMixing(), paused: true }),
+      "POST /admin/mixer/resume": () => ({ changed: agent.resumeMixing(), paused: false }),
+      "POST /admin/deposit": (body) => this.deposit(body),
+      "POST /admin/withdraw": (body) => this.withdraw(body),
+      "GET /admin/storage": () => agent.storage.getStats(),
+      "GET /admin/relayer/queue": () => ({ queue: agent.relayer.listQueue() }),
+      "POST /admin/tree/reload": (body) => this.reloadTree(body),
+      "GET /admin/peers": () => this.peers(),
+      "GET /admin/dht": () => this.dht(),
+    };
+    if (routes[`${method} ${pathname}`]) {
+      return routes[`${method} ${pathname}`];
+    }
+
+    const evict = /^\/admin\/relayer\/queue\/([0-9a-f]{32})$/.exec(pathname);
+    if (evict && method === "DELETE") {
+      return () => {
+        let evicted;
+        try {
+          evicted = agent.relayer.evict(evict[1]);
+        } catch (err) {
+          throw new AdminError(409, err.message); // Being sent right now
+        }
+        if (!evicted) throw new AdminError(404, `Withdrawal ${evict[1]} is not queued`);
+        return evicted;
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Agent, mixer, storage and relayer summary
+   */
+  async status() {
+    const agent = this.agent;
+    const mixerState = agent.mixer.state;
+    return {
+      wallet: agent.wallet.publicKey.toBase58(),
+      network: agent.network.name,
+      mixer: {
+        running: agent.isRunning,
+        paused: agent.mixer.paused,
+        nextDepositAt: mixerState?.nextDeposit ? mixerState.nextDeposit.dueAt : null,
+        plannedWithdrawals: mixerState ? mixerState.withdrawals.length : 0,
+      },
+      depositCount: agent.depositCount,
+      withdrawCount: agent.withdrawCount,
+      storage: await agent.storage.getStats(),
+      relayer: {
+        accepting: agent.relayer.accepting,
+        processing: agent.relayer.processing,
+        queueLength: agent.relayer.queue.length,
+      },
+      trees: Object.entries(agent.treeBuilder.trees).map(([chunkId, tree]) => ({
+        chunkId: Number(chunkId),
+        leafCount: tree.leaves.length,
+      })),
+      peers: agent.p2p.peers.size,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async deposit({ amount, mint, dryRun }) {
+    if (amount !== undefined && (!Number.isSafeInteger(amount) || amount <= 0)) {
+      throw new AdminError(400, "amount must be a positive integer (base units)");
+    }
+    const result = await this.agent.deposit(amount, { mint, dryRun });
+    // The deposit code stays in DepositStorage (withdraw by amount or via the agent)
+    const { depositCode, commitment, ...rest } = result;
+    return rest;
+  }
+
+  /**
+   * @private
+   */
+  async withdraw({ recipient, amount, mint, depositCode, relayerUrl, dryRun, force }) {
+    if (typeof recipient !== "string") {
+      throw new AdminError(400, "recipient is required");
+    }
+    let recipientPubkey;
+    try {
+      recipientPubkey = new PublicKey(recipient);
+    } catch {
+      throw new AdminError(400, "recipient must be a base58 public key");
+    }
+    if (amount !== undefined && (!Number.isSafeInteger(amount) || amount <= 0)) {
+      throw new AdminError(400, "amount must be a positive integer (base units)");
+    }
+    const options = { relayerUrl, dryRun, force };
+    const result = depositCode
+      ? await this.agent.withdrawWithCode(depositCode, recipientPubkey, options)
+      : await this.agent.withdraw(recipientPubkey, amount, { ...options, mint });
+    const { nullifierHash, ...rest } = result;
+    return rest;
+  }
+
+  /**
+   * @private
+   */
+  async reloadTree({ chunkId }) {
+    if (chunkId === undefined) {
+      const status = await this.agent.getContractStatus();
+      if (!status.initialized) throw new AdminError(409, "Contract not initialized");
+      chunkId = status.currentChunkId;
+    } else if (!Number.isSafeInteger(chunkId) || chunkId < 0) {
+      throw new AdminError(400, "chunkId must be a non-negative integer");
+    }
+    await this.agent.loadTree(chunkId, { fromChain: true });
+    const tree = this.agent.treeBuilder.trees[chunkId];
+    return { chunkId, leafCount: tree.leaves.length, root: tree.root.toString() };
+  }
+
+  /**
+   * @private
+   */
+  peers() {
+    const peers = [...this.agent.p2p.peers.values()].map(p => ({
+      host: p.host,
+      port: p.port,
+      lastSeen: p.lastSeen,
+      trees: p.trees || [],
+    }));
+    return { count: peers.length, peers };
+  }
+
+  /**
+   * @private
+   */
+  dht() {
+    const dht = this.agent.p2p.dht;
+    if (!dht) {
+      return { running: false };
+    }
+    const nodes = dht.buckets.flatMap(bucket => bucket.nodes).map(node => ({
+      id: node.id.toString("hex"),
+      host: node.host,
+      port: node.port,
+    }));
+    return {
+      running: true,
+      nodeId: dht.id.toString("hex"),
+      port: dht.port,
+      routingTableSize: nodes.length,
+      connections: dht.connections.size,
+      storedValues: dht.values.size,
+      nodes,
+    };
+  }
+}
+
+/**
+ * Parse a (small) JSON request body; empty = {}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk.toString();
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new AdminError(413, "Request too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      if (!body) {
+        resolve({});
+        return;
+      }
+      try {
+        const parsed = JSON.parse(body);
+        if (parsed === null || typeof parsed !== "object" || Array.isArray(parsed)) {
+          throw new Error("expected a JSON object");
+        }
+        resolve(parsed);
+      } catch (err) {
+        reject(new AdminError(400, `Invalid JSON body: ${err.message}`));
+      }
+    });
+  });
+}
+
+module.exports = {
+  AdminServer,
+  AdminError,
+  loadAdminToken,
+  DEFAULT_ADMIN_PORT,
+};
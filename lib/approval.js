@@ -0,0 +1,301 @@
+/**
+ * Human Approval for Cipher Agents
+ *
+ * CipherAgent awaits an approval provider before deposit() sends a
+ * transaction and before withdraw() proves and submits to a relayer.
+ * A provider is anything with:
+ *
+ * - requestApproval(request, { signal }): Promise<boolean | { approved, reason }>
+ *
+ * (or a plain async function with the same signature). `request` is
+ * { id, action: 'deposit' | 'withdraw', amount, symbol, decimals, mint?,
+ * recipient?, requestedAt } - `mint` is only set for pools other than USDC.
+ * `signal` aborts when the agent stops waiting (timeout), so providers
+ * can drop their prompt.
+ *
+ * Built-in providers:
+ * - CliApprover: interactive y/N prompt on the terminal
+ * - HttpApprover: token-protected endpoints on the agent's P2P server
+ * - AutoApprover: approves below a threshold, asks another provider above it
+ *
+ * SECURITY: Anything but an explicit approval - rejection, timeout or a
+ * provider error - cancels the action (fail closed).
+ */
+
+const crypto = require("crypto");
+const readline = require("readline");
+const { formatAmount } = require("./tokens");
+
+const DEFAULT_APPROVAL_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const MAX_BODY_SIZE = 16 * 1024;
+
+/**
+ * Raised when an action is rejected or not approved in time
+ *
+ * `reason` is 'rejected', 'timeout' or the provider's error/reason.
+ */
+class ApprovalRejected extends Error {
+  constructor(request, reason) {
+    super(`${request.action} of ${formatAmount(request.amount, request)} not approved (${reason})`);
+    this.name = "ApprovalRejected";
+    this.request = request;
+    this.reason = reason;
+  }
+}
+
+/**
+ * One-line description of a request (for prompts and listings)
+ */
+function describeRequest(request) {
+  const to = request.recipient ? ` to ${request.recipient}` : "";
+  return `${request.action} ${formatAmount(request.amount, request)}${to}`;
+}
+
+/**
+ * Interactive terminal prompt
+ */
+class CliApprover {
+  /**
+   * @param {Object} [options]
+   * @param {stream.Readable} [options.input] - Default: process.stdin
+   * @param {stream.Writable} [options.output] - Default: process.stderr (keeps --json stdout clean)
+   */
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stderr;
+  }
+
+  requestApproval(request, { signal } = {}) {
+    const rl = readline.createInterface({ input: this.input, output: this.output });
+
+    return new Promise((resolve) => {
+      const finish = (result) => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        rl.close();
+        resolve(result);
+      };
+      const onAbort = () => {
+        this.output.write("\n");
+        finish({ approved: false, reason: "timeout" });
+      };
+
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+      rl.once("close", () => resolve({ approved: false, reason: "input closed" }));
+      rl.question(`❓ Approve ${describeRequest(request)}? [y/N] `, (answer) => {
+        finish(/^y(es)?$/i.test(answer.trim()));
+      });
+    });
+  }
+}
+
+/**
+ * Approval endpoints on the agent's HTTP (P2P) server
+ *
+ * - GET  /approvals              -> { pending: [request] }
+ * - POST /approvals/:id/approve  -> { id, approved: true }
+ * - POST /approvals/:id/reject   -> { id, approved: false }  (optional body { reason })
+ *
+ * SECURITY: Loopback clients only, with `Authorization: Bearer <token>`.
+ * The P2P port is public, so both checks apply to every request.
+ */
+class HttpApprover {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Bearer token approvers must send
+   */
+  constructor(options = {}) {
+    if (!options.token) {
+      throw new Error("HttpApprover requires a token");
+    }
+    this.expectedAuth = Buffer.from(`Bearer ${options.token}`);
+    this.pending = new Map(); // id -> { request, resolve }
+    this.attached = false;
+  }
+
+  requestApproval(request, { signal } = {}) {
+    if (!this.attached) {
+      throw new Error("HTTP approval endpoint not available (P2P server not started)");
+    }
+
+    return new Promise((resolve) => {
+      const onAbort = () => settle({ approved: false, reason: "timeout" });
+      const settle = (result) => {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        this.pending.delete(request.id);
+        resolve(result);
+      };
+
+      this.pending.set(request.id, { request, resolve: settle });
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Add /approvals endpoints to an HTTP server (same pattern as the relayer)
+   */
+  addEndpoints(server) {
+    const originalRequestHandler = server.listeners("request")[0];
+
+    server.removeAllListeners("request");
+    server.on("request", (req, res) => {
+      if (req.url === "/approvals" || req.url.startsWith("/approvals/")) {
+        this.handleRequest(req, res);
+        return;
+      }
+      originalRequestHandler(req, res);
+    });
+    this.attached = true;
+  }
+
+  /**
+   * @private
+   */
+  handleRequest(req, res) {
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    const remote = req.socket.remoteAddress || "";
+    if (!["127.0.0.1", "::1", "::ffff:127.0.0.1"].includes(remote)) {
+      send(403, { error: "Approvals are only served to localhost" });
+      return;
+    }
+    const auth = Buffer.from(req.headers.authorization || "");
+    if (auth.length !== this.expectedAuth.length || !crypto.timingSafeEqual(auth, this.expectedAuth)) {
+      send(401, { error: "Unauthorized" });
+      return;
+    }
+
+    if (req.url === "/approvals" && req.method === "GET") {
+      send(200, { pending: [...this.pending.values()].map(p => p.request) });
+      return;
+    }
+
+    const match = /^\/approvals\/([0-9a-f]+)\/(approve|reject)$/.exec(req.url);
+    if (!match || req.method !== "POST") {
+      send(404, { error: "Not found" });
+      return;
+    }
+
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk.toString();
+      if (body.length > MAX_BODY_SIZE) {
+        send(413, { error: "Request too large" });
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      const entry = this.pending.get(match[1]);
+      if (!entry) {
+        send(404, { error: "Unknown or expired approval ID" });
+        return;
+      }
+
+      const approved = match[2] === "approve";
+      let reason = "rejected";
+      try {
+        if (!approved && body) reason = String(JSON.parse(body).reason || reason);
+      } catch {
+        // Reason is optional
+      }
+      entry.resolve(approved ? true : { approved: false, reason });
+      send(200, { id: match[1], approved });
+    });
+  }
+}
+
+/**
+ * Approve small amounts automatically, ask `fallback` for the rest
+ */
+class AutoApprover {
+  /**
+   * @param {Object} options
+   * @param {number} options.below - Auto-approve amounts strictly below this (base units)
+   * @param {Object} [options.fallback] - Provider for larger amounts (default: reject)
+   */
+  constructor(options = {}) {
+    if (!Number.isSafeInteger(options.below) || options.below < 0) {
+      throw new Error("AutoApprover requires a non-negative `below` amount (base units)");
+    }
+    this.below = options.below;
+    this.fallback = options.fallback ? toApprovalProvider(options.fallback) : null;
+  }
+
+  async requestApproval(request, options = {}) {
+    if (request.amount < this.below) {
+      return true;
+    }
+    if (!this.fallback) {
+      return { approved: false, reason: `amount >= auto-approve threshold ${formatAmount(this.below, request)}` };
+    }
+    return await this.fallback.requestApproval(request, options);
+  }
+
+  addEndpoints(server) {
+    if (this.fallback && typeof this.fallback.addEndpoints === "function") {
+      this.fallback.addEndpoints(server);
+    }
+  }
+}
+
+/**
+ * Normalize a provider object or async function into a provider
+ */
+function toApprovalProvider(value) {
+  if (typeof value === "function") {
+    return { requestApproval: value };
+  }
+  if (value && typeof value.requestApproval === "function") {
+    return value;
+  }
+  throw new Error("Invalid approval provider: expected requestApproval() or a function");
+}
+
+/**
+ * Ask a provider and wait at most `timeout` ms
+ *
+ * @param {Object|Function} provider - Approval provider
+ * @param {Object} request - Approval request
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Default: 5 minutes
+ * @returns {Promise<Object>} { approved, reason }
+ */
+async function awaitApproval(provider, request, options = {}) {
+  const approver = toApprovalProvider(provider);
+  const timeout = options.timeout || DEFAULT_APPROVAL_TIMEOUT;
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => {
+      controller.abort();
+      resolve({ approved: false, reason: "timeout" });
+    }, timeout);
+  });
+
+  try {
+    const answer = await Promise.race([
+      Promise.resolve().then(() => approver.requestApproval(request, { signal: controller.signal })),
+      timedOut,
+    ]);
+    if (answer === true || (answer && answer.approved === true)) {
+      return { approved: true };
+    }
+    return { approved: false, reason: (answer && answer.reason) || "rejected" };
+  } catch (err) {
+    return { approved: false, reason: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  ApprovalRejected,
+  CliApprover,
+  HttpApprover,
+  AutoApprover,
+  toApprovalProvider,
+  awaitApproval,
+  DEFAULT_APPROVAL_TIMEOUT,
+};
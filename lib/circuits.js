@@ -0,0 +1,293 @@
+/**
+ * Circuit Artifacts (wasm, proving key, verification key)
+ *
+ * Maps each circuit and version to its files and their pinned SHA-256
+ * hashes. Artifacts are read and hash-checked once, then served from
+ * memory to every proof and verification:
+ *
+ *   circuits: {
+ *     dir: "/opt/cipher/circuits",            // default: the SDK's circuits/
+ *     withdraw: {
+ *       version: "v1",                        // default: the latest known version
+ *       zkey: "/secure/withdraw_final.zkey",  // override one file (keeps its pin)
+ *       sha256: { zkey: "<hex>" },            // pin (or re-pin) an artifact
+ *     },
+ *   }
+ *
+ * - Paths are resolved against `dir`; overrides may be absolute
+ * - A version not in the registry needs all three files (and their pins) in the config
+ * - Missing, unpinned and modified files raise CircuitArtifactError before
+ *   snarkjs ever sees them
+ *
+ * SECURITY: A swapped zkey can produce proofs the program rejects (fees
+ * lost) and a swapped vkey makes relayers accept forged proofs. Proofs use
+ * the exact bytes that were hash-checked - nothing is re-read from disk.
+ *
+ * PERFORMANCE: Artifacts live in SharedArrayBuffers, so ProverPool workers
+ * get them without a copy.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_CIRCUITS_DIR = path.join(__dirname, "..", "circuits");
+const ARTIFACTS = ["wasm", "zkey", "vkey"];
+const OVERRIDE_KEYS = ["version", ...ARTIFACTS, "sha256"];
+
+/**
+ * Known circuit builds (newest version last)
+ *
+ * A null hash is not pinned: the file is refused until the operator pins
+ * it via `circuits.<id>.sha256`.
+ */
+const CIRCUITS = {
+  deposit: {
+    v1: {
+      wasm: "deposit.wasm",
+      zkey: "deposit_final.zkey",
+      vkey: "deposit_vkey.json",
+      sha256: {
+        wasm: "8e7867441db5e92dd2758047686f84186cfb424deb50a3d664d9098eb9a8a815",
+        zkey: "4ab2aa1ca3804321ac4b39bb165c21df718d27befac91cd8726f65449c06d36c",
+        vkey: "e71e904d49bed2b57adaead585086bfc576d6f37308a7754ea8ee13bd635b998",
+      },
+    },
+  },
+  withdraw: {
+    v1: {
+      wasm: "withdraw.wasm",
+      zkey: "withdraw_final.zkey",
+      vkey: "withdraw_vkey.json",
+      sha256: {
+        wasm: "bd63e1b79951548d9cce26a3575b902f8cc8468cc8ac8cb7e4fb3b11121996c2",
+        // Proving and verification keys are distributed separately (not in the
+        // package) - operators pin the copy they install
+        zkey: null,
+        vkey: null,
+      },
+    },
+  },
+};
+
+/**
+ * Raised when a circuit artifact is unknown, missing or does not match its pin
+ *
+ * `code` is "unknown", "missing", "unpinned" or "integrity".
+ */
+class CircuitArtifactError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "CircuitArtifactError";
+    this.code = code;
+    this.circuit = details.circuit || null;
+    this.artifact = details.artifact || null;
+    this.file = details.file || null;
+  }
+}
+
+/**
+ * Copy file contents into shared memory (zero-copy postMessage to workers)
+ */
+function toShared(buffer) {
+  const data = new Uint8Array(new SharedArrayBuffer(buffer.length));
+  data.set(buffer);
+  return data;
+}
+
+class CircuitRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory for relative artifact paths
+   * @param {Object} [options.deposit] - { version, wasm, zkey, vkey, sha256: { wasm, zkey, vkey } }
+   * @param {Object} [options.withdraw] - Same as deposit
+   * @throws {Error} On unknown keys or malformed hashes
+   */
+  constructor(options = {}) {
+    for (const key of Object.keys(options)) {
+      if (key !== "dir" && !CIRCUITS[key]) {
+        throw new Error(`Invalid circuits config: unknown key "${key}"`);
+      }
+    }
+    this.dir = options.dir ? path.resolve(options.dir) : DEFAULT_CIRCUITS_DIR;
+    this.overrides = {};
+    for (const id of Object.keys(CIRCUITS)) {
+      const override = options[id] || {};
+      for (const key of Object.keys(override)) {
+        if (!OVERRIDE_KEYS.includes(key)) {
+          throw new Error(`Invalid circuits config: unknown key "${id}.${key}"`);
+        }
+      }
+      for (const [artifact, hash] of Object.entries(override.sha256 || {})) {
+        if (!ARTIFACTS.includes(artifact) || (hash !== null && !/^[0-9a-f]{64}$/i.test(hash))) {
+          throw new Error(`Invalid circuits config: "${id}.sha256.${artifact}" must be a hex SHA-256`);
+        }
+      }
+      this.overrides[id] = override;
+    }
+    this.loaded = new Map(); // "id:artifact" -> Promise of the checked artifact
+  }
+
+  /**
+   * Files and pins of a circuit (nothing is read)
+   *
+   * @param {string} id - "deposit" or "withdraw"
+   * @returns {Object} { id, version, files: { wasm, zkey, vkey }, sha256: { wasm, zkey, vkey } }
+   * @throws {CircuitArtifactError} code "unknown" for an unknown circuit or version
+   */
+  resolve(id) {
+    const versions = CIRCUITS[id];
+    if (!versions) {
+      throw new CircuitArtifactError("unknown", `Unknown circuit: ${id}`, { circuit: id });
+    }
+    const override = this.overrides[id];
+    const version = override.version || Object.keys(versions).pop();
+    const known = versions[version];
+    if (!known && !ARTIFACTS.every(artifact => override[artifact])) {
+      throw new CircuitArtifactError(
+        "unknown",
+        `Unknown ${id} circuit version ${version} (known: ${Object.keys(versions).join(", ")}) - ` +
+          `configure circuits.${id}.wasm, .zkey and .vkey for a custom build`,
+        { circuit: id }
+      );
+    }
+
+    const files = {};
+    const sha256 = {};
+    for (const artifact of ARTIFACTS) {
+      files[artifact] = path.resolve(this.dir, override[artifact] || known[artifact]);
+      const pinned = override.sha256?.[artifact] !== undefined ? override.sha256[artifact] : known?.sha256[artifact];
+      sha256[artifact] = pinned ? pinned.toLowerCase() : null;
+    }
+    return { id, version, files, sha256 };
+  }
+
+  /**
+   * Read and hash-check one artifact (once; failures are retried on the next call)
+   *
+   * @param {string} id - "deposit" or "withdraw"
+   * @param {string} artifact - "wasm", "zkey" or "vkey"
+   * @returns {Promise<Object>} { circuit, version, artifact, file, sha256, data }
+   *   - data: { type: "mem", data } for wasm / zkey (what snarkjs reads), the parsed key for vkey
+   * @throws {CircuitArtifactError} code "missing", "unpinned" or "integrity"
+   */
+  load(id, artifact) {
+    const key = `${id}:${artifact}`;
+    if (!this.loaded.has(key)) {
+      const loading = this._read(id, artifact);
+      this.loaded.set(key, loading);
+      loading.catch(() => this.loaded.delete(key));
+    }
+    return this.loaded.get(key);
+  }
+
+  /**
+   * Witness generator + proving key for snarkjs (groth16.fullProve / ProverPool)
+   *
+   * @param {string} id
+   * @returns {Promise<Object>} { wasm, zkey } - in-memory snarkjs files
+   */
+  async provingArtifacts(id) {
+    const [wasm, zkey] = await Promise.all([this.load(id, "wasm"), this.load(id, "zkey")]);
+    return { wasm: wasm.data, zkey: zkey.data };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object>} Parsed snarkjs verification key
+   */
+  async verificationKey(id) {
+    return (await this.load(id, "vkey")).data;
+  }
+
+  /**
+   * Load every artifact of the given circuits up front
+   *
+   * Never throws: a relayer-only agent does not need the proving keys, so
+   * each failure is reported instead.
+   *
+   * @param {Array<string>} [ids] - Default: all circuits
+   * @returns {Promise<Array<Object>>} Per artifact: { circuit, version, artifact, file, sha256 } or { circuit, artifact, error }
+   */
+  async preload(ids = Object.keys(CIRCUITS)) {
+    const jobs = [];
+    for (const id of ids) {
+      for (const artifact of ARTIFACTS) {
+        jobs.push(this.load(id, artifact).then(
+          ({ data, ...info }) => info,
+          (error) => ({ circuit: id, artifact, error })
+        ));
+      }
+    }
+    return await Promise.all(jobs);
+  }
+
+  /**
+   * @private
+   */
+  async _read(id, artifact) {
+    const { version, files, sha256 } = this.resolve(id);
+    const file = files[artifact];
+    const details = { circuit: id, artifact, file };
+
+    let contents;
+    try {
+      contents = await fs.promises.readFile(file);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      throw new CircuitArtifactError(
+        "missing",
+        `Missing ${id} circuit ${artifact} (${version}): ${file} - install it or set circuits.${id}.${artifact}`,
+        details
+      );
+    }
+
+    // SECURITY: An unpinned file could be anything - e.g. a vkey that makes
+    // a relayer accept forged proofs
+    const actual = crypto.createHash("sha256").update(contents).digest("hex");
+    if (!sha256[artifact]) {
+      throw new CircuitArtifactError(
+        "unpinned",
+        `${id} circuit ${artifact} (${version}) has no pinned SHA-256: ${file} has ${actual} - ` +
+          `pin it with circuits.${id}.sha256.${artifact} if that is the file you installed`,
+        details
+      );
+    }
+    if (actual !== sha256[artifact]) {
+      throw new CircuitArtifactError(
+        "integrity",
+        `${id} circuit ${artifact} (${version}) failed integrity check: ${file} has SHA-256 ${actual}, expected ${sha256[artifact]}`,
+        details
+      );
+    }
+
+    let data;
+    if (artifact === "vkey") {
+      try {
+        data = JSON.parse(contents.toString("utf-8"));
+      } catch {
+        throw new CircuitArtifactError("integrity", `${id} verification key is not valid JSON: ${file}`, details);
+      }
+    } else {
+      data = { type: "mem", data: toShared(contents) };
+    }
+    return { circuit: id, version, artifact, file, sha256: actual, data };
+  }
+}
+
+let defaultRegistry = null;
+
+/**
+ * Shared registry for the SDK's bundled circuits (used when no registry is passed)
+ */
+function getDefaultRegistry() {
+  if (!defaultRegistry) defaultRegistry = new CircuitRegistry();
+  return defaultRegistry;
+}
+
+module.exports = {
+  CIRCUITS,
+  CircuitRegistry,
+  CircuitArtifactError,
+  getDefaultRegistry,
+};
@@ -0,0 +1,903 @@
+/**
+ * Command-line interface for Cipher Agents
+ *
+ * `cipher <command> [subcommand] [options]` - a thin wrapper around
+ * CipherAgent so deposits, withdrawals, tree and relayer operations can
+ * be scripted instead of editing the examples.
+ *
+ * Every command accepts --json: the result is written to stdout as one
+ * JSON line and logs go to stderr as JSON records, so stdout stays
+ * machine-readable.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Keypair, PublicKey, LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const CipherAgent = require("./index");
+const DepositStorage = require("./storage");
+const { decodeDepositCode } = require("./deposit-code");
+const { createLogger } = require("./logger");
+const { KeystoreSigner, RemoteSigner, KEYSTORE_PASSWORD_ENV } = require("./signer");
+const { CliApprover, HttpApprover, AutoApprover } = require("./approval");
+const { formatAmount } = require("./tokens");
+const { NETWORKS, resolveNetwork } = require("./networks");
+const { McpServer } = require("./mcp");
+
+const SIGNER_TOKEN_ENV = "CIPHER_SIGNER_TOKEN";
+const APPROVAL_TOKEN_ENV = "CIPHER_APPROVAL_TOKEN";
+
+const USDC_DECIMALS = 6;
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = new Set([
+  "json",
+  "help",
+  "from-chain",
+  "discover",
+  "show-codes",
+  "no-wait",
+  "force",
+  "dry-run",
+]);
+
+const USAGE = `Usage: cipher <command> [options]
+
+Commands:
+  deposit [--amount <usdc>] [--dry-run]     Deposit into the mixer (prints deposit code!)
+  withdraw --recipient <pubkey> [--code <depositCode>] [--amount <usdc>] [--no-wait]
+           [--relayer <url>] [--force] [--dry-run]
+                                            Withdraw via a relayer (--code works without local storage)
+  balance                                   Agent wallet USDC + SOL balance
+  status                                    Contract status (current chunk)
+  deposits list [--show-codes]              Stored deposits for the network
+  tree build [--chunk <id>] [--from-chain]  Load/build Merkle tree and cache it
+  tree verify [--chunk <id>]                Compare local tree with on-chain root
+  tree export [--chunk <id>] [--out <file>] Export tree leaves + root as JSON
+  peers [--discover]                        Known peers (--discover queries the DHT)
+  relayer run [--drain-timeout <sec>]       Serve trees + relay withdrawals (no mixing)
+  bootstrap-node                            Run a P2P/DHT bootstrap node
+  mcp [--relayer <url>]                     MCP tool server on stdio (for LLM runtimes)
+  keystore create --out <file> [--keypair <file>]
+                                            Encrypt a keypair (new if omitted) into a keystore
+
+Options:
+  --json                 Machine-readable output (logs go to stderr)
+  --network <name>       ${Object.keys(NETWORKS).join(" | ")} (default: $CIPHER_NETWORK or devnet)
+  --rpc <url,...>        Solana RPC URL(s), comma-separated for failover (default: $RPC_URL or the network's)
+  --keypair <file>       Wallet keypair (default: the network's agent wallet)
+  --keystore <file>      Encrypted keystore (password: $CIPHER_KEYSTORE_PASSWORD)
+  --signer-url <url>     Remote signer (token: $CIPHER_SIGNER_TOKEN)
+  --policy <file>        Spending policy JSON (default: $CIPHER_POLICY)
+  --approve <mode>       Ask before funds move: cli (prompt) | http (token: $CIPHER_APPROVAL_TOKEN)
+  --auto-approve-below <usdc>
+                         Approve smaller amounts without asking (others: --approve or reject)
+  --program-id <id>      Cipher program ID
+  --mint <address>       USDC mint
+  --fee-strategy <name>  Priority fee: fixed | percentile | max (default: percentile)
+  --priority-fee <n>     Fixed compute-unit price in micro-lamports (implies fixed)
+  --max-priority-fee <n> Cap on the compute-unit price in micro-lamports
+  --commitment <level>   Wait for confirmed (default) or finalized transactions
+  --p2p-port <port>      HTTP P2P/relayer port (default: $P2P_PORT or 8547)
+  --discovery-port <p>   UDP broadcast port
+  --dht-port <port>      DHT port
+  --metrics <scope>      Serve Prometheus /metrics on the P2P port: local (loopback only) | public
+  --admin <port|socket>  Admin API on 127.0.0.1:<port> or a unix socket (token: <data dir>/admin-token)
+  --prover-threads <n>   Parallel proofs in worker threads (default: cores - 1, max 2; 0 = main thread)
+  --dry-run              Prove and simulate the transaction - nothing is sent or stored
+  --log-level <level>    debug | info | warn | error | silent
+  --help                 Show this help
+`;
+
+/**
+ * Parse argv into positionals and --flags
+ *
+ * Supports `--flag value`, `--flag=value` and boolean flags.
+ *
+ * @param {Array<string>} argv - Arguments (without node + script)
+ * @returns {Object} { positionals, flags }
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg === "-h") {
+      flags.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith("--")) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf("=");
+    const name = eq >= 0 ? arg.slice(2, eq) : arg.slice(2);
+
+    if (eq >= 0) {
+      flags[name] = arg.slice(eq + 1);
+    } else if (BOOLEAN_FLAGS.has(name)) {
+      flags[name] = true;
+    } else {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`Missing value for --${name}`);
+      }
+      flags[name] = value;
+      i++;
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Parse a human amount ("1", "0.5") into base units (default: USDC decimals)
+ */
+function parseAmount(value, decimals = USDC_DECIMALS) {
+  const str = String(value);
+  if (!/^\d+(\.\d+)?$/.test(str)) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+
+  const [whole, fraction = ""] = str.split(".");
+  if (fraction.length > decimals) {
+    throw new Error(`Invalid amount: ${value} (max ${decimals} decimals)`);
+  }
+
+  const units = BigInt(whole) * 10n ** BigInt(decimals)
+    + BigInt(fraction.padEnd(decimals, "0"));
+  if (units <= 0n) {
+    throw new Error("Amount must be greater than 0");
+  }
+  return Number(units);
+}
+
+/**
+ * Parse a non-negative integer flag
+ */
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Parse a base58 public key flag
+ */
+function parsePublicKey(value, name) {
+  try {
+    return new PublicKey(value);
+  } catch {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+}
+
+const usdc = (units) => units / 10 ** USDC_DECIMALS;
+
+/**
+ * Logger for the chosen output mode
+ *
+ * --json: JSON records on stderr (stdout is reserved for the result)
+ */
+function createCliLogger(flags) {
+  if (flags.json) {
+    return createLogger({
+      level: flags["log-level"] || "warn",
+      format: "json",
+      stream: process.stderr,
+    });
+  }
+  if (flags["log-level"]) {
+    return createLogger({ level: flags["log-level"] });
+  }
+  return undefined;
+}
+
+/**
+ * Network from --network or $CIPHER_NETWORK
+ */
+function networkName(flags) {
+  return flags.network || process.env.CIPHER_NETWORK || undefined;
+}
+
+/**
+ * Signer from --signer-url (token from the environment, never argv)
+ */
+async function createSigner(flags) {
+  if (flags["signer-url"]) {
+    return await RemoteSigner.connect({
+      url: flags["signer-url"],
+      token: process.env[SIGNER_TOKEN_ENV],
+    });
+  }
+  return undefined;
+}
+
+/**
+ * Proving pool from --prover-threads (0: prove on the main thread)
+ */
+function proverOptions(flags) {
+  if (flags["prover-threads"] === undefined) {
+    return undefined;
+  }
+  const size = parseInteger(flags["prover-threads"], "--prover-threads");
+  return size === 0 ? false : { size };
+}
+
+/**
+ * Admin API options from --admin (a port number, or a unix socket path)
+ */
+function adminOptions(flags) {
+  if (flags.admin === undefined) {
+    return undefined;
+  }
+  if (/^\d+$/.test(flags.admin)) {
+    return { enabled: true, port: parseInteger(flags.admin, "--admin") };
+  }
+  return { enabled: true, socketPath: path.resolve(flags.admin) };
+}
+
+/**
+ * Metrics options from --metrics
+ */
+function metricsOptions(flags) {
+  if (flags.metrics === undefined) {
+    return undefined;
+  }
+  if (flags.metrics !== "local" && flags.metrics !== "public") {
+    throw new Error(`Invalid --metrics: ${flags.metrics} (expected local or public)`);
+  }
+  return { enabled: true, localOnly: flags.metrics === "local" };
+}
+
+/**
+ * Approval provider from --approve / --auto-approve-below
+ */
+function createApproval(flags) {
+  let provider;
+  if (flags.approve === "cli") {
+    provider = new CliApprover();
+  } else if (flags.approve === "http") {
+    if (!process.env[APPROVAL_TOKEN_ENV]) {
+      throw new Error(`Set ${APPROVAL_TOKEN_ENV} to the approval token`);
+    }
+    provider = new HttpApprover({ token: process.env[APPROVAL_TOKEN_ENV] });
+  } else if (flags.approve !== undefined) {
+    throw new Error(`Invalid --approve: ${flags.approve} (expected cli or http)`);
+  }
+
+  if (flags["auto-approve-below"] !== undefined) {
+    return new AutoApprover({ below: parseAmount(flags["auto-approve-below"]), fallback: provider });
+  }
+  return provider;
+}
+
+/**
+ * Priority fee options from --fee-strategy / --priority-fee / --max-priority-fee
+ */
+function feeOptions(flags) {
+  const fees = {};
+  if (flags["priority-fee"] !== undefined) {
+    fees.strategy = "fixed";
+    fees.microLamports = parseInteger(flags["priority-fee"], "--priority-fee");
+  }
+  if (flags["fee-strategy"] !== undefined) fees.strategy = flags["fee-strategy"];
+  if (flags["max-priority-fee"] !== undefined) {
+    fees.maxMicroLamports = parseInteger(flags["max-priority-fee"], "--max-priority-fee");
+  }
+  return fees;
+}
+
+/**
+ * RPC endpoints from --rpc / $RPC_URL (comma-separated; none: the network's)
+ */
+function rpcUrls(flags) {
+  const list = flags.rpc || process.env.RPC_URL || "";
+  return list.split(",").map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * Build a CipherAgent from common flags
+ */
+async function createAgent(flags) {
+  const portFlag = (name, envName) => {
+    if (flags[name] !== undefined) return parseInteger(flags[name], `--${name}`);
+    if (envName && process.env[envName]) return parseInteger(process.env[envName], envName);
+    return undefined;
+  };
+
+  const logger = createCliLogger(flags);
+
+  return new CipherAgent({
+    network: networkName(flags),
+    rpcUrls: rpcUrls(flags),
+    keypair: flags.keypair,
+    keystore: flags.keystore,
+    signer: await createSigner(flags),
+    policy: flags.policy || process.env.CIPHER_POLICY,
+    approval: createApproval(flags),
+    dryRun: flags["dry-run"],
+    programId: flags["program-id"],
+    usdcMint: flags.mint,
+    fees: feeOptions(flags),
+    confirm: flags.commitment ? { commitment: flags.commitment } : undefined,
+    p2pPort: portFlag("p2p-port", "P2P_PORT"),
+    discoveryPort: portFlag("discovery-port"),
+    dhtPort: portFlag("dht-port"),
+    metrics: metricsOptions(flags),
+    admin: adminOptions(flags),
+    prover: proverOptions(flags),
+    logger,
+    // Emoji lifecycle lines for humans, nothing extra in --json mode
+    console: !flags.json,
+  });
+}
+
+/**
+ * Write a command result
+ *
+ * @param {Object} flags - Parsed flags
+ * @param {Object} result - Result object (printed as JSON with --json)
+ * @param {Function} pretty - Human-readable printer
+ */
+function print(flags, result, pretty) {
+  if (flags.json) {
+    process.stdout.write(JSON.stringify(result, (k, v) => (
+      typeof v === "bigint" ? v.toString() : v
+    )) + "\n");
+  } else {
+    pretty(result);
+  }
+}
+
+/**
+ * Chunk from --chunk, or the contract's current chunk
+ */
+async function resolveChunkId(agent, flags) {
+  if (flags.chunk !== undefined) {
+    return parseInteger(flags.chunk, "--chunk");
+  }
+
+  const status = await agent.getContractStatus();
+  if (!status.initialized) {
+    throw new Error("Contract not initialized or unreachable (pass --chunk)");
+  }
+  return status.currentChunkId;
+}
+
+/**
+ * Resolve once on SIGINT/SIGTERM (long-running commands)
+ */
+function waitForSignal() {
+  return new Promise(resolve => {
+    const onSignal = (signal) => {
+      process.removeListener("SIGINT", onSignal);
+      process.removeListener("SIGTERM", onSignal);
+      resolve(signal);
+    };
+    process.on("SIGINT", onSignal);
+    process.on("SIGTERM", onSignal);
+  });
+}
+
+// ─── Commands ────────────────────────────────────────────────
+
+/**
+ * Print a dry-run result
+ * @returns {number} Exit code (1 if the transaction would fail)
+ */
+function printSimulation(flags, result) {
+  print(flags, {
+    dryRun: true,
+    success: result.success,
+    unitsConsumed: result.unitsConsumed,
+    error: result.error,
+    logs: result.logs,
+  }, r => {
+    console.log(`\n🧪 Dry run: transaction would ${r.success ? "succeed" : "fail"}`);
+    if (r.error) {
+      console.log(`   Error: ${r.error.name}${r.error.code !== null ? ` (${r.error.code})` : ""} - ${r.error.message}`);
+    }
+    console.log(`   Compute units: ${r.unitsConsumed ?? "unknown"}`);
+    console.log("   Logs:");
+    r.logs.forEach(line => console.log(`     ${line}`));
+    console.log("");
+  });
+  return result.success ? 0 : 1;
+}
+
+async function depositCommand({ flags }) {
+  const agent = await createAgent(flags);
+  const pool = await agent.tokens.get();
+  const amount = flags.amount !== undefined
+    ? parseAmount(flags.amount, pool.decimals)
+    : 10 ** pool.decimals;
+
+  const result = await agent.deposit({ mint: pool.mint, amount });
+  if (result.dryRun) {
+    return printSimulation(flags, result);
+  }
+
+  print(flags, {
+    txId: result.txId,
+    amount,
+    mint: pool.mint.toBase58(),
+    fees: result.fees,
+    depositCode: result.depositCode,
+  }, r => {
+    console.log("\n✅ Deposit confirmed");
+    console.log("   TX:", r.txId);
+    console.log(`   Amount: ${formatAmount(r.amount, pool)}`);
+    console.log(`   Fee: ${r.fees.totalFee / LAMPORTS_PER_SOL} SOL (${r.fees.computeUnitLimit} CU at ${r.fees.computeUnitPrice} µlamports)`);
+    console.log("\n🔑 Deposit code (SECRET - anyone with it can withdraw):");
+    console.log(`   ${r.depositCode}\n`);
+  });
+}
+
+async function withdrawCommand({ flags }) {
+  if (!flags.recipient) {
+    throw new Error("--recipient is required");
+  }
+  const recipient = parsePublicKey(flags.recipient, "--recipient");
+
+  let decoded = null;
+  if (flags.code) {
+    try {
+      decoded = decodeDepositCode(flags.code);
+    } catch (err) {
+      throw new Error(`Invalid deposit code: ${err.message}`);
+    }
+  }
+
+  // V2 codes name their pool: only the USDC pool is served
+  const agent = await createAgent(flags);
+  const pool = await agent.tokens.get(decoded?.mint);
+  const amount = flags.amount !== undefined ? parseAmount(flags.amount, pool.decimals) : undefined;
+  if (decoded && amount !== undefined && amount !== decoded.amount) {
+    throw new Error(`--amount does not match deposit code (${formatAmount(decoded.amount, pool)})`);
+  }
+
+  if (flags["dry-run"]) {
+    const result = flags.code
+      ? await agent.withdrawWithCode(flags.code, recipient, { force: flags.force })
+      : await agent.withdraw({ recipient, mint: pool.mint, amount });
+    return printSimulation(flags, result);
+  }
+
+  // Our own relayer endpoint is the fallback when no peer relayer responds
+  await agent.startP2P();
+
+  const result = flags.code
+    ? await agent.withdrawWithCode(flags.code, recipient, { relayerUrl: flags.relayer, force: flags.force })
+    : await agent.withdraw({ recipient, mint: pool.mint, amount });
+  const output = {
+    queueId: result.queueId,
+    relayerUrl: result.relayerUrl,
+    estimatedExecutionTime: result.estimatedExecutionTime,
+    recipient: recipient.toBase58(),
+  };
+
+  // Self-relayed: the withdrawal only executes while this process runs
+  const selfRelayed = result.relayerUrl === `http://localhost:${agent.p2p.port}`;
+  if (selfRelayed && !flags["no-wait"]) {
+    if (!flags.json) {
+      console.log("⏳ Self-relayed - waiting for execution (Ctrl+C to abort)...");
+    }
+    const landed = await agent.waitForWithdrawal(result.queueId, { timeout: Infinity });
+    output.txId = landed.txId;
+  }
+
+  // --no-wait: a self-relayed item is persisted and resumed by the next start
+  await agent.shutdown({ drainTimeout: 0 });
+
+  print(flags, output, r => {
+    console.log("\n✅ Withdrawal submitted");
+    console.log("   Queue ID:", r.queueId);
+    console.log("   Relayer:", r.relayerUrl);
+    if (r.txId) {
+      console.log("   TX:", r.txId);
+    } else {
+      console.log("   ETA:", new Date(r.estimatedExecutionTime).toISOString());
+    }
+    console.log("");
+  });
+}
+
+async function balanceCommand({ flags }) {
+  const agent = await createAgent(flags);
+
+  const [units, lamports] = await Promise.all([
+    agent.getBalance(),
+    agent.connection.getBalance(agent.wallet.publicKey),
+  ]);
+
+  print(flags, {
+    wallet: agent.wallet.publicKey.toBase58(),
+    usdc: usdc(units),
+    usdcUnits: units,
+    sol: lamports / LAMPORTS_PER_SOL,
+  }, r => {
+    console.log("💰 Wallet:", r.wallet);
+    console.log(`   USDC: ${r.usdc}`);
+    console.log(`   SOL:  ${r.sol}`);
+  });
+}
+
+async function statusCommand({ flags }) {
+  const agent = await createAgent(flags);
+  const status = await agent.getContractStatus();
+  const endpoints = await agent.connection.checkHealth();
+
+  print(flags, {
+    ...status,
+    network: agent.network.name,
+    programId: agent.programId.toBase58(),
+    usdcMint: agent.usdcMint.toBase58(),
+    rpcUrl: agent.rpcUrl,
+    rpcEndpoints: endpoints,
+    wallet: agent.wallet.publicKey.toBase58(),
+  }, r => {
+    console.log("📊 Contract Status:");
+    console.log("   Network:", r.network);
+    console.log("   Program:", r.programId);
+    console.log("   Initialized:", r.initialized);
+    if (r.initialized) console.log("   Current chunk:", r.currentChunkId);
+    if (r.error) console.log("   Error:", r.error);
+    console.log("   USDC mint:", r.usdcMint);
+    for (const e of r.rpcEndpoints) {
+      const health = e.healthy ? "✅" : "❌";
+      console.log(`   RPC: ${health} ${e.url} (${e.latencyMs ?? "-"} ms, slot ${e.slot ?? "-"})`);
+    }
+    console.log("   Wallet:", r.wallet);
+  });
+}
+
+async function depositsListCommand({ flags }) {
+  const network = resolveNetwork(networkName(flags), {
+    programId: flags["program-id"],
+    usdcMint: flags.mint,
+  });
+  const storage = new DepositStorage(path.join(network.dataDir, "deposits.json"), {
+    logger: createCliLogger(flags),
+    defaultMint: network.usdcMint,
+  });
+  const records = await storage.getAllDeposits();
+
+  const deposits = records.map(d => {
+    let chunkId = null;
+    try {
+      chunkId = decodeDepositCode(d.code).chunkId;
+    } catch {
+      // Corrupt code - still list the record
+    }
+
+    return {
+      txId: d.txId,
+      amount: d.amount,
+      // Records without a mint predate token pools (USDC)
+      mint: d.mint || network.usdcMint.toBase58(),
+      chunkId,
+      leafIndex: d.leafIndex ?? null,
+      withdrawn: d.withdrawn,
+      withdrawTxId: d.withdrawTxId || null,
+      timestamp: d.timestamp,
+      // SECURITY: Codes contain the secret - only shown on request
+      ...(flags["show-codes"] ? { code: d.code } : {}),
+    };
+  });
+
+  print(flags, {
+    storageFile: storage.storageFile,
+    stats: await storage.getStats(),
+    deposits,
+  }, r => {
+    console.log(`💾 ${r.storageFile}`);
+    console.log(`   ${r.stats.total} total, ${r.stats.pending} pending, ${r.stats.withdrawn} withdrawn\n`);
+    for (const d of r.deposits) {
+      const state = d.withdrawn ? `withdrawn (${d.withdrawTxId})` : "pending";
+      const token = d.mint === network.usdcMint.toBase58() ? `${usdc(d.amount)} USDC` : `${d.amount} units of ${d.mint}`;
+      console.log(`   ${d.timestamp}  ${token}  chunk ${d.chunkId}  ${state}`);
+      console.log(`      TX: ${d.txId}`);
+      if (d.code) console.log(`      Code: ${d.code}`);
+    }
+  });
+}
+
+async function treeBuildCommand({ flags }) {
+  const agent = await createAgent(flags);
+  const chunkId = await resolveChunkId(agent, flags);
+
+  // --from-chain: ignore cache + peers
+  await agent.loadTree(chunkId, { fromChain: flags["from-chain"] });
+
+  const treeData = agent.treeBuilder.trees[chunkId];
+  print(flags, {
+    chunkId,
+    leafCount: treeData.leaves.length,
+    root: treeData.root.toString(),
+  }, r => {
+    console.log(`\n🌳 Chunk ${r.chunkId}: ${r.leafCount} leaves`);
+    console.log("   Root:", r.root);
+  });
+}
+
+async function treeVerifyCommand({ flags }) {
+  const agent = await createAgent(flags);
+  const chunkId = await resolveChunkId(agent, flags);
+
+  await agent.loadTree(chunkId);
+  const treeData = agent.treeBuilder.trees[chunkId];
+  const chain = await agent.treeBuilder.fetchChunkState(chunkId);
+
+  const result = {
+    chunkId,
+    valid: treeData.leaves.length === chain.currentIndex && treeData.root === chain.root,
+    local: { leafCount: treeData.leaves.length, root: treeData.root.toString() },
+    chain: { leafCount: chain.currentIndex, root: chain.root.toString() },
+  };
+
+  print(flags, result, r => {
+    console.log(`\n${r.valid ? "✅" : "❌"} Chunk ${r.chunkId} tree ${r.valid ? "matches" : "does NOT match"} chain`);
+    console.log(`   Local: ${r.local.leafCount} leaves, root ${r.local.root}`);
+    console.log(`   Chain: ${r.chain.leafCount} leaves, root ${r.chain.root}`);
+  });
+
+  return result.valid ? 0 : 1;
+}
+
+async function treeExportCommand({ flags }) {
+  const agent = await createAgent(flags);
+  const chunkId = await resolveChunkId(agent, flags);
+
+  await agent.loadTree(chunkId);
+  const treeData = agent.treeBuilder.trees[chunkId];
+
+  // Leaves + root are enough to rebuild (and verify) the tree
+  const data = {
+    chunkId,
+    leafCount: treeData.leaves.length,
+    root: treeData.root.toString(),
+    leaves: treeData.leaves.map(l => l.toString()),
+    timestamp: Date.now(),
+  };
+
+  if (!flags.out) {
+    process.stdout.write(JSON.stringify(data) + "\n");
+    return;
+  }
+
+  fs.writeFileSync(flags.out, JSON.stringify(data));
+  print(flags, {
+    chunkId,
+    leafCount: data.leafCount,
+    root: data.root,
+    file: flags.out,
+  }, r => {
+    console.log(`\n📤 Exported chunk ${r.chunkId} (${r.leafCount} leaves) to ${r.file}`);
+  });
+}
+
+async function peersCommand({ flags }) {
+  const agent = await createAgent(flags);
+
+  if (flags.discover) {
+    await agent.p2p.startDHT();
+    await agent.p2p.discoverPeers();
+  }
+
+  const peers = Array.from(agent.p2p.peers.values()).map(p => ({
+    host: p.host,
+    port: p.port,
+    lastSeen: p.lastSeen,
+    trees: p.trees || [],
+  }));
+
+  print(flags, { count: peers.length, peers }, r => {
+    console.log(`👥 ${r.count} known peer(s)`);
+    for (const p of r.peers) {
+      const seen = p.lastSeen ? new Date(p.lastSeen).toISOString() : "never";
+      console.log(`   ${p.host}:${p.port}  last seen ${seen}  trees [${p.trees.join(", ")}]`);
+    }
+  });
+}
+
+async function relayerRunCommand({ flags }) {
+  const agent = await createAgent(flags);
+  await agent.startP2P();
+
+  print(flags, {
+    status: "running",
+    wallet: agent.wallet.publicKey.toBase58(),
+    port: agent.p2p.port,
+    dhtPort: agent.p2p.dhtPort,
+    admin: agent.admin ? agent.admin.address() : null,
+  }, r => {
+    console.log("\n✅ Relayer running (no auto-mixing)");
+    console.log("   Wallet:", r.wallet);
+    console.log("   HTTP P2P/relayer port:", r.port);
+    console.log("   DHT port:", r.dhtPort);
+    if (r.admin) console.log("   Admin API:", r.admin.socketPath || `${r.admin.host}:${r.admin.port}`);
+    console.log("\nPress Ctrl+C to stop\n");
+  });
+
+  const signal = await waitForSignal();
+  const drainTimeout = flags["drain-timeout"] !== undefined
+    ? parseInteger(flags["drain-timeout"], "--drain-timeout") * 1000
+    : undefined;
+  const { executed, persisted } = await agent.shutdown({ drainTimeout });
+
+  print(flags, { status: "stopped", signal, executed, persisted }, r => {
+    console.log(`\n🛑 Relayer stopped (${r.executed} executed while draining, ${r.persisted} saved for next start)`);
+  });
+}
+
+async function bootstrapNodeCommand({ flags }) {
+  const agent = await createAgent(flags);
+
+  await agent.p2p.startServer();
+  await agent.p2p.startBroadcast();
+  await agent.p2p.startDHT();
+
+  // Serve the current tree to other agents (best effort)
+  let chunkId = null;
+  try {
+    chunkId = await resolveChunkId(agent, flags);
+    await agent.loadTree(chunkId);
+  } catch (err) {
+    chunkId = null;
+    agent.logger.info("ℹ️  No tree loaded (will sync from chain when requested)", {
+      error: err.message,
+    });
+  }
+
+  print(flags, {
+    status: "running",
+    port: agent.p2p.port,
+    discoveryPort: agent.p2p.discoveryPort,
+    dhtPort: agent.p2p.dhtPort,
+    chunkId,
+  }, r => {
+    console.log("\n✅ Bootstrap node is running!");
+    console.log("   HTTP P2P: port", r.port);
+    console.log("   UDP Broadcast: port", r.discoveryPort);
+    console.log("   DHT: port", r.dhtPort);
+    if (r.chunkId !== null) console.log("   Serving tree for chunk", r.chunkId);
+    console.log("\nPress Ctrl+C to stop\n");
+  });
+
+  const signal = await waitForSignal();
+  await agent.shutdown({ drainTimeout: 0 });
+
+  print(flags, { status: "stopped", signal }, () => {
+    console.log("\n🛑 Bootstrap node stopped");
+  });
+}
+
+async function keystoreCreateCommand({ flags }) {
+  if (!flags.out) {
+    throw new Error("--out is required");
+  }
+  if (!process.env[KEYSTORE_PASSWORD_ENV]) {
+    throw new Error(`Set ${KEYSTORE_PASSWORD_ENV} to the keystore password`);
+  }
+
+  let keypair = Keypair.generate();
+  if (flags.keypair) {
+    const keypairData = JSON.parse(fs.readFileSync(flags.keypair, "utf-8"));
+    keypair = Keypair.fromSecretKey(Uint8Array.from(keypairData));
+  }
+
+  const signer = KeystoreSigner.create(keypair, flags.out);
+
+  print(flags, {
+    publicKey: signer.publicKey.toBase58(),
+    file: flags.out,
+  }, r => {
+    console.log(`🔐 Keystore written to ${r.file}`);
+    console.log("   Public key:", r.publicKey);
+    if (flags.keypair) {
+      console.log(`   💡 You can now delete the plaintext keypair ${flags.keypair}`);
+    }
+  });
+}
+
+async function mcpCommand({ flags }) {
+  // stdin/stdout carry the protocol: prompts are impossible, and every log
+  // line goes through the --json logger, which writes to stderr
+  if (flags.approve === "cli") {
+    throw new Error("--approve cli reads stdin, which the MCP client owns - use --approve http");
+  }
+  flags = { ...flags, json: true, "log-level": flags["log-level"] || "info" };
+  const agent = await createAgent(flags);
+
+  const server = new McpServer(agent, { logger: agent.logger, relayerUrl: flags.relayer });
+  agent.logger.info("🔧 MCP server listening on stdio", { wallet: agent.wallet.publicKey.toBase58() });
+  await server.listen();
+  await agent.shutdown();
+}
+
+const COMMANDS = {
+  deposit: depositCommand,
+  withdraw: withdrawCommand,
+  balance: balanceCommand,
+  status: statusCommand,
+  deposits: { list: depositsListCommand },
+  tree: {
+    build: treeBuildCommand,
+    verify: treeVerifyCommand,
+    export: treeExportCommand,
+  },
+  peers: peersCommand,
+  relayer: { run: relayerRunCommand },
+  "bootstrap-node": bootstrapNodeCommand,
+  keystore: { create: keystoreCreateCommand },
+  mcp: mcpCommand,
+};
+
+/**
+ * Look up the handler for `<command> [subcommand]`
+ */
+function resolveCommand(positionals) {
+  const [name, sub] = positionals;
+  const entry = Object.prototype.hasOwnProperty.call(COMMANDS, name) ? COMMANDS[name] : null;
+
+  if (!entry) {
+    throw new Error(`Unknown command: ${name} (see cipher --help)`);
+  }
+  if (typeof entry === "function") {
+    return entry;
+  }
+  if (!sub || !Object.prototype.hasOwnProperty.call(entry, sub)) {
+    throw new Error(`Usage: cipher ${name} <${Object.keys(entry).join("|")}>`);
+  }
+  return entry[sub];
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {Array<string>} argv - Arguments (without node + script)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  let flags = {};
+
+  try {
+    const parsed = parseArgs(argv);
+    flags = parsed.flags;
+
+    if (parsed.positionals.length === 0 || flags.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+
+    const handler = resolveCommand(parsed.positionals);
+    const code = await handler({ flags, positionals: parsed.positionals });
+    return code || 0;
+  } catch (err) {
+    if (flags.json) {
+      process.stdout.write(JSON.stringify({ error: err.message }) + "\n");
+    } else {
+      console.error(`❌ Error: ${err.message}`);
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  run,
+  parseArgs,
+  parseAmount,
+  resolveCommand,
+  COMMANDS,
+  USAGE,
+};
@@ -0,0 +1,173 @@
+/**
+ * Send-and-Confirm Engine
+ *
+ * A signed transaction is broadcast once with preflight, then rebroadcast
+ * (without preflight) every `resendInterval` until it reaches the wanted
+ * commitment or its blockhash expires (block height > lastValidBlockHeight).
+ * Every send ends in one settled outcome:
+ *
+ * - confirmed: landed without error at `commitment` ('confirmed' or 'finalized')
+ * - failed:    rejected by preflight or landed with an error (fee may be paid)
+ * - expired:   blockhash expired and the cluster never saw the transaction
+ * - dropped:   seen by the cluster (e.g. on a minority fork), then gone
+ *              before its blockhash expired
+ *
+ * Only `confirmed` moved funds; the other three are final - the same
+ * signed transaction can never land afterwards, so rebuilding is safe.
+ *
+ * RPC errors while polling are retried: the engine only returns once the
+ * outcome is settled (or `signal` aborts).
+ */
+
+const { VersionedTransaction, SendTransactionError } = require("@solana/web3.js");
+const bs58 = require("bs58");
+const { decodeProgramError } = require("./program-errors");
+
+const OUTCOMES = {
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+  EXPIRED: "expired",
+  DROPPED: "dropped",
+};
+
+const DEFAULT_CONFIRM_OPTIONS = {
+  commitment: "confirmed",
+  resendInterval: 2000,
+  pollInterval: 1000,
+};
+
+const COMMITMENT_RANK = { processed: 0, confirmed: 1, finalized: 2 };
+
+/**
+ * Raised when a transaction settles as failed, expired or dropped
+ *
+ * `outcome` is one of OUTCOMES; `error` is the decoded program error
+ * ({ code, name, message }) for failures with one.
+ */
+class TransactionNotConfirmed extends Error {
+  constructor(outcome, signature, message, details = {}) {
+    super(`Transaction ${outcome}: ${message}`);
+    this.name = "TransactionNotConfirmed";
+    this.outcome = outcome;
+    this.signature = signature;
+    this.err = details.err ?? null;
+    this.error = details.error ?? null;
+    this.logs = details.logs || [];
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Broadcast a signed transaction and wait until its outcome is settled
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {Buffer|Uint8Array} rawTransaction - Signed transaction (wire format)
+ * @param {Object} options
+ * @param {number} options.lastValidBlockHeight - From the blockhash the transaction was signed with
+ * @param {string} [options.commitment='confirmed'] - 'confirmed' | 'finalized'
+ * @param {number} [options.resendInterval=2000] - ms between rebroadcasts
+ * @param {number} [options.pollInterval=1000] - ms between status checks
+ * @param {AbortSignal} [options.signal] - Stop waiting (the transaction may still land)
+ * @returns {Promise<Object>} { signature, outcome: 'confirmed', slot, confirmationStatus }
+ * @throws {TransactionNotConfirmed} failed, expired or dropped
+ */
+async function sendAndConfirmRawTransaction(connection, rawTransaction, options) {
+  const { lastValidBlockHeight, signal } = options;
+  const { commitment, resendInterval, pollInterval } = { ...DEFAULT_CONFIRM_OPTIONS, ...options };
+  if (!(commitment in COMMITMENT_RANK) || commitment === "processed") {
+    throw new Error(`Invalid commitment ${commitment}: expected confirmed or finalized`);
+  }
+  if (!Number.isSafeInteger(lastValidBlockHeight)) {
+    throw new Error("lastValidBlockHeight is required");
+  }
+
+  const raw = Buffer.from(rawTransaction);
+  const signature = bs58.encode(VersionedTransaction.deserialize(raw).signatures[0]);
+
+  // First broadcast with preflight: program errors surface before any fee is paid
+  try {
+    await connection.sendRawTransaction(raw, { skipPreflight: false, maxRetries: 0, preflightCommitment: "confirmed" });
+  } catch (err) {
+    if (err instanceof SendTransactionError && !/already been processed/.test(err.message)) {
+      throw new TransactionNotConfirmed(OUTCOMES.FAILED, signature, err.message, { logs: err.logs, cause: err });
+    }
+    // Network error or duplicate: the status checks below settle it
+  }
+  let lastSend = Date.now();
+  let seen = false;
+
+  for (;;) {
+    await sleep(pollInterval, signal);
+
+    let status;
+    let expired;
+    try {
+      const blockHeight = await connection.getBlockHeight("confirmed");
+      expired = blockHeight > lastValidBlockHeight;
+      // After expiry, a status-cache miss must not be mistaken for "never landed"
+      const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: expired });
+      status = value[0];
+    } catch {
+      // RPC hiccup: the outcome is not settled yet
+      continue;
+    }
+
+    if (status) {
+      seen = true;
+      if (status.err) {
+        const error = decodeProgramError(status.err);
+        throw new TransactionNotConfirmed(OUTCOMES.FAILED, signature, error ? `${error.name}: ${error.message}` : JSON.stringify(status.err), {
+          err: status.err,
+          error,
+        });
+      }
+      if (COMMITMENT_RANK[status.confirmationStatus] >= COMMITMENT_RANK[commitment]) {
+        return {
+          signature,
+          outcome: OUTCOMES.CONFIRMED,
+          slot: status.slot,
+          confirmationStatus: status.confirmationStatus,
+        };
+      }
+      // Landed, not yet at `commitment`: nothing to rebroadcast
+      continue;
+    }
+
+    if (expired) {
+      throw seen
+        ? new TransactionNotConfirmed(OUTCOMES.DROPPED, signature, "seen by the cluster, then dropped before confirmation")
+        : new TransactionNotConfirmed(OUTCOMES.EXPIRED, signature, `blockhash expired (last valid block height ${lastValidBlockHeight})`);
+    }
+
+    if (Date.now() - lastSend >= resendInterval) {
+      lastSend = Date.now();
+      // Best effort: leaders drop duplicates, failures are seen via the status
+      connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  sendAndConfirmRawTransaction,
+  TransactionNotConfirmed,
+  OUTCOMES,
+  DEFAULT_CONFIRM_OPTIONS,
+};
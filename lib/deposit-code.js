@@ -1,11 +1,15 @@
 /**
  * Deposit Code Encoding/Decoding
  * 
- * Format: version(1) + nullifier(32) + secret(32) + chunkId(4) + amount(8)
+ * V1: version(1) + nullifier(32) + secret(32) + chunkId(4) + amount(8)
+ * V2: V1 fields + mint(32) - the pool the note was deposited into
  * Encoding: Base58 (like Bitcoin addresses)
+ *
+ * V1 codes predate multi-token pools and belong to the USDC pool.
  */
 
 const bs58 = require("bs58");
+const { PublicKey } = require("@solana/web3.js");
 
 // Buffer layout constants
 const VERSION_BYTE_SIZE = 1;
@@ -13,10 +17,12 @@ const NULLIFIER_SIZE = 32;
 const SECRET_SIZE = 32;
 const CHUNK_ID_SIZE = 4;
 const AMOUNT_SIZE = 8;
+const MINT_SIZE = 32;
 
-// Total size for V1
+// Total sizes
 const V1_TOTAL_SIZE = VERSION_BYTE_SIZE + NULLIFIER_SIZE + SECRET_SIZE + CHUNK_ID_SIZE + AMOUNT_SIZE;
-const CURRENT_VERSION = 1;
+const V2_TOTAL_SIZE = V1_TOTAL_SIZE + MINT_SIZE;
+const CURRENT_VERSION = 2;
 
 /**
  * Encode deposit info into a base58 string
@@ -24,14 +30,15 @@ const CURRENT_VERSION = 1;
  * @param {Buffer} secret - 32 random bytes
  * @param {Buffer} nullifier - 32 random bytes
  * @param {number} chunkId - Chunk ID
- * @param {number} amount - Amount in USDC units
+ * @param {number} amount - Amount in the mint's base units
+ * @param {PublicKey|string} [mint] - Pool mint (omitted: V1 code for the USDC pool)
  * @returns {string} Base58 encoded deposit code
  */
-function encodeDepositCode(secret, nullifier, chunkId, amount) {
-  const buf = Buffer.alloc(V1_TOTAL_SIZE);
+function encodeDepositCode(secret, nullifier, chunkId, amount, mint = null) {
+  const buf = Buffer.alloc(mint ? V2_TOTAL_SIZE : V1_TOTAL_SIZE);
   
   // Write version
-  buf.writeUInt8(CURRENT_VERSION, 0);
+  buf.writeUInt8(mint ? CURRENT_VERSION : 1, 0);
   
   // Write data
   const offset = VERSION_BYTE_SIZE;
@@ -39,6 +46,9 @@ function encodeDepositCode(secret, nullifier, chunkId, amount) {
   secret.copy(buf, offset + NULLIFIER_SIZE);
   buf.writeUInt32BE(chunkId, offset + NULLIFIER_SIZE + SECRET_SIZE);
   buf.writeBigUInt64BE(BigInt(amount), offset + NULLIFIER_SIZE + SECRET_SIZE + CHUNK_ID_SIZE);
+  if (mint) {
+    new PublicKey(mint).toBuffer().copy(buf, V1_TOTAL_SIZE);
+  }
   
   // Encode to base58
   return bs58.encode(buf);
@@ -48,7 +58,8 @@ function encodeDepositCode(secret, nullifier, chunkId, amount) {
  * Decode base58 deposit code
  * 
  * @param {string} code - Base58 encoded deposit code
- * @returns {Object} { version, secret, nullifier, chunkId, amount }
+ * @returns {Object} { version, secret, nullifier, chunkId, amount, mint }
+ *   (mint: base58, null for V1 codes = USDC pool)
  */
 function decodeDepositCode(code) {
   const buf = Buffer.from(bs58.decode(code));
@@ -60,15 +71,19 @@ function decodeDepositCode(code) {
   const version = buf.readUInt8(0);
   const offset = VERSION_BYTE_SIZE;
   
-  if (version === 1) {
-    if (buf.length !== V1_TOTAL_SIZE) {
-      throw new Error(`Invalid V1 deposit code length: expected ${V1_TOTAL_SIZE}, got ${buf.length}`);
+  if (version === 1 || version === 2) {
+    const expected = version === 1 ? V1_TOTAL_SIZE : V2_TOTAL_SIZE;
+    if (buf.length !== expected) {
+      throw new Error(`Invalid V${version} deposit code length: expected ${expected}, got ${buf.length}`);
     }
     
     const nullifierBuf = buf.subarray(offset, offset + NULLIFIER_SIZE);
     const secretBuf = buf.subarray(offset + NULLIFIER_SIZE, offset + NULLIFIER_SIZE + SECRET_SIZE);
     const chunkId = buf.readUInt32BE(offset + NULLIFIER_SIZE + SECRET_SIZE);
     const amount = Number(buf.readBigUInt64BE(offset + NULLIFIER_SIZE + SECRET_SIZE + CHUNK_ID_SIZE));
+    const mint = version === 2
+      ? new PublicKey(buf.subarray(V1_TOTAL_SIZE, V2_TOTAL_SIZE)).toBase58()
+      : null;
     
     // Return BUFFERS (not strings) - for consistency with proof.js
     return {
@@ -77,6 +92,7 @@ function decodeDepositCode(code) {
       nullifier: nullifierBuf,
       chunkId,
       amount,
+      mint,
     };
   } else {
     throw new Error(`Unsupported deposit code version: ${version}`);
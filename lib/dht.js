@@ -15,6 +15,9 @@
 const net = require('net');
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { EVENTS } = require('./events');
+const { resolveLogger } = require('./logger');
+const { NETWORKS, DEFAULT_NETWORK } = require('./networks');
 
 // DHT Constants
 const K = 20;              // Bucket size (standard Kademlia)
@@ -24,8 +27,9 @@ const DHT_PORT = 8549;     // TCP port for DHT
 const RPC_TIMEOUT = 5000;  // 5 seconds
 const MAX_CONNECTIONS = 100; // Max concurrent TCP connections
 
-// Magic network identifier
-const CIPHER_NETWORK_ID = "cipher-agent-mainnet-v1";
+// Default network identifier (agents announce under their profile's ID,
+// see networks.js - devnet and mainnet agents never find each other)
+const CIPHER_NETWORK_ID = NETWORKS[DEFAULT_NETWORK].networkId;
 
 /**
  * Generate node ID from public key or random
@@ -182,13 +186,16 @@ class DHTNode extends EventEmitter {
     
     this.id = options.nodeId || generateNodeId();
     this.port = options.port || DHT_PORT;
+    this.networkId = options.networkId || CIPHER_NETWORK_ID;
     this.buckets = Array.from({ length: ID_LENGTH * 8 }, () => new KBucket());
     this.server = null;
     this.connections = new Map(); // Active connections
     this.pendingRequests = new Map();
+    this.cleanupTimer = null;
     this.values = new Map(); // Store key-value pairs
+    this.logger = resolveLogger(options.logger).child({ module: 'dht' });
     
-    console.log(`🔑 DHT Node ID: ${this.id.toString('hex').substring(0, 16)}...`);
+    this.logger.debug(`🔑 DHT Node ID: ${this.id.toString('hex').substring(0, 16)}...`);
   }
 
   /**
@@ -201,17 +208,20 @@ class DHTNode extends EventEmitter {
       });
 
       this.server.on('error', (err) => {
-        console.error('DHT server error:', err);
+        this.logger.error('DHT server error', { error: err.message });
         reject(err);
       });
 
       this.server.listen(this.port, '0.0.0.0', () => {
-        console.log(`📡 DHT listening on TCP port ${this.port}`);
+        this.emit(EVENTS.DHT_LISTENING, {
+          port: this.port,
+          nodeId: this.id.toString('hex'),
+        });
         resolve();
       });
 
       // Cleanup old connections periodically
-      setInterval(() => {
+      this.cleanupTimer = setInterval(() => {
         const now = Date.now();
         for (const [key, conn] of this.connections.entries()) {
           if (now - conn.lastUsed > 60000) { // 1 minute idle
@@ -225,8 +235,25 @@ class DHTNode extends EventEmitter {
 
   /**
    * Stop DHT node
+   *
+   * Clears the cleanup interval and all request timeouts, so nothing keeps
+   * the process alive afterwards.
+   *
+   * @returns {Promise<void>} Resolves once the server is closed
    */
-  stop() {
+  async stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+
+    // Fail in-flight requests instead of leaving their timers behind
+    for (const { reject, timer } of this.pendingRequests.values()) {
+      clearTimeout(timer);
+      reject(new Error('DHT stopped'));
+    }
+    this.pendingRequests.clear();
+
     if (this.server) {
       // Close all connections
       for (const [key, conn] of this.connections.entries()) {
@@ -234,8 +261,10 @@ class DHTNode extends EventEmitter {
       }
       this.connections.clear();
 
-      this.server.close();
-      console.log('🛑 DHT stopped');
+      const server = this.server;
+      this.server = null;
+      await new Promise(resolve => server.close(() => resolve()));
+      this.emit(EVENTS.DHT_STOPPED, {});
     }
   }
 
@@ -283,7 +312,8 @@ class DHTNode extends EventEmitter {
 
       // Handle response
       if (txId && this.pendingRequests.has(txId)) {
-        const { resolve } = this.pendingRequests.get(txId);
+        const { resolve, timer } = this.pendingRequests.get(txId);
+        clearTimeout(timer);
         this.pendingRequests.delete(txId);
         resolve({ type, data, sender: { socket } });
         return;
@@ -381,23 +411,23 @@ class DHTNode extends EventEmitter {
       const txId = crypto.randomBytes(8).toString('hex');
       message.txId = txId;
 
-      this.pendingRequests.set(txId, { resolve, reject });
+      // Timeout
+      const timer = setTimeout(() => {
+        if (this.pendingRequests.has(txId)) {
+          this.pendingRequests.delete(txId);
+          reject(new Error('Request timeout'));
+        }
+      }, RPC_TIMEOUT);
+      this.pendingRequests.set(txId, { resolve, reject, timer });
 
       try {
         await this.sendMessage(message, host, port);
       } catch (err) {
+        clearTimeout(timer);
         this.pendingRequests.delete(txId);
         reject(err);
         return;
       }
-
-      // Timeout
-      setTimeout(() => {
-        if (this.pendingRequests.has(txId)) {
-          this.pendingRequests.delete(txId);
-          reject(new Error('Request timeout'));
-        }
-      }, RPC_TIMEOUT);
     });
   }
 
@@ -602,7 +632,7 @@ class DHTNode extends EventEmitter {
    * Bootstrap from known peer
    */
   async bootstrap(peer) {
-    console.log(`🔗 Bootstrapping from ${peer.host}:${peer.port}...`);
+    this.emit(EVENTS.DHT_BOOTSTRAPPING, { host: peer.host, port: peer.port });
     
     try {
       // Ping bootstrap peer - response will add peer to routing table via handleMessage
@@ -615,11 +645,15 @@ class DHTNode extends EventEmitter {
 
       // Find nodes close to ourselves
       const nodes = await this.iterativeFindNode(this.id);
-      console.log(`✅ Bootstrap complete! Found ${nodes.length} nodes`);
+      this.emit(EVENTS.DHT_BOOTSTRAPPED, { nodeCount: nodes.length });
       
       return nodes;
     } catch (err) {
-      console.error('❌ Bootstrap failed:', err.message);
+      this.emit(EVENTS.DHT_BOOTSTRAP_FAILED, {
+        host: peer.host,
+        port: peer.port,
+        error: err.message,
+      });
       throw err;
     }
   }
@@ -628,11 +662,12 @@ class DHTNode extends EventEmitter {
    * Announce presence in DHT (store our info under network ID)
    */
   async announce(httpPort, publicHost = null) {
-    const target = crypto.createHash('sha256').update(CIPHER_NETWORK_ID).digest();
+    const target = crypto.createHash('sha256').update(this.networkId).digest();
     const nodes = await this.iterativeFindNode(target);
 
     const value = {
       id: this.id.toString('hex'),
+      network: this.networkId,
       httpPort,
       timestamp: Date.now(),
       // Include host if provided (for public IP announcements)
@@ -641,17 +676,17 @@ class DHTNode extends EventEmitter {
 
     // Store on closest nodes
     await Promise.allSettled(
-      nodes.slice(0, K).map(node => this.store(CIPHER_NETWORK_ID, value, node))
+      nodes.slice(0, K).map(node => this.store(this.networkId, value, node))
     );
 
-    console.log(`📢 Announced presence to ${nodes.length} DHT nodes${publicHost ? ` (host: ${publicHost})` : ''}`);
+    this.emit(EVENTS.DHT_ANNOUNCED, { nodeCount: nodes.length, host: publicHost });
   }
 
   /**
    * Find agents in network
    */
   async findAgents() {
-    const target = crypto.createHash('sha256').update(CIPHER_NETWORK_ID).digest();
+    const target = crypto.createHash('sha256').update(this.networkId).digest();
     const nodes = await this.iterativeFindNode(target);
 
     // Query nodes for stored agent values
@@ -662,7 +697,7 @@ class DHTNode extends EventEmitter {
         const response = await this.sendRequest({
           type: 'FIND_VALUE',
           id: this.id.toString('hex'),
-          data: { key: CIPHER_NETWORK_ID },
+          data: { key: this.networkId },
         }, node.host, node.port);
 
         if (response.type === 'VALUE') {
@@ -673,7 +708,10 @@ class DHTNode extends EventEmitter {
       }
     }
 
-    return Array.from(agents).map(a => JSON.parse(a));
+    // Values are stored by key, but never trust a peer to honor that
+    return Array.from(agents)
+      .map(a => JSON.parse(a))
+      .filter(a => a && a.network === this.networkId);
   }
 }
 
@@ -0,0 +1,1275 @@
+/**
+ * In-process Cipher Program Emulator
+ *
+ * EmulatedConnection stands in for a web3.js Connection: the RPC methods
+ * the SDK (and Anchor) use are served from memory, and transactions that
+ * call the Cipher program run against emulated Master, MerkleTreeChunk,
+ * LeaveStorage, MerkleRootStorage, Escrow and UsedNullifier accounts
+ * encoded as described in cipher.json. Full flows - deposit, tree
+ * rebuild, withdraw, executeWithdraw - run offline, including the
+ * program's errors (ChunkFull, DoubleSpending, InvalidMerkleRoot, ...).
+ *
+ *   const connection = await EmulatedConnection.create();
+ *   connection.airdrop(keypair.publicKey, 1e9);
+ *   connection.mintTo(keypair.publicKey, 10_000_000);
+ *   const agent = new CipherAgent({
+ *     keypair, connection,
+ *     programId: connection.programId,
+ *     usdcMint: connection.usdcMint,
+ *   });
+ *
+ * Emulated: signatures, blockhash expiry, lamport fees, SPL token
+ * balances, the incremental Poseidon tree (same zero hashes as the
+ * contract), the root history and account notifications
+ * (onAccountChange). Not emulated: Groth16 verification
+ * (see options.verifyProof), address lookup tables and CPI to other
+ * programs. Compute units are rough fixed costs per instruction.
+ * CipherAgent.withdraw() proves with a StandInWithdrawProver (below)
+ * while the withdraw keys are not in the package.
+ *
+ * SECURITY: Test tool only. Nothing here touches a real cluster.
+ */
+
+const crypto = require("crypto");
+const anchor = require("@coral-xyz/anchor");
+const {
+  PublicKey,
+  Keypair,
+  SystemProgram,
+  ComputeBudgetProgram,
+  Transaction,
+  VersionedTransaction,
+  SendTransactionError,
+} = require("@solana/web3.js");
+const {
+  AccountLayout,
+  MintLayout,
+  ACCOUNT_SIZE,
+  MINT_SIZE,
+  TOKEN_PROGRAM_ID,
+  getAssociatedTokenAddressSync,
+} = require("@solana/spl-token");
+const bs58 = require("bs58");
+const fs = require("fs");
+const path = require("path");
+const { curves } = require("snarkjs");
+const { getPoseidon } = require("./crypto");
+const { ZERO_HASHES } = require("./tree");
+const { CircuitRegistry } = require("./circuits");
+const { ProverPool } = require("./prover");
+
+const IDL = JSON.parse(fs.readFileSync(path.join(__dirname, "cipher.json"), "utf-8"));
+
+const TREE_HEIGHT = 20;
+const LEAVES_PER_STORAGE = 1000;
+const ROOT_HISTORY_SIZE = 100;
+const BLOCKHASH_VALIDITY = 150; // blocks, as on mainnet
+const LAMPORTS_PER_SIGNATURE = 5000;
+const DEFAULT_UNIT_LIMIT = 200_000; // per instruction without setComputeUnitLimit
+const MAX_UNIT_LIMIT = 1_400_000;
+const PRIORITIZATION_FEE_SLOTS = 150; // getRecentPrioritizationFees window
+const FINALIZATION_SLOTS = 32; // confirmed -> finalized
+
+// Rough compute costs (the real Groth16 verifier dominates both)
+const COMPUTE_UNITS = {
+  computeBudget: 150,
+  system: 150,
+  deposit: 160_000,
+  withdraw: 380_000,
+};
+
+// Account data sizes (discriminator included)
+const MASTER_SIZE = 8 + 4 + 5 * 16;
+const ESCROW_SIZE = 8 + 8 + 8 + 5 * 16;
+const CHUNK_SIZE = 8 + 4 + 2 + TREE_HEIGHT * 32 + 4 + 32 + 5 * 16;
+
+const discriminator = (name) => Buffer.from(IDL.accounts.find(a => a.name === name).discriminator);
+const DISCRIMINATORS = {
+  master: discriminator("Master"),
+  escrow: discriminator("Escrow"),
+  chunk: discriminator("MerkleTreeChunk"),
+  leaveStorage: discriminator("LeaveStorage"),
+  rootStorage: discriminator("MerkleRootStorage"),
+  usedNullifier: discriminator("UsedNullifier"),
+};
+
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+/**
+ * An instruction failed: `detail` becomes { InstructionError: [index, detail] }
+ * @private
+ */
+class InstructionFailure extends Error {
+  constructor(detail, logs = []) {
+    super(typeof detail === "string" ? detail : JSON.stringify(detail));
+    this.detail = detail;
+    this.logs = logs;
+  }
+}
+
+/**
+ * Cipher program error by IDL name (logged the way Anchor does)
+ * @private
+ */
+function programError(name) {
+  const error = IDL.errors.find(e => e.name === name);
+  return new InstructionFailure({ Custom: error.code }, [
+    `Program log: AnchorError occurred. Error Code: ${error.name}. Error Number: ${error.code}. Error Message: ${error.msg}.`,
+  ]);
+}
+
+/**
+ * Anchor framework error (constraint checks) by name
+ * @private
+ */
+function constraintError(name, account) {
+  const code = anchor.LangErrorCode[name];
+  return new InstructionFailure({ Custom: code }, [
+    `Program log: AnchorError caused by account: ${account}. Error Code: ${name}. Error Number: ${code}. Error Message: ${anchor.LangErrorMessage.get(code)}.`,
+  ]);
+}
+
+const toBigInt = (bytes) => BigInt("0x" + (Buffer.from(bytes).toString("hex") || "0"));
+
+function toBytes32(value) {
+  const buf = Buffer.alloc(32);
+  let v = BigInt(value);
+  for (let i = 31; i >= 0; i--) {
+    buf[i] = Number(v & 0xffn);
+    v >>= 8n;
+  }
+  return buf;
+}
+
+const u32BE = (n) => {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32BE(n, 0);
+  return buf;
+};
+
+const u16BE = (n) => {
+  const buf = Buffer.alloc(2);
+  buf.writeUInt16BE(n, 0);
+  return buf;
+};
+
+function verifySignature(publicKey, message, signature) {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]),
+    format: "der",
+    type: "spki",
+  });
+  return crypto.verify(null, message, key, signature);
+}
+
+class EmulatedConnection {
+  /**
+   * Create an emulator with an initialized program (Master, Escrow,
+   * MerkleRootStorage, chunk 1) and a USDC-like mint
+   *
+   * @param {Object} [options]
+   * @param {PublicKey|string} [options.programId] - Default: address in cipher.json
+   * @param {PublicKey|string} [options.usdcMint] - Default: a fresh mint address
+   * @param {number} [options.decimals=6] - Mint decimals
+   * @param {number} [options.chunkCapacity=2^20] - Leaves per chunk before ChunkFull
+   * @param {number} [options.leavesPerStorage=1000] - Leaves per LeaveStorage account
+   * @param {number} [options.rootHistory=100] - Roots kept in MerkleRootStorage
+   * @param {Function} [options.verifyProof] - async (kind, proof) => boolean; default accepts
+   *   every proof (the program's Groth16 check is not emulated)
+   * @returns {Promise<EmulatedConnection>}
+   */
+  static async create(options = {}) {
+    const poseidon = await getPoseidon();
+    return new EmulatedConnection(poseidon, options);
+  }
+
+  /**
+   * @private Use EmulatedConnection.create()
+   */
+  constructor(poseidon, options = {}) {
+    this.poseidon = poseidon;
+    this.programId = new PublicKey(options.programId || IDL.address);
+    this.usdcMint = new PublicKey(options.usdcMint || Keypair.generate().publicKey);
+    this.decimals = options.decimals ?? 6;
+    this.chunkCapacity = options.chunkCapacity || 2 ** TREE_HEIGHT;
+    this.leavesPerStorage = options.leavesPerStorage || LEAVES_PER_STORAGE;
+    this.rootHistory = options.rootHistory || ROOT_HISTORY_SIZE;
+    this.verifyProof = options.verifyProof || (async () => true);
+    this.commitment = "confirmed";
+    this.rpcEndpoint = "emulator://cipher";
+
+    this.coder = new anchor.BorshInstructionCoder(IDL);
+    this.accounts = new Map(); // base58 -> { lamports, owner, data, executable }
+    this.transactions = new Map(); // signature -> { slot, message, signatures, meta }
+    this.prioritizationFees = []; // { slot, microLamports, writable: Set<base58> } of landed transactions
+    this.dropCount = 0; // broadcasts to accept and then lose (see dropTransactions)
+    this.accountListeners = new Map(); // id -> { address: base58, callback }
+    this.nextListenerId = 0;
+    this.subscriptionsPaused = false; // see pauseSubscriptions
+    this.slot = 1;
+    this.blockHeight = 1;
+    this.blockhashes = new Map(); // blockhash -> lastValidBlockHeight
+    this._advanceBlockhash();
+
+    // Transactions execute one at a time (verifyProof may be async)
+    this._lock = Promise.resolve();
+
+    this.pdas = {
+      master: this._pda([Buffer.from("master")]),
+      escrow: this._pda([Buffer.from("escrow")]),
+      merkleRoot: this._pda([Buffer.from("merkle_root")]),
+    };
+    this.escrowTokenAccount = getAssociatedTokenAddressSync(this.usdcMint, this.pdas.escrow, true);
+
+    this._initProgram();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Test helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Credit lamports (creates a system account if missing)
+   */
+  airdrop(publicKey, lamports) {
+    const key = new PublicKey(publicKey).toBase58();
+    const account = this.accounts.get(key) || { lamports: 0, owner: SystemProgram.programId, data: Buffer.alloc(0) };
+    this.accounts.set(key, { ...account, lamports: account.lamports + lamports });
+  }
+
+  /**
+   * Mint tokens to an owner's associated token account (created if missing;
+   * amount 0 only creates it)
+   *
+   * @returns {PublicKey} Token account address
+   */
+  mintTo(owner, amount) {
+    const address = getAssociatedTokenAddressSync(this.usdcMint, new PublicKey(owner), true);
+    const existing = this.accounts.get(address.toBase58());
+    const balance = existing ? AccountLayout.decode(existing.data).amount : 0n;
+    this._setTokenAccount(this.accounts, address, new PublicKey(owner), balance + BigInt(amount));
+
+    const mint = MintLayout.decode(this.accounts.get(this.usdcMint.toBase58()).data);
+    this._setMint(this.accounts, mint.supply + BigInt(amount));
+    return address;
+  }
+
+  /**
+   * Open the next chunk, as the program's init_chunks instruction does
+   *
+   * @returns {number} New chunk ID (Master.last_id)
+   */
+  initChunk() {
+    const master = this.accounts.get(this.pdas.master.toBase58());
+    const lastId = master.data.readUInt32LE(8) + 1;
+    this._createChunk(this.accounts, lastId);
+
+    const data = Buffer.from(master.data);
+    data.writeUInt32LE(lastId, 8);
+    this.accounts.set(this.pdas.master.toBase58(), { ...master, data });
+    return lastId;
+  }
+
+  /**
+   * Produce empty blocks (lets blockhashes expire)
+   */
+  advanceSlots(count = 1) {
+    this.slot += count;
+    this.blockHeight += count;
+    this._advanceBlockhash();
+  }
+
+  /**
+   * Accept the next `count` broadcasts (after preflight) without landing
+   * them, as when the leader drops a transaction. Infinity drops all until
+   * reset with dropTransactions(0).
+   */
+  dropTransactions(count = 1) {
+    this.dropCount = count;
+  }
+
+  /**
+   * Stop (or resume) account notifications without removing the
+   * listeners, as when the websocket silently drops
+   */
+  pauseSubscriptions(paused = true) {
+    this.subscriptionsPaused = paused;
+  }
+
+  // ---------------------------------------------------------------------------
+  // RPC methods (web3.js Connection signatures)
+  // ---------------------------------------------------------------------------
+
+  onAccountChange(publicKey, callback) {
+    const id = this.nextListenerId++;
+    this.accountListeners.set(id, { address: new PublicKey(publicKey).toBase58(), callback });
+    return id;
+  }
+
+  async removeAccountChangeListener(id) {
+    this.accountListeners.delete(id);
+  }
+
+  async getSlot() {
+    return this.slot;
+  }
+
+  async getBlockHeight() {
+    return this.blockHeight;
+  }
+
+  async getLatestBlockhash() {
+    return { blockhash: this.blockhash, lastValidBlockHeight: this.blockhashes.get(this.blockhash) };
+  }
+
+  async getLatestBlockhashAndContext() {
+    return { context: { slot: this.slot }, value: await this.getLatestBlockhash() };
+  }
+
+  async isBlockhashValid(blockhash) {
+    return { context: { slot: this.slot }, value: this._isBlockhashValid(blockhash) };
+  }
+
+  async getMinimumBalanceForRentExemption(dataLength) {
+    return this._rent(dataLength);
+  }
+
+  async getBalance(publicKey) {
+    return this.accounts.get(new PublicKey(publicKey).toBase58())?.lamports || 0;
+  }
+
+  async getAccountInfo(publicKey, config) {
+    return this._accountInfo(this.accounts.get(new PublicKey(publicKey).toBase58()), config);
+  }
+
+  async getAccountInfoAndContext(publicKey, config) {
+    return { context: { slot: this.slot }, value: await this.getAccountInfo(publicKey, config) };
+  }
+
+  async getMultipleAccountsInfo(publicKeys, config) {
+    return publicKeys.map(key => this._accountInfo(this.accounts.get(new PublicKey(key).toBase58()), config));
+  }
+
+  async getMultipleAccountsInfoAndContext(publicKeys, config) {
+    return { context: { slot: this.slot }, value: await this.getMultipleAccountsInfo(publicKeys, config) };
+  }
+
+  async getTokenAccountBalance(publicKey) {
+    const account = this.accounts.get(new PublicKey(publicKey).toBase58());
+    if (!account || !account.owner.equals(TOKEN_PROGRAM_ID) || account.data.length !== ACCOUNT_SIZE) {
+      throw new Error("failed to get token account balance: Invalid param: could not find account");
+    }
+    const amount = AccountLayout.decode(account.data).amount;
+    const uiAmountString = (Number(amount) / 10 ** this.decimals).toString();
+    return {
+      context: { slot: this.slot },
+      value: { amount: amount.toString(), decimals: this.decimals, uiAmount: Number(uiAmountString), uiAmountString },
+    };
+  }
+
+  /**
+   * Send a signed transaction (wire format)
+   *
+   * Without skipPreflight a failing transaction is rejected with a
+   * SendTransactionError carrying the program logs (like a real node);
+   * with it, the failure lands on-chain and the fee is charged.
+   */
+  async sendRawTransaction(rawTransaction, options = {}) {
+    const transaction = VersionedTransaction.deserialize(Uint8Array.from(rawTransaction));
+    return this._exclusive(async () => {
+      const message = transaction.message;
+      const signature = bs58.encode(transaction.signatures[0]);
+
+      const txError = this._checkTransaction(message, transaction.signatures, { sigVerify: true });
+      if (txError) {
+        throw new SendTransactionError({
+          action: "send",
+          signature,
+          transactionMessage: `Transaction simulation failed: ${txError}`,
+          logs: [],
+        });
+      }
+      if (this.transactions.has(signature)) {
+        throw new SendTransactionError({
+          action: "send",
+          signature,
+          transactionMessage: "Transaction simulation failed: This transaction has already been processed",
+          logs: [],
+        });
+      }
+
+      // Transactions that cannot pay the fee never land, preflight or not
+      const result = await this._execute(message);
+      if (result.err && (result.rejected || !options.skipPreflight)) {
+        throw new SendTransactionError({
+          action: "send",
+          signature,
+          transactionMessage: `Transaction simulation failed: ${result.errorMessage}`,
+          logs: result.logs,
+        });
+      }
+
+      if (this.dropCount > 0) {
+        this.dropCount -= 1;
+        return signature;
+      }
+
+      // Fee is charged whether or not the instructions succeed
+      const state = result.err ? new Map(this.accounts) : result.state;
+      const payer = state.get(message.staticAccountKeys[0].toBase58());
+      state.set(message.staticAccountKeys[0].toBase58(), { ...payer, lamports: payer.lamports - result.fee });
+      const previous = this.accounts;
+      this.accounts = state;
+      this._notifyAccountChanges(previous);
+
+      this.transactions.set(signature, {
+        slot: this.slot,
+        blockTime: Math.floor(Date.now() / 1000),
+        transaction: { message, signatures: transaction.signatures.map(s => bs58.encode(s)) },
+        meta: {
+          err: result.err,
+          fee: result.fee,
+          logMessages: result.logs,
+          computeUnitsConsumed: result.unitsConsumed,
+          preBalances: [],
+          postBalances: [],
+        },
+      });
+      if (!result.err) {
+        const writable = message.staticAccountKeys.filter((_, i) => message.isAccountWritable(i)).map(key => key.toBase58());
+        this.prioritizationFees.push({ slot: this.slot, microLamports: result.unitPrice, writable: new Set(writable) });
+        this.prioritizationFees = this.prioritizationFees.filter(entry => entry.slot > this.slot - PRIORITIZATION_FEE_SLOTS);
+      }
+      this.advanceSlots(1);
+      return signature;
+    });
+  }
+
+  async sendTransaction(transaction, signersOrOptions, options) {
+    if (transaction instanceof VersionedTransaction) {
+      return this.sendRawTransaction(transaction.serialize(), signersOrOptions);
+    }
+    if (!transaction.recentBlockhash) {
+      transaction.recentBlockhash = this.blockhash;
+    }
+    if (Array.isArray(signersOrOptions) && signersOrOptions.length > 0) {
+      transaction.sign(...signersOrOptions);
+    }
+    return this.sendRawTransaction(transaction.serialize(), options);
+  }
+
+  /**
+   * Simulate without committing anything
+   *
+   * Accepts legacy Transactions (a missing blockhash is filled in, as the
+   * real Connection does) and VersionedTransactions.
+   */
+  async simulateTransaction(transaction, configOrSigners, includeAccounts) {
+    let message;
+    let signatures;
+    let config = {};
+    if (transaction instanceof Transaction) {
+      if (!transaction.recentBlockhash) {
+        transaction.recentBlockhash = this.blockhash;
+      }
+      if (Array.isArray(configOrSigners) && configOrSigners.length > 0) {
+        transaction.sign(...configOrSigners);
+      }
+      message = transaction.compileMessage();
+      signatures = transaction.signatures.map(s => s.signature || new Uint8Array(64));
+      config = { sigVerify: false };
+    } else {
+      message = transaction.message;
+      signatures = transaction.signatures;
+      config = configOrSigners || {};
+    }
+
+    return this._exclusive(async () => {
+      if (config.replaceRecentBlockhash) {
+        message.recentBlockhash = this.blockhash;
+      }
+      const txError = this._checkTransaction(message, signatures, { sigVerify: !!config.sigVerify });
+      const result = txError
+        ? { err: txError, logs: [], unitsConsumed: 0 }
+        : await this._execute(message);
+      return {
+        context: { slot: this.slot },
+        value: {
+          err: result.err,
+          logs: result.logs,
+          unitsConsumed: result.unitsConsumed,
+          accounts: null,
+          returnData: null,
+        },
+      };
+    });
+  }
+
+  async confirmTransaction(strategy) {
+    const signature = typeof strategy === "string" ? strategy : strategy.signature;
+    const tx = this.transactions.get(signature);
+    if (!tx) {
+      throw new Error(`Transaction ${signature} was not confirmed (unknown to the emulator)`);
+    }
+    return { context: { slot: this.slot }, value: { err: tx.meta.err } };
+  }
+
+  /**
+   * Per-slot minimum compute-unit price of landed transactions that wrote
+   * one of the accounts (any transaction without accounts), 0 for slots
+   * without one - over the last 150 slots, like a real node
+   */
+  async getRecentPrioritizationFees(config = {}) {
+    const accounts = (config.lockedWritableAccounts || []).map(key => new PublicKey(key).toBase58());
+    const fees = [];
+    for (let slot = Math.max(1, this.slot - PRIORITIZATION_FEE_SLOTS + 1); slot <= this.slot; slot++) {
+      const prices = this.prioritizationFees
+        .filter(entry => entry.slot === slot && (accounts.length === 0 || accounts.some(key => entry.writable.has(key))))
+        .map(entry => entry.microLamports);
+      fees.push({ slot, prioritizationFee: prices.length ? Math.min(...prices) : 0 });
+    }
+    return fees;
+  }
+
+  async getSignatureStatus(signature) {
+    const { context, value } = await this.getSignatureStatuses([signature]);
+    return { context, value: value[0] };
+  }
+
+  async getSignatureStatuses(signatures) {
+    return {
+      context: { slot: this.slot },
+      value: signatures.map(signature => {
+        const tx = this.transactions.get(signature);
+        if (!tx) return null;
+        // Finalized once FINALIZATION_SLOTS have passed (advanceSlots() speeds it up)
+        const depth = this.slot - tx.slot;
+        return {
+          slot: tx.slot,
+          confirmations: depth >= FINALIZATION_SLOTS ? null : depth,
+          err: tx.meta.err,
+          confirmationStatus: depth >= FINALIZATION_SLOTS ? "finalized" : "confirmed",
+        };
+      }),
+    };
+  }
+
+  async getTransaction(signature) {
+    return this.transactions.get(signature) || null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transaction processing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @private Run fn after every earlier transaction finished
+   */
+  _exclusive(fn) {
+    const run = this._lock.then(fn);
+    this._lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Transaction-level checks (before any instruction runs)
+   * @private
+   * @returns {string|null} TransactionError or null
+   */
+  _checkTransaction(message, signatures, { sigVerify }) {
+    if (message.addressTableLookups && message.addressTableLookups.length > 0) {
+      return "UnsupportedVersion";
+    }
+    if (!this._isBlockhashValid(message.recentBlockhash)) {
+      return "BlockhashNotFound";
+    }
+    if (sigVerify) {
+      const bytes = Buffer.from(message.serialize());
+      for (let i = 0; i < message.header.numRequiredSignatures; i++) {
+        const signature = signatures[i];
+        if (!signature || !verifySignature(message.staticAccountKeys[i], bytes, Buffer.from(signature))) {
+          return "SignatureFailure";
+        }
+      }
+    }
+    const payer = this.accounts.get(message.staticAccountKeys[0].toBase58());
+    if (!payer) {
+      return "AccountNotFound";
+    }
+    return null;
+  }
+
+  /**
+   * Execute all instructions against a copy of the accounts
+   * @private
+   * @returns {Promise<Object>} { err, errorMessage, logs, unitsConsumed, fee, state }
+   */
+  async _execute(message) {
+    const keys = message.staticAccountKeys;
+    const state = new Map(this.accounts);
+    const logs = [];
+
+    // Compute budget first (applies to the whole transaction)
+    let unitLimit = null;
+    let unitPrice = 0n;
+    let programInstructions = 0;
+    for (const ix of message.compiledInstructions) {
+      const programId = keys[ix.programIdIndex];
+      if (programId.equals(ComputeBudgetProgram.programId)) {
+        const data = Buffer.from(ix.data);
+        if (data[0] === 2) unitLimit = data.readUInt32LE(1);
+        if (data[0] === 3) unitPrice = data.readBigUInt64LE(1);
+      } else {
+        programInstructions++;
+      }
+    }
+    unitLimit = Math.min(unitLimit ?? DEFAULT_UNIT_LIMIT * programInstructions, MAX_UNIT_LIMIT);
+    const priorityFee = Number((unitPrice * BigInt(unitLimit) + 999_999n) / 1_000_000n);
+    const fee = LAMPORTS_PER_SIGNATURE * message.header.numRequiredSignatures + priorityFee;
+
+    const payer = state.get(keys[0].toBase58());
+    if (payer.lamports < fee) {
+      return { err: "InsufficientFundsForFee", errorMessage: "Insufficient funds for fee", rejected: true, logs, unitsConsumed: 0, fee: 0 };
+    }
+
+    let unitsConsumed = 0;
+    for (let index = 0; index < message.compiledInstructions.length; index++) {
+      const ix = message.compiledInstructions[index];
+      const programId = keys[ix.programIdIndex];
+      const ctx = {
+        keys: ix.accountKeyIndexes.map(i => keys[i]),
+        isSigner: (position) => message.isAccountSigner(ix.accountKeyIndexes[position]),
+        data: Buffer.from(ix.data),
+        state,
+        logs,
+      };
+
+      logs.push(`Program ${programId.toBase58()} invoke [1]`);
+      try {
+        let cost;
+        if (programId.equals(ComputeBudgetProgram.programId)) {
+          cost = COMPUTE_UNITS.computeBudget;
+        } else if (programId.equals(SystemProgram.programId)) {
+          cost = COMPUTE_UNITS.system;
+          this._systemTransfer(ctx);
+        } else if (programId.equals(this.programId)) {
+          cost = await this._cipherInstruction(ctx);
+        } else {
+          throw new InstructionFailure("UnsupportedProgramId");
+        }
+
+        if (unitsConsumed + cost > unitLimit) {
+          logs.push(`Program ${programId.toBase58()} consumed ${unitLimit - unitsConsumed} of ${unitLimit - unitsConsumed} compute units`);
+          throw new InstructionFailure("ComputationalBudgetExceeded");
+        }
+        logs.push(`Program ${programId.toBase58()} consumed ${cost} of ${unitLimit - unitsConsumed} compute units`);
+        logs.push(`Program ${programId.toBase58()} success`);
+        unitsConsumed += cost;
+      } catch (err) {
+        if (!(err instanceof InstructionFailure)) throw err;
+        logs.push(...err.logs);
+        const reason = err.detail.Custom !== undefined
+          ? `custom program error: 0x${err.detail.Custom.toString(16)}`
+          : err.detail;
+        logs.push(`Program ${programId.toBase58()} failed: ${reason}`);
+        return {
+          err: { InstructionError: [index, err.detail] },
+          errorMessage: `Error processing Instruction ${index}: ${reason}`,
+          logs,
+          unitsConsumed,
+          fee,
+        };
+      }
+    }
+
+    return { err: null, logs, unitsConsumed, fee, unitPrice: Number(unitPrice), state };
+  }
+
+  /**
+   * System program transfer (the only system instruction the SDK sends)
+   * @private
+   */
+  _systemTransfer(ctx) {
+    if (ctx.data.readUInt32LE(0) !== 2 || !ctx.isSigner(0)) {
+      throw new InstructionFailure("InvalidInstructionData");
+    }
+    const lamports = Number(ctx.data.readBigUInt64LE(4));
+    this._debitLamports(ctx.state, ctx.keys[0], lamports);
+    const to = ctx.state.get(ctx.keys[1].toBase58()) || { lamports: 0, owner: SystemProgram.programId, data: Buffer.alloc(0) };
+    ctx.state.set(ctx.keys[1].toBase58(), { ...to, lamports: to.lamports + lamports });
+  }
+
+  /**
+   * Dispatch a Cipher instruction
+   * @private
+   * @returns {Promise<number>} Compute units used
+   */
+  async _cipherInstruction(ctx) {
+    const decoded = this.coder.decode(ctx.data);
+    if (!decoded) {
+      throw constraintError("InstructionFallbackNotFound", "instruction");
+    }
+    ctx.logs.push(`Program log: Instruction: ${decoded.name[0].toUpperCase()}${decoded.name.slice(1).replace(/_(\w)/g, (_, c) => c.toUpperCase())}`);
+
+    // Program accounts the IDL fixes (token_program: SPL Token only, system_program)
+    const accounts = IDL.instructions.find(ix => ix.name === decoded.name)?.accounts || [];
+    accounts.forEach((account, i) => {
+      if (account.address && !(ctx.keys[i] && ctx.keys[i].equals(new PublicKey(account.address)))) {
+        throw constraintError("InvalidProgramId", account.name);
+      }
+    });
+
+    switch (decoded.name) {
+      case "deposit":
+        await this._deposit(ctx, decoded.data.proof);
+        return COMPUTE_UNITS.deposit;
+      case "withdraw":
+        await this._withdraw(ctx, decoded.data.proof, decoded.data.chunk_id);
+        return COMPUTE_UNITS.withdraw;
+      default:
+        // Admin instructions: use initChunk() / create() instead
+        throw constraintError("InstructionFallbackNotFound", "instruction");
+    }
+  }
+
+  /**
+   * deposit(proof): public_inputs = [commitment, amount]
+   * @private
+   */
+  async _deposit(ctx, proof) {
+    const [merkleChunk, leaveStorage, newLeaveStorage, escrow, escrowTokenAccount, userTokenAccount, master, merkleRootAccount, user] = ctx.keys;
+    const { state } = ctx;
+
+    if (!ctx.isSigner(8)) throw constraintError("AccountNotSigner", "user");
+    this._requireAddress(escrow, this.pdas.escrow, "escrow");
+    this._requireAddress(master, this.pdas.master, "master");
+    this._requireAddress(merkleRootAccount, this.pdas.merkleRoot, "merkle_root_account");
+
+    // Deposits always go to the newest chunk (Master.last_id)
+    const chunkId = state.get(master.toBase58()).data.readUInt32LE(8);
+    if (!merkleChunk.equals(this._chunkAddress(chunkId)) || !state.has(merkleChunk.toBase58())) {
+      throw programError("InvalidMerkleChunkAccount");
+    }
+    const chunk = this._decodeChunk(state.get(merkleChunk.toBase58()).data);
+    if (chunk.currentIndex >= this.chunkCapacity) {
+      throw programError("ChunkFull");
+    }
+    if (!leaveStorage.equals(this._leaveStorageAddress(chunkId, chunk.currentStorageId)) ||
+        !newLeaveStorage.equals(this._leaveStorageAddress(chunkId, chunk.currentStorageId + 1))) {
+      throw programError("InvalidMerkleChunkAccount");
+    }
+
+    const [commitmentBytes, amountBytes] = proof.public_inputs;
+    const amount = toBigInt(amountBytes);
+    if (amount === 0n || amount >= 2n ** 64n) {
+      throw programError("InvalidDepositAmount");
+    }
+    if (!(await this.verifyProof("deposit", proof))) {
+      throw programError("InvalidProof");
+    }
+
+    this._transferTokens(state, userTokenAccount, escrowTokenAccount, user, amount);
+    this._creditEscrow(state, amount);
+
+    // Append the leaf, rolling over to the next LeaveStorage when full
+    let storage = this._decodeLeaveStorage(state.get(leaveStorage.toBase58()).data);
+    let storageAddress = leaveStorage;
+    if (storage.leaves.length >= this.leavesPerStorage) {
+      if (state.has(newLeaveStorage.toBase58())) {
+        throw programError("MerkleStorageFull");
+      }
+      chunk.currentStorageId += 1;
+      storage = { storageId: chunk.currentStorageId, leaves: [] };
+      storageAddress = newLeaveStorage;
+      this._debitLamports(state, user, this._rent(this._leaveStorageSize(this.leavesPerStorage)));
+    }
+    storage.leaves.push(Buffer.from(commitmentBytes));
+    this._setAccount(state, storageAddress, this._encodeLeaveStorage(storage));
+
+    this._insertLeaf(chunk, toBigInt(commitmentBytes));
+    this._setAccount(state, merkleChunk, this._encodeChunk(chunk));
+    this._pushRoot(state, chunk.root);
+    ctx.logs.push(`Program log: Deposit ${amount} into chunk ${chunkId} at index ${chunk.currentIndex - 1}`);
+  }
+
+  /**
+   * withdraw(proof, chunk_id): public_inputs =
+   * [valid, root, amount, nullifier_hash, recipient (32 bytes), fee]
+   * @private
+   */
+  async _withdraw(ctx, proof, chunkId) {
+    const [usedNullifier, signer, escrow, escrowTokenAccount, recipientTokenAccount, merkleRootAccount, merkleChunk] = ctx.keys;
+    const { state } = ctx;
+    const inputs = proof.public_inputs;
+
+    if (!ctx.isSigner(1)) throw constraintError("AccountNotSigner", "signer");
+    this._requireAddress(escrow, this.pdas.escrow, "escrow");
+    this._requireAddress(merkleRootAccount, this.pdas.merkleRoot, "merkle_root_account");
+    if (!usedNullifier.equals(this._pda([Buffer.from("nullifier"), Buffer.from(inputs[3])]))) {
+      throw programError("InvalidNullifier");
+    }
+    if (state.has(usedNullifier.toBase58())) {
+      throw programError("DoubleSpending");
+    }
+    if (!merkleChunk.equals(this._chunkAddress(chunkId)) || !state.has(merkleChunk.toBase58())) {
+      throw programError("InvalidMerkleChunkAccount");
+    }
+
+    // Root must be the chunk's current root or one still in the history
+    const root = toBigInt(inputs[1]);
+    const chunk = this._decodeChunk(state.get(merkleChunk.toBase58()).data);
+    if (chunk.root !== root && !this._decodeRoots(state).includes(root)) {
+      throw programError("InvalidMerkleRoot");
+    }
+    if (!(await this.verifyProof("withdraw", proof))) {
+      throw programError("InvalidProof");
+    }
+
+    const recipient = new PublicKey(Buffer.from(inputs[4]));
+    if (!recipientTokenAccount.equals(getAssociatedTokenAddressSync(this.usdcMint, recipient, true))) {
+      throw constraintError("ConstraintTokenOwner", "recipient_token_account");
+    }
+
+    const amount = toBigInt(inputs[2]);
+    this._transferTokens(state, escrowTokenAccount, recipientTokenAccount, this.pdas.escrow, amount);
+    this._creditEscrow(state, -amount);
+
+    // Mark the nullifier spent (rent paid by the signer)
+    this._debitLamports(state, signer, this._rent(DISCRIMINATORS.usedNullifier.length));
+    this._setAccount(state, usedNullifier, Buffer.from(DISCRIMINATORS.usedNullifier));
+    ctx.logs.push(`Program log: Withdraw ${amount} from chunk ${chunkId}`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tree
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Incremental insert with filled subtrees (same zero values as tree.js)
+   * @private
+   */
+  _insertLeaf(chunk, leaf) {
+    let index = chunk.currentIndex;
+    let node = leaf;
+    for (let level = 0; level < TREE_HEIGHT; level++) {
+      const zero = level === 0 ? 0n : ZERO_HASHES[level - 1];
+      if (index % 2 === 0) {
+        chunk.filledSubtrees[level] = node;
+        node = this._hash(node, zero);
+      } else {
+        node = this._hash(chunk.filledSubtrees[level], node);
+      }
+      index = Math.floor(index / 2);
+    }
+    chunk.root = node;
+    chunk.currentIndex += 1;
+  }
+
+  _hash(left, right) {
+    return this.poseidon.F.toObject(this.poseidon([left, right]));
+  }
+
+  _pushRoot(state, root) {
+    const roots = this._decodeRoots(state);
+    roots.push(root);
+    const kept = roots.slice(-this.rootHistory);
+    const data = Buffer.concat([
+      DISCRIMINATORS.rootStorage,
+      Buffer.alloc(4),
+      ...kept.map(toBytes32),
+    ]);
+    data.writeUInt32LE(kept.length * 32, 8);
+    this._setAccount(state, this.pdas.merkleRoot, data);
+  }
+
+  _decodeRoots(state) {
+    const data = state.get(this.pdas.merkleRoot.toBase58()).data;
+    const length = data.readUInt32LE(8);
+    const roots = [];
+    for (let offset = 12; offset < 12 + length; offset += 32) {
+      roots.push(toBigInt(data.subarray(offset, offset + 32)));
+    }
+    return roots;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Account layouts (see cipher.json "types")
+  // ---------------------------------------------------------------------------
+
+  /**
+   * MerkleTreeChunk: disc | chunk_id u32 | current_storage_id u16 |
+   * filled_subtrees [[u8;32];20] | current_index u32 | root [u8;32] | reserved
+   */
+  _decodeChunk(data) {
+    const filledSubtrees = [];
+    for (let level = 0; level < TREE_HEIGHT; level++) {
+      filledSubtrees.push(toBigInt(data.subarray(14 + level * 32, 46 + level * 32)));
+    }
+    return {
+      chunkId: data.readUInt32LE(8),
+      currentStorageId: data.readUInt16LE(12),
+      filledSubtrees,
+      currentIndex: data.readUInt32LE(654),
+      root: toBigInt(data.subarray(658, 690)),
+    };
+  }
+
+  _encodeChunk(chunk) {
+    const data = Buffer.alloc(CHUNK_SIZE);
+    DISCRIMINATORS.chunk.copy(data, 0);
+    data.writeUInt32LE(chunk.chunkId, 8);
+    data.writeUInt16LE(chunk.currentStorageId, 12);
+    chunk.filledSubtrees.forEach((node, level) => toBytes32(node).copy(data, 14 + level * 32));
+    data.writeUInt32LE(chunk.currentIndex, 654);
+    toBytes32(chunk.root).copy(data, 658);
+    return data;
+  }
+
+  /**
+   * LeaveStorage: disc | storage_id u16 | leaves Vec<[u8;32]>
+   */
+  _decodeLeaveStorage(data) {
+    const count = data.readUInt32LE(10);
+    const leaves = [];
+    for (let i = 0; i < count; i++) {
+      leaves.push(Buffer.from(data.subarray(14 + i * 32, 46 + i * 32)));
+    }
+    return { storageId: data.readUInt16LE(8), leaves };
+  }
+
+  _encodeLeaveStorage(storage) {
+    const header = Buffer.alloc(14);
+    DISCRIMINATORS.leaveStorage.copy(header, 0);
+    header.writeUInt16LE(storage.storageId, 8);
+    header.writeUInt32LE(storage.leaves.length, 10);
+    return Buffer.concat([header, ...storage.leaves]);
+  }
+
+  _leaveStorageSize(leaves) {
+    return 14 + leaves * 32;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Accounts
+  // ---------------------------------------------------------------------------
+
+  _initProgram() {
+    const master = Buffer.alloc(MASTER_SIZE);
+    DISCRIMINATORS.master.copy(master, 0);
+    master.writeUInt32LE(1, 8);
+    this._setAccount(this.accounts, this.pdas.master, master);
+
+    const escrow = Buffer.alloc(ESCROW_SIZE);
+    DISCRIMINATORS.escrow.copy(escrow, 0);
+    this._setAccount(this.accounts, this.pdas.escrow, escrow);
+
+    const roots = Buffer.alloc(12);
+    DISCRIMINATORS.rootStorage.copy(roots, 0);
+    this._setAccount(this.accounts, this.pdas.merkleRoot, roots);
+
+    this._setMint(this.accounts, 0n);
+    this._setTokenAccount(this.accounts, this.escrowTokenAccount, this.pdas.escrow, 0n);
+    this._createChunk(this.accounts, 1);
+  }
+
+  _createChunk(state, chunkId) {
+    this._setAccount(state, this._chunkAddress(chunkId), this._encodeChunk({
+      chunkId,
+      currentStorageId: 1,
+      filledSubtrees: new Array(TREE_HEIGHT).fill(0n),
+      currentIndex: 0,
+      root: ZERO_HASHES[TREE_HEIGHT - 1],
+    }));
+    this._setAccount(state, this._leaveStorageAddress(chunkId, 1), this._encodeLeaveStorage({ storageId: 1, leaves: [] }));
+  }
+
+  _setAccount(state, address, data, owner = this.programId) {
+    const existing = state.get(address.toBase58());
+    state.set(address.toBase58(), {
+      lamports: Math.max(existing?.lamports || 0, this._rent(data.length)),
+      owner,
+      data,
+      executable: false,
+    });
+  }
+
+  _setMint(state, supply) {
+    const data = Buffer.alloc(MINT_SIZE);
+    MintLayout.encode({
+      mintAuthorityOption: 0,
+      mintAuthority: PublicKey.default,
+      supply,
+      decimals: this.decimals,
+      isInitialized: true,
+      freezeAuthorityOption: 0,
+      freezeAuthority: PublicKey.default,
+    }, data);
+    this._setAccount(state, this.usdcMint, data, TOKEN_PROGRAM_ID);
+  }
+
+  _setTokenAccount(state, address, owner, amount) {
+    const data = Buffer.alloc(ACCOUNT_SIZE);
+    AccountLayout.encode({
+      mint: this.usdcMint,
+      owner,
+      amount,
+      delegateOption: 0,
+      delegate: PublicKey.default,
+      state: 1,
+      isNativeOption: 0,
+      isNative: 0n,
+      delegatedAmount: 0n,
+      closeAuthorityOption: 0,
+      closeAuthority: PublicKey.default,
+    }, data);
+    this._setAccount(state, address, data, TOKEN_PROGRAM_ID);
+  }
+
+  /**
+   * SPL token transfer with the checks the token program makes
+   * @private
+   */
+  _transferTokens(state, from, to, authority, amount) {
+    const source = state.get(from.toBase58());
+    const destination = state.get(to.toBase58());
+    if (!source || !destination || !source.owner.equals(TOKEN_PROGRAM_ID) || !destination.owner.equals(TOKEN_PROGRAM_ID)) {
+      throw constraintError("AccountNotInitialized", source ? "destination" : "source");
+    }
+    const sourceData = AccountLayout.decode(source.data);
+    const destinationData = AccountLayout.decode(destination.data);
+    if (!sourceData.mint.equals(this.usdcMint) || !destinationData.mint.equals(this.usdcMint)) {
+      throw constraintError("ConstraintTokenMint", "token_account");
+    }
+    if (!sourceData.owner.equals(authority)) {
+      throw constraintError("ConstraintTokenOwner", "token_account");
+    }
+    if (sourceData.amount < amount) {
+      throw new InstructionFailure({ Custom: 1 }, ["Program log: Error: insufficient funds"]);
+    }
+    this._setTokenAccount(state, from, sourceData.owner, sourceData.amount - amount);
+    const credited = AccountLayout.decode(state.get(to.toBase58()).data);
+    this._setTokenAccount(state, to, credited.owner, credited.amount + amount);
+  }
+
+  _creditEscrow(state, amount) {
+    const account = state.get(this.pdas.escrow.toBase58());
+    const data = Buffer.from(account.data);
+    const total = data.readBigUInt64LE(8) + amount;
+    data.writeBigUInt64LE(total, 8);
+    data.writeBigUInt64LE(total, 16);
+    state.set(this.pdas.escrow.toBase58(), { ...account, data });
+  }
+
+  _debitLamports(state, address, lamports) {
+    const account = state.get(address.toBase58());
+    if (!account || account.lamports < lamports) {
+      throw new InstructionFailure({ Custom: 1 }, [
+        `Transfer: insufficient lamports ${account?.lamports || 0}, need ${lamports}`,
+      ]);
+    }
+    state.set(address.toBase58(), { ...account, lamports: account.lamports - lamports });
+  }
+
+  _requireAddress(actual, expected, name) {
+    if (!actual.equals(expected)) {
+      throw constraintError("ConstraintSeeds", name);
+    }
+  }
+
+  /**
+   * Notify listeners of accounts a landed transaction changed (asynchronously, like a websocket)
+   */
+  _notifyAccountChanges(previous) {
+    if (this.subscriptionsPaused) return;
+    const context = { slot: this.slot };
+    for (const { address, callback } of this.accountListeners.values()) {
+      const before = previous.get(address);
+      const after = this.accounts.get(address);
+      if (!after || (before && before.lamports === after.lamports && before.data.equals(after.data))) {
+        continue;
+      }
+      const info = this._accountInfo(after);
+      setImmediate(() => callback(info, context));
+    }
+  }
+
+  _accountInfo(account, config) {
+    if (!account) return null;
+    let data = account.data;
+    const slice = config && typeof config === "object" ? config.dataSlice : null;
+    if (slice) {
+      data = data.subarray(slice.offset, slice.offset + slice.length);
+    }
+    return {
+      data: Buffer.from(data),
+      executable: !!account.executable,
+      lamports: account.lamports,
+      owner: account.owner,
+      rentEpoch: 0,
+      space: account.data.length,
+    };
+  }
+
+  _rent(dataLength) {
+    return (dataLength + 128) * 6960;
+  }
+
+  _pda(seeds) {
+    return PublicKey.findProgramAddressSync(seeds, this.programId)[0];
+  }
+
+  _chunkAddress(chunkId) {
+    return this._pda([Buffer.from("merkle_chunk"), u32BE(chunkId)]);
+  }
+
+  _leaveStorageAddress(chunkId, storageId) {
+    return this._pda([Buffer.from("leave_storage"), u32BE(chunkId), u16BE(storageId)]);
+  }
+
+  _advanceBlockhash() {
+    this.blockhash = bs58.encode(crypto.createHash("sha256").update(`cipher-emulator:${this.slot}`).digest());
+    this.blockhashes.set(this.blockhash, this.blockHeight + BLOCKHASH_VALIDITY);
+  }
+
+  _isBlockhashValid(blockhash) {
+    const lastValid = this.blockhashes.get(blockhash);
+    return lastValid !== undefined && this.blockHeight <= lastValid;
+  }
+}
+
+/**
+ * Withdraw proofs for emulator runs without the withdraw keys
+ *
+ * The withdraw proving and verification keys are not in the package, so
+ * an agent on the emulator cannot prove a withdrawal. This prover holds a
+ * stand-in verification key made from random scalars it keeps: it "proves"
+ * a withdrawal by computing the public signals from the circuit input and
+ * solving the pairing equation with those scalars. The result passes
+ * groth16.verify against the stand-in key (agent self-check, relayer
+ * verification) and fails it for any other public signals. Deposits are
+ * proved for real in worker threads.
+ *
+ *   const prover = new StandInWithdrawProver();
+ *   const agent = new CipherAgent({ ..., connection, prover, circuits: prover.circuits });
+ *
+ * SECURITY: Test tool only. The stand-in key accepts whatever its holder
+ * signs - never pin it outside the emulator.
+ */
+class StandInWithdrawProver extends ProverPool {
+  /**
+   * @param {Object} [options] - ProverPool options, plus:
+   * @param {Object} [options.circuits] - CircuitRegistry options for the other artifacts
+   */
+  constructor(options = {}) {
+    super(options);
+    this.circuits = new StandInCircuitRegistry(this, options.circuits);
+    this.trapdoor = null; // Promise of { vkey, alpha, ic, c } (scalars)
+  }
+
+  prove(input, wasmFile, zkeyFile, options = {}) {
+    if (options.kind !== "withdraw") {
+      return super.prove(input, wasmFile, zkeyFile, options);
+    }
+    return this._forge(input, options.signal);
+  }
+
+  /**
+   * Stand-in withdraw verification key (snarkjs JSON, nPublic 37)
+   *
+   * @returns {Promise<Object>}
+   */
+  async verificationKey() {
+    return (await this._trapdoor()).vkey;
+  }
+
+  /**
+   * @private
+   */
+  async _forge(input, signal) {
+    signal?.throwIfAborted();
+    // [valid, root, amount, nullifierHash, recipient bytes x32, fee] (see proof.js)
+    const publicSignals = [
+      "1",
+      String(input.root),
+      String(input.withdraw_amount),
+      String(input.nullifierHash),
+      ...input.recipient.map(String),
+      String(input.fee),
+    ];
+    const { curve, alpha, ic, c } = await this._trapdoor();
+    // e(A, g2) = e(alpha, g2) * e(vk_x, g2) * e(C, g2)  <=>  A = alpha + vk_x + C
+    let a = alpha + ic[0] + c;
+    publicSignals.forEach((value, i) => { a += BigInt(value) * ic[i + 1]; });
+    return {
+      proof: {
+        pi_a: g1Point(curve, a % curve.r),
+        pi_b: g2Generator(curve),
+        pi_c: g1Point(curve, c),
+        protocol: "groth16",
+        curve: "bn128",
+      },
+      publicSignals,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _trapdoor() {
+    if (!this.trapdoor) {
+      this.trapdoor = curves.getCurveFromName("bn128").then((curve) => {
+        const scalar = () => BigInt("0x" + crypto.randomBytes(32).toString("hex")) % curve.r;
+        const alpha = scalar();
+        const c = scalar();
+        const ic = Array.from({ length: 38 }, scalar);
+        const vkey = {
+          protocol: "groth16",
+          curve: "bn128",
+          nPublic: ic.length - 1,
+          vk_alpha_1: g1Point(curve, alpha),
+          vk_beta_2: g2Generator(curve),
+          vk_gamma_2: g2Generator(curve),
+          vk_delta_2: g2Generator(curve),
+          IC: ic.map(k => g1Point(curve, k)),
+        };
+        return { curve, vkey, alpha, ic, c };
+      });
+    }
+    return this.trapdoor;
+  }
+}
+
+/**
+ * Bundled circuits, except that withdraw proves and verifies with a
+ * StandInWithdrawProver (no zkey or vkey files are read for it)
+ * @private
+ */
+class StandInCircuitRegistry extends CircuitRegistry {
+  constructor(prover, options) {
+    super(options);
+    this.prover = prover;
+  }
+
+  load(id, artifact) {
+    if (id !== "withdraw" || artifact === "wasm") {
+      return super.load(id, artifact);
+    }
+    const info = { circuit: id, version: "stand-in", artifact, file: null, sha256: null };
+    if (artifact === "zkey") {
+      return Promise.resolve({ ...info, data: { type: "mem", data: new Uint8Array(0) } });
+    }
+    return this.prover.verificationKey().then(vkey => ({ ...info, data: vkey }));
+  }
+}
+
+function g1Point(curve, k) {
+  const { G1 } = curve;
+  return G1.toObject(G1.toAffine(G1.timesScalar(G1.g, k))).map(String);
+}
+
+function g2Generator(curve) {
+  const { G2 } = curve;
+  return G2.toObject(G2.toAffine(G2.g)).map(coords => coords.map(String));
+}
+
+module.exports = { EmulatedConnection, StandInWithdrawProver };
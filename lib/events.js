@@ -0,0 +1,449 @@
+/**
+ * Lifecycle Events for Cipher Agents
+ *
+ * CipherAgent, RelayerService, TreeP2P and DHTNode are EventEmitters.
+ * Every lifecycle step is emitted as a named event with a structured
+ * payload, so orchestration code can react without scraping stdout.
+ *
+ * Console output is just one listener (attachConsoleReporter).
+ * The agent forwards relayer/P2P/DHT events, so listening on the
+ * agent is enough to see everything.
+ */
+
+const { createLogger } = require("./logger");
+const { formatAmount } = require("./tokens");
+
+const EVENTS = {
+  // Wallet
+  WALLET_LOADED: "wallet:loaded",                 // { publicKey, path }
+  WALLET_CREATED: "wallet:created",               // { publicKey, path }
+  WALLET_INSECURE: "wallet:insecure-permissions", // { path, mode }
+
+  // Merkle tree
+  TREE_LOADING: "tree:loading",                   // { chunkId }
+  TREE_UPDATED: "tree:updated",                   // { chunkId, leafCount, durationMs, source: 'memory'|'incremental'|'push'|'cache'|'peer'|'chain' }
+  TREE_FAILED: "tree:failed",                     // { chunkId, error }
+  TREE_POLLING_STARTED: "tree:polling-started",   // { chunkId, intervalMs }
+  TREE_POLLING_STOPPED: "tree:polling-stopped",   // {}
+  TREE_SUBSCRIBED: "tree:subscribed",             // { chunkId, storageId }
+  TREE_SUBSCRIPTION_LOST: "tree:subscription-lost", // { chunkId, error, intervalMs }
+  TREE_FETCHED: "tree:fetched",                   // { chunkId, host, port, leafCount }
+  TREE_CACHED: "tree:cached",                     // { chunkId }
+  TREE_CACHE_LOADED: "tree:cache-loaded",         // { chunkId, ageMs, complete }
+
+  // Deposit
+  DEPOSIT_PROVING: "deposit:proving",             // { amount }
+  DEPOSIT_PROVED: "deposit:proved",               // { amount, durationMs }
+  DEPOSIT_SUBMITTING: "deposit:submitting",       // { amount, chunkId }
+  DEPOSIT_CONFIRMED: "deposit:confirmed",         // { txId, amount, chunkId, commitment, fees }
+  DEPOSIT_STORED: "deposit:stored",               // { txId, storageFile }
+  DEPOSIT_FAILED: "deposit:failed",               // { amount, outcome: failed | expired | dropped | null, error }
+  DEPOSIT_SIMULATED: "deposit:simulated",         // { amount, chunkId, success, unitsConsumed, error: { code, name, message } | null }
+
+  // Withdraw
+  WITHDRAW_STARTED: "withdraw:started",           // { amount, recipient }
+  WITHDRAW_NOTE_LOADED: "withdraw:note-loaded",   // { source: 'storage' | 'code' }
+  WITHDRAW_LEAF_FOUND: "withdraw:leaf-found",     // { chunkId, leafIndex }
+  WITHDRAW_PROVING: "withdraw:proving",           // { amount, recipient }
+  WITHDRAW_PROVED: "withdraw:proved",             // { amount, recipient, nullifierHash, durationMs }
+  WITHDRAW_SUBMITTING: "withdraw:submitting",     // { relayerUrl }
+  WITHDRAW_QUEUED: "withdraw:queued",             // { queueId, relayerUrl, estimatedExecutionTime }
+  WITHDRAW_FAILED: "withdraw:failed",             // { relayerUrl, error, rolledBack }
+  WITHDRAW_EXECUTING: "withdraw:executing",       // { recipient, amount, chunkId }
+  WITHDRAW_EXECUTED: "withdraw:executed",         // { txId, recipient, amount, chunkId, fees }
+  WITHDRAW_CONFIRMED: "withdraw:confirmed",       // { queueId, txId, verifiedOnChain }
+  WITHDRAW_SIMULATED: "withdraw:simulated",       // { amount, recipient, success, unitsConsumed, error: { code, name, message } | null }
+
+  // Proving pool (see prover.js)
+  PROOF_PROGRESS: "proof:progress",               // { id, kind, stage: 'queued'|'witness'|'proving'|'done'|'aborted', position?, step?, durationMs? }
+
+  // Policy + approval
+  POLICY_VIOLATION: "policy:violation",           // { action, rule, error }
+  APPROVAL_REQUESTED: "approval:requested",       // { id, action, amount, recipient?, requestedAt }
+  APPROVAL_GRANTED: "approval:granted",           // { id, action }
+  APPROVAL_REJECTED: "approval:rejected",         // { id, action, reason }
+
+  // Relayer selection (agent side)
+  RELAYER_SELECTED: "relayer:selected",           // { url, self, queueLength, reason }
+  RELAYER_UNREACHABLE: "relayer:unreachable",     // { host, port, error }
+
+  // Relayer service
+  RELAYER_READY: "relayer:ready",                 // { port }
+  RELAYER_QUEUED: "relayer:queued",               // { queueId, recipient, executeAt, queueLength }
+  RELAYER_STARTED: "relayer:started",             // {}
+  RELAYER_WAITING: "relayer:waiting",             // { waitMs }
+  RELAYER_PROCESSING: "relayer:processing",       // { queueId, recipient }
+  RELAYER_EXECUTED: "relayer:executed",           // { queueId, txId, fees, durationMs }
+  RELAYER_FAILED: "relayer:failed",               // { queueId, error, retryAt }
+  RELAYER_GAVE_UP: "relayer:gave-up",             // { queueId, error, attempts }
+  RELAYER_REJECTED: "relayer:rejected",           // { status, error }
+  RELAYER_IDLE: "relayer:idle",                   // {}
+  RELAYER_STOPPED: "relayer:stopped",             // {}
+  RELAYER_PERSISTED: "relayer:persisted",         // { count }
+  RELAYER_RESTORED: "relayer:restored",           // { count }
+  RELAYER_QUEUE_CORRUPT: "relayer:queue-corrupt", // { file, error }
+  RELAYER_EVICTED: "relayer:evicted",             // { queueId, queueLength }
+
+  // Mixing loop
+  AGENT_STARTED: "agent:started",                 // { publicKey, network, rpcUrl, rpcUrls, mode, depositInterval, withdrawInterval, generateNewWallets }
+  AGENT_RUNNING: "agent:running",                 // {}
+  AGENT_STOPPED: "agent:stopped",                 // { depositCount, withdrawCount, executed, persisted }
+  MIXER_RESUMED: "mixer:resumed",                 // { nextDepositAt, plannedWithdrawals }
+  MIXER_BALANCE: "mixer:balance",                 // { balance, minBalance }
+  MIXER_WAITING: "mixer:waiting",                 // { reason: 'insufficient-balance'|'withdraw-delay'|'next-cycle'|'retry', delayMs }
+  MIXER_ERROR: "mixer:error",                     // { error, fatal }
+  MIXER_PAUSED: "mixer:paused",                   // {}
+  MIXER_UNPAUSED: "mixer:unpaused",               // {}
+  MIXER_STOPPED: "mixer:stopped",                 // { reason: 'stopped'|'max-runtime' }
+
+  // P2P
+  P2P_LISTENING: "p2p:listening",                 // { port }
+  P2P_PORT_IN_USE: "p2p:port-in-use",             // { port, nextPort }
+  P2P_STOPPED: "p2p:stopped",                     // {}
+  PEERS_LOADED: "peers:loaded",                   // { count }
+  PEER_DISCOVERED: "peer:discovered",             // { host, port, trees }
+  PEER_REMOVED: "peer:removed",                   // { host, port, reason }
+
+  // DHT
+  DHT_LISTENING: "dht:listening",                 // { port, nodeId }
+  DHT_BOOTSTRAPPING: "dht:bootstrapping",         // { host, port }
+  DHT_BOOTSTRAPPED: "dht:bootstrapped",           // { nodeCount }
+  DHT_BOOTSTRAP_FAILED: "dht:bootstrap-failed",   // { host, port, error }
+  DHT_ISOLATED: "dht:isolated",                   // {}
+  DHT_ANNOUNCED: "dht:announced",                 // { nodeCount, host }
+  DHT_AGENTS_FOUND: "dht:agents-found",           // { count }
+  DHT_STOPPED: "dht:stopped",                     // {}
+};
+
+// Events each component emits itself (used for forwarding)
+const RELAYER_EVENTS = [
+  EVENTS.RELAYER_QUEUED,
+  EVENTS.RELAYER_STARTED,
+  EVENTS.RELAYER_WAITING,
+  EVENTS.RELAYER_PROCESSING,
+  EVENTS.RELAYER_EXECUTED,
+  EVENTS.RELAYER_FAILED,
+  EVENTS.RELAYER_GAVE_UP,
+  EVENTS.RELAYER_REJECTED,
+  EVENTS.RELAYER_IDLE,
+  EVENTS.RELAYER_STOPPED,
+  EVENTS.RELAYER_PERSISTED,
+  EVENTS.RELAYER_RESTORED,
+  EVENTS.RELAYER_QUEUE_CORRUPT,
+  EVENTS.RELAYER_EVICTED,
+];
+
+const DHT_EVENTS = [
+  EVENTS.DHT_LISTENING,
+  EVENTS.DHT_BOOTSTRAPPING,
+  EVENTS.DHT_BOOTSTRAPPED,
+  EVENTS.DHT_BOOTSTRAP_FAILED,
+  EVENTS.DHT_ANNOUNCED,
+  EVENTS.DHT_AGENTS_FOUND,
+  EVENTS.DHT_STOPPED,
+];
+
+const P2P_EVENTS = [
+  EVENTS.P2P_LISTENING,
+  EVENTS.P2P_PORT_IN_USE,
+  EVENTS.P2P_STOPPED,
+  EVENTS.PEERS_LOADED,
+  EVENTS.PEER_DISCOVERED,
+  EVENTS.PEER_REMOVED,
+  EVENTS.TREE_FETCHED,
+  EVENTS.TREE_CACHED,
+  EVENTS.TREE_CACHE_LOADED,
+  EVENTS.DHT_ISOLATED,
+  ...DHT_EVENTS, // TreeP2P forwards its DHT node's events
+];
+
+/**
+ * Re-emit a list of events from one emitter on another
+ *
+ * @param {EventEmitter} source - Emitter to listen on
+ * @param {EventEmitter} target - Emitter to re-emit on
+ * @param {Array<string>} names - Event names to forward
+ */
+function forwardEvents(source, target, names) {
+  for (const name of names) {
+    source.on(name, (payload) => target.emit(name, payload));
+  }
+}
+
+// Payloads carry { decimals, symbol } of the pool (absent: USDC)
+const tokens = (e) => formatAmount(e.amount, e);
+const short = (str, len = 8) => String(str).substring(0, len);
+const simulated = (e) => `${e.success ? "would succeed" : `would fail: ${e.error ? e.error.name : "unknown error"}`}` +
+  (e.unitsConsumed !== null ? ` (${e.unitsConsumed} compute units)` : "");
+const paid = (fees) => `${fees.totalFee / 1e9} SOL, ${fees.computeUnitLimit} CU at ${fees.computeUnitPrice} µlamports`;
+
+// Human-readable console output (the historical emoji log lines)
+const CONSOLE_HANDLERS = {
+  [EVENTS.WALLET_LOADED]: (e, log) => log.info(`📂 Loaded agent wallet: ${e.publicKey}`),
+  [EVENTS.WALLET_CREATED]: (e, log) => {
+    log.info("\n🆕 FIRST RUN - Agent Wallet Created!");
+    log.info("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+    log.info(`📍 Wallet Address: ${e.publicKey}`);
+    log.info("🔑 Private key stored securely");
+    log.info(`💾 Saved to: ${e.path}`);
+    log.info("\n⚠️  IMPORTANT - Send funds to this address:");
+    log.info("   1. SOL (for transaction fees): ~0.1 SOL");
+    log.info("   2. USDC (for mixing): at least 2 USDC");
+    log.info("\n   Devnet Faucets:");
+    log.info("   - SOL: https://faucet.solana.com");
+    log.info("   - USDC: https://faucet.circle.com");
+    log.info("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
+  },
+  [EVENTS.WALLET_INSECURE]: (e, log) => {
+    log.warn(`⚠️  WARNING: Keypair file has insecure permissions (${e.mode.toString(8)})`);
+    log.warn(`   Others can read your private key!`);
+    log.warn(`   Run: chmod 600 ${e.path}`);
+  },
+
+  [EVENTS.TREE_LOADING]: (e, log) => log.info(`🌳 Loading tree for chunk ${e.chunkId}...`),
+  [EVENTS.TREE_UPDATED]: (e, log) => {
+    const messages = {
+      memory: "✅ Tree already up-to-date in memory",
+      incremental: `✅ Tree updated incrementally (${e.leafCount} leaves)`,
+      push: `⚡ Tree updated from account notification (${e.leafCount} leaves)`,
+      cache: "✅ Using cached tree (instant!)",
+      peer: "✅ Using complete tree from peer (instant!)",
+      chain: "✅ Tree ready",
+    };
+    log.info(messages[e.source] || `✅ Tree updated (${e.leafCount} leaves)`);
+  },
+  [EVENTS.TREE_FAILED]: (e, log) => log.error(`❌ Tree load failed for chunk ${e.chunkId}: ${e.error}`),
+  [EVENTS.TREE_POLLING_STARTED]: (e, log) => log.info(`🔄 Starting background tree updates (every ${e.intervalMs / 1000}s)`),
+  [EVENTS.TREE_POLLING_STOPPED]: (e, log) => log.info("✅ Stopped background tree updates"),
+  [EVENTS.TREE_SUBSCRIBED]: (e, log) => log.info(`⚡ Subscribed to chunk ${e.chunkId} (leave storage ${e.storageId}) - tree updates are pushed`),
+  [EVENTS.TREE_SUBSCRIPTION_LOST]: (e, log) => log.warn(`⚠️  Tree subscription for chunk ${e.chunkId} lost (${e.error}) - polling every ${e.intervalMs / 1000}s`),
+  [EVENTS.TREE_FETCHED]: (e, log) => log.info(`✅ Fetched complete tree for chunk ${e.chunkId} from peer ${e.host}:${e.port} (${e.leafCount} leaves)`),
+  [EVENTS.TREE_CACHED]: (e, log) => log.info(`💾 Cached tree for chunk ${e.chunkId}`),
+  [EVENTS.TREE_CACHE_LOADED]: (e, log) => log.info(`📂 Loaded cached tree for chunk ${e.chunkId} (age: ${Math.floor(e.ageMs / 60000)} minutes)`),
+
+  [EVENTS.DEPOSIT_PROVING]: (e, log) => log.info(`🔒 Depositing ${tokens(e)}...`),
+  [EVENTS.PROOF_PROGRESS]: (e, log) => {
+    if (e.stage === "queued") log.info(`⏳ ${e.kind || "Proof"} proof queued (position ${e.position})`);
+    else log.debug(`🔐 ${e.kind || "Proof"} proof: ${e.step || e.stage}`);
+  },
+  [EVENTS.DEPOSIT_CONFIRMED]: (e, log) => {
+    log.info("✅ Deposit successful!");
+    log.info(`   TX: ${e.txId}`);
+    if (e.fees) log.info(`   Fee: ${paid(e.fees)}`);
+  },
+  [EVENTS.DEPOSIT_STORED]: (e, log) => log.info(`💾 Deposit code saved to ${e.storageFile}`),
+  [EVENTS.DEPOSIT_FAILED]: (e, log) => log.error(`❌ Deposit failed: ${e.error}`),
+  [EVENTS.DEPOSIT_SIMULATED]: (e, log) => log.info(`🧪 Dry run: deposit ${simulated(e)}`),
+
+  [EVENTS.WITHDRAW_STARTED]: (e, log) => log.info(`🔓 Withdrawing ${tokens(e)} to ${e.recipient}`),
+  [EVENTS.WITHDRAW_NOTE_LOADED]: (e, log) => log.info(`✅ Loaded deposit from ${e.source}`),
+  [EVENTS.WITHDRAW_LEAF_FOUND]: (e, log) => log.info(`✅ Found commitment at index ${e.leafIndex}`),
+  [EVENTS.WITHDRAW_PROVED]: (e, log) => log.info("✅ Withdraw proof generated!"),
+  [EVENTS.WITHDRAW_SUBMITTING]: (e, log) => log.info(`\n📤 Submitting withdraw to relayer: ${e.relayerUrl}`),
+  [EVENTS.WITHDRAW_QUEUED]: (e, log) => {
+    log.info("✅ Withdraw queued by relayer!");
+    log.info(`   Queue ID: ${e.queueId}`);
+    log.info(`   Estimated execution: ${new Date(e.estimatedExecutionTime).toISOString()}`);
+  },
+  [EVENTS.WITHDRAW_FAILED]: (e, log) => {
+    if (e.rolledBack === false) {
+      log.warn("⚠️  Relayer submit failed - deposit may need manual rollback");
+    }
+    log.error(`❌ Relayer submission failed: ${e.error}`);
+  },
+  [EVENTS.WITHDRAW_EXECUTING]: (e, log) => log.info("🔓 Executing withdraw via relayer..."),
+  [EVENTS.WITHDRAW_EXECUTED]: (e, log) => log.info(`✅ Withdraw executed! TX: ${e.txId}${e.fees ? ` (fee ${paid(e.fees)})` : ""}`),
+  [EVENTS.WITHDRAW_SIMULATED]: (e, log) => log.info(`🧪 Dry run: withdraw ${simulated(e)}`),
+  [EVENTS.WITHDRAW_CONFIRMED]: (e, log) => log.info(`✅ Withdrawal landed${e.txId ? `! TX: ${e.txId}` : ""}${e.verifiedOnChain ? " (nullifier on-chain)" : ""}`),
+
+  [EVENTS.POLICY_VIOLATION]: (e, log) => log.warn(`🚫 ${e.action} blocked by policy: ${e.error}`),
+  [EVENTS.APPROVAL_REQUESTED]: (e, log) => log.info(`⏳ Waiting for approval of ${e.action} (${tokens(e)}${e.recipient ? ` to ${e.recipient}` : ""}) - ID ${e.id}`),
+  [EVENTS.APPROVAL_GRANTED]: (e, log) => log.info(`✅ ${e.action} approved`),
+  [EVENTS.APPROVAL_REJECTED]: (e, log) => log.warn(`🚫 ${e.action} not approved (${e.reason})`),
+
+  [EVENTS.RELAYER_SELECTED]: (e, log) => {
+    if (e.self) {
+      log.info(`   ${e.reason}, using self-relay`);
+    } else {
+      log.info(`   Selected relayer: ${e.url} (queue: ${e.queueLength})`);
+    }
+  },
+  [EVENTS.RELAYER_READY]: (e, log) => log.info("✅ Relayer service ready"),
+  [EVENTS.RELAYER_QUEUED]: (e, log) => log.info(`📝 Relayer: Queued withdraw for ${short(e.recipient)}... (${e.queueLength} in queue)`),
+  [EVENTS.RELAYER_STARTED]: (e, log) => log.info("🔄 Relayer: Starting queue processor..."),
+  [EVENTS.RELAYER_WAITING]: (e, log) => log.info(`⏳ Relayer: Waiting ${Math.ceil(e.waitMs / 1000)}s for next transaction...`),
+  [EVENTS.RELAYER_PROCESSING]: (e, log) => log.info(`\n💸 Relayer: Processing withdraw for ${short(e.recipient)}...`),
+  [EVENTS.RELAYER_EXECUTED]: (e, log) => log.info(`✅ Relayer: TX submitted! ${e.txId}`),
+  [EVENTS.RELAYER_FAILED]: (e, log) => log.error(`❌ Relayer: Failed to process ${e.queueId}: ${e.error}`),
+  [EVENTS.RELAYER_GAVE_UP]: (e, log) => log.error(`❌ Relayer: Giving up on ${e.queueId} after ${e.attempts} attempt(s): ${e.error}`),
+  [EVENTS.RELAYER_REJECTED]: (e, log) => {
+    if (e.status >= 500) log.error(`❌ Relayer submit error: ${e.error}`);
+    if (e.status === 403) log.warn(`🚫 Relayer: Withdraw refused by policy: ${e.error}`);
+  },
+  [EVENTS.RELAYER_IDLE]: (e, log) => log.info("🛑 Relayer: Queue empty, processor stopped"),
+  [EVENTS.RELAYER_STOPPED]: (e, log) => log.info("🛑 Relayer service stopped"),
+  [EVENTS.RELAYER_PERSISTED]: (e, log) => log.info(`💾 Relayer: Saved ${e.count} queued withdrawal(s) for next start`),
+  [EVENTS.RELAYER_RESTORED]: (e, log) => log.info(`📂 Relayer: Restored ${e.count} queued withdrawal(s)`),
+  [EVENTS.RELAYER_QUEUE_CORRUPT]: (e, log) => log.error(`❌ Relayer: Queue file unreadable (${e.error}), kept as ${e.file}`),
+  [EVENTS.RELAYER_EVICTED]: (e, log) => log.info(`🗑️  Relayer: Evicted ${e.queueId} (${e.queueLength} left in queue)`),
+
+  [EVENTS.AGENT_STARTED]: (e, log) => {
+    log.info("\n🤖 Cipher Agent Starting...");
+    log.info(`Wallet: ${e.publicKey}`);
+    log.info(`Network: ${e.network} (${e.rpcUrl})`);
+    log.info(`Mode: ${e.mode}`);
+    log.info(`Deposit interval: ${e.depositInterval} minutes`);
+    log.info(`Withdraw interval: ${e.withdrawInterval} minutes`);
+    log.info(`Generate new wallets: ${e.generateNewWallets}`);
+    log.info("");
+  },
+  [EVENTS.AGENT_RUNNING]: (e, log) => {
+    log.info("✅ Agent running in background...");
+    log.info("   Press Ctrl+C to stop\n");
+  },
+  [EVENTS.AGENT_STOPPED]: (e, log) => {
+    log.info("\n📊 Final Stats:");
+    log.info(`Total Deposits: ${e.depositCount}`);
+    log.info(`Total Withdraws: ${e.withdrawCount}`);
+    if (e.persisted) {
+      log.info(`Queued withdrawals saved for next start: ${e.persisted}`);
+    }
+  },
+  [EVENTS.MIXER_RESUMED]: (e, log) => {
+    log.info(`📂 Resuming mixing plan (${e.plannedWithdrawals} planned withdrawal(s))`);
+    if (e.nextDepositAt) {
+      log.info(`   Next deposit: ${new Date(e.nextDepositAt).toISOString()}`);
+    }
+  },
+  [EVENTS.MIXER_BALANCE]: (e, log) => log.info(`💰 Balance: ${formatAmount(e.balance)}`),
+  [EVENTS.MIXER_WAITING]: (e, log) => {
+    const minutes = Math.floor(e.delayMs / 60000);
+    const messages = {
+      "insufficient-balance": "⚠️  Insufficient balance, waiting 1 minute...",
+      "withdraw-delay": `⏳ Waiting ${minutes} minutes before withdraw...`,
+      "next-cycle": `\n⏳ Waiting ${minutes} minutes before next cycle...`,
+      retry: "   Retrying in 1 minute...",
+    };
+    log.info(messages[e.reason] || `⏳ Waiting ${minutes} minutes...`);
+  },
+  [EVENTS.MIXER_ERROR]: (e, log) => {
+    if (e.fatal) {
+      log.error(`\n💥 Fatal error in mixing loop: ${e.error}`);
+    } else {
+      log.error(`\n❌ Mixing error: ${e.error}`);
+    }
+  },
+  [EVENTS.MIXER_PAUSED]: (e, log) => log.info("⏸️  Mixing paused"),
+  [EVENTS.MIXER_UNPAUSED]: (e, log) => log.info("▶️  Mixing resumed"),
+  [EVENTS.MIXER_STOPPED]: (e, log) => {
+    if (e.reason === "max-runtime") log.info("⏱️  Max runtime reached, stopping...");
+    log.info("\n🛑 Mixing loop stopped");
+  },
+
+  [EVENTS.P2P_LISTENING]: (e, log) => log.info(`🌐 P2P server running on port ${e.port}`),
+  [EVENTS.P2P_PORT_IN_USE]: (e, log) => log.info(`⚠️  Port ${e.port} in use, trying ${e.nextPort}...`),
+  [EVENTS.P2P_STOPPED]: (e, log) => log.info("🛑 P2P server stopped"),
+  [EVENTS.PEERS_LOADED]: (e, log) => log.info(`📂 Loaded ${e.count} persistent peer(s)`),
+  [EVENTS.PEER_DISCOVERED]: (e, log) => log.info(`✨ Discovered peer: ${e.host}:${e.port} (trees: ${e.trees.join(", ") || "none"})`),
+  [EVENTS.PEER_REMOVED]: (e, log) => log.info(`🗑️  Removing ${e.reason} peer: ${e.host}:${e.port}`),
+
+  [EVENTS.DHT_LISTENING]: (e, log) => log.info(`📡 DHT listening on TCP port ${e.port}`),
+  [EVENTS.DHT_BOOTSTRAPPING]: (e, log) => log.info(`🔗 Bootstrapping from ${e.host}:${e.port}...`),
+  [EVENTS.DHT_BOOTSTRAPPED]: (e, log) => log.info(`✅ DHT bootstrapped successfully (${e.nodeCount} nodes)`),
+  [EVENTS.DHT_BOOTSTRAP_FAILED]: (e, log) => log.error(`❌ Bootstrap failed: ${e.error}`),
+  [EVENTS.DHT_ISOLATED]: (e, log) => {
+    log.info("⚠️  DHT bootstrap failed - running in isolation mode");
+    log.info("   Waiting for other agents to connect...");
+  },
+  [EVENTS.DHT_ANNOUNCED]: (e, log) => log.info(`📢 Announced presence to ${e.nodeCount} DHT nodes${e.host ? ` (host: ${e.host})` : ""}`),
+  [EVENTS.DHT_AGENTS_FOUND]: (e, log) => log.info(`🔍 DHT Discovery: Found ${e.count} agent(s)`),
+  [EVENTS.DHT_STOPPED]: (e, log) => log.info("🛑 DHT stopped"),
+};
+
+/**
+ * Print lifecycle events as human-readable lines
+ *
+ * CipherAgent attaches this by default (disable with `console: false`).
+ * Works on any SDK emitter (agent, relayer, P2P, DHT).
+ *
+ * @param {EventEmitter} emitter - Emitter to listen on
+ * @param {Logger} [logger] - Logger to write through (default: pretty console logger)
+ * @returns {Function} Detach function (removes all reporter listeners)
+ */
+function attachConsoleReporter(emitter, logger = createLogger()) {
+  const listeners = Object.entries(CONSOLE_HANDLERS)
+    .map(([name, handler]) => [name, (payload) => handler(payload, logger)]);
+
+  return attachListeners(emitter, listeners);
+}
+
+// Frequent progress events (logged at debug level)
+const DEBUG_EVENTS = new Set([
+  EVENTS.PROOF_PROGRESS,
+]);
+
+// Events that indicate something went wrong (logged at warn level)
+const WARN_EVENTS = new Set([
+  EVENTS.WALLET_INSECURE,
+  EVENTS.TREE_FAILED,
+  EVENTS.TREE_SUBSCRIPTION_LOST,
+  EVENTS.DEPOSIT_FAILED,
+  EVENTS.WITHDRAW_FAILED,
+  EVENTS.POLICY_VIOLATION,
+  EVENTS.APPROVAL_REJECTED,
+  EVENTS.RELAYER_FAILED,
+  EVENTS.RELAYER_GAVE_UP,
+  EVENTS.RELAYER_REJECTED,
+  EVENTS.RELAYER_QUEUE_CORRUPT,
+  EVENTS.MIXER_ERROR,
+  EVENTS.DHT_BOOTSTRAP_FAILED,
+  EVENTS.DHT_ISOLATED,
+]);
+
+/**
+ * Log every lifecycle event as one structured record
+ *
+ * Used instead of the console reporter when a custom logger is configured,
+ * e.g. for JSON log pipelines: { msg: 'deposit:confirmed', txId, ... }
+ *
+ * @param {EventEmitter} emitter - Emitter to listen on
+ * @param {Logger} logger - Logger to write through
+ * @returns {Function} Detach function
+ */
+function attachLogReporter(emitter, logger) {
+  const listeners = Object.values(EVENTS).map(name => [
+    name,
+    (payload) => {
+      const level = WARN_EVENTS.has(name) ? "warn" : DEBUG_EVENTS.has(name) ? "debug" : "info";
+      logger[level](name, { event: name, ...payload });
+    },
+  ]);
+
+  return attachListeners(emitter, listeners);
+}
+
+/**
+ * Register [name, listener] pairs and return a function removing them
+ * @private
+ */
+function attachListeners(emitter, listeners) {
+  for (const [name, listener] of listeners) {
+    emitter.on(name, listener);
+  }
+
+  return () => {
+    for (const [name, listener] of listeners) {
+      emitter.removeListener(name, listener);
+    }
+  };
+}
+
+module.exports = {
+  EVENTS,
+  RELAYER_EVENTS,
+  P2P_EVENTS,
+  DHT_EVENTS,
+  forwardEvents,
+  attachConsoleReporter,
+  attachLogReporter,
+};
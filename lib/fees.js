@@ -0,0 +1,128 @@
+/**
+ * Priority Fees and Compute-Unit Sizing
+ *
+ * Deposits and withdrawals are simulated before they are sent: the
+ * compute-unit limit is set to the units the simulation consumed plus a
+ * margin, and a compute-unit price is picked from
+ * getRecentPrioritizationFees for the accounts the transaction writes.
+ *
+ *   fees: {
+ *     strategy: "percentile",      // "fixed" | "percentile" | "max"
+ *     percentile: 75,              // percentile strategy: rank of recent fees
+ *     microLamports: 10000,        // fixed strategy: price per compute unit
+ *     maxMicroLamports: 1000000,   // cap for every strategy
+ *     unitMargin: 0.1,             // limit = consumed * (1 + unitMargin)
+ *   }
+ *
+ * - "fixed" always pays `microLamports`
+ * - "percentile" pays the given percentile of the recent per-slot fees
+ * - "max" pays the highest recent fee
+ *
+ * The fee actually paid is base fee (per signature) + limit x price, so
+ * a tight limit keeps the priority fee small.
+ *
+ * SECURITY: `maxMicroLamports` bounds what a fee spike can cost. With the
+ * defaults the priority fee never exceeds 0.0014 SOL (1.4M units at
+ * 1,000,000 micro-lamports).
+ */
+
+const STRATEGIES = ["fixed", "percentile", "max"];
+const OPTION_KEYS = ["strategy", "percentile", "microLamports", "maxMicroLamports", "unitMargin"];
+
+const MAX_COMPUTE_UNITS = 1_400_000;
+const LAMPORTS_PER_SIGNATURE = 5000;
+const MAX_LOCKED_ACCOUNTS = 128; // getRecentPrioritizationFees limit
+
+const DEFAULT_FEE_OPTIONS = {
+  strategy: "percentile",
+  percentile: 75,
+  microLamports: 0,
+  maxMicroLamports: 1_000_000,
+  unitMargin: 0.1,
+};
+
+class FeePlanner {
+  /**
+   * @param {Object} [options] - See module docs (unknown keys are rejected)
+   */
+  constructor(options = {}) {
+    for (const key of Object.keys(options)) {
+      if (!OPTION_KEYS.includes(key)) {
+        throw new Error(`Invalid fee options: unknown key ${key}`);
+      }
+    }
+    const config = { ...DEFAULT_FEE_OPTIONS, ...options };
+
+    if (!STRATEGIES.includes(config.strategy)) {
+      throw new Error(`Invalid fee options: strategy must be one of ${STRATEGIES.join(", ")}`);
+    }
+    for (const key of ["microLamports", "maxMicroLamports"]) {
+      if (!Number.isSafeInteger(config[key]) || config[key] < 0) {
+        throw new Error(`Invalid fee options: ${key} must be a non-negative integer`);
+      }
+    }
+    if (typeof config.percentile !== "number" || config.percentile <= 0 || config.percentile > 100) {
+      throw new Error("Invalid fee options: percentile must be in (0, 100]");
+    }
+    if (typeof config.unitMargin !== "number" || config.unitMargin < 0 || config.unitMargin > 1) {
+      throw new Error("Invalid fee options: unitMargin must be between 0 and 1");
+    }
+
+    this.options = config;
+  }
+
+  /**
+   * Compute-unit limit for a simulated consumption
+   *
+   * @param {number} unitsConsumed - Units consumed in simulation
+   * @returns {number}
+   */
+  unitLimit(unitsConsumed) {
+    return Math.min(MAX_COMPUTE_UNITS, Math.ceil(unitsConsumed * (1 + this.options.unitMargin)));
+  }
+
+  /**
+   * Compute-unit price (micro-lamports) for a transaction writing `accounts`
+   *
+   * @param {Connection} connection
+   * @param {PublicKey[]} [accounts] - Writable accounts of the transaction
+   * @returns {Promise<number>}
+   */
+  async unitPrice(connection, accounts = []) {
+    const { strategy, percentile, microLamports, maxMicroLamports } = this.options;
+    if (strategy === "fixed") {
+      return Math.min(microLamports, maxMicroLamports);
+    }
+
+    const recent = await connection.getRecentPrioritizationFees({
+      lockedWritableAccounts: accounts.slice(0, MAX_LOCKED_ACCOUNTS),
+    });
+    const fees = recent.map(entry => entry.prioritizationFee).sort((a, b) => a - b);
+    if (fees.length === 0) {
+      return 0;
+    }
+
+    // Nearest-rank percentile; "max" is the 100th
+    const rank = strategy === "max" ? 100 : percentile;
+    const fee = fees[Math.max(0, Math.ceil((rank / 100) * fees.length) - 1)];
+    return Math.min(fee, maxMicroLamports);
+  }
+
+  /**
+   * Lamports a transaction pays for a limit and price
+   *
+   * @param {Object} budget - { computeUnitLimit, computeUnitPrice, signatures }
+   * @returns {Object} { baseFee, priorityFee, totalFee } in lamports
+   */
+  static fees({ computeUnitLimit, computeUnitPrice, signatures = 1 }) {
+    const baseFee = LAMPORTS_PER_SIGNATURE * signatures;
+    const priorityFee = Number((BigInt(computeUnitPrice) * BigInt(computeUnitLimit) + 999_999n) / 1_000_000n);
+    return { baseFee, priorityFee, totalFee: baseFee + priorityFee };
+  }
+}
+
+module.exports = {
+  FeePlanner,
+  DEFAULT_FEE_OPTIONS,
+  MAX_COMPUTE_UNITS,
+};
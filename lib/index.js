@@ -1,5 +1,4 @@
 const {
-  Connection,
   PublicKey,
   Keypair,
   Transaction,
@@ -11,6 +10,7 @@ const {
   createAssociatedTokenAccountInstruction,
 } = require("@solana/spl-token");
 const anchor = require("@coral-xyz/anchor");
+const EventEmitter = require("events");
 const fs = require("fs");
 const path = require("path");
 const MerkleTreeBuilder = require("./tree");
@@ -19,30 +19,122 @@ const RelayerService = require("./relayer");
 const { initPoseidon } = require("./crypto");
 const {
   randomBytes,
+  generateCommitment,
+  generateNullifierHash,
   generateDepositProof,
   generateWithdrawProof,
 } = require("./proof");
 const {
+  deriveNullifierPda,
   sendDepositTransaction,
   sendWithdrawTransaction,
 } = require("./transactions");
 const DepositStorage = require("./storage");
+const MixingScheduler = require("./mixer");
+const { PolicyEngine, PolicyViolation } = require("./policy");
+const {
+  ApprovalRejected,
+  CliApprover,
+  HttpApprover,
+  AutoApprover,
+  toApprovalProvider,
+  awaitApproval,
+} = require("./approval");
 const { encodeDepositCode, decodeDepositCode } = require("./deposit-code");
+const { TokenPools } = require("./tokens");
+const { FeePlanner } = require("./fees");
+const { ConnectionPool } = require("./rpc-pool");
+const { TransactionNotConfirmed, DEFAULT_CONFIRM_OPTIONS } = require("./confirm");
+const { AgentMetrics } = require("./metrics");
+const { McpServer } = require("./mcp");
+const { AdminServer } = require("./admin");
+const { ProverPool } = require("./prover");
+const { CIRCUITS, CircuitRegistry, CircuitArtifactError, getDefaultRegistry } = require("./circuits");
+const {
+  EVENTS,
+  RELAYER_EVENTS,
+  P2P_EVENTS,
+  forwardEvents,
+  attachConsoleReporter,
+  attachLogReporter,
+} = require("./events");
+const { createLogger, resolveLogger } = require("./logger");
+const { NETWORKS, resolveNetwork } = require("./networks");
+const {
+  KeypairSigner,
+  KeystoreSigner,
+  RemoteSigner,
+  serveRemoteSigner,
+  toSigner,
+} = require("./signer");
 
-const PROGRAM_ID = new PublicKey("Dn1AjFeQbQsv3ufRw9KbPKQmp1is8VhGPVsKodqA4WLN");
-const IDL = JSON.parse(fs.readFileSync(path.join(__dirname, "cipher.json"), "utf-8"));
-const USDC_DEVNET = new PublicKey("4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU"); // USDC devnet
 const DEPOSIT_AMOUNT = 1_000_000; // 1 USDC
+const TREE_PUSH_CHECK_INTERVAL = 30 * 1000; // Missed-notification check with push tree updates
+
+/**
+ * Policy fields for a pool (USDC actions carry no mint)
+ */
+function poolAction(pool) {
+  return pool.isDefault ? {} : { mint: pool.mint.toBase58() };
+}
+
+/**
+ * Event/approval fields for a pool: { symbol, decimals, mint? }
+ */
+function poolDisplay(pool) {
+  return { symbol: pool.symbol, decimals: pool.decimals, ...poolAction(pool) };
+}
 
-class CipherAgent {
+class CipherAgent extends EventEmitter {
   constructor(config = {}) {
-    this.rpcUrl = config.rpcUrl || "https://api.devnet.solana.com";
-    this.connection = new Connection(this.rpcUrl, "confirmed");
+    super();
+
+    // Logger shared by all modules (redacts secrets + peer IPs by default)
+    this.logger = resolveLogger(config.logger);
+
+    // Lifecycle events: human-readable lines by default, structured
+    // records when a custom logger is configured (console: true forces lines)
+    const useConsole = config.console !== undefined ? config.console : !config.logger;
+    if (useConsole) {
+      attachConsoleReporter(this, this.logger);
+    } else if (config.logger) {
+      attachLogReporter(this, this.logger);
+    }
+
+    // Network profile: RPC, program, mint, DHT bootstrap + network ID, data dir
+    // (explicit rpcUrl/programId/usdcMint/dhtBootstrapNodes override the profile)
+    this.network = resolveNetwork(config.network, {
+      rpcUrl: config.rpcUrl,
+      programId: config.programId,
+      usdcMint: config.usdcMint,
+      dhtBootstrapNodes: config.dhtBootstrapNodes,
+      dataDir: config.dataDir,
+    });
+
+    // RPC pool: failover, retried reads and timeouts (rpcUrls, or the single rpcUrl)
+    const rpcUrls = config.rpcUrls && config.rpcUrls.length > 0 ? config.rpcUrls : [this.network.rpcUrl];
+    this.rpcUrl = rpcUrls[0];
+    // Custom Connection (e.g. EmulatedConnection for offline tests) replaces the pool
+    this.connection = config.connection || new ConnectionPool(rpcUrls, {
+      ...config.rpcOptions,
+      logger: this.logger,
+    });
     
     // SECURITY: Use isolated agent wallet instead of user's main wallet
-    const agentWalletPath = path.join(require('os').homedir(), '.cipher', 'agent-wallet.json');
+    const agentWalletPath = path.join(this.network.dataDir, 'agent-wallet.json');
     
-    if (config.keypair) {
+    if (config.signer) {
+      // External signer (remote signing process, hardware wallet, ...)
+      this.signer = toSigner(config.signer);
+    } else if (config.keystore) {
+      // SECURITY: Encrypted keystore, password from config or CIPHER_KEYSTORE_PASSWORD
+      this._validateKeypairFile(config.keystore);
+      this.signer = new KeystoreSigner(config.keystore, config.keystorePassword);
+      this.emit(EVENTS.WALLET_LOADED, {
+        publicKey: this.signer.publicKey.toBase58(),
+        path: config.keystore,
+      });
+    } else if (config.keypair) {
       // Manual keypair override (for testing)
       if (typeof config.keypair === "string") {
         this._validateKeypairFile(config.keypair);
@@ -50,21 +142,24 @@ class CipherAgent {
         if (!Array.isArray(keypairData) || keypairData.length !== 64) {
           throw new Error("Invalid keypair format: expected 64-byte array");
         }
-        this.wallet = Keypair.fromSecretKey(Uint8Array.from(keypairData));
+        this.signer = new KeypairSigner(Keypair.fromSecretKey(Uint8Array.from(keypairData)));
       } else {
-        this.wallet = config.keypair;
+        this.signer = toSigner(config.keypair);
       }
     } else if (fs.existsSync(agentWalletPath)) {
       // Load existing agent wallet
       // SECURITY: Validate file permissions before loading
       this._validateKeypairFile(agentWalletPath);
       const walletData = JSON.parse(fs.readFileSync(agentWalletPath, 'utf-8'));
-      this.wallet = Keypair.fromSecretKey(Uint8Array.from(walletData));
-      console.log("📂 Loaded agent wallet:", this.wallet.publicKey.toBase58());
+      this.signer = new KeypairSigner(Keypair.fromSecretKey(Uint8Array.from(walletData)));
+      this.emit(EVENTS.WALLET_LOADED, {
+        publicKey: this.signer.publicKey.toBase58(),
+        path: agentWalletPath,
+      });
     } else {
       // First run: generate new isolated wallet
-      this.wallet = Keypair.generate();
-      const walletArray = Array.from(this.wallet.secretKey);
+      const keypair = Keypair.generate();
+      const walletArray = Array.from(keypair.secretKey);
       
       // Save wallet securely
       const cipherDir = path.dirname(agentWalletPath);
@@ -75,100 +170,357 @@ class CipherAgent {
       }
       fs.writeFileSync(agentWalletPath, JSON.stringify(walletArray), { mode: 0o600 });
       
-      console.log("\n🆕 FIRST RUN - Agent Wallet Created!");
-      console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-      console.log("📍 Wallet Address:", this.wallet.publicKey.toBase58());
-      console.log("🔑 Private key stored securely");
-      console.log("💾 Saved to:", agentWalletPath);
-      console.log("\n⚠️  IMPORTANT - Send funds to this address:");
-      console.log("   1. SOL (for transaction fees): ~0.1 SOL");
-      console.log("   2. USDC (for mixing): at least 2 USDC");
-      console.log("\n   Devnet Faucets:");
-      console.log("   - SOL: https://faucet.solana.com");
-      console.log("   - USDC: https://faucet.circle.com");
-      console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n");
-    }
-
-    this.usdcMint = config.usdcMint ? new PublicKey(config.usdcMint) : USDC_DEVNET;
-    this.programId = config.programId ? new PublicKey(config.programId) : PROGRAM_ID;
+      this.signer = new KeypairSigner(keypair);
+      this.emit(EVENTS.WALLET_CREATED, {
+        publicKey: this.signer.publicKey.toBase58(),
+        path: agentWalletPath,
+      });
+    }
+
+    // Only the signer touches keys; `wallet` stays for `agent.wallet.publicKey`
+    this.wallet = this.signer;
+
+    this.usdcMint = this.network.usdcMint;
+    this.programId = this.network.programId;
+    
+    // Token pools keyed by mint: USDC only until the program binds the mint (see tokens.js)
+    this.tokens = new TokenPools(this.usdcMint);
     
     this.isRunning = false;
     this.depositCount = 0;
     this.withdrawCount = 0;
     
+    // Mixing loop + shutdown state (see shutdown())
+    this.mixingLoop = null;
+    this.sigintHandler = null;
+    this.shutdownPromise = null;
+    
     // Tree builder & P2P
-    this.treeBuilder = new MerkleTreeBuilder(this.programId, this.connection);
+    this.treeBuilder = new MerkleTreeBuilder(this.programId, this.connection, {
+      logger: this.logger,
+    });
     this.p2p = new TreeP2P(this.treeBuilder, {
       port: config.p2pPort || 8547,
       discoveryPort: config.discoveryPort,
       dhtPort: config.dhtPort,
+      networkId: this.network.networkId,
+      bootstrapNodes: this.network.dhtBootstrapNodes,
+      dataDir: this.network.dataDir,
+      logger: this.logger,
     });
     
+    // Spending policy: object, JSON file path or PolicyEngine (none = no limits)
+    // Caps count spends recorded in the ledger, so they survive restarts
+    const policyOptions = {
+      ledgerFile: path.join(this.network.dataDir, "policy-ledger.json"),
+      logger: this.logger,
+    };
+    if (config.policy instanceof PolicyEngine) {
+      this.policy = config.policy;
+    } else if (typeof config.policy === "string") {
+      this.policy = PolicyEngine.fromFile(config.policy, policyOptions);
+    } else {
+      this.policy = new PolicyEngine(config.policy || {}, policyOptions);
+    }
+    
+    // Human approval before funds leave the agent (none = no prompt)
+    this.approval = config.approval ? toApprovalProvider(config.approval) : null;
+    this.approvalTimeout = config.approvalTimeout;
+    
+    // Simulate instead of sending (per call: { dryRun }) - nothing is stored
+    this.dryRun = !!config.dryRun;
+    
+    // Compute-unit sizing + priority fee strategy for every send (see fees.js)
+    this.fees = config.fees instanceof FeePlanner ? config.fees : new FeePlanner(config.fees);
+    
+    // Send-and-confirm: rebroadcast until confirmed (or finalized) or expired
+    this.confirm = { ...DEFAULT_CONFIRM_OPTIONS, ...config.confirm };
+    
+    // Groth16 proving in worker threads, so proofs never stall the P2P server,
+    // DHT or relayer timers (prover: false proves on the main thread)
+    this.prover = config.prover === false
+      ? null
+      : config.prover instanceof ProverPool
+        ? config.prover
+        : new ProverPool({ ...config.prover, logger: this.logger });
+    if (this.prover) {
+      this.prover.on("progress", (progress) => this.emit(EVENTS.PROOF_PROGRESS, progress));
+    }
+    
+    // Circuit files with pinned SHA-256 hashes, read once (see circuits.js)
+    this.circuits = config.circuits instanceof CircuitRegistry
+      ? config.circuits
+      : config.circuits
+        ? new CircuitRegistry(config.circuits)
+        : getDefaultRegistry();
+    
+    // Prometheus /metrics on the P2P server (off unless metrics.enabled)
+    const metrics = config.metrics === true ? { enabled: true } : config.metrics;
+    this.metrics = metrics && metrics.enabled
+      ? new AgentMetrics(this, { ...metrics, logger: this.logger })
+      : null;
+    
+    // Authenticated admin API on loopback or a unix socket (off unless admin.enabled)
+    const admin = config.admin === true ? { enabled: true } : config.admin;
+    this.admin = admin && admin.enabled
+      ? new AdminServer(this, {
+        ...admin,
+        tokenFile: admin.tokenFile || path.join(this.network.dataDir, "admin-token"),
+        logger: this.logger,
+      })
+      : null;
+    
     // Relayer service
     this.relayer = new RelayerService(this, {
       maxDelay: config.relayerMaxDelay || 60000,
       minDelay: config.relayerMinDelay || 30000,
+      networkId: this.network.networkId,
+      policy: this.policy,
+      verifyProofs: config.relayerVerifyProofs,
+      circuits: this.circuits,
+      // Queued withdrawals survive a shutdown (see shutdown())
+      queueFile: path.join(this.network.dataDir, "relayer-queue.json"),
     });
     
     // Persistent storage for deposits
-    this.storage = new DepositStorage();
+    this.storage = new DepositStorage(path.join(this.network.dataDir, "deposits.json"), {
+      logger: this.logger,
+      defaultMint: this.usdcMint,
+    });
+    
+    // Surface relayer + P2P (incl. DHT) events on the agent
+    forwardEvents(this.relayer, this, RELAYER_EVENTS);
+    forwardEvents(this.p2p, this, P2P_EVENTS);
     
     // Store deposits for later withdraws (legacy RAM storage)
     this.deposits = []; // { commitment, nullifier, chunkId, leafIndex }
     
-    // Background tree update interval
-    this.treeUpdateInterval = null;
+    // Persisted auto-mixing plan (see start())
+    this.mixer = new MixingScheduler(this, path.join(this.network.dataDir, "mixer-state.json"));
+    
+    // Submitted withdrawals for status tracking (queueId -> { relayerUrl, nullifierHash })
+    this.withdrawals = new Map();
+    
+    // Background tree updates (see startTreeUpdates)
+    this.treeUpdates = null;
     
     // PERFORMANCE: Pre-initialize Poseidon to avoid lazy-init delay on first proof
     // Eliminates timing fingerprint on first operation
     initPoseidon().catch(err => {
-      console.warn("Failed to pre-initialize Poseidon:", err.message);
+      this.logger.warn("Failed to pre-initialize Poseidon", { error: err.message });
     });
+    
+    // SECURITY: Hash-check circuit files at startup, not at the first proof
+    // Per artifact: { circuit, artifact, file, sha256 } or { circuit, artifact, error }
+    // (null until the check finishes)
+    this.circuitStatus = null;
+    this.circuits.preload()
+      .then(artifacts => this._reportCircuits(artifacts))
+      .catch(err => {
+        // A custom registry may throw; no circuit counts as available then
+        this.logger.error(`❌ Circuit check failed: ${err.message}`);
+        this.circuitStatus = Object.keys(CIRCUITS).map(circuit => ({ circuit, error: err }));
+      });
   }
   
   /**
-   * Start background tree updates (every 5 minutes)
+   * Log circuit files that are missing, not pinned or tampered with
+   * @private
+   */
+  _reportCircuits(artifacts) {
+    this.circuitStatus = artifacts;
+    for (const artifact of artifacts) {
+      // Without the withdraw vkey nothing is withdrawn or relayed (M3)
+      const required = artifact.circuit === "withdraw" && artifact.artifact === "vkey";
+      if (artifact.error?.code === "missing" && !required) {
+        this.logger.warn(`⚠️  ${artifact.error.message}`);
+      } else if (artifact.error) {
+        this.logger.error(`❌ ${artifact.error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Keep a chunk's tree current in the background
+   *
+   * When the connection supports account subscriptions, new leaves are
+   * pushed as deposits land (MerkleTreeBuilder.subscribe) and every
+   * `intervalMs` (at most 30s) only the chunk account is read to check
+   * that no notification was missed. If the chain gets ahead without a
+   * notification (websocket dropped) or the subscription fails, the agent
+   * falls back to polling: loadTree() every `intervalMs`, trying to
+   * subscribe again after each poll.
+   *
+   * PERFORMANCE: Polling refetches every LeaveStorage account of the chunk;
+   * push updates read one account per deposit.
+   *
+   * @param {number} [chunkId=1]
+   * @param {number} [intervalMs=300000] - Polling interval (and max push check interval)
    */
   startTreeUpdates(chunkId = 1, intervalMs = 5 * 60 * 1000) {
-    if (this.treeUpdateInterval) {
-      console.log("⚠️  Tree updates already running");
+    if (this.treeUpdates) {
+      this.logger.warn("⚠️  Tree updates already running");
       return;
     }
     
-    console.log(`🔄 Starting background tree updates (every ${intervalMs / 1000}s)`);
-    
-    // Initial load
-    this.loadTree(chunkId).catch(err => {
-      console.error("❌ Initial tree load failed:", err.message);
-    });
-    
-    // Periodic updates
-    this.treeUpdateInterval = setInterval(async () => {
-      try {
-        await this.loadTree(chunkId);
-      } catch (err) {
-        console.error("❌ Tree update failed:", err.message);
-      }
-    }, intervalMs);
+    this.treeUpdates = {
+      chunkId,
+      intervalMs,
+      subscription: null,
+      behindSince: null, // first push check that saw the chain ahead
+      catchUp: false, // poll right away, subscribe again on the next poll
+      running: false,
+      timer: null,
+    };
+    this.emit(EVENTS.TREE_POLLING_STARTED, { chunkId, intervalMs });
+    this._treeUpdateTick(this.treeUpdates);
   }
   
   /**
    * Stop background tree updates
    */
   stopTreeUpdates() {
-    if (this.treeUpdateInterval) {
-      clearInterval(this.treeUpdateInterval);
-      this.treeUpdateInterval = null;
-      console.log("✅ Stopped background tree updates");
+    const updates = this.treeUpdates;
+    if (!updates) {
+      return;
+    }
+    this.treeUpdates = null;
+    clearTimeout(updates.timer);
+    if (updates.subscription) {
+      updates.subscription.unsubscribe();
+      updates.subscription = null;
+    }
+    this.emit(EVENTS.TREE_POLLING_STOPPED, {});
+  }
+  
+  /**
+   * One round of background tree updates, then schedule the next
+   * @private
+   */
+  async _treeUpdateTick(updates) {
+    if (updates.running) {
+      return; // The running round schedules the next one
+    }
+    updates.running = true;
+    try {
+      if (updates.subscription) {
+        await this._checkTreeSubscription(updates);
+      } else {
+        const subscribe = !updates.catchUp;
+        updates.catchUp = false;
+        await this.loadTree(updates.chunkId);
+        if (subscribe) {
+          await this._subscribeTree(updates);
+        }
+      }
+    } catch (err) {
+      this.emit(EVENTS.TREE_FAILED, { chunkId: updates.chunkId, error: err.message });
+    } finally {
+      updates.running = false;
+    }
+    
+    if (this.treeUpdates === updates) {
+      this._scheduleTreeUpdate(updates);
+    }
+  }
+  
+  /**
+   * @private
+   */
+  _scheduleTreeUpdate(updates) {
+    let delay = updates.intervalMs;
+    if (updates.catchUp) {
+      delay = 0;
+    } else if (updates.subscription) {
+      delay = Math.min(updates.intervalMs, TREE_PUSH_CHECK_INTERVAL);
+    }
+    clearTimeout(updates.timer);
+    updates.timer = setTimeout(() => this._treeUpdateTick(updates), delay);
+  }
+  
+  /**
+   * Switch from polling to push updates (if the connection supports them)
+   * @private
+   */
+  async _subscribeTree(updates) {
+    if (typeof this.connection.onAccountChange !== "function" || !this.treeBuilder.trees[updates.chunkId]) {
+      return;
+    }
+    
+    let subscription;
+    try {
+      subscription = await this.treeBuilder.subscribe(updates.chunkId, {
+        onUpdate: (leafCount, started) => this._emitTreeUpdated(updates.chunkId, "push", started),
+        onError: (err) => this._treeSubscriptionLost(updates, err),
+      });
+    } catch (err) {
+      this.emit(EVENTS.TREE_SUBSCRIPTION_LOST, { chunkId: updates.chunkId, error: err.message, intervalMs: updates.intervalMs });
+      return;
+    }
+    if (this.treeUpdates !== updates) {
+      // Stopped while subscribing
+      await subscription.unsubscribe();
+      return;
+    }
+    
+    updates.subscription = subscription;
+    updates.behindSince = null;
+    this.emit(EVENTS.TREE_SUBSCRIBED, { chunkId: updates.chunkId, storageId: subscription.storageId });
+  }
+  
+  /**
+   * Push mode: make sure the chain is not ahead without a notification
+   * @private
+   */
+  async _checkTreeSubscription(updates) {
+    const { chunkId, subscription } = updates;
+    const chunk = await this.treeBuilder.fetchChunkState(chunkId);
+    const treeData = this.treeBuilder.trees[chunkId];
+    if (!treeData || treeData.leaves.length >= chunk.currentIndex) {
+      updates.behindSince = null;
+      return;
+    }
+    
+    // Behind: a notification may still be on its way - give it one check interval
+    if (updates.behindSince === null || (subscription.lastNotification || 0) > updates.behindSince) {
+      updates.behindSince = Date.now();
+      return;
+    }
+    
+    this._treeSubscriptionLost(updates, new Error(`no account notification for ${chunk.currentIndex - treeData.leaves.length} new leaves`));
+  }
+  
+  /**
+   * Drop the subscription and fall back to polling
+   * @private
+   */
+  _treeSubscriptionLost(updates, err) {
+    if (!updates.subscription) {
+      return;
+    }
+    updates.subscription.unsubscribe();
+    updates.subscription = null;
+    this.emit(EVENTS.TREE_SUBSCRIPTION_LOST, { chunkId: updates.chunkId, error: err.message, intervalMs: updates.intervalMs });
+    
+    // Catch up now, then keep polling (the next poll subscribes again)
+    updates.catchUp = true;
+    if (this.treeUpdates === updates && !updates.running) {
+      this._scheduleTreeUpdate(updates);
     }
   }
 
   /**
    * Load Merkle tree for a chunk (cache -> peers -> chain)
    * Uses incremental updates when possible!
+   *
+   * @param {number} chunkId
+   * @param {Object} [options]
+   * @param {boolean} [options.fromChain=false] - Rebuild from on-chain leaves,
+   *   ignoring the in-memory tree, the cache and peers (forced reload)
    */
-  async loadTree(chunkId) {
-    console.log(`🌳 Loading tree for chunk ${chunkId}...`);
+  async loadTree(chunkId, options = {}) {
+    this.emit(EVENTS.TREE_LOADING, { chunkId });
+    const started = Date.now();
     
     // Check if we have a tree in memory already
     const existingTree = this.treeBuilder.trees[chunkId];
@@ -176,16 +528,25 @@ class CipherAgent {
     // Fetch current leaves from chain
     const currentLeaves = await this.treeBuilder.fetchLeavesFromChain(chunkId);
     
+    if (options.fromChain) {
+      // The old tree keeps serving until the rebuild replaces it
+      await this.treeBuilder.buildTree(chunkId, currentLeaves);
+      this.p2p.saveTreeCache(chunkId);
+      this._emitTreeUpdated(chunkId, "chain", started);
+      return;
+    }
+    
     if (existingTree && existingTree.leaves.length === currentLeaves.length) {
-      console.log("✅ Tree already up-to-date in memory");
+      this._emitTreeUpdated(chunkId, "memory", started);
       return;
     }
     
     if (existingTree && currentLeaves.length > existingTree.leaves.length) {
       // Incremental update (FAST!)
-      console.log(`🔄 Incremental update (${existingTree.leaves.length} -> ${currentLeaves.length} leaves)...`);
+      this.logger.info(`🔄 Incremental update (${existingTree.leaves.length} -> ${currentLeaves.length} leaves)...`);
       await this.treeBuilder.updateTree(chunkId, currentLeaves);
       this.p2p.saveTreeCache(chunkId);
+      this._emitTreeUpdated(chunkId, "incremental", started);
       return;
     }
     
@@ -194,12 +555,12 @@ class CipherAgent {
     
     if (cacheResult === true) {
       // Complete tree loaded from cache (instant!)
-      console.log("✅ Using complete cached tree (instant!)");
+      this._emitTreeUpdated(chunkId, "cache", started);
       return;
     } else if (cacheResult && cacheResult.length === currentLeaves.length) {
       // Legacy: only leaves cached, need to build
-      console.log("✅ Using cached leaves (need to build)");
       await this.treeBuilder.buildTree(chunkId, cacheResult);
+      this._emitTreeUpdated(chunkId, "cache", started);
       return;
     }
 
@@ -208,20 +569,35 @@ class CipherAgent {
     const gotCompleteTree = await this.p2p.fetchCompleteTreeFromPeers(chunkId);
     
     if (gotCompleteTree) {
-      console.log("✅ Using complete tree from peer (instant!)");
       this.p2p.saveTreeCache(chunkId);
+      this._emitTreeUpdated(chunkId, "peer", started);
       return;
     }
 
     // Full build from chain
-    console.log("🔨 Building tree from on-chain data...");
+    this.logger.info("🔨 Building tree from on-chain data...");
     await this.treeBuilder.buildTree(chunkId, currentLeaves);
     this.p2p.saveTreeCache(chunkId);
-    console.log("✅ Tree ready");
+    this._emitTreeUpdated(chunkId, "chain", started);
+  }
+
+  /**
+   * Emit tree:updated with the current leaf count
+   * @private
+   */
+  _emitTreeUpdated(chunkId, source, started) {
+    const treeData = this.treeBuilder.trees[chunkId];
+    this.emit(EVENTS.TREE_UPDATED, {
+      chunkId,
+      leafCount: treeData ? treeData.leaves.length : 0,
+      durationMs: Date.now() - started,
+      source,
+    });
   }
 
   /**
    * Start P2P server to share trees + discovery + relayer
+   * (plus the admin API when enabled)
    */
   async startP2P() {
     await this.p2p.startServer();
@@ -230,24 +606,41 @@ class CipherAgent {
     
     // Add relayer endpoints to HTTP server
     this.relayer.addEndpoints(this.p2p.server);
-    console.log('✅ Relayer service ready');
+    this.emit(EVENTS.RELAYER_READY, { port: this.p2p.port });
+    
+    // HttpApprover serves /approvals on the same server
+    if (this.approval && typeof this.approval.addEndpoints === "function") {
+      this.approval.addEndpoints(this.p2p.server);
+    }
+    
+    if (this.metrics) {
+      this.metrics.addEndpoints(this.p2p.server);
+    }
+    
+    // Resume withdrawals queued before the last shutdown
+    this.relayer.restoreQueue();
+    
+    if (this.admin) {
+      await this.admin.start();
+    }
   }
 
   /**
    * Stop P2P server
+   * @returns {Promise<void>} Resolves once all sockets are closed
    */
   stopP2P() {
-    this.p2p.stopServer();
+    return this.p2p.stopServer();
   }
 
   /**
-   * Get agent's USDC balance
+   * Get agent's token balance (base units)
+   *
+   * @param {PublicKey|string} [mint] - Pool mint (default: USDC)
    */
-  async getBalance() {
-    const tokenAccount = await getAssociatedTokenAddress(
-      this.usdcMint,
-      this.wallet.publicKey
-    );
+  async getBalance(mint) {
+    const pool = await this.tokens.get(mint);
+    const tokenAccount = await getAssociatedTokenAddress(pool.mint, this.wallet.publicKey);
 
     try {
       const balance = await this.connection.getTokenAccountBalance(tokenAccount);
@@ -260,87 +653,233 @@ class CipherAgent {
   }
 
   /**
-   * Deposit USDC into the mixer with ZK proof
+   * Balances of all configured pools
+   *
+   * @returns {Promise<Object>} { <mint base58>: base units }
+   */
+  async getBalances() {
+    const balances = {};
+    for (const mint of this.tokens.list()) {
+      balances[mint.toBase58()] = await this.getBalance(mint);
+    }
+    return balances;
+  }
+
+  /**
+   * Deposit tokens into the mixer with ZK proof
+   *
+   *   agent.deposit(1_000_000)                        // 1 USDC
+   *   agent.deposit({ amount: 5_000_000, dryRun: true })
+   *
+   * @param {number|Object} [amount] - Amount in base units (default: 1 token),
+   *   or { mint, amount, ...options }
+   * @param {Object} [options]
+   * @param {PublicKey|string} [options.mint] - Pool (only USDC is served, see tokens.js)
+   * @param {boolean} [options.dryRun] - Simulate the exact transaction (default: config.dryRun)
+   * @param {AbortSignal} [options.signal] - Cancel while proving (nothing is sent)
+   * @returns {Promise<Object>} { success, txId, mint, fees, commitment, depositCode }, or
+   *   { success, dryRun, logs, unitsConsumed, error } on dry runs
+   * @throws {PolicyViolation} If the spending policy does not allow it
+   * @throws {ApprovalRejected} If the approval provider rejects or times out
+   */
+  async deposit(amount, options = {}) {
+    if (amount !== null && typeof amount === "object") {
+      options = { ...options, ...amount };
+      amount = options.amount;
+    }
+    const pool = await this.tokens.get(options.mint);
+    amount = amount ?? 10 ** pool.decimals; // 1 token (DEPOSIT_AMOUNT for USDC)
+    
+    const dryRun = options.dryRun ?? this.dryRun;
+    const { pending } = await this.storage.getStats();
+    const ticket = await this._authorize({ type: "deposit", amount, notesInFlight: pending, ...poolAction(pool) });
+    try {
+      if (dryRun) {
+        // Policy is checked but not charged; nothing to approve
+        return await this._simulateDeposit(pool, amount, options.signal);
+      }
+      await this._approve({ action: "deposit", amount, ...poolDisplay(pool) });
+      return await this._deposit(pool, amount, ticket, options.signal);
+    } finally {
+      ticket.release();
+    }
+  }
+
+  /**
+   * Prove a throwaway note and simulate its deposit
+   *
+   * The note is discarded: never added to `deposits` or DepositStorage.
+   * @private
+   */
+  async _simulateDeposit(pool, amount, signal) {
+    this.emit(EVENTS.DEPOSIT_PROVING, { amount, ...poolDisplay(pool) });
+    const provingStarted = Date.now();
+    const { proof } = await generateDepositProof(randomBytes(32), randomBytes(32), amount, this._proofOptions(signal));
+    this.emit(EVENTS.DEPOSIT_PROVED, { amount, durationMs: Date.now() - provingStarted });
+    const { currentChunkId: chunkId } = await this.getContractStatus();
+    
+    const simulation = await sendDepositTransaction(
+      this.connection,
+      this.signer,
+      this.programId,
+      pool.mint,
+      proof,
+      amount,
+      chunkId,
+      { dryRun: true, fees: this.fees }
+    );
+    this.emit(EVENTS.DEPOSIT_SIMULATED, {
+      amount,
+      mint: pool.mint.toBase58(),
+      chunkId,
+      success: simulation.success,
+      unitsConsumed: simulation.unitsConsumed,
+      error: simulation.error,
+    });
+    
+    return {
+      success: simulation.success,
+      dryRun: true,
+      logs: simulation.logs,
+      unitsConsumed: simulation.unitsConsumed,
+      error: simulation.error,
+      fees: simulation.fees,
+    };
+  }
+
+  /**
+   * @private
    */
-  async deposit(amount = DEPOSIT_AMOUNT) {
-    console.log("🔒 Depositing", amount / 1e6, "USDC...");
+  async _deposit(pool, amount, ticket, signal) {
+    const mint = pool.mint.toBase58();
+    this.emit(EVENTS.DEPOSIT_PROVING, { amount, ...poolDisplay(pool) });
     
     // 1. Generate secret & nullifier
     const secret = randomBytes(32);
     const nullifier = randomBytes(32);
     
     // 2. Generate ZK proof
-    const { proof, commitment } = await generateDepositProof(secret, nullifier, amount);
+    const provingStarted = Date.now();
+    const { proof, commitment } = await generateDepositProof(secret, nullifier, amount, this._proofOptions(signal));
+    this.emit(EVENTS.DEPOSIT_PROVED, { amount, durationMs: Date.now() - provingStarted });
     
     // 3. Get current chunk ID
     const status = await this.getContractStatus();
     const chunkId = status.currentChunkId;
     
-    // 4. Send transaction
+    // 4. Send transaction - returns only once the outcome is settled, so
+    // storage never records a deposit that could still fail (or miss one
+    // that could still land)
+    this.emit(EVENTS.DEPOSIT_SUBMITTING, { amount, chunkId, mint });
     try {
-      const txId = await sendDepositTransaction(
+      const { signature: txId, fees } = await sendDepositTransaction(
         this.connection,
-        this.wallet,
+        this.signer,
         this.programId,
-        this.usdcMint,
+        pool.mint,
         proof,
         amount,
-        chunkId
+        chunkId,
+        { fees: this.fees, confirm: this.confirm }
       );
       
-      console.log("✅ Deposit successful!");
-      console.log("   TX:", txId);
-      // PRIVACY: Don't log commitment in production (reduces anonymity set)
-      if (process.env.DEBUG) {
-        console.log("   Commitment:", commitment.substring(0, 40) + "...");
+      this.emit(EVENTS.DEPOSIT_CONFIRMED, { txId, amount, chunkId, commitment, mint, fees });
+      // Funds moved: count towards the caps even if storing fails below
+      await ticket.commit();
+      // PRIVACY: Commitment is redacted unless the logger opts out
+      this.logger.debug("   Deposit commitment", { commitment });
+      
+      // Leaf index from the confirmed TX, so withdraw never searches the tree (H5)
+      // Funds are already deposited: on failure fall back to the search at withdraw
+      let leafIndex = null;
+      try {
+        leafIndex = await this.treeBuilder.fetchDepositLeafIndex(txId, chunkId, commitment);
+        // PRIVACY: Leaf index links this deposit to its tree position
+        this.logger.debug("   Deposit leaf index", { leafIndex });
+      } catch (err) {
+        this.logger.warn(`⚠️  Could not derive leaf index: ${err.message}`);
       }
       
-      // Store deposit for later withdraw (RAM - legacy)
+      // V1 code: USDC pool, no mint
+      const depositCode = encodeDepositCode(secret, nullifier, chunkId, amount);
+      
+      // Store deposit for later withdraw (RAM - legacy). The code lets a
+      // withdrawal of this note mark the stored record too
       this.deposits.push({
         secret,
         nullifier,
         commitment,
         chunkId,
-        leafIndex: null, // TODO: Query from chain events
+        leafIndex,
         amount,
+        mint,
         txId,
+        depositCode,
       });
       
       // Store deposit code on disk (persistent)
-      const depositCode = encodeDepositCode(secret, nullifier, chunkId, amount);
-      await this.storage.addDeposit(depositCode, txId, { commitment, amount });
-      console.log("💾 Deposit code saved to ~/.cipher/deposits.json");
-      // PRIVACY: Don't log deposit code (contains secret)
-      if (process.env.DEBUG) {
-        console.log("   Code:", depositCode);
-      }
+      await this.storage.addDeposit(depositCode, txId, { commitment, amount, mint, leafIndex });
+      this.emit(EVENTS.DEPOSIT_STORED, { txId, storageFile: this.storage.storageFile });
+      // PRIVACY: Deposit code contains the secret (redacted by default)
+      this.logger.debug("   Deposit code", { depositCode });
       
       this.depositCount++;
       return { 
         success: true, 
         txId,
+        mint,
+        fees,
         commitment,
         depositCode, // Return code for user backup
       };
     } catch (err) {
-      console.error("❌ Deposit failed:", err.message);
+      // outcome: failed | expired | dropped - the note never landed
+      this.emit(EVENTS.DEPOSIT_FAILED, { amount, mint, outcome: err.outcome || null, error: err.message });
       throw err;
     }
   }
 
   /**
-   * Withdraw USDC from the mixer with ZK proof
+   * Withdraw tokens from the mixer with ZK proof
+   *
+   *   agent.withdraw(recipient, 1_000_000)            // a 1 USDC note
+   *   agent.withdraw({ recipient, amount: 5_000_000 })
+   *
+   * @param {PublicKey|string|Object} recipient - Recipient, or { recipient, mint, amount, ...options }
+   * @param {number} [amount] - Note amount in base units (default: 1 token)
+   * @param {Object} [options]
+   * @param {PublicKey|string} [options.mint] - Pool (only USDC is served, see tokens.js)
    */
-  async withdraw(recipient, amount = DEPOSIT_AMOUNT) {
-    console.log("🔓 Withdrawing", amount / 1e6, "USDC to", recipient?.toBase58?.() || recipient);
+  async withdraw(recipient, amount, options = {}) {
+    if (recipient && typeof recipient === "object" && recipient.recipient !== undefined) {
+      options = { ...options, ...recipient };
+      ({ recipient, amount } = options);
+    }
+    // Base58 from the CLI, MCP and admin API (the proof and relayer need a PublicKey)
+    if (typeof recipient === "string") {
+      try {
+        recipient = new PublicKey(recipient);
+      } catch {
+        throw new Error(`Invalid recipient address: ${recipient}`);
+      }
+    }
+    const pool = await this.tokens.get(options.mint);
+    const mint = pool.mint.toBase58();
+    amount = amount ?? 10 ** pool.decimals;
+    
+    this.emit(EVENTS.WITHDRAW_STARTED, {
+      amount,
+      recipient: recipient?.toBase58(),
+      ...poolDisplay(pool),
+    });
     
     // 1. Find a deposit to withdraw (try persistent storage first)
-    let deposit = this.deposits.find(d => d.amount === amount && !d.withdrawn);
+    let deposit = this.deposits.find(d => d.amount === amount && d.mint === mint && !d.withdrawn);
     
     // If not in RAM, try loading from disk
     if (!deposit) {
-      console.log("💾 Loading deposit from storage...");
-      const depositRecord = await this.storage.findUnwithdrawnDeposit(amount);
+      this.logger.debug("💾 Loading deposit from storage...");
+      const depositRecord = await this.storage.findUnwithdrawnDeposit(amount, mint);
       
       if (!depositRecord) {
         throw new Error("No matching deposit found. Deposit first!");
@@ -353,61 +892,181 @@ class CipherAgent {
         nullifier: decoded.nullifier,
         chunkId: decoded.chunkId,
         amount: decoded.amount,
+        mint,
         commitment: depositRecord.commitment,
-        leafIndex: null,
+        leafIndex: depositRecord.leafIndex ?? null,
         depositCode: depositRecord.code,
       };
       
-      console.log("✅ Loaded deposit from storage");
+      this.emit(EVENTS.WITHDRAW_NOTE_LOADED, { source: "storage" });
     }
     
-    // 2. Load tree for this chunk
-    await this.loadTree(deposit.chunkId);
-    
-    // 3. Get Merkle path
-    if (deposit.leafIndex === null) {
-      console.log("⚠️  Leaf index not tracked. Trying to find commitment in tree...");
-      
-      // Try to find the commitment in the tree
-      const treeData = this.treeBuilder.trees[deposit.chunkId];
-      if (treeData) {
-        const commitmentBigInt = BigInt(deposit.commitment);
-        const leafIndex = treeData.leaves.findIndex(leaf => leaf === commitmentBigInt);
-        
-        if (leafIndex >= 0) {
-          console.log("✅ Found commitment at index", leafIndex);
-          deposit.leafIndex = leafIndex;
-        } else {
-          throw new Error("Commitment not found in tree. TX may not be confirmed yet.");
-        }
+    return await this._withdrawNote(deposit, recipient, options);
+  }
+
+  /**
+   * Withdraw a specific note from its deposit code
+   *
+   * Works without any local state: the note is rebuilt from the code, the
+   * chunk tree is loaded (cache, peers or chain) and the on-chain nullifier
+   * PDA is checked before spending time on a proof.
+   *
+   * @param {string} depositCode - Deposit code returned by deposit()
+   * @param {PublicKey|string} recipient - Recipient wallet
+   * @param {Object} [options]
+   * @param {string} [options.relayerUrl] - Skip relayer selection and use this relayer
+   * @param {boolean} [options.force=false] - Resubmit even if this agent already queued the note
+   * @param {boolean} [options.dryRun] - Prove and simulate without a relayer (default: config.dryRun)
+   * @param {AbortSignal} [options.signal] - Cancel while proving (nothing is submitted)
+   * @returns {Promise<Object>} Same result as withdraw()
+   */
+  async withdrawWithCode(depositCode, recipient, options = {}) {
+    const recipientPubkey = typeof recipient === "string"
+      ? new PublicKey(recipient)
+      : recipient;
+
+    let decoded;
+    try {
+      decoded = decodeDepositCode(depositCode);
+    } catch (err) {
+      throw new Error(`Invalid deposit code: ${err.message}`);
+    }
+
+    // V1 codes (no mint) are USDC notes
+    const pool = await this.tokens.get(decoded.mint);
+    this.emit(EVENTS.WITHDRAW_STARTED, {
+      amount: decoded.amount,
+      recipient: recipientPubkey.toBase58(),
+      ...poolDisplay(pool),
+    });
+
+    const commitment = (await generateCommitment(decoded.secret, decoded.nullifier, decoded.amount)).toString();
+    const nullifierHash = (await generateNullifierHash(decoded.nullifier)).toString();
+
+    // Fail fast: the contract would reject with DoubleSpending after proving
+    if (await this.isNullifierUsed(nullifierHash)) {
+      throw new Error("Deposit already withdrawn (nullifier is used on-chain)");
+    }
+
+    // Reuse our own note if we made this deposit (keeps the withdrawn flag in sync)
+    let deposit = this.deposits.find(d => d.commitment === commitment);
+    const record = await this.storage.findDepositByCode(depositCode);
+    const pending = (deposit && deposit.withdrawn) || (record && record.withdrawn);
+    if (pending && !options.force) {
+      const queueId = deposit?.relayerQueueId || record?.withdrawTxId;
+      throw new Error(`Deposit already submitted for withdrawal (queue ${queueId}). Pass { force: true } to resubmit`);
+    }
+
+    if (!deposit) {
+      deposit = {
+        secret: decoded.secret,
+        nullifier: decoded.nullifier,
+        chunkId: decoded.chunkId,
+        amount: decoded.amount,
+        mint: pool.mint.toBase58(),
+        commitment,
+        leafIndex: record?.leafIndex ?? null,
+      };
+      this.emit(EVENTS.WITHDRAW_NOTE_LOADED, { source: "code" });
+    }
+    // Storage marking is a no-op when this machine never stored the code
+    deposit.depositCode = depositCode;
+
+    return await this._withdrawNote(deposit, recipientPubkey, options);
+  }
+
+  /**
+   * Check whether a nullifier has been spent on-chain
+   *
+   * @param {string|bigint} nullifierHash - Nullifier hash
+   * @returns {Promise<boolean>} True if the UsedNullifier account exists
+   */
+  async isNullifierUsed(nullifierHash) {
+    const pda = deriveNullifierPda(this.programId, nullifierHash);
+    const info = await this.connection.getAccountInfo(pda);
+    return info !== null;
+  }
+
+  /**
+   * Check the spending policy, then prove and submit a note
+   * @private
+   */
+  async _withdrawNote(deposit, recipient, options = {}) {
+    // Notes from before multi-token pools are USDC notes
+    const pool = await this.tokens.get(deposit.mint);
+    const ticket = await this._authorize({
+      type: "withdraw",
+      amount: deposit.amount,
+      recipient: recipient.toBase58(),
+      ...poolAction(pool),
+    });
+    try {
+      if (options.dryRun ?? this.dryRun) {
+        return await this._simulateWithdrawal(pool, deposit, recipient, options.signal);
       }
+      // Before proving and before DepositStorage is marked: a rejection changes nothing
+      await this._approve({ action: "withdraw", amount: deposit.amount, recipient: recipient.toBase58(), ...poolDisplay(pool) });
+      return await this._submitWithdrawal(pool, deposit, recipient, options, ticket);
+    } finally {
+      ticket.release();
     }
+  }
+
+  /**
+   * Prove a note and simulate the relayer's withdraw transaction locally
+   *
+   * The agent's wallet stands in for the relayer as fee payer. No relayer
+   * is contacted and the note is not marked in DepositStorage.
+   * @private
+   */
+  async _simulateWithdrawal(pool, deposit, recipient, signal) {
+    const { proof, nullifierHash } = await this._proveWithdrawal(deposit, recipient, signal);
     
-    const path = this.treeBuilder.getMerklePath(deposit.chunkId, deposit.leafIndex);
-    
-    // 4. Generate ZK proof
-    const { proof, nullifierHash } = await generateWithdrawProof(
-      deposit.secret,
-      deposit.nullifier,
-      recipient.toBase58(),
-      amount,
-      path.pathElements,
-      path.pathIndices,
-      path.root,
-      0 // No relayer fee
+    const simulation = await sendWithdrawTransaction(
+      this.connection,
+      this.signer,
+      this.programId,
+      pool.mint,
+      proof,
+      recipient,
+      deposit.chunkId,
+      nullifierHash,
+      { dryRun: true, fees: this.fees }
     );
+    this.emit(EVENTS.WITHDRAW_SIMULATED, {
+      amount: deposit.amount,
+      recipient: recipient.toBase58(),
+      success: simulation.success,
+      unitsConsumed: simulation.unitsConsumed,
+      error: simulation.error,
+    });
     
-    console.log("✅ Withdraw proof generated!");
-    // PRIVACY: Don't log nullifier hash (enables correlation)
-    if (process.env.DEBUG) {
-      console.log("   Nullifier hash:", nullifierHash.substring(0, 20) + "...");
-    }
+    return {
+      success: simulation.success,
+      dryRun: true,
+      nullifierHash,
+      logs: simulation.logs,
+      unitsConsumed: simulation.unitsConsumed,
+      error: simulation.error,
+      fees: simulation.fees,
+    };
+  }
+
+  /**
+   * Prove a note and submit it to a relayer
+   * @private
+   */
+  async _submitWithdrawal(pool, deposit, recipient, options, ticket) {
+    const amount = deposit.amount;
+    const { proof, nullifierHash } = await this._proveWithdrawal(deposit, recipient, options.signal);
     
     // 5. Submit to relayer (MANDATORY!)
+    let relayerUrl = null;
+    let rolledBack = true;
     try {
-      const relayerUrl = await this.selectRelayer();
+      relayerUrl = options.relayerUrl || await this.selectRelayer();
       
-      console.log(`\n📤 Submitting withdraw to relayer: ${relayerUrl}`);
+      this.emit(EVENTS.WITHDRAW_SUBMITTING, { relayerUrl });
       
       // SECURITY FIX: Mark as withdrawn BEFORE submitting to prevent double-spend
       // If agent crashes after submit but before mark, deposit could be reused
@@ -417,14 +1076,14 @@ class CipherAgent {
       // Mark in persistent storage FIRST (atomic operation)
       if (deposit.depositCode) {
         await this.storage.markAsWithdrawn(deposit.depositCode, 'PENDING');
-        console.log("💾 Deposit pre-marked as pending withdrawal (double-spend protection)");
+        this.logger.debug("💾 Deposit pre-marked as pending withdrawal (double-spend protection)");
       }
       
+      // SECURITY: Use AbortController for timeout (prevents hanging)
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
+      
       try {
-        // SECURITY: Use AbortController for timeout (prevents hanging)
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30s timeout
-        
         const response = await fetch(`${relayerUrl}/relayer/submit`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
@@ -433,6 +1092,8 @@ class CipherAgent {
             recipient: recipient.toBase58(),
             amount,
             chunkId: deposit.chunkId,
+            ...poolAction(pool),
+            network: this.network.networkId,
           }),
           signal: controller.signal,
         });
@@ -445,12 +1106,17 @@ class CipherAgent {
         }
 
         const result = await response.json();
-        console.log("✅ Withdraw queued by relayer!");
-        console.log("   Queue ID:", result.queueId);
-        console.log("   Estimated execution:", new Date(result.estimatedExecutionTime).toISOString());
+        this.emit(EVENTS.WITHDRAW_QUEUED, {
+          queueId: result.queueId,
+          relayerUrl,
+          estimatedExecutionTime: result.estimatedExecutionTime,
+        });
+        
+        await ticket.commit();
         
         // Update with actual queue ID
         deposit.relayerQueueId = result.queueId;
+        this.withdrawals.set(result.queueId, { relayerUrl, nullifierHash });
         
         // Update persistent storage with queue ID
         if (deposit.depositCode) {
@@ -468,10 +1134,12 @@ class CipherAgent {
         clearTimeout(timeoutId);
         
         // SECURITY FIX: Rollback withdrawn state on error (prevent stuck deposits)
+        // Not accepted (or unknown after a timeout): the note is withdrawable
+        // again - a duplicate that did reach a relayer fails on chain as a
+        // double spend, never pays twice
         deposit.withdrawn = originalWithdrawnState;
         if (deposit.depositCode) {
-          // TODO: Implement rollback in storage (for now just log)
-          console.warn("⚠️  Relayer submit failed - deposit may need manual rollback");
+          rolledBack = await this.storage.unmarkWithdrawn(deposit.depositCode, 'PENDING').catch(() => false);
         }
         
         if (fetchErr.name === 'AbortError') {
@@ -480,11 +1148,135 @@ class CipherAgent {
         throw fetchErr;
       }
     } catch (err) {
-      console.error("❌ Relayer submission failed:", err.message);
+      this.emit(EVENTS.WITHDRAW_FAILED, {
+        relayerUrl,
+        error: err.message,
+        rolledBack,
+      });
+      throw err;
+    }
+  }
+
+
+  /**
+   * Load the note's Merkle path and generate the withdraw proof
+   * @private
+   */
+  async _proveWithdrawal(deposit, recipient, signal) {
+    const amount = deposit.amount;
+    
+    // 2. Load tree for this chunk
+    await this.loadTree(deposit.chunkId);
+    
+    // 3. Get Merkle path
+    const treeData = this.treeBuilder.trees[deposit.chunkId];
+    if (!treeData) {
+      throw new Error(`Tree for chunk ${deposit.chunkId} not loaded`);
+    }
+    const commitmentBigInt = BigInt(deposit.commitment);
+    
+    if (deposit.leafIndex === null || deposit.leafIndex === undefined) {
+      // Legacy notes / foreign codes: no recorded index
+      // SECURITY: Timing of this search leaks the leaf position (H5)
+      this.logger.warn("⚠️  Leaf index not tracked. Trying to find commitment in tree...");
+      const leafIndex = treeData.leaves.findIndex(leaf => leaf === commitmentBigInt);
+      
+      if (leafIndex >= 0) {
+        this.emit(EVENTS.WITHDRAW_LEAF_FOUND, { chunkId: deposit.chunkId, leafIndex });
+        deposit.leafIndex = leafIndex;
+      } else {
+        throw new Error("Commitment not found in tree. TX may not be confirmed yet.");
+      }
+    } else if (deposit.leafIndex >= treeData.leaves.length) {
+      throw new Error(
+        `Leaf ${deposit.leafIndex} not in local tree of chunk ${deposit.chunkId} ` +
+        `(${treeData.leaves.length} leaves) - tree is stale`
+      );
+    } else if (treeData.leaves[deposit.leafIndex] !== commitmentBigInt) {
+      throw new Error(
+        `Commitment mismatch at leaf ${deposit.leafIndex} of chunk ${deposit.chunkId} - ` +
+        "local tree disagrees with the recorded deposit"
+      );
+    }
+    
+    const path = this.treeBuilder.getMerklePath(deposit.chunkId, deposit.leafIndex);
+    
+    // 4. Generate ZK proof
+    this.emit(EVENTS.WITHDRAW_PROVING, { amount, recipient: recipient.toBase58() });
+    const provingStarted = Date.now();
+    const { proof, nullifierHash } = await generateWithdrawProof(
+      deposit.secret,
+      deposit.nullifier,
+      recipient.toBase58(),
+      amount,
+      path.pathElements,
+      path.pathIndices,
+      path.root,
+      0, // No relayer fee
+      this._proofOptions(signal)
+    );
+    
+    this.emit(EVENTS.WITHDRAW_PROVED, {
+      amount,
+      recipient: recipient.toBase58(),
+      nullifierHash,
+      durationMs: Date.now() - provingStarted,
+    });
+    // PRIVACY: Nullifier hash enables correlation (redacted by default)
+    this.logger.debug("   Nullifier hash", { nullifierHash });
+    
+    return { proof, nullifierHash };
+  }
+
+  /**
+   * Options for generateDepositProof / generateWithdrawProof
+   * @private
+   */
+  _proofOptions(signal) {
+    return { logger: this.logger, prover: this.prover, circuits: this.circuits, signal };
+  }
+
+  /**
+   * Check an action against the spending policy
+   *
+   * @param {Object} action - { type, amount, recipient?, notesInFlight? }
+   * @returns {Promise<Object>} Ticket: commit() once funds move, release() otherwise
+   * @throws {PolicyViolation}
+   * @private
+   */
+  async _authorize(action) {
+    try {
+      return await this.policy.authorize(action);
+    } catch (err) {
+      if (err instanceof PolicyViolation) {
+        this.emit(EVENTS.POLICY_VIOLATION, { action: action.type, rule: err.rule, error: err.message });
+      }
       throw err;
     }
   }
 
+  /**
+   * Wait for the approval provider (no-op without one)
+   *
+   * @param {Object} action - { action, amount, symbol, decimals, mint?, recipient? }
+   * @throws {ApprovalRejected}
+   * @private
+   */
+  async _approve(action) {
+    if (!this.approval) return;
+
+    const request = { id: randomBytes(8).toString("hex"), ...action, requestedAt: Date.now() };
+    this.emit(EVENTS.APPROVAL_REQUESTED, request);
+    const { approved, reason } = await awaitApproval(this.approval, request, {
+      timeout: this.approvalTimeout,
+    });
+    if (!approved) {
+      this.emit(EVENTS.APPROVAL_REJECTED, { id: request.id, action: request.action, reason });
+      throw new ApprovalRejected(request, reason);
+    }
+    this.emit(EVENTS.APPROVAL_GRANTED, { id: request.id, action: request.action });
+  }
+
   /**
    * Execute a withdrawal (called by relayer after delay)
    * 
@@ -495,10 +1287,16 @@ class CipherAgent {
    * @param {number} amount - Amount to withdraw
    * @param {Object} proof - ZK proof object
    * @param {number} chunkId - Merkle tree chunk ID
-   * @returns {Promise<Object>} Transaction result
+   * @param {PublicKey|string} [mint] - Pool mint (default: USDC)
+   * @returns {Promise<Object>} { txId, success, fees } (fees: see sendWithFees)
    */
-  async executeWithdraw(recipient, amount, proof, chunkId) {
-    console.log("🔓 Executing withdraw via relayer...");
+  async executeWithdraw(recipient, amount, proof, chunkId, mint) {
+    this.emit(EVENTS.WITHDRAW_EXECUTING, {
+      recipient: recipient?.toBase58?.() || recipient,
+      amount,
+      chunkId,
+    });
+    const pool = await this.tokens.get(mint);
     
     // Convert recipient to PublicKey if string
     const recipientPubkey = typeof recipient === 'string' 
@@ -506,24 +1304,126 @@ class CipherAgent {
       : recipient;
     
     // Extract nullifier hash from proof public signals
-    const nullifierHash = proof.publicSignals[0];
+    // Layout: [valid, root, amount, nullifierHash, recipient bytes x32, fee]
+    const nullifierHash = proof.publicSignals[3];
     
     // Execute the actual withdraw transaction
-    const txId = await sendWithdrawTransaction(
+    const { signature: txId, fees } = await sendWithdrawTransaction(
       this.connection,
-      this.wallet,
+      this.signer,
       this.programId,
-      this.usdcMint,
+      pool.mint,
       proof,
       recipientPubkey,
       chunkId,
-      nullifierHash
+      nullifierHash,
+      { fees: this.fees, confirm: this.confirm }
     );
     
     this.withdrawCount++;
-    console.log("✅ Withdraw executed! TX:", txId);
+    this.emit(EVENTS.WITHDRAW_EXECUTED, {
+      txId,
+      recipient: recipientPubkey.toBase58(),
+      amount,
+      chunkId,
+      fees,
+    });
     
-    return { txId, success: true };
+    return { txId, success: true, fees };
+  }
+
+  /**
+   * Fetch the relayer's state for a submitted withdrawal
+   *
+   * @param {string} queueId - Queue ID returned by withdraw()
+   * @param {Object} [options]
+   * @param {string} [options.relayerUrl] - Relayer (default: the one withdraw() used)
+   * @returns {Promise<Object|null>} { queueId, status, attempts, executeAt, txId?, error? } or null if unknown
+   */
+  async getWithdrawalStatus(queueId, options = {}) {
+    const relayerUrl = options.relayerUrl || this.withdrawals.get(queueId)?.relayerUrl;
+    if (!relayerUrl) {
+      throw new Error(`Unknown withdrawal ${queueId} - pass relayerUrl`);
+    }
+    
+    // SECURITY: Use AbortController for timeout (prevents hanging)
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+    try {
+      const response = await fetch(`${relayerUrl}/relayer/status/${queueId}`, {
+        signal: controller.signal,
+      });
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Relayer status failed: HTTP ${response.status}`);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Wait until a withdrawal has landed on-chain
+   *
+   * Polls the relayer and cross-checks the nullifier PDA, so a relayer
+   * claiming success (or one that restarted and forgot the item) cannot
+   * fool the caller: funds only count as landed once the nullifier is
+   * spent on-chain. Without a known nullifier hash the relayer is trusted
+   * and `verifiedOnChain` is false.
+   *
+   * @param {string} queueId - Queue ID returned by withdraw()
+   * @param {Object} [options]
+   * @param {number} [options.timeout=600000] - Give up after this many ms
+   * @param {number} [options.interval=5000] - Poll interval in ms
+   * @param {string} [options.relayerUrl] - Relayer (default: the one withdraw() used)
+   * @param {string} [options.nullifierHash] - Nullifier hash (default: from withdraw())
+   * @returns {Promise<Object>} { queueId, status: 'executed', txId, verifiedOnChain }
+   */
+  async waitForWithdrawal(queueId, options = {}) {
+    const { timeout = 600000, interval = 5000 } = options;
+    const tracked = this.withdrawals.get(queueId) || {};
+    const relayerUrl = options.relayerUrl || tracked.relayerUrl;
+    const nullifierHash = options.nullifierHash || tracked.nullifierHash;
+    if (!relayerUrl && !nullifierHash) {
+      throw new Error(`Unknown withdrawal ${queueId} - pass relayerUrl or nullifierHash`);
+    }
+    const deadline = Date.now() + timeout;
+    
+    let last = null;
+    while (true) {
+      let status = null;
+      if (relayerUrl) {
+        try {
+          status = await this.getWithdrawalStatus(queueId, { relayerUrl });
+          last = status ? status.status : "unknown";
+        } catch (err) {
+          last = `unreachable (${err.message})`;
+        }
+      }
+      
+      if (status && status.status === "failed") {
+        throw new Error(`Withdrawal failed: ${status.error}`);
+      }
+      
+      const executed = status && status.status === "executed";
+      if (nullifierHash && (executed || !status) && await this.isNullifierUsed(nullifierHash)) {
+        const result = { queueId, status: "executed", txId: status?.txId || null, verifiedOnChain: true };
+        this.emit(EVENTS.WITHDRAW_CONFIRMED, { queueId, txId: result.txId, verifiedOnChain: true });
+        return result;
+      }
+      if (executed && !nullifierHash) {
+        this.emit(EVENTS.WITHDRAW_CONFIRMED, { queueId, txId: status.txId, verifiedOnChain: false });
+        return { queueId, status: "executed", txId: status.txId, verifiedOnChain: false };
+      }
+      
+      if (Date.now() + interval > deadline) {
+        throw new Error(`Timed out waiting for withdrawal ${queueId} (last status: ${last})`);
+      }
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
   }
 
   /**
@@ -535,8 +1435,7 @@ class CipherAgent {
     
     if (peers.length === 0) {
       // No peers - use self-relay
-      console.log("   No peer relayers available, using self-relay");
-      return `http://localhost:${this.p2p.port}`;
+      return this._selectSelfRelay("No peer relayers available");
     }
 
     // Filter peers that have relayer service (check /relayer/status)
@@ -556,6 +1455,17 @@ class CipherAgent {
         
         if (response.ok) {
           const status = await response.json();
+          
+          // SECURITY: Never hand a proof to a relayer on another network
+          if (status.network && status.network !== this.network.networkId) {
+            this.emit(EVENTS.RELAYER_UNREACHABLE, {
+              host: peer.host,
+              port: peer.port,
+              error: `wrong network (${status.network})`,
+            });
+            continue;
+          }
+          
           relayerPeers.push({
             url: `http://${peer.host}:${peer.port}`,
             queueLength: status.queueLength,
@@ -563,48 +1473,83 @@ class CipherAgent {
         }
       } catch (err) {
         // Peer doesn't have relayer or unreachable (includes timeout)
-        if (process.env.DEBUG && err.name !== 'AbortError') {
-          console.debug(`Relayer status check failed for ${peer.host}:${peer.port}:`, err.message);
-        }
+        this.emit(EVENTS.RELAYER_UNREACHABLE, {
+          host: peer.host,
+          port: peer.port,
+          error: err.name === 'AbortError' ? 'timeout' : err.message,
+        });
       }
     }
 
     if (relayerPeers.length === 0) {
       // No peer relayers available - use self
-      console.log("   No peer relayers responding, using self-relay");
-      return `http://localhost:${this.p2p.port}`;
+      return this._selectSelfRelay("No peer relayers responding");
     }
 
     // Select relayer with shortest queue
     relayerPeers.sort((a, b) => a.queueLength - b.queueLength);
     const selected = relayerPeers[0];
     
-    console.log(`   Selected relayer: ${selected.url} (queue: ${selected.queueLength})`);
+    this.emit(EVENTS.RELAYER_SELECTED, {
+      url: selected.url,
+      self: false,
+      queueLength: selected.queueLength,
+      reason: "Shortest queue",
+    });
     return selected.url;
   }
 
+  /**
+   * Fall back to our own relayer endpoint
+   * @private
+   */
+  _selectSelfRelay(reason) {
+    const url = `http://localhost:${this.p2p.port}`;
+    this.emit(EVENTS.RELAYER_SELECTED, {
+      url,
+      self: true,
+      queueLength: this.relayer.queue.length,
+      reason,
+    });
+    return url;
+  }
+
   /**
    * Start auto-mixing loop with random delays and fresh wallets
+   *
+   * The plan is persisted (see lib/mixer.js): after stop() or a restart,
+   * start() resumes it - pending withdrawals keep their target times.
+   * Options that are passed override the persisted config for future
+   * steps; `reset: true` discards the plan.
    */
   async start(options = {}) {
+    if (this.isRunning) {
+      this.logger.warn("⚠️  Agent already running");
+      return;
+    }
+    
     const {
-      depositInterval = [5, 15], // [min, max] in minutes
-      withdrawInterval = [10, 30], // [min, max] in minutes
-      amount = DEPOSIT_AMOUNT,
       mode = 'continuous', // 'continuous' or 'batch'
-      generateNewWallets = true,
-      minBalance = 2 * DEPOSIT_AMOUNT, // Stop if balance too low
       maxRunTime = null, // Optional max runtime in ms
+      reset = false, // Discard the persisted plan
+      ...mixerOptions // depositInterval, withdrawInterval, amount, generateNewWallets, minBalance
     } = options;
+    
+    if (reset) {
+      this.mixer.reset();
+    }
+    const config = this.mixer.resolveConfig(mixerOptions);
 
-    console.log("\n🤖 Cipher Agent Starting...");
-    console.log("Wallet:", this.wallet.publicKey.toBase58());
-    console.log("Network:", this.rpcUrl);
-    console.log("Mode:", mode);
-    console.log("Deposit interval:", depositInterval, "minutes");
-    console.log("Withdraw interval:", withdrawInterval, "minutes");
-    console.log("Generate new wallets:", generateNewWallets);
-    console.log("");
+    this.emit(EVENTS.AGENT_STARTED, {
+      publicKey: this.wallet.publicKey.toBase58(),
+      network: this.network.name,
+      rpcUrl: this.rpcUrl,
+      rpcUrls: this.connection.endpoints ? this.connection.endpoints.map(e => e.url) : [this.rpcUrl],
+      mode,
+      depositInterval: config.depositInterval,
+      withdrawInterval: config.withdrawInterval,
+      generateNewWallets: config.generateNewWallets,
+    });
 
     // Start P2P server
     await this.startP2P();
@@ -616,125 +1561,123 @@ class CipherAgent {
     }
 
     this.isRunning = true;
-    const startTime = Date.now();
-
-    // Track pending deposits (for withdraw coordination)
-    const pendingDeposits = [];
-
-    // Helper: Random delay in range (cryptographically secure)
-    const randomDelay = (minMin, maxMin) => {
-      const min = minMin * 60 * 1000;
-      const max = maxMin * 60 * 1000;
-      const crypto = require('crypto');
-      return crypto.randomInt(min, max + 1);
-    };
-
-    // Helper: Check if we should stop
-    const shouldStop = () => {
-      if (!this.isRunning) return true;
-      if (maxRunTime && (Date.now() - startTime) >= maxRunTime) {
-        console.log("⏱️  Max runtime reached, stopping...");
-        return true;
-      }
-      return false;
-    };
-
-    // Mixing loop
-    const mixingLoop = async () => {
-      while (!shouldStop()) {
-        try {
-          // 1. Check balance
-          const balance = await this.getBalance();
-          console.log(`💰 Balance: ${balance / 1e6} USDC`);
-
-          if (balance < minBalance) {
-            console.log("⚠️  Insufficient balance, waiting 1 minute...");
-            await new Promise(resolve => setTimeout(resolve, 60000));
-            continue;
-          }
 
-          // 2. Deposit
-          console.log(`\n💸 Depositing ${amount / 1e6} USDC...`);
-          const depositResult = await this.deposit(amount);
-          console.log(`✅ Deposit successful! TX: ${depositResult.txId}`);
-          console.log(`   Total deposits: ${this.depositCount}`);
+    // Start mixing loop (resumes the persisted plan)
+    this.mixingLoop = this.mixer.run({ ...mixerOptions, maxRunTime }).catch(err => {
+      this.emit(EVENTS.MIXER_ERROR, { error: err.message, fatal: true });
+      this.shutdown().catch(() => {});
+    });
 
-          // Track this deposit
-          pendingDeposits.push({
-            commitment: depositResult.commitment,
-            timestamp: Date.now(),
-          });
+    this.emit(EVENTS.AGENT_RUNNING, {});
 
-          // 3. Random delay between deposit and withdraw
-          const withdrawDelay = randomDelay(withdrawInterval[0], withdrawInterval[1]);
-          console.log(`⏳ Waiting ${Math.floor(withdrawDelay / 60000)} minutes before withdraw...`);
-          await new Promise(resolve => setTimeout(resolve, withdrawDelay));
-
-          // 4. Reload tree (might have new deposits)
-          console.log(`\n🔄 Reloading tree...`);
-          const currentStatus = await this.getContractStatus();
-          await this.loadTree(currentStatus.currentChunkId);
-
-          // 5. Generate fresh recipient wallet
-          const recipient = generateNewWallets 
-            ? Keypair.generate().publicKey
-            : this.wallet.publicKey;
-
-          console.log(`\n💸 Withdrawing ${amount / 1e6} USDC to ${recipient.toBase58().substring(0, 8)}...`);
-
-          // 6. Withdraw via relayer (uses oldest pending deposit)
-          const withdrawResult = await this.withdraw(recipient, amount);
-          console.log(`✅ Withdraw queued! Queue ID: ${withdrawResult.queueId}`);
-          console.log(`   Relayer: ${withdrawResult.relayerUrl}`);
-          console.log(`   Estimated execution: ${new Date(withdrawResult.estimatedExecutionTime).toISOString()}`);
-          console.log(`   Total withdraws: ${this.withdrawCount}`);
-
-          // Remove from pending
-          if (pendingDeposits.length > 0) {
-            pendingDeposits.shift();
+    // Ctrl+C: drain/persist the relayer queue before exiting
+    if (!this.sigintHandler) {
+      this.sigintHandler = () => {
+        this.logger.info("\n🛑 Stopping agent... (Ctrl+C again to force)");
+        process.removeListener("SIGINT", this.sigintHandler);
+        this.shutdown().then(
+          () => process.exit(0),
+          (err) => {
+            this.logger.error("❌ Shutdown failed", { error: err.message });
+            process.exit(1);
           }
+        );
+      };
+      process.on("SIGINT", this.sigintHandler);
+    }
+  }
 
-          // 7. Random delay before next cycle
-          const nextCycleDelay = randomDelay(depositInterval[0], depositInterval[1]);
-          console.log(`\n⏳ Waiting ${Math.floor(nextCycleDelay / 60000)} minutes before next cycle...`);
-          await new Promise(resolve => setTimeout(resolve, nextCycleDelay));
-
-        } catch (err) {
-          console.error(`\n❌ Mixing error: ${err.message}`);
-          console.log("   Retrying in 1 minute...");
-          await new Promise(resolve => setTimeout(resolve, 60000));
-        }
-      }
-
-      console.log("\n🛑 Mixing loop stopped");
-    };
-
-    // Start mixing loop
-    mixingLoop().catch(err => {
-      console.error("\n💥 Fatal error in mixing loop:", err);
-      this.stop();
-    });
-
-    console.log("✅ Agent running in background...");
-    console.log("   Press Ctrl+C to stop\n");
+  /**
+   * Hold the mixing loop before its next step (P2P + relayer keep running)
+   *
+   * An in-progress deposit or withdrawal finishes first. Not persisted:
+   * a restarted agent mixes again.
+   *
+   * @returns {boolean} False if already paused
+   */
+  pauseMixing() {
+    return this.mixer.pause();
+  }
 
-    // Keep process alive
-    process.on("SIGINT", () => {
-      console.log("\n🛑 Stopping agent...");
-      this.stop();
-      process.exit(0);
-    });
+  /**
+   * Continue a paused mixing loop (steps that fell due run right away)
+   *
+   * @returns {boolean} False if not paused
+   */
+  resumeMixing() {
+    return this.mixer.resume();
   }
 
   /**
    * Stop auto-mixing
+   *
+   * Same as shutdown() without waiting for due withdrawals - queued
+   * items are persisted instead of dropped. The mixing plan is paused,
+   * not reset: start() resumes it.
+   *
+   * @returns {Promise<Object>} See shutdown()
    */
   stop() {
+    return this.shutdown({ drainTimeout: 0 });
+  }
+
+  /**
+   * Shut the agent down so the process can exit cleanly
+   *
+   * 1. Pause the mixing loop (an in-progress deposit/withdraw finishes first,
+   *    so no deposit code is ever lost; the plan stays on disk)
+   * 2. Stop accepting relayer submissions, execute items due within
+   *    drainTimeout and persist the rest (resumed by the next startP2P())
+   * 3. Clear tree polling, P2P and DHT timers, save peers + tree caches and
+   *    close all sockets (including the admin API)
+   *
+   * Safe to call more than once - later calls return the same promise.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.drainTimeout=30000] - Max ms to wait for due relayer items
+   * @returns {Promise<Object>} { executed, persisted } relayer queue items
+   */
+  shutdown(options = {}) {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this._shutdown(options).finally(() => {
+        this.shutdownPromise = null;
+      });
+    }
+    return this.shutdownPromise;
+  }
+
+  /**
+   * @private
+   */
+  async _shutdown({ drainTimeout = 30000 } = {}) {
     this.isRunning = false;
-    this.stopP2P();
-    console.log("\n📊 Final Stats:");
-    console.log("Total Deposits:", this.depositCount);
-    console.log("Total Withdraws:", this.withdrawCount);
+    this.mixer.wake();
+    if (this.sigintHandler) {
+      process.removeListener("SIGINT", this.sigintHandler);
+      this.sigintHandler = null;
+    }
+    
+    this.stopTreeUpdates();
+    if (this.mixingLoop) {
+      await this.mixingLoop;
+      this.mixingLoop = null;
+    }
+    
+    const queue = await this.relayer.shutdown({ drainTimeout });
+    await this.stopP2P();
+    if (this.admin) {
+      await this.admin.stop();
+    }
+    if (this.prover) {
+      await this.prover.close();
+    }
+    
+    this.emit(EVENTS.AGENT_STOPPED, {
+      depositCount: this.depositCount,
+      withdrawCount: this.withdrawCount,
+      ...queue,
+    });
+    return queue;
   }
 
   /**
@@ -753,9 +1696,7 @@ class CipherAgent {
       
       // Warn if file is readable by group or others
       if (mode & 0o077) {
-        console.warn(`⚠️  WARNING: Keypair file has insecure permissions (${mode.toString(8)})`);
-        console.warn(`   Others can read your private key!`);
-        console.warn(`   Run: chmod 600 ${filepath}`);
+        this.emit(EVENTS.WALLET_INSECURE, { path: filepath, mode });
         // Don't throw - just warn. User might be on Windows or intentionally testing
       }
     } catch (err) {
@@ -811,3 +1752,29 @@ class CipherAgent {
 }
 
 module.exports = CipherAgent;
+module.exports.EVENTS = EVENTS;
+module.exports.DEPOSIT_AMOUNT = DEPOSIT_AMOUNT;
+module.exports.NETWORKS = NETWORKS;
+module.exports.attachConsoleReporter = attachConsoleReporter;
+module.exports.createLogger = createLogger;
+module.exports.PolicyEngine = PolicyEngine;
+module.exports.PolicyViolation = PolicyViolation;
+module.exports.FeePlanner = FeePlanner;
+module.exports.ConnectionPool = ConnectionPool;
+module.exports.AgentMetrics = AgentMetrics;
+module.exports.McpServer = McpServer;
+module.exports.AdminServer = AdminServer;
+module.exports.ProverPool = ProverPool;
+module.exports.CircuitRegistry = CircuitRegistry;
+module.exports.CircuitArtifactError = CircuitArtifactError;
+module.exports.TransactionNotConfirmed = TransactionNotConfirmed;
+module.exports.ApprovalRejected = ApprovalRejected;
+module.exports.CliApprover = CliApprover;
+module.exports.HttpApprover = HttpApprover;
+module.exports.AutoApprover = AutoApprover;
+module.exports.KeypairSigner = KeypairSigner;
+module.exports.KeystoreSigner = KeystoreSigner;
+module.exports.RemoteSigner = RemoteSigner;
+module.exports.serveRemoteSigner = serveRemoteSigner;
+module.exports.EmulatedConnection = require("./emulator").EmulatedConnection;
+module.exports.StandInWithdrawProver = require("./emulator").StandInWithdrawProver;
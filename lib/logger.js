@@ -0,0 +1,225 @@
+/**
+ * Structured Logger for Cipher Agents
+ *
+ * Every module logs through a logger passed in via CipherAgent config
+ * (or its own options). Supports levels, pretty or JSON output, and
+ * redacts secrets by default:
+ * - secrets, nullifiers, nullifier hashes, commitments, leaf indexes (SECURITY M1)
+ * - deposit codes (contain the secret!)
+ * - peer IP addresses (SECURITY M4)
+ *
+ * Any object with debug/info/warn/error methods (e.g. pino, winston)
+ * can be plugged in as `sink`; redaction still happens before it.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const REDACTED = "[redacted]";
+
+// Field names whose values are never logged
+const DEFAULT_REDACT_KEYS = [
+  "secret",
+  "nullifier",
+  "nullifierHash",
+  "commitment",
+  "leafIndex",
+  "depositCode",
+  "code",
+  "secretKey",
+  "privateKey",
+  "keypair",
+  "host",
+  "ip",
+  "publicIP",
+  "remoteAddress",
+];
+
+// Patterns scrubbed from every string (messages and field values)
+const IPV4_PATTERN = /\b(?!127\.0\.0\.1\b)(?:\d{1,3}\.){3}\d{1,3}\b/g;
+const FIELD_ELEMENT_PATTERN = /\b\d{40,}\b/g; // Poseidon hashes as decimal strings
+const DEPOSIT_CODE_PATTERN = /\b[1-9A-HJ-NP-Za-km-z]{95,}\b/g; // Base58 deposit codes (~105 chars)
+
+const MAX_DEPTH = 5;
+
+/**
+ * Scrub sensitive patterns from a string
+ */
+function redactString(str) {
+  return str
+    .replace(DEPOSIT_CODE_PATTERN, REDACTED)
+    .replace(FIELD_ELEMENT_PATTERN, REDACTED)
+    .replace(IPV4_PATTERN, "[ip]");
+}
+
+/**
+ * Recursively redact a log field value
+ *
+ * @param {*} value - Value to redact
+ * @param {Set<string>} keys - Field names to redact entirely
+ * @param {number} depth - Current recursion depth
+ * @returns {*} Redacted copy
+ */
+function redactValue(value, keys, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value === "bigint") return redactString(value.toString());
+  if (typeof value !== "object") return value;
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return REDACTED;
+  if (depth >= MAX_DEPTH) return "[truncated]";
+
+  if (value instanceof Error) {
+    return { message: redactString(value.message), name: value.name };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(v => redactValue(v, keys, depth + 1));
+  }
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = keys.has(k) ? REDACTED : redactValue(v, keys, depth + 1);
+  }
+  return out;
+}
+
+/**
+ * Convert a value to something JSON.stringify can handle
+ */
+function toSerializable(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof Error) return { message: value.message, name: value.name };
+  if (Buffer.isBuffer(value)) return value.toString("hex");
+  return value;
+}
+
+class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.level] - debug | info | warn | error | silent
+   *   (default: CIPHER_LOG_LEVEL, or 'debug' when DEBUG is set, else 'info')
+   * @param {string} [options.format] - 'pretty' (console) or 'json' (one line per record)
+   * @param {boolean} [options.redact] - Redact secrets/IPs (default: true)
+   * @param {Array<string>} [options.redactKeys] - Extra field names to redact
+   * @param {Object} [options.stream] - Writable for JSON output (default: process.stdout)
+   * @param {Object} [options.sink] - External logger to forward records to
+   * @param {Object} [options.bindings] - Fields added to every record
+   */
+  constructor(options = {}) {
+    const defaultLevel = process.env.CIPHER_LOG_LEVEL || (process.env.DEBUG ? "debug" : "info");
+    this.level = options.level || defaultLevel;
+    if (!(this.level in LEVELS)) {
+      throw new Error(`Invalid log level: ${this.level}`);
+    }
+
+    this.format = options.format || "pretty";
+    this.redact = options.redact !== false;
+    this.redactKeys = new Set([...DEFAULT_REDACT_KEYS, ...(options.redactKeys || [])]);
+    this.stream = options.stream || process.stdout;
+    this.sink = options.sink || null;
+    this.bindings = options.bindings || {};
+  }
+
+  /**
+   * Create a logger that adds fields to every record (e.g. { module: 'p2p' })
+   */
+  child(bindings) {
+    const child = Object.create(Logger.prototype);
+    Object.assign(child, this, { bindings: { ...this.bindings, ...bindings } });
+    return child;
+  }
+
+  /**
+   * Check whether a level would be written
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(msg, fields) { this.log("debug", msg, fields); }
+  info(msg, fields) { this.log("info", msg, fields); }
+  warn(msg, fields) { this.log("warn", msg, fields); }
+  error(msg, fields) { this.log("error", msg, fields); }
+
+  /**
+   * Write a log record
+   *
+   * @param {string} level - Log level
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Structured fields
+   */
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    let message = String(msg);
+    let data = { ...this.bindings, ...fields };
+
+    if (this.redact) {
+      message = redactString(message);
+      data = redactValue(data, this.redactKeys);
+    }
+
+    if (this.sink) {
+      const method = typeof this.sink[level] === "function" ? level : "info";
+      this.sink[method](message, data);
+      return;
+    }
+
+    if (this.format === "json") {
+      const record = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...data,
+      };
+      this.stream.write(JSON.stringify(record, (k, v) => toSerializable(v)) + "\n");
+      return;
+    }
+
+    // Pretty: message as-is, extra fields (minus bindings) appended
+    const extra = { ...data };
+    for (const key of Object.keys(this.bindings)) delete extra[key];
+    const method = level === "debug" ? "debug" : level === "info" ? "log" : level;
+    if (Object.keys(extra).length > 0) {
+      console[method](message, JSON.stringify(extra, (k, v) => toSerializable(v)));
+    } else {
+      console[method](message);
+    }
+  }
+}
+
+/**
+ * Create a logger
+ * @param {Object} [options] - See Logger constructor
+ * @returns {Logger}
+ */
+function createLogger(options = {}) {
+  return new Logger(options);
+}
+
+/**
+ * Normalize a `logger` config value into a Logger
+ *
+ * Accepts a Logger, any object with debug/info/warn/error methods
+ * (wrapped so redaction still applies), or Logger options.
+ *
+ * @param {Logger|Object} [value] - Logger, external logger or options
+ * @returns {Logger}
+ */
+function resolveLogger(value) {
+  if (value instanceof Logger) return value;
+  if (value && typeof value.info === "function" && typeof value.error === "function") {
+    // External logger does its own level filtering
+    return new Logger({ sink: value, level: "debug" });
+  }
+  return new Logger(value || {});
+}
+
+module.exports = {
+  Logger,
+  LEVELS,
+  DEFAULT_REDACT_KEYS,
+  createLogger,
+  resolveLogger,
+  redactValue,
+  redactString,
+};
@@ -0,0 +1,430 @@
+/**
+ * Model Context Protocol Server for Cipher Agents
+ *
+ * Exposes a CipherAgent as MCP tools over stdio (newline-delimited
+ * JSON-RPC 2.0), so LLM runtimes can call it without glue code:
+ *
+ *   const server = new McpServer(agent);
+ *   await server.listen(); // until stdin closes
+ *
+ * or `cipher mcp` from the CLI. Tools: get_balance, get_contract_status,
+ * deposit, withdraw_deposit, withdraw_with_code, list_deposits,
+ * withdrawal_status and relayer_status. Every tool declares a JSON Schema for its arguments;
+ * calls with other arguments are rejected before the agent is touched.
+ *
+ * SECURITY: Tools call the agent's public API, so the spending policy
+ * and the approval provider apply exactly as for direct calls - a model
+ * cannot move funds a human or the policy would not allow.
+ *
+ * PRIVACY: Results (and error messages) go through the logger's redaction
+ * before they reach the model: deposit codes, secrets, commitments,
+ * nullifier hashes, leaf indexes and IP addresses are never returned.
+ * The model withdraws its own deposits with withdraw_deposit, which
+ * looks the code up in DepositStorage on the agent side.
+ *
+ * SECURITY: withdrawal_status only contacts the relayer a tracked
+ * withdrawal was submitted to - the model cannot pick a URL (SSRF).
+ */
+
+const readline = require("readline");
+const { PublicKey } = require("@solana/web3.js");
+const { resolveLogger, redactValue, redactString, DEFAULT_REDACT_KEYS } = require("./logger");
+const { formatAmount } = require("./tokens");
+const { version } = require("../package.json");
+
+// Newest first; the client's version is used when we support it
+const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+const REDACT_KEYS = new Set(DEFAULT_REDACT_KEYS);
+
+const MINT_SCHEMA = {
+  type: "string",
+  description: "Token pool mint address (default: USDC)",
+  pattern: "^[1-9A-HJ-NP-Za-km-z]{32,44}$",
+};
+const PUBKEY_SCHEMA = {
+  type: "string",
+  pattern: "^[1-9A-HJ-NP-Za-km-z]{32,44}$",
+};
+const DRY_RUN_SCHEMA = {
+  type: "boolean",
+  description: "Prove and simulate only - nothing is submitted",
+};
+
+/**
+ * Validate tool arguments against the schema subset the tools use
+ * (object with typed properties, required, additionalProperties: false,
+ * pattern, minimum)
+ *
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateArguments(schema, args) {
+  if (args === null || typeof args !== "object" || Array.isArray(args)) {
+    return "arguments must be an object";
+  }
+  for (const name of schema.required || []) {
+    if (args[name] === undefined) {
+      return `missing required argument ${name}`;
+    }
+  }
+  for (const [name, value] of Object.entries(args)) {
+    const property = schema.properties[name];
+    if (!property) {
+      return `unknown argument ${name}`;
+    }
+    const ok = {
+      string: typeof value === "string",
+      integer: Number.isSafeInteger(value),
+      boolean: typeof value === "boolean",
+    }[property.type];
+    if (!ok) {
+      return `${name} must be ${property.type === "integer" ? "an" : "a"} ${property.type}`;
+    }
+    if (property.pattern && !new RegExp(property.pattern).test(value)) {
+      return `${name} has an invalid format`;
+    }
+    if (property.minimum !== undefined && value < property.minimum) {
+      return `${name} must be >= ${property.minimum}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tool result of a withdrawal (queue ID, or the simulation on dry runs)
+ */
+function withdrawalResult(result) {
+  if (result.dryRun) {
+    return { dryRun: true, success: result.success, unitsConsumed: result.unitsConsumed, error: result.error };
+  }
+  return {
+    success: result.success,
+    queueId: result.queueId,
+    relayerUrl: result.relayerUrl,
+    estimatedExecutionTime: result.estimatedExecutionTime,
+  };
+}
+
+/**
+ * Strip everything a model must not see
+ */
+function redact(value) {
+  return redactValue(value, REDACT_KEYS);
+}
+
+class McpServer {
+  /**
+   * @param {CipherAgent} agent - Agent the tools act on
+   * @param {Object} [options]
+   * @param {stream.Readable} [options.input] - Default: process.stdin
+   * @param {stream.Writable} [options.output] - Default: process.stdout (protocol messages only)
+   * @param {string} [options.relayerUrl] - Relayer for withdrawals (default: the agent's choice)
+   * @param {Object} [options.logger]
+   */
+  constructor(agent, options = {}) {
+    this.agent = agent;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.relayerUrl = options.relayerUrl;
+    this.logger = resolveLogger(options.logger).child({ module: "mcp" });
+    this.tools = this._defineTools();
+  }
+
+  /**
+   * Serve requests until the input closes
+   *
+   * @returns {Promise<void>} Resolves when the input ends (pending calls answered)
+   */
+  listen() {
+    const rl = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+    const pending = new Set();
+
+    rl.on("line", (line) => {
+      if (!line.trim()) return;
+      const handled = this.handleLine(line).then((response) => {
+        if (response) this.output.write(JSON.stringify(response) + "\n");
+      });
+      pending.add(handled);
+      handled.finally(() => pending.delete(handled));
+    });
+
+    return new Promise((resolve) => {
+      rl.once("close", () => Promise.allSettled([...pending]).then(() => resolve()));
+    });
+  }
+
+  /**
+   * Handle one JSON-RPC line
+   *
+   * @param {string} line - Raw message
+   * @returns {Promise<Object|null>} Response, or null for notifications
+   */
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return this._error(null, JSONRPC_ERRORS.PARSE_ERROR, "Parse error");
+    }
+    return this.handleMessage(message);
+  }
+
+  /**
+   * Handle one parsed JSON-RPC message
+   *
+   * @param {Object} message - { jsonrpc: '2.0', id?, method, params? }
+   * @returns {Promise<Object|null>} Response, or null for notifications
+   */
+  async handleMessage(message) {
+    if (!message || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+      return this._error(message?.id ?? null, JSONRPC_ERRORS.INVALID_REQUEST, "Invalid request");
+    }
+    const { id, method, params = {} } = message;
+    const notification = id === undefined;
+
+    let result;
+    try {
+      switch (method) {
+        case "initialize":
+          result = this._initialize(params);
+          break;
+        case "ping":
+          result = {};
+          break;
+        case "tools/list":
+          result = {
+            tools: this.tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })),
+          };
+          break;
+        case "tools/call":
+          result = await this._callTool(params);
+          break;
+        default:
+          if (notification) return null; // notifications/initialized, notifications/cancelled, ...
+          return this._error(id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+      }
+    } catch (err) {
+      if (notification) return null;
+      return this._error(id, err.code || JSONRPC_ERRORS.INTERNAL_ERROR, redactString(err.message));
+    }
+    return notification ? null : { jsonrpc: "2.0", id, result };
+  }
+
+  /**
+   * @private
+   */
+  _initialize(params) {
+    const requested = params.protocolVersion;
+    return {
+      protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {} },
+      serverInfo: { name: "cipher-agent-sdk", version },
+      instructions: "Cipher privacy mixer agent on Solana. Amounts are in base units of the pool's mint " +
+        "(USDC: 1000000 = 1 USDC). Deposits and withdrawals are subject to the agent's spending policy " +
+        "and may wait for human approval.",
+    };
+  }
+
+  /**
+   * Run a tool; failures are tool results with isError (the model sees them)
+   * @private
+   */
+  async _callTool(params) {
+    const tool = this.tools.find(t => t.name === params.name);
+    if (!tool) {
+      throw Object.assign(new Error(`Unknown tool: ${params.name}`), { code: JSONRPC_ERRORS.INVALID_PARAMS });
+    }
+    const args = params.arguments ?? {};
+    const problem = validateArguments(tool.inputSchema, args);
+    if (problem) {
+      throw Object.assign(new Error(`Invalid arguments for ${tool.name}: ${problem}`), { code: JSONRPC_ERRORS.INVALID_PARAMS });
+    }
+
+    this.logger.info(`🔧 MCP tool call: ${tool.name}`);
+    try {
+      const result = redact(await tool.handler(args));
+      return {
+        content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
+        structuredContent: result,
+      };
+    } catch (err) {
+      this.logger.warn(`⚠️  MCP tool ${tool.name} failed`, { error: err.message });
+      return {
+        content: [{ type: "text", text: `${err.name || "Error"}: ${redactString(err.message)}` }],
+        isError: true,
+      };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _error(id, code, message) {
+    return { jsonrpc: "2.0", id, error: { code, message } };
+  }
+
+  /**
+   * Tool definitions: { name, description, inputSchema, handler }
+   * @private
+   */
+  _defineTools() {
+    const agent = this.agent;
+    const relayerUrl = this.relayerUrl;
+    const object = (properties = {}, required = []) => ({
+      type: "object",
+      properties,
+      required,
+      additionalProperties: false,
+    });
+
+    return [
+      {
+        name: "get_balance",
+        description: "Token balances of the agent wallet (base units) for one pool or all configured pools.",
+        inputSchema: object({ mint: MINT_SCHEMA }),
+        handler: async ({ mint }) => {
+          const mints = mint ? [new PublicKey(mint)] : agent.tokens.list();
+          const balances = [];
+          for (const key of mints) {
+            const pool = await agent.tokens.get(key);
+            const amount = await agent.getBalance(key);
+            balances.push({
+              mint: pool.mint.toBase58(),
+              symbol: pool.symbol,
+              decimals: pool.decimals,
+              amount,
+              formatted: formatAmount(amount, pool),
+            });
+          }
+          return { wallet: agent.wallet.publicKey.toBase58(), balances };
+        },
+      },
+      {
+        name: "get_contract_status",
+        description: "Status of the Cipher program: initialized flag and current Merkle tree chunk.",
+        inputSchema: object(),
+        handler: async () => ({ network: agent.network.name, ...(await agent.getContractStatus()) }),
+      },
+      {
+        name: "deposit",
+        description: "Deposit tokens into the mixer (generates a ZK proof and sends a transaction). " +
+          "Subject to the spending policy and human approval. The deposit code is kept in the agent's " +
+          "storage and not returned.",
+        inputSchema: object({
+          amount: { type: "integer", minimum: 1, description: "Amount in base units (USDC: 1000000 = 1 USDC)" },
+          mint: MINT_SCHEMA,
+          dryRun: { type: "boolean", description: "Prove and simulate only - nothing is sent or stored" },
+        }, ["amount"]),
+        handler: async ({ amount, mint, dryRun }) => {
+          const result = await agent.deposit(amount, { mint, dryRun });
+          if (result.dryRun) {
+            return { dryRun: true, success: result.success, unitsConsumed: result.unitsConsumed, error: result.error };
+          }
+          return { success: result.success, txId: result.txId, amount, mint: result.mint, fees: result.fees };
+        },
+      },
+      {
+        name: "withdraw_deposit",
+        description: "Withdraw one of this agent's deposits to a recipient through a relayer. Pick it by " +
+          "txId (from list_deposits) or by amount (any unwithdrawn deposit of that amount in the pool); " +
+          "the deposit code is looked up by the agent. Subject to the spending policy and human approval. " +
+          "Returns the relayer queue ID.",
+        inputSchema: object({
+          txId: { type: "string", pattern: "^[1-9A-HJ-NP-Za-km-z]{64,88}$", description: "Deposit transaction ID from list_deposits" },
+          amount: { type: "integer", minimum: 1, description: "Amount in base units (instead of txId)" },
+          mint: MINT_SCHEMA,
+          recipient: { ...PUBKEY_SCHEMA, description: "Recipient wallet address" },
+          dryRun: DRY_RUN_SCHEMA,
+        }, ["recipient"]),
+        handler: async ({ txId, amount, mint, recipient, dryRun }) => {
+          if ((txId === undefined) === (amount === undefined)) {
+            throw new Error("Pass either txId or amount");
+          }
+          if (amount === undefined) {
+            const record = (await agent.storage.getAllDeposits()).find(d => d.txId === txId);
+            if (!record) {
+              throw new Error(`No stored deposit with txId ${txId}`);
+            }
+            return withdrawalResult(await agent.withdrawWithCode(record.code, recipient, { dryRun, relayerUrl }));
+          }
+          return withdrawalResult(await agent.withdraw(recipient, amount, { mint, dryRun, relayerUrl }));
+        },
+      },
+      {
+        name: "withdraw_with_code",
+        description: "Withdraw a deposit to a recipient through a relayer, using its deposit code. " +
+          "Subject to the spending policy and human approval. Returns the relayer queue ID.",
+        inputSchema: object({
+          depositCode: { type: "string", description: "Deposit code of the note to withdraw" },
+          recipient: { ...PUBKEY_SCHEMA, description: "Recipient wallet address" },
+          dryRun: DRY_RUN_SCHEMA,
+        }, ["depositCode", "recipient"]),
+        handler: async ({ depositCode, recipient, dryRun }) => {
+          return withdrawalResult(await agent.withdrawWithCode(depositCode, recipient, { dryRun, relayerUrl }));
+        },
+      },
+      {
+        name: "list_deposits",
+        description: "Deposits stored by this agent (amount, pool, status) - without deposit codes.",
+        inputSchema: object({
+          includeWithdrawn: { type: "boolean", description: "Include deposits already submitted for withdrawal (default: false)" },
+        }),
+        handler: async ({ includeWithdrawn = false }) => {
+          const records = await agent.storage.getAllDeposits();
+          const deposits = records
+            .filter(d => includeWithdrawn || !d.withdrawn)
+            .map(d => ({
+              txId: d.txId,
+              amount: d.amount,
+              // Records without a mint predate token pools (USDC)
+              mint: d.mint || agent.usdcMint.toBase58(),
+              withdrawn: d.withdrawn,
+              withdrawQueueId: d.withdrawTxId || null,
+              timestamp: d.timestamp,
+            }));
+          return { stats: await agent.storage.getStats(), deposits };
+        },
+      },
+      {
+        name: "withdrawal_status",
+        description: "Relayer state of a withdrawal this agent submitted (queued, executing, executed, failed).",
+        inputSchema: object({
+          queueId: { type: "string", pattern: "^[0-9a-f]{32}$", description: "Queue ID returned by withdraw_deposit or withdraw_with_code" },
+        }, ["queueId"]),
+        handler: async ({ queueId }) => {
+          // Only the relayer the agent submitted to is asked (tracked by queue ID)
+          if (!agent.withdrawals.has(queueId)) {
+            throw new Error(`Unknown withdrawal ${queueId} - only withdrawals submitted by this agent can be queried`);
+          }
+          const status = await agent.getWithdrawalStatus(queueId);
+          return status || { queueId, status: "unknown" };
+        },
+      },
+      {
+        name: "relayer_status",
+        description: "State of this agent's own relayer service (queue length, processing).",
+        inputSchema: object(),
+        handler: async () => ({
+          queueLength: agent.relayer.queue.length,
+          processing: agent.relayer.processing,
+          maxDelay: agent.relayer.maxDelay,
+          network: agent.relayer.networkId,
+        }),
+      },
+    ];
+  }
+}
+
+module.exports = {
+  McpServer,
+  validateArguments,
+  PROTOCOL_VERSIONS,
+};
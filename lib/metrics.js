@@ -0,0 +1,356 @@
+/**
+ * Prometheus Metrics for Cipher Agents
+ *
+ * AgentMetrics serves `GET /metrics` (Prometheus text format 0.0.4) on the
+ * agent's P2P HTTP server. Counters and histograms are fed by lifecycle
+ * events; gauges (leaf counts, queue depth, peers, RPC endpoints,
+ * balances) are read when scraped.
+ *
+ *   metrics: {
+ *     enabled: true,        // default: false (no /metrics endpoint)
+ *     localOnly: true,      // default: only loopback clients may scrape
+ *     balanceTtl: 30000,    // ms balances are cached between scrapes
+ *   }
+ *
+ * PRIVACY: Balances and deposit/withdraw counts describe the agent's
+ * activity. The P2P port is public, so /metrics answers 403 to anything
+ * but 127.0.0.1/::1 unless `localOnly: false` (scrape through a trusted
+ * network then). Commitments, nullifiers, recipients and RPC URL paths
+ * (which often carry API keys) are never exported.
+ *
+ * PERFORMANCE: Balances cost RPC calls - they are refreshed at most every
+ * `balanceTtl` ms, however often /metrics is scraped.
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+const { EVENTS } = require("./events");
+const { resolveLogger } = require("./logger");
+
+const DEFAULT_BALANCE_TTL = 30_000;
+const LOOPBACK = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+
+// Histogram buckets (seconds)
+const PROOF_BUCKETS = [0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+const TREE_BUCKETS = [0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30, 60, 300];
+const EXECUTION_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+/**
+ * One metric family (counter, gauge or histogram) and its labelled series
+ */
+class Metric {
+  constructor(type, name, help, buckets = null) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.buckets = buckets;
+    this.series = new Map(); // label key -> { labels, value } | { labels, counts, sum, count }
+  }
+
+  _get(labels) {
+    const key = JSON.stringify(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = this.type === "histogram"
+        ? { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  inc(labels = {}, value = 1) {
+    this._get(labels).value += value;
+  }
+
+  set(labels, value) {
+    this._get(labels).value = value;
+  }
+
+  observe(labels, value) {
+    const series = this._get(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Drop all series (gauges rebuilt on every scrape)
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      if (this.type !== "histogram") {
+        lines.push(`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines.join("\n");
+  }
+}
+
+/**
+ * Ordered set of metric families rendered as one exposition
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    return this._add(new Metric("counter", name, help));
+  }
+
+  gauge(name, help) {
+    return this._add(new Metric("gauge", name, help));
+  }
+
+  histogram(name, help, buckets) {
+    return this._add(new Metric("histogram", name, help, buckets));
+  }
+
+  _add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    return this.metrics.map(metric => metric.render()).join("\n") + "\n";
+  }
+}
+
+/**
+ * Origin of an RPC URL (path and query may hold API keys)
+ */
+function endpointLabel(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return "unknown";
+  }
+}
+
+class AgentMetrics {
+  /**
+   * @param {CipherAgent} agent - Agent to observe (events, trees, relayer, P2P, connection)
+   * @param {Object} [options]
+   * @param {boolean} [options.localOnly=true] - Serve loopback clients only
+   * @param {number} [options.balanceTtl=30000] - ms between balance refreshes
+   * @param {Object} [options.logger]
+   */
+  constructor(agent, options = {}) {
+    this.agent = agent;
+    this.localOnly = options.localOnly !== false;
+    this.balanceTtl = options.balanceTtl ?? DEFAULT_BALANCE_TTL;
+    this.logger = resolveLogger(options.logger).child({ module: "metrics" });
+    this.balances = null; // { sol, tokens: [{ mint, symbol, amount }], fetchedAt }
+    this.balanceRefresh = null;
+
+    const registry = new MetricsRegistry();
+    this.registry = registry;
+    this.m = {
+      deposits: registry.counter("cipher_deposits_total", "Deposits by outcome (confirmed, failed, expired, dropped, error, rejected)"),
+      withdrawals: registry.counter("cipher_withdrawals_total", "Withdrawals by outcome (queued, confirmed, failed, rejected)"),
+      proofSeconds: registry.histogram("cipher_proof_duration_seconds", "Groth16 proof generation time", PROOF_BUCKETS),
+      treeSeconds: registry.histogram("cipher_tree_update_duration_seconds", "Merkle tree load/update time by source", TREE_BUCKETS),
+      treeLeaves: registry.gauge("cipher_tree_leaves", "Leaves in the local Merkle tree per chunk"),
+      relayerQueue: registry.gauge("cipher_relayer_queue_depth", "Withdrawals waiting in this agent's relayer queue"),
+      relayerExecutions: registry.counter("cipher_relayer_executions_total", "Relayer executions by outcome (executed, retry, gave_up)"),
+      relayerSeconds: registry.histogram("cipher_relayer_execution_duration_seconds", "Relayer executeWithdraw latency", EXECUTION_BUCKETS),
+      peers: registry.gauge("cipher_peers", "Known P2P peers"),
+      dhtNodes: registry.gauge("cipher_dht_routing_table_size", "Nodes in the DHT routing table"),
+      rpcRequests: registry.counter("cipher_rpc_requests_total", "RPC requests per endpoint"),
+      rpcFailures: registry.counter("cipher_rpc_failures_total", "RPC requests per endpoint that failed with an endpoint error"),
+      rpcHealthy: registry.gauge("cipher_rpc_endpoint_healthy", "1 if the RPC endpoint is healthy"),
+      rpcLatency: registry.gauge("cipher_rpc_latency_seconds", "Smoothed RPC latency per endpoint"),
+      rpcSlotLag: registry.gauge("cipher_rpc_slot_lag", "Slots behind the most advanced RPC endpoint"),
+      solBalance: registry.gauge("cipher_sol_balance_lamports", "Agent wallet SOL balance"),
+      tokenBalance: registry.gauge("cipher_token_balance", "Agent wallet token balance per pool (base units)"),
+    };
+
+    const deposit = (outcome) => () => this.m.deposits.inc({ outcome });
+    const withdrawal = (outcome) => () => this.m.withdrawals.inc({ outcome });
+    const rejected = (e) => (e.action === "deposit" ? this.m.deposits : this.m.withdrawals).inc({ outcome: "rejected" });
+    const observe = (metric, labels, ms) => {
+      if (Number.isFinite(ms)) metric.observe(labels, ms / 1000);
+    };
+
+    this.listeners = [
+      [EVENTS.DEPOSIT_CONFIRMED, deposit("confirmed")],
+      [EVENTS.DEPOSIT_FAILED, (e) => this.m.deposits.inc({ outcome: e.outcome || "error" })],
+      [EVENTS.WITHDRAW_QUEUED, withdrawal("queued")],
+      [EVENTS.WITHDRAW_CONFIRMED, withdrawal("confirmed")],
+      [EVENTS.WITHDRAW_FAILED, withdrawal("failed")],
+      [EVENTS.POLICY_VIOLATION, rejected],
+      [EVENTS.APPROVAL_REJECTED, rejected],
+      [EVENTS.DEPOSIT_PROVED, (e) => observe(this.m.proofSeconds, { kind: "deposit" }, e.durationMs)],
+      [EVENTS.WITHDRAW_PROVED, (e) => observe(this.m.proofSeconds, { kind: "withdraw" }, e.durationMs)],
+      [EVENTS.TREE_UPDATED, (e) => observe(this.m.treeSeconds, { source: e.source }, e.durationMs)],
+      [EVENTS.RELAYER_EXECUTED, (e) => {
+        this.m.relayerExecutions.inc({ outcome: "executed" });
+        observe(this.m.relayerSeconds, {}, e.durationMs);
+      }],
+      [EVENTS.RELAYER_FAILED, () => this.m.relayerExecutions.inc({ outcome: "retry" })],
+      [EVENTS.RELAYER_GAVE_UP, () => this.m.relayerExecutions.inc({ outcome: "gave_up" })],
+    ];
+    for (const [name, listener] of this.listeners) {
+      agent.on(name, listener);
+    }
+  }
+
+  /**
+   * Stop counting events
+   */
+  detach() {
+    for (const [name, listener] of this.listeners) {
+      this.agent.removeListener(name, listener);
+    }
+  }
+
+  /**
+   * Current metrics in Prometheus text format
+   *
+   * @returns {Promise<string>}
+   */
+  async collect() {
+    const { agent, m } = this;
+
+    m.treeLeaves.reset();
+    for (const [chunkId, treeData] of Object.entries(agent.treeBuilder.trees)) {
+      m.treeLeaves.set({ chunk: chunkId }, treeData.leaves.length);
+    }
+    m.relayerQueue.set({}, agent.relayer.queue.length);
+    m.peers.set({}, agent.p2p.peers.size);
+    m.dhtNodes.set({}, agent.p2p.dht ? agent.p2p.dht.buckets.reduce((sum, bucket) => sum + bucket.nodes.length, 0) : 0);
+
+    // ConnectionPool only (a custom connection has no endpoint stats)
+    if (typeof agent.connection.stats === "function") {
+      for (const metric of [m.rpcRequests, m.rpcFailures, m.rpcHealthy, m.rpcLatency, m.rpcSlotLag]) {
+        metric.reset();
+      }
+      for (const endpoint of agent.connection.stats()) {
+        const labels = { endpoint: endpointLabel(endpoint.url) };
+        m.rpcRequests.set(labels, endpoint.requests);
+        m.rpcFailures.set(labels, endpoint.failures);
+        m.rpcHealthy.set(labels, endpoint.healthy ? 1 : 0);
+        if (endpoint.latencyMs !== null) m.rpcLatency.set(labels, endpoint.latencyMs / 1000);
+        if (endpoint.slotLag !== null) m.rpcSlotLag.set(labels, endpoint.slotLag);
+      }
+    }
+
+    await this._refreshBalances();
+    m.solBalance.reset();
+    m.tokenBalance.reset();
+    if (this.balances) {
+      m.solBalance.set({}, this.balances.sol);
+      for (const token of this.balances.tokens) {
+        m.tokenBalance.set({ mint: token.mint, symbol: token.symbol }, token.amount);
+      }
+    }
+
+    return this.registry.render();
+  }
+
+  /**
+   * Re-read balances when older than balanceTtl (one refresh at a time)
+   * @private
+   */
+  async _refreshBalances() {
+    if (this.balances && Date.now() - this.balances.fetchedAt < this.balanceTtl) {
+      return;
+    }
+    if (!this.balanceRefresh) {
+      this.balanceRefresh = (async () => {
+        try {
+          const { agent } = this;
+          const sol = await agent.connection.getBalance(new PublicKey(agent.wallet.publicKey));
+          const tokens = [];
+          for (const mint of agent.tokens.list()) {
+            const pool = await agent.tokens.get(mint);
+            tokens.push({ mint: mint.toBase58(), symbol: pool.symbol, amount: await agent.getBalance(mint) });
+          }
+          this.balances = { sol, tokens, fetchedAt: Date.now() };
+        } catch (err) {
+          // Keep the last values; the next scrape retries
+          this.logger.debug("Could not refresh balances for metrics", { error: err.message });
+        } finally {
+          this.balanceRefresh = null;
+        }
+      })();
+    }
+    await this.balanceRefresh;
+  }
+
+  /**
+   * Add GET /metrics to an HTTP server (same pattern as the relayer)
+   */
+  addEndpoints(server) {
+    const originalRequestHandler = server.listeners("request")[0];
+
+    server.removeAllListeners("request");
+    server.on("request", (req, res) => {
+      if (req.url === "/metrics" || req.url.startsWith("/metrics?")) {
+        this.handleRequest(req, res);
+        return;
+      }
+      originalRequestHandler(req, res);
+    });
+  }
+
+  /**
+   * @private
+   */
+  handleRequest(req, res) {
+    if (this.localOnly && !LOOPBACK.includes(req.socket.remoteAddress || "")) {
+      res.writeHead(403, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Metrics are only served to localhost" }));
+      return;
+    }
+    if (req.method !== "GET") {
+      res.writeHead(405, { "Content-Type": "application/json", Allow: "GET" });
+      res.end(JSON.stringify({ error: "Method not allowed" }));
+      return;
+    }
+
+    this.collect().then((body) => {
+      res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+      res.end(body);
+    }).catch((err) => {
+      this.logger.warn("⚠️  Metrics collection failed", { error: err.message });
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Metrics collection failed" }));
+    });
+  }
+}
+
+module.exports = {
+  AgentMetrics,
+  MetricsRegistry,
+};
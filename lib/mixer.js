@@ -0,0 +1,385 @@
+/**
+ * Resumable Auto-Mixing Scheduler
+ *
+ * The mixing plan - the next deposit and every planned withdrawal with
+ * its target time - lives in <dataDir>/mixer-state.json instead of local
+ * variables. A restart (or stop() + start()) resumes the schedule exactly
+ * where it left off instead of withdrawing immediately or never.
+ *
+ * Cycle: deposit -> random withdraw delay -> withdraw -> random next-cycle
+ * delay -> deposit ...
+ *
+ * pause() holds the loop between steps (an in-progress deposit or
+ * withdrawal finishes first) until resume(); steps that fell due in the
+ * meantime run on resume. Pausing is not persisted.
+ *
+ * With agent.dryRun the plan lives in memory only: deposits are
+ * simulated, so their planned withdrawals are marked `simulated` and
+ * nothing is written to (or removed from) the plan file.
+ *
+ * PRIVACY: The plan links deposits to withdrawal times, so the file is
+ * written 0600. Deposit codes stay in DepositStorage - the plan only
+ * references deposits by transaction ID.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { Keypair } = require("@solana/web3.js");
+const { EVENTS } = require("./events");
+const { decodeDepositCode } = require("./deposit-code");
+const { generateNullifierHash } = require("./proof");
+
+const STATE_VERSION = 1;
+const RETRY_DELAY = 60000; // Retry failed steps after 1 minute
+const BALANCE_RECHECK_DELAY = 60000;
+
+const MIXER_DEFAULTS = {
+  depositInterval: [5, 15], // [min, max] in minutes
+  withdrawInterval: [10, 30], // [min, max] in minutes
+  amount: 1_000_000, // 1 USDC
+  generateNewWallets: true,
+  minBalance: 2_000_000, // Stop depositing if balance too low
+};
+
+/**
+ * Random delay in a [min, max] minute range (cryptographically secure)
+ */
+function randomDelay([minMin, maxMin]) {
+  const min = minMin * 60 * 1000;
+  const max = maxMin * 60 * 1000;
+  return crypto.randomInt(min, max + 1);
+}
+
+class MixingScheduler {
+  /**
+   * @param {CipherAgent} agent - Agent that deposits/withdraws (and emits mixer events)
+   * @param {string} stateFile - Plan file (e.g. ~/.cipher/mixer-state.json)
+   */
+  constructor(agent, stateFile) {
+    this.agent = agent;
+    this.stateFile = stateFile;
+    this.state = null;
+    this.timer = null;
+    this.wakeUp = null;
+    this.paused = false;
+  }
+
+  /**
+   * Load the persisted plan
+   * @returns {Object|null} Plan or null if none/unreadable
+   */
+  load() {
+    if (!fs.existsSync(this.stateFile)) {
+      return null;
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, "utf-8"));
+      if (state.version !== STATE_VERSION) {
+        throw new Error(`unsupported version ${state.version}`);
+      }
+      return state;
+    } catch (err) {
+      this.agent.logger.warn("⚠️  Ignoring unreadable mixer state", { error: err.message });
+      return null;
+    }
+  }
+
+  /**
+   * Persist the plan (atomic write, 0600)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    this.state.updatedAt = Date.now();
+    if (this.agent.dryRun) return;
+    const tempFile = `${this.stateFile}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(this.state, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tempFile, this.stateFile);
+  }
+
+  /**
+   * Effective mixer config: defaults < persisted plan < overrides
+   *
+   * @param {Object} [overrides] - Explicitly passed options (undefined keys ignored)
+   * @param {Object|null} [persisted] - Plan to take settings from (default: current or persisted plan)
+   * @returns {Object} Config
+   */
+  resolveConfig(overrides = {}, persisted = this.state || this.load()) {
+    const config = { ...MIXER_DEFAULTS, ...(persisted ? persisted.config : {}) };
+    for (const key of Object.keys(MIXER_DEFAULTS)) {
+      if (overrides[key] !== undefined) config[key] = overrides[key];
+    }
+    return config;
+  }
+
+  /**
+   * Discard the persisted plan
+   */
+  reset() {
+    this.state = null;
+    if (!this.agent.dryRun && fs.existsSync(this.stateFile)) {
+      fs.unlinkSync(this.stateFile);
+    }
+  }
+
+  /**
+   * Run the mixing loop until the agent stops
+   *
+   * @param {Object} [options] - Mixer config; unset keys keep the persisted
+   *   value (or MIXER_DEFAULTS for a new plan)
+   * @param {boolean} [options.reset=false] - Discard the persisted plan
+   * @param {number} [options.maxRunTime] - Stop after this many ms (not persisted)
+   * @returns {Promise<void>} Resolves when the loop exits
+   */
+  async run(options = {}) {
+    const { reset = false, maxRunTime = null, ...overrides } = options;
+
+    if (reset) {
+      this.reset();
+    }
+
+    // A dry run after reset() starts from scratch (the file is left as is)
+    const persisted = reset ? null : this.load();
+    const config = this.resolveConfig(overrides, persisted);
+    if (persisted) {
+      this.state = persisted;
+      this.state.config = config;
+      await this.reconcile();
+      this.agent.emit(EVENTS.MIXER_RESUMED, {
+        nextDepositAt: this.state.nextDeposit ? this.state.nextDeposit.dueAt : null,
+        plannedWithdrawals: this.state.withdrawals.length,
+      });
+    } else {
+      this.state = {
+        version: STATE_VERSION,
+        config,
+        nextDeposit: { dueAt: Date.now(), startedAt: null },
+        withdrawals: [],
+        createdAt: Date.now(),
+      };
+    }
+    await this.save();
+
+    const startTime = Date.now();
+    let stopReason = "stopped";
+    const shouldStop = () => {
+      if (!this.agent.isRunning) return true;
+      if (maxRunTime && (Date.now() - startTime) >= maxRunTime) {
+        stopReason = "max-runtime";
+        return true;
+      }
+      return false;
+    };
+
+    while (!shouldStop()) {
+      if (this.paused) {
+        // Held until resume() (or shutdown) calls wake()
+        await new Promise(resolve => { this.wakeUp = resolve; });
+        this.wakeUp = null;
+        continue;
+      }
+
+      const step = this.nextStep();
+      const delayMs = step.dueAt - Date.now();
+      if (delayMs > 0) {
+        await this.wait(step.kind === "deposit" ? "next-cycle" : "withdraw-delay", delayMs);
+        continue;
+      }
+
+      try {
+        if (step.kind === "deposit") {
+          await this.runDeposit();
+        } else {
+          await this.runWithdrawal(step.entry);
+        }
+      } catch (err) {
+        this.agent.emit(EVENTS.MIXER_ERROR, { error: err.message, fatal: false });
+        await this.wait("retry", RETRY_DELAY);
+      }
+    }
+
+    this.agent.emit(EVENTS.MIXER_STOPPED, { reason: stopReason });
+  }
+
+  /**
+   * Hold the loop before its next step
+   *
+   * @returns {boolean} False if it was already paused
+   */
+  pause() {
+    if (this.paused) return false;
+    this.paused = true;
+    this.wake();
+    this.agent.emit(EVENTS.MIXER_PAUSED, {});
+    return true;
+  }
+
+  /**
+   * Continue a paused loop
+   *
+   * @returns {boolean} False if it was not paused
+   */
+  resume() {
+    if (!this.paused) return false;
+    this.paused = false;
+    this.wake();
+    this.agent.emit(EVENTS.MIXER_UNPAUSED, {});
+    return true;
+  }
+
+  /**
+   * Earliest planned step ({ kind, dueAt, entry? })
+   */
+  nextStep() {
+    const steps = this.state.withdrawals.map(entry => ({ kind: "withdraw", dueAt: entry.dueAt, entry }));
+    if (this.state.nextDeposit) {
+      steps.push({ kind: "deposit", dueAt: this.state.nextDeposit.dueAt });
+    }
+    if (steps.length === 0) {
+      // Empty plan (e.g. every withdrawal dropped) - start a new cycle
+      this.state.nextDeposit = { dueAt: Date.now(), startedAt: null };
+      return { kind: "deposit", dueAt: this.state.nextDeposit.dueAt };
+    }
+    return steps.sort((a, b) => a.dueAt - b.dueAt)[0];
+  }
+
+  /**
+   * Deposit and plan its withdrawal
+   */
+  async runDeposit() {
+    const { amount, minBalance, withdrawInterval } = this.state.config;
+
+    const balance = await this.agent.getBalance();
+    this.agent.emit(EVENTS.MIXER_BALANCE, { balance, minBalance });
+    if (balance < minBalance) {
+      await this.wait("insufficient-balance", BALANCE_RECHECK_DELAY);
+      return;
+    }
+
+    // Marker for reconcile(): a crash mid-deposit must not lose the withdrawal
+    this.state.nextDeposit.startedAt = Date.now();
+    await this.save();
+
+    const { txId, dryRun } = await this.agent.deposit(amount);
+
+    this.state.nextDeposit = null;
+    this.state.withdrawals.push({
+      depositTxId: dryRun ? null : txId,
+      amount,
+      dueAt: Date.now() + randomDelay(withdrawInterval),
+      ...(dryRun && { simulated: true }),
+    });
+    await this.save();
+  }
+
+  /**
+   * Withdraw a planned deposit and schedule the next cycle
+   */
+  async runWithdrawal(entry) {
+    const { generateNewWallets, depositInterval } = this.state.config;
+
+    const record = entry.simulated
+      ? null
+      : (await this.agent.storage.getAllDeposits()).find(d => d.txId === entry.depositTxId);
+    // PENDING: interrupted between pre-marking the note and the relayer's
+    // answer - only the chain knows whether it was spent
+    const pending = record?.withdrawn && record.withdrawTxId === "PENDING";
+    if (entry.simulated) {
+      // Dry run: the deposit was only simulated, there is no note to withdraw
+    } else if (!record) {
+      this.agent.emit(EVENTS.MIXER_ERROR, {
+        error: `Planned deposit ${entry.depositTxId} not in storage - dropping withdrawal`,
+        fatal: false,
+      });
+    } else if (!record.withdrawn || (pending && !(await this.isSpent(record)))) {
+      // Fresh recipient wallet
+      const recipient = generateNewWallets
+        ? Keypair.generate().publicKey
+        : this.agent.wallet.publicKey;
+
+      // Resubmitting a PENDING note is safe: if the first submission did
+      // reach a relayer, one of the two fails on chain as DoubleSpending
+      await this.agent.withdrawWithCode(record.code, recipient, { force: pending });
+    }
+    // Already withdrawn (queued before a restart, or spent on chain): nothing left to do
+
+    this.state.withdrawals = this.state.withdrawals.filter(w => w !== entry);
+    if (!this.state.nextDeposit) {
+      this.state.nextDeposit = { dueAt: Date.now() + randomDelay(depositInterval), startedAt: null };
+    }
+    await this.save();
+  }
+
+  /**
+   * Whether a stored note's nullifier is used on chain
+   */
+  async isSpent(record) {
+    const { nullifier } = decodeDepositCode(record.code);
+    return await this.agent.isNullifierUsed(await generateNullifierHash(nullifier));
+  }
+
+  /**
+   * Repair a plan interrupted mid-deposit
+   *
+   * Deposits stored after the interrupted attempt started (and not yet
+   * planned) get a withdrawal; otherwise the deposit is simply retried.
+   */
+  async reconcile() {
+    const pending = this.state.nextDeposit;
+    if (!pending || !pending.startedAt) {
+      return;
+    }
+
+    const planned = new Set(this.state.withdrawals.map(w => w.depositTxId));
+    const orphans = (await this.agent.storage.getAllDeposits()).filter(d =>
+      !d.withdrawn &&
+      !planned.has(d.txId) &&
+      Date.parse(d.timestamp) >= pending.startedAt
+    );
+
+    if (orphans.length === 0) {
+      pending.startedAt = null;
+      return;
+    }
+
+    for (const d of orphans) {
+      this.state.withdrawals.push({
+        depositTxId: d.txId,
+        amount: d.amount,
+        dueAt: Date.now() + randomDelay(this.state.config.withdrawInterval),
+      });
+    }
+    this.state.nextDeposit = null;
+  }
+
+  /**
+   * Wait and report why (wake() cuts it short)
+   */
+  wait(reason, delayMs) {
+    if (!this.agent.isRunning) return Promise.resolve();
+    this.agent.emit(EVENTS.MIXER_WAITING, { reason, delayMs });
+    return new Promise(resolve => {
+      this.wakeUp = resolve;
+      this.timer = setTimeout(resolve, delayMs);
+    }).then(() => {
+      this.timer = null;
+      this.wakeUp = null;
+    });
+  }
+
+  /**
+   * End the current wait immediately (used when stopping and pausing)
+   */
+  wake() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+}
+
+module.exports = MixingScheduler;
+module.exports.MIXER_DEFAULTS = MIXER_DEFAULTS;
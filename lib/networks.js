@@ -0,0 +1,112 @@
+/**
+ * Network Profiles for Cipher Agents
+ *
+ * Everything that must agree for agents to talk to each other lives in
+ * one profile: RPC, program, USDC mint, DHT bootstrap nodes and the DHT
+ * network ID. Agents on different networks announce under different
+ * network IDs, so a devnet agent can never discover (or relay for) a
+ * mainnet agent.
+ *
+ * Each network also gets its own data directory (wallet, deposits, tree
+ * cache, peers). Devnet keeps ~/.cipher for backwards compatibility.
+ */
+
+const os = require("os");
+const path = require("path");
+const { PublicKey } = require("@solana/web3.js");
+
+const CIPHER_HOME = path.join(os.homedir(), ".cipher");
+
+const NETWORKS = {
+  devnet: {
+    name: "devnet",
+    rpcUrl: "https://api.devnet.solana.com",
+    programId: "Dn1AjFeQbQsv3ufRw9KbPKQmp1is8VhGPVsKodqA4WLN",
+    usdcMint: "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU",
+    networkId: "cipher-agent-devnet-v1",
+    dhtBootstrapNodes: [
+      // fly.io bootstrap node
+      { host: "137.66.15.157", port: 8549 },
+    ],
+    dataDir: CIPHER_HOME,
+  },
+  "mainnet-beta": {
+    name: "mainnet-beta",
+    rpcUrl: "https://api.mainnet-beta.solana.com",
+    programId: null, // Not deployed yet - pass programId explicitly
+    usdcMint: "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", // Circle USDC
+    networkId: "cipher-agent-mainnet-beta-v1",
+    dhtBootstrapNodes: [],
+    dataDir: path.join(CIPHER_HOME, "mainnet-beta"),
+  },
+  localnet: {
+    name: "localnet",
+    rpcUrl: "http://127.0.0.1:8899",
+    programId: "Dn1AjFeQbQsv3ufRw9KbPKQmp1is8VhGPVsKodqA4WLN", // `anchor localnet` uses the declared ID
+    usdcMint: null, // Test mint is created per validator - pass usdcMint explicitly
+    networkId: "cipher-agent-localnet-v1",
+    dhtBootstrapNodes: [],
+    dataDir: path.join(CIPHER_HOME, "localnet"),
+  },
+};
+
+const DEFAULT_NETWORK = "devnet";
+
+/**
+ * Resolve a network profile and apply per-agent overrides
+ *
+ * @param {string|Object} [network] - 'devnet' | 'mainnet-beta' | 'localnet' or a
+ *   custom profile ({ name, rpcUrl, programId, usdcMint, networkId, dhtBootstrapNodes, dataDir })
+ * @param {Object} [overrides] - { rpcUrl, programId, usdcMint, dhtBootstrapNodes, dataDir }
+ * @returns {Object} Profile with programId/usdcMint as PublicKeys
+ */
+function resolveNetwork(network = DEFAULT_NETWORK, overrides = {}) {
+  let base;
+  if (typeof network === "string") {
+    base = NETWORKS[network];
+    if (!base) {
+      throw new Error(`Unknown network: ${network} (expected ${Object.keys(NETWORKS).join(", ")} or a profile object)`);
+    }
+  } else if (network && typeof network === "object") {
+    if (!network.name || !network.networkId) {
+      throw new Error("Custom network profile requires name and networkId");
+    }
+    base = {
+      dhtBootstrapNodes: [],
+      dataDir: path.join(CIPHER_HOME, network.name),
+      ...network,
+    };
+  } else {
+    throw new Error("Invalid network: expected a name or a profile object");
+  }
+
+  const pick = (key) => (overrides[key] !== undefined && overrides[key] !== null ? overrides[key] : base[key]);
+
+  const programId = pick("programId");
+  const usdcMint = pick("usdcMint");
+  if (!programId) {
+    throw new Error(`No Cipher program known for ${base.name} - pass programId`);
+  }
+  if (!usdcMint) {
+    throw new Error(`No USDC mint known for ${base.name} - pass usdcMint`);
+  }
+  if (!pick("rpcUrl")) {
+    throw new Error(`No RPC URL for ${base.name} - pass rpcUrl`);
+  }
+
+  return {
+    name: base.name,
+    rpcUrl: pick("rpcUrl"),
+    programId: new PublicKey(programId),
+    usdcMint: new PublicKey(usdcMint),
+    networkId: base.networkId,
+    dhtBootstrapNodes: pick("dhtBootstrapNodes").map(n => ({ host: n.host, port: n.port })),
+    dataDir: pick("dataDir"),
+  };
+}
+
+module.exports = {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  resolveNetwork,
+};
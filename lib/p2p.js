@@ -14,7 +14,11 @@ const dgram = require("dgram");
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const EventEmitter = require("events");
 const { DHTNode } = require("./dht");
+const { EVENTS, DHT_EVENTS, forwardEvents } = require("./events");
+const { resolveLogger } = require("./logger");
+const { NETWORKS, DEFAULT_NETWORK } = require("./networks");
 
 const DEFAULT_PORT = 8547; // Cipher HTTP port
 const DISCOVERY_PORT = 8548; // UDP broadcast port
@@ -25,24 +29,26 @@ const PEER_TIMEOUT = 120000; // 2 minutes (consider peer dead)
 const DHT_ANNOUNCE_INTERVAL = 300000; // 5 minutes (re-announce in DHT)
 const DHT_DISCOVERY_INTERVAL = 120000; // 2 minutes (find new agents in DHT)
 
-const CACHE_DIR = path.join(os.homedir(), ".cipher", "trees");
-const PEERS_FILE = path.join(os.homedir(), ".cipher", "known-peers.json");
+// Default network (see networks.js for bootstrap nodes + data dirs)
+const DEFAULT_PROFILE = NETWORKS[DEFAULT_NETWORK];
 
-// Bootstrap DHT nodes (for initial DHT bootstrap)
-// These are DHT nodes, not HTTP peers!
-const DHT_BOOTSTRAP_NODES = [
-  // fly.io bootstrap node
-  { host: '137.66.15.157', port: 8549 },
-];
-
-class TreeP2P {
+class TreeP2P extends EventEmitter {
   constructor(builder, options = {}) {
+    super();
     this.builder = builder;
     this.port = options.port || DEFAULT_PORT;
     this.discoveryPort = options.discoveryPort || DISCOVERY_PORT;
     this.dhtPort = options.dhtPort || DHT_PORT;
     this.enableBroadcast = options.enableBroadcast !== false;
     this.enableDHT = options.enableDHT !== false;
+    this.logger = resolveLogger(options.logger).child({ module: "p2p" });
+    
+    // Network isolation: only peers announcing the same network ID are used
+    this.networkId = options.networkId || DEFAULT_PROFILE.networkId;
+    this.bootstrapNodes = options.bootstrapNodes || DEFAULT_PROFILE.dhtBootstrapNodes;
+    const dataDir = options.dataDir || DEFAULT_PROFILE.dataDir;
+    this.cacheDir = path.join(dataDir, "trees");
+    this.peersFile = path.join(dataDir, "known-peers.json");
     
     this.server = null;
     this.broadcastSocket = null;
@@ -51,10 +57,12 @@ class TreeP2P {
     this.broadcastTimer = null;
     this.cleanupTimer = null;
     this.dhtAnnounceTimer = null;
+    this.dhtDiscoveryTimer = null;
+    this.dhtInitialDiscoveryTimer = null;
     
     // Ensure cache directory exists
-    if (!fs.existsSync(CACHE_DIR)) {
-      fs.mkdirSync(CACHE_DIR, { recursive: true });
+    if (!fs.existsSync(this.cacheDir)) {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
     }
 
     // Load persistent peers
@@ -65,10 +73,9 @@ class TreeP2P {
    * Load persistent peers from disk
    */
   loadPersistentPeers() {
-    if (fs.existsSync(PEERS_FILE)) {
+    if (fs.existsSync(this.peersFile)) {
       try {
-        const data = JSON.parse(fs.readFileSync(PEERS_FILE, 'utf-8'));
-        console.log(`📂 Loaded ${data.length} persistent peer(s)`);
+        const data = JSON.parse(fs.readFileSync(this.peersFile, 'utf-8'));
         data.forEach(p => {
           this.peers.set(`${p.host}:${p.port}`, {
             host: p.host,
@@ -77,8 +84,10 @@ class TreeP2P {
             trees: p.trees || [],
           });
         });
+        // Deferred so listeners attached after construction still see it
+        process.nextTick(() => this.emit(EVENTS.PEERS_LOADED, { count: data.length }));
       } catch (err) {
-        console.log('⚠️  Failed to load persistent peers:', err.message);
+        this.logger.warn('⚠️  Failed to load persistent peers', { error: err.message });
       }
     }
   }
@@ -97,7 +106,7 @@ class TreeP2P {
       }));
 
     try {
-      fs.writeFileSync(PEERS_FILE, JSON.stringify(peers, null, 2));
+      fs.writeFileSync(this.peersFile, JSON.stringify(peers, null, 2));
     } catch (err) {
       // Silently ignore save errors
     }
@@ -204,13 +213,13 @@ class TreeP2P {
       });
 
       this.server.listen(this.port, () => {
-        console.log(`🌐 P2P server running on port ${this.port}`);
+        this.emit(EVENTS.P2P_LISTENING, { port: this.port });
         resolve();
       });
 
       this.server.on("error", (err) => {
         if (err.code === "EADDRINUSE") {
-          console.log(`⚠️  Port ${this.port} in use, trying ${this.port + 1}...`);
+          this.emit(EVENTS.P2P_PORT_IN_USE, { port: this.port, nextPort: this.port + 1 });
           this.port++;
           this.server.listen(this.port);
         } else {
@@ -225,12 +234,17 @@ class TreeP2P {
    */
   async startDHT() {
     if (!this.enableDHT) {
-      console.log("🌐 DHT disabled");
+      this.logger.info("🌐 DHT disabled");
       return;
     }
 
     try {
-      this.dht = new DHTNode({ port: this.dhtPort });
+      this.dht = new DHTNode({
+        port: this.dhtPort,
+        networkId: this.networkId,
+        logger: this.logger,
+      });
+      forwardEvents(this.dht, this, DHT_EVENTS);
       await this.dht.start();
 
       // Try to bootstrap from persistent peers first
@@ -242,7 +256,7 @@ class TreeP2P {
       // Try persistent peers
       for (const peer of persistentPeers) {
         try {
-          console.log(`🔗 Trying to bootstrap from ${peer.host}:${this.dhtPort}...`);
+          this.logger.debug(`🔗 Trying to bootstrap from ${peer.host}:${this.dhtPort}...`);
           await this.dht.bootstrap({
             host: peer.host,
             port: this.dhtPort,
@@ -256,13 +270,13 @@ class TreeP2P {
       }
 
       // Try DHT bootstrap nodes if persistent peers failed
-      if (!bootstrapped && DHT_BOOTSTRAP_NODES.length > 0) {
-        for (const node of DHT_BOOTSTRAP_NODES) {
+      if (!bootstrapped && this.bootstrapNodes.length > 0) {
+        for (const node of this.bootstrapNodes) {
           try {
             // Show progress indicator for bootstrap (can take 1-2 minutes)
-            console.log(`⏳ Bootstrapping DHT... (this may take 1-2 minutes)`);
+            this.logger.info(`⏳ Bootstrapping DHT... (this may take 1-2 minutes)`);
             const progressInterval = setInterval(() => {
-              console.log(`   ⏳ Still bootstrapping, please wait...`);
+              this.logger.info(`   ⏳ Still bootstrapping, please wait...`);
             }, 15000); // Show progress every 15s
 
             try {
@@ -281,14 +295,12 @@ class TreeP2P {
       }
 
       if (bootstrapped) {
-        console.log("✅ DHT bootstrapped successfully");
-
         // Get public IP for announcements (so other agents can reach us)
         const publicIP = await this.getPublicIP();
         if (publicIP) {
-          console.log(`🌐 Public IP detected: ${publicIP}`);
+          this.logger.debug(`🌐 Public IP detected: ${publicIP}`);
         } else {
-          console.log(`⚠️  Could not detect public IP - using peer-detected IP`);
+          this.logger.warn(`⚠️  Could not detect public IP - using peer-detected IP`);
         }
 
         // Announce ourselves in DHT
@@ -298,9 +310,9 @@ class TreeP2P {
         this.dhtAnnounceTimer = setInterval(async () => {
           try {
             await this.dht.announce(this.port, publicIP);
-            console.log("📢 Re-announced in DHT");
+            this.logger.debug("📢 Re-announced in DHT");
           } catch (err) {
-            console.log("⚠️  DHT re-announce failed:", err.message);
+            this.logger.warn("⚠️  DHT re-announce failed", { error: err.message });
           }
         }, DHT_ANNOUNCE_INTERVAL);
 
@@ -309,7 +321,7 @@ class TreeP2P {
           try {
             const agents = await this.dht.findAgents();
             if (agents.length > 0) {
-              console.log(`🔍 DHT Discovery: Found ${agents.length} agent(s)`);
+              this.emit(EVENTS.DHT_AGENTS_FOUND, { count: agents.length });
               
               // Add newly discovered agents as peers
               for (const agent of agents) {
@@ -326,43 +338,41 @@ class TreeP2P {
                     .find(p => p.host === host && p.port === port);
                   
                   if (!existingPeer) {
-                    console.log(`   💡 New peer discovered: ${host}:${port}`);
                     this.addPeer(host, port, []);
                   }
                 }
               }
             }
           } catch (err) {
-            console.log("⚠️  DHT discovery failed:", err.message);
+            this.logger.warn("⚠️  DHT discovery failed", { error: err.message });
           }
         }, DHT_DISCOVERY_INTERVAL);
 
         // Run initial discovery immediately
-        setTimeout(async () => {
+        this.dhtInitialDiscoveryTimer = setTimeout(async () => {
+          this.dhtInitialDiscoveryTimer = null;
           try {
             const agents = await this.dht.findAgents();
             if (agents.length > 0) {
-              console.log(`🔍 Initial DHT Discovery: Found ${agents.length} agent(s)`);
+              this.emit(EVENTS.DHT_AGENTS_FOUND, { count: agents.length });
               for (const agent of agents) {
                 if (agent.id === this.dht.id.toString('hex')) continue;
                 const host = agent.host || 'unknown';
                 const port = agent.httpPort;
                 if (host !== 'unknown' && port) {
-                  console.log(`   💡 Discovered peer: ${host}:${port}`);
                   this.addPeer(host, port, []);
                 }
               }
             }
           } catch (err) {
-            console.log("⚠️  Initial DHT discovery failed:", err.message);
+            this.logger.warn("⚠️  Initial DHT discovery failed", { error: err.message });
           }
         }, 5000); // Wait 5s for other agents to announce themselves
       } else {
-        console.log("⚠️  DHT bootstrap failed - running in isolation mode");
-        console.log("   Waiting for other agents to connect...");
+        this.emit(EVENTS.DHT_ISOLATED, {});
       }
     } catch (err) {
-      console.error("❌ DHT start failed:", err.message);
+      this.logger.error("❌ DHT start failed", { error: err.message });
     }
   }
 
@@ -371,7 +381,7 @@ class TreeP2P {
    */
   async startBroadcast() {
     if (!this.enableBroadcast) {
-      console.log("📡 UDP broadcast disabled");
+      this.logger.info("📡 UDP broadcast disabled");
       return;
     }
 
@@ -388,6 +398,11 @@ class TreeP2P {
             return;
           }
 
+          // Ignore agents on other networks (devnet vs mainnet on one LAN)
+          if (data.network !== this.networkId) {
+            return;
+          }
+
           // Add/update peer
           if (data.type === 'announce' && data.port) {
             this.addPeer(rinfo.address, data.port, data.trees || []);
@@ -398,12 +413,12 @@ class TreeP2P {
       });
 
       this.broadcastSocket.on('error', (err) => {
-        console.log(`⚠️  Broadcast socket error: ${err.message}`);
+        this.logger.warn(`⚠️  Broadcast socket error: ${err.message}`);
       });
 
       this.broadcastSocket.bind(this.discoveryPort, () => {
         this.broadcastSocket.setBroadcast(true);
-        console.log(`📡 UDP broadcast listening on port ${this.discoveryPort}`);
+        this.logger.info(`📡 UDP broadcast listening on port ${this.discoveryPort}`);
         
         // Start broadcasting our presence
         this.startBroadcastLoop();
@@ -423,6 +438,7 @@ class TreeP2P {
     const broadcast = () => {
       const message = JSON.stringify({
         type: 'announce',
+        network: this.networkId,
         port: this.port,
         trees: Object.keys(this.builder.trees).map(Number),
         timestamp: Date.now(),
@@ -462,8 +478,8 @@ class TreeP2P {
 
       stale.forEach(key => {
         const peer = this.peers.get(key);
-        console.log(`🗑️  Removing stale peer: ${peer.host}:${peer.port}`);
         this.peers.delete(key);
+        this.emit(EVENTS.PEER_REMOVED, { host: peer.host, port: peer.port, reason: "stale" });
       });
     }, PEER_CLEANUP_INTERVAL);
   }
@@ -512,54 +528,68 @@ class TreeP2P {
     const key = `${host}:${port}`;
     const existing = this.peers.get(key);
 
-    if (!existing) {
-      console.log(`✨ Discovered peer: ${host}:${port} (trees: ${trees.join(', ') || 'none'})`);
-    }
-
     this.peers.set(key, {
       host,
       port,
       lastSeen: Date.now(),
       trees,
     });
+
+    if (!existing) {
+      this.emit(EVENTS.PEER_DISCOVERED, { host, port, trees });
+    }
   }
 
   /**
    * Stop server and broadcasting
+   *
+   * Saves peers and tree caches, clears every timer and closes the HTTP
+   * server, UDP socket and DHT.
+   *
+   * @returns {Promise<void>} Resolves once all sockets are closed
    */
-  stopServer() {
-    // Save peers before stopping
+  async stopServer() {
+    // Save peers + trees before stopping
     this.savePersistentPeers();
+    this.saveTreeCaches();
 
-    if (this.server) {
-      this.server.close();
-      console.log("🛑 P2P server stopped");
+    for (const timer of ["broadcastTimer", "cleanupTimer", "dhtAnnounceTimer", "dhtDiscoveryTimer"]) {
+      if (this[timer]) {
+        clearInterval(this[timer]);
+        this[timer] = null;
+      }
     }
 
-    if (this.broadcastSocket) {
-      this.broadcastSocket.close();
-      console.log("🛑 UDP broadcast stopped");
+    if (this.dhtInitialDiscoveryTimer) {
+      clearTimeout(this.dhtInitialDiscoveryTimer);
+      this.dhtInitialDiscoveryTimer = null;
     }
 
-    if (this.dht) {
-      this.dht.stop();
-      console.log("🛑 DHT stopped");
-    }
+    const closing = [];
+    const wasListening = !!this.server;
 
-    if (this.broadcastTimer) {
-      clearInterval(this.broadcastTimer);
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      closing.push(new Promise(resolve => server.close(() => resolve())));
+      // Idle keep-alive sockets would otherwise hold close() open
+      server.closeIdleConnections();
     }
 
-    if (this.cleanupTimer) {
-      clearInterval(this.cleanupTimer);
+    if (this.broadcastSocket) {
+      const socket = this.broadcastSocket;
+      this.broadcastSocket = null;
+      closing.push(new Promise(resolve => socket.close(() => resolve())));
+      this.logger.debug("🛑 UDP broadcast stopped");
     }
 
-    if (this.dhtAnnounceTimer) {
-      clearInterval(this.dhtAnnounceTimer);
+    if (this.dht) {
+      closing.push(this.dht.stop());
     }
 
-    if (this.dhtDiscoveryTimer) {
-      clearInterval(this.dhtDiscoveryTimer);
+    await Promise.all(closing);
+    if (wasListening) {
+      this.emit(EVENTS.P2P_STOPPED, {});
     }
   }
 
@@ -567,20 +597,20 @@ class TreeP2P {
    * Discover peers (DHT + broadcast + peer exchange)
    */
   async discoverPeers() {
-    console.log("🔍 Discovering peers...");
+    this.logger.debug("🔍 Discovering peers...");
 
     // 1. Check if we already have peers
     if (this.peers.size > 0) {
-      console.log(`   Using ${this.peers.size} known peer(s)`);
+      this.logger.debug(`   Using ${this.peers.size} known peer(s)`);
       return Array.from(this.peers.values());
     }
 
     // 2. Try DHT discovery (internet-wide)
     if (this.enableDHT && this.dht) {
-      console.log("   Searching DHT for agents...");
+      this.logger.debug("   Searching DHT for agents...");
       try {
         const agents = await this.dht.findAgents();
-        console.log(`   Found ${agents.length} agent(s) in DHT`);
+        this.logger.debug(`   Found ${agents.length} agent(s) in DHT`);
         
         agents.forEach(agent => {
           if (agent.httpPort) {
@@ -590,22 +620,22 @@ class TreeP2P {
           }
         });
       } catch (err) {
-        console.log("   DHT search failed:", err.message);
+        this.logger.warn("   DHT search failed", { error: err.message });
       }
     }
 
     // 3. Wait a moment for UDP broadcast discovery (LAN)
     if (this.enableBroadcast && this.peers.size === 0) {
-      console.log("   Waiting for UDP broadcasts...");
+      this.logger.debug("   Waiting for UDP broadcasts...");
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
 
     const peerCount = this.peers.size;
     if (peerCount === 0) {
-      console.log("   No peers found, will build tree from chain");
-      console.log("   💡 Tip: Make sure at least one agent is publicly reachable");
+      this.logger.info("   No peers found, will build tree from chain");
+      this.logger.info("   💡 Tip: Make sure at least one agent is publicly reachable");
     } else {
-      console.log(`   Found ${peerCount} peer(s)`);
+      this.logger.info(`   Found ${peerCount} peer(s)`);
       // Save discovered peers
       this.savePersistentPeers();
     }
@@ -620,11 +650,11 @@ class TreeP2P {
     const peers = Array.from(this.peers.values());
     
     if (peers.length === 0) {
-      console.log("ℹ️  No peers available, will build tree from chain");
+      this.logger.info("ℹ️  No peers available, will build tree from chain");
       return null;
     }
 
-    console.log(`📥 Fetching COMPLETE tree for chunk ${chunkId} from peers...`);
+    this.logger.info(`📥 Fetching COMPLETE tree for chunk ${chunkId} from peers...`);
 
     // Try peers that have this tree first
     const peersWithTree = peers.filter(p => p.trees && p.trees.includes(chunkId));
@@ -637,8 +667,6 @@ class TreeP2P {
         
         if (response.ok) {
           const data = await response.json();
-          console.log(`✅ Fetched complete tree from peer ${peer.host}:${peer.port}`);
-          console.log(`   Leaves: ${data.leafCount}, Tree nodes: ${data.tree.length}`);
           
           // Convert strings back to BigInt
           const leaves = data.leaves.map(l => BigInt(l));
@@ -652,16 +680,21 @@ class TreeP2P {
             root,
           };
           
-          console.log(`🚀 Tree ready instantly! Root: ${root.toString().substring(0, 20)}...`);
+          this.emit(EVENTS.TREE_FETCHED, {
+            chunkId,
+            host: peer.host,
+            port: peer.port,
+            leafCount: leaves.length,
+          });
           return true;
         }
       } catch (err) {
-        console.log(`⚠️  Failed to fetch from ${peer.host}:${peer.port}:`, err.message);
+        this.logger.warn(`⚠️  Failed to fetch from ${peer.host}:${peer.port}`, { error: err.message });
         continue;
       }
     }
 
-    console.log("❌ No peers had the tree, will build from chain");
+    this.logger.info("❌ No peers had the tree, will build from chain");
     return null;
   }
 
@@ -672,7 +705,7 @@ class TreeP2P {
     const treeData = this.builder.trees[chunkId];
     if (!treeData) return;
 
-    const cachePath = path.join(CACHE_DIR, `chunk-${chunkId}.json`);
+    const cachePath = path.join(this.cacheDir, `chunk-${chunkId}.json`);
     const cacheData = {
       chunkId,
       leaves: treeData.leaves.map(l => l.toString()),
@@ -683,14 +716,27 @@ class TreeP2P {
     };
 
     fs.writeFileSync(cachePath, JSON.stringify(cacheData));
-    console.log(`💾 Cached tree for chunk ${chunkId}`);
+    this.emit(EVENTS.TREE_CACHED, { chunkId });
+  }
+
+  /**
+   * Save every loaded tree to the local cache
+   */
+  saveTreeCaches() {
+    for (const chunkId of Object.keys(this.builder.trees)) {
+      try {
+        this.saveTreeCache(Number(chunkId));
+      } catch (err) {
+        this.logger.warn(`⚠️  Could not cache tree for chunk ${chunkId}`, { error: err.message });
+      }
+    }
   }
 
   /**
    * Load COMPLETE tree from local cache
    */
   loadTreeCache(chunkId) {
-    const cachePath = path.join(CACHE_DIR, `chunk-${chunkId}.json`);
+    const cachePath = path.join(this.cacheDir, `chunk-${chunkId}.json`);
     
     if (!fs.existsSync(cachePath)) {
       return null;
@@ -700,12 +746,12 @@ class TreeP2P {
       const cacheData = JSON.parse(fs.readFileSync(cachePath, "utf-8"));
       
       const age = Date.now() - cacheData.timestamp;
-      const ageMinutes = Math.floor(age / 60000);
+      const complete = !!(cacheData.tree && cacheData.root);
       
-      console.log(`📂 Loaded cached tree for chunk ${chunkId} (age: ${ageMinutes} minutes)`);
+      this.emit(EVENTS.TREE_CACHE_LOADED, { chunkId, ageMs: age, complete });
       
       // If we have the complete tree cached, load it directly
-      if (cacheData.tree && cacheData.root) {
+      if (complete) {
         const leaves = cacheData.leaves.map(l => BigInt(l));
         const tree = cacheData.tree.map(n => BigInt(n));
         const root = BigInt(cacheData.root);
@@ -717,7 +763,6 @@ class TreeP2P {
           root,
         };
         
-        console.log(`🚀 Complete tree loaded from cache! (instant, no build needed)`);
         return true;
       }
       
@@ -725,7 +770,7 @@ class TreeP2P {
       const leaves = cacheData.leaves.map(l => BigInt(l));
       return leaves;
     } catch (err) {
-      console.log(`⚠️  Failed to load cache:`, err.message);
+      this.logger.warn(`⚠️  Failed to load cache`, { error: err.message });
       return null;
     }
   }
@@ -0,0 +1,385 @@
+/**
+ * Spending Policy for Cipher Agents
+ *
+ * CipherAgent consults the policy before every deposit, withdraw and
+ * relayed withdrawal, so an autonomous (e.g. LLM-driven) agent cannot
+ * move more than its operator allows:
+ *
+ * {
+ *   "deposit":  { "maxPerTx": 5000000, "dailyCap": 20000000, "weeklyCap": 100000000 },
+ *   "withdraw": { "maxPerTx": 5000000, "allowRecipients": ["<pubkey>"], "denyRecipients": [] },
+ *   "relay":    { "dailyCap": 50000000 },
+ *   "maxNotesInFlight": 10,
+ *   "timeWindows": [{ "days": ["mon", "tue", "wed", "thu", "fri"], "start": "08:00", "end": "20:00" }]
+ * }
+ *
+ * - Amounts are base units (1 USDC = 1_000_000)
+ * - Caps are counted per token pool, in that mint's base units (actions
+ *   without a `mint` are the USDC pool)
+ * - Caps are rolling windows (last 24h / last 7 days), kept in a ledger file
+ * - Time windows are UTC; an action-level `timeWindows` overrides the global one
+ * - An empty policy allows everything
+ *
+ * Policies loaded from a file are re-read when the file changes, so limits
+ * can be tuned without restarting the agent.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PublicKey } = require("@solana/web3.js");
+
+const ACTIONS = ["deposit", "withdraw", "relay"];
+const ACTION_KEYS = ["maxPerTx", "dailyCap", "weeklyCap", "allowRecipients", "denyRecipients", "timeWindows"];
+const TOP_LEVEL_KEYS = [...ACTIONS, "maxNotesInFlight", "timeWindows"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Raised when an action is not allowed by the policy
+ *
+ * `rule` names the violated setting (e.g. "withdraw.dailyCap").
+ */
+class PolicyViolation extends Error {
+  constructor(rule, message, details = {}) {
+    super(`Policy violation (${rule}): ${message}`);
+    this.name = "PolicyViolation";
+    this.rule = rule;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ */
+function parseTime(value, where) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid policy: ${where} must be "HH:MM"`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Validate a policy object (unknown keys are errors - a typo must not
+ * silently disable a limit)
+ *
+ * @param {Object} policy - Policy object
+ * @returns {Object} The same policy
+ */
+function validatePolicy(policy) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    throw new Error("Invalid policy: expected an object");
+  }
+
+  const checkKeys = (obj, allowed, where) => {
+    for (const key of Object.keys(obj)) {
+      if (!allowed.includes(key)) {
+        throw new Error(`Invalid policy: unknown key ${where}${key}`);
+      }
+    }
+  };
+  const checkAmount = (value, where) => {
+    if (value !== undefined && (!Number.isSafeInteger(value) || value < 0)) {
+      throw new Error(`Invalid policy: ${where} must be a non-negative integer (base units)`);
+    }
+  };
+  const checkWindows = (windows, where) => {
+    if (windows === undefined) return;
+    if (!Array.isArray(windows)) {
+      throw new Error(`Invalid policy: ${where} must be an array`);
+    }
+    windows.forEach((w, i) => {
+      checkKeys(w, ["days", "start", "end"], `${where}[${i}].`);
+      parseTime(w.start, `${where}[${i}].start`);
+      parseTime(w.end, `${where}[${i}].end`);
+      for (const day of w.days || []) {
+        if (!DAY_NAMES.includes(day)) {
+          throw new Error(`Invalid policy: ${where}[${i}].days has unknown day "${day}"`);
+        }
+      }
+    });
+  };
+
+  checkKeys(policy, TOP_LEVEL_KEYS, "");
+  checkAmount(policy.maxNotesInFlight, "maxNotesInFlight");
+  checkWindows(policy.timeWindows, "timeWindows");
+
+  for (const action of ACTIONS) {
+    const rules = policy[action];
+    if (rules === undefined) continue;
+    checkKeys(rules, ACTION_KEYS, `${action}.`);
+    for (const key of ["maxPerTx", "dailyCap", "weeklyCap"]) {
+      checkAmount(rules[key], `${action}.${key}`);
+    }
+    for (const key of ["allowRecipients", "denyRecipients"]) {
+      if (rules[key] === undefined) continue;
+      if (!Array.isArray(rules[key])) {
+        throw new Error(`Invalid policy: ${action}.${key} must be an array`);
+      }
+      for (const address of rules[key]) {
+        try {
+          new PublicKey(address);
+        } catch {
+          throw new Error(`Invalid policy: ${action}.${key} has invalid address ${address}`);
+        }
+      }
+    }
+    checkWindows(rules.timeWindows, `${action}.timeWindows`);
+  }
+
+  return policy;
+}
+
+class PolicyEngine {
+  /**
+   * @param {Object} [policy] - Policy object (see module docs)
+   * @param {Object} [options]
+   * @param {string} [options.ledgerFile] - Spend ledger for caps (in-memory if omitted)
+   * @param {string} [options.policyFile] - Re-read the policy from here when it changes
+   * @param {Object} [options.logger] - Logger for ledger write failures
+   */
+  constructor(policy = {}, options = {}) {
+    this.policy = validatePolicy(policy);
+    this.policyFile = options.policyFile || null;
+    this.policyMtime = null;
+    this.ledgerFile = options.ledgerFile || null;
+    this.ledger = [];
+    this.ledgerError = null; // Unreadable ledger: every action is blocked
+    this._readLedger();
+    this.reserved = new Set(); // Authorized but not yet committed/released
+    this.logger = options.logger || null;
+  }
+
+  /**
+   * Load a policy from a JSON file
+   *
+   * @param {string} file - Policy JSON file
+   * @param {Object} [options] - See constructor
+   * @returns {PolicyEngine}
+   */
+  static fromFile(file, options = {}) {
+    const engine = new PolicyEngine(PolicyEngine.readFile(file), { ...options, policyFile: file });
+    engine.policyMtime = fs.statSync(file).mtimeMs;
+    return engine;
+  }
+
+  /**
+   * Read + validate a policy file
+   * @returns {Object} Policy
+   */
+  static readFile(file) {
+    let policy;
+    try {
+      policy = JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (err) {
+      throw new Error(`Cannot load policy ${file}: ${err.message}`);
+    }
+    return validatePolicy(policy);
+  }
+
+  /**
+   * Check an action and reserve its amount against the caps
+   *
+   * The reservation counts towards caps until commit() (spend recorded)
+   * or release() (action did not happen), so concurrent actions cannot
+   * jointly exceed a cap.
+   *
+   * @param {Object} action
+   * @param {string} action.type - 'deposit' | 'withdraw' | 'relay'
+   * @param {number} action.amount - Amount in base units
+   * @param {string} [action.mint] - Pool mint (base58; omitted: USDC pool)
+   * @param {string} [action.recipient] - Recipient (withdraw/relay)
+   * @param {number} [action.notesInFlight] - Unwithdrawn notes (deposit)
+   * @param {Date} [action.now] - Evaluation time (default: now)
+   * @returns {Promise<Object>} Ticket { commit(), release() }
+   * @throws {PolicyViolation}
+   */
+  async authorize(action) {
+    this._reloadIfChanged();
+    this.check(action);
+
+    const entry = { type: action.type, amount: action.amount, at: Date.now() };
+    if (action.mint) entry.mint = action.mint;
+    this.reserved.add(entry);
+
+    let settled = false;
+    return {
+      // Never throws: funds already moved, the in-memory ledger still counts it
+      commit: async () => {
+        if (settled) return;
+        settled = true;
+        this.reserved.delete(entry);
+        this.ledger.push(entry);
+        try {
+          await this._saveLedger();
+        } catch (err) {
+          if (this.logger) this.logger.warn(`⚠️  Could not save policy ledger: ${err.message}`);
+        }
+      },
+      release: () => {
+        if (settled) return;
+        settled = true;
+        this.reserved.delete(entry);
+      },
+    };
+  }
+
+  /**
+   * Check an action without reserving anything
+   *
+   * @param {Object} action - See authorize()
+   * @throws {PolicyViolation}
+   */
+  check(action) {
+    if (this.ledgerError) this._readLedger(); // Retry once the operator fixed the file
+    if (this.ledgerError) {
+      throw new PolicyViolation("ledger", `Spend ledger ${this.ledgerFile} is unreadable (${this.ledgerError}) - fix or remove it`);
+    }
+    const { type, amount, recipient, notesInFlight, mint } = action;
+    const now = action.now || new Date();
+    const rules = this.policy[type] || {};
+
+    if (rules.maxPerTx !== undefined && amount > rules.maxPerTx) {
+      throw new PolicyViolation(`${type}.maxPerTx`, `${amount} exceeds per-transaction limit ${rules.maxPerTx}`, {
+        limit: rules.maxPerTx,
+        amount,
+      });
+    }
+
+    for (const [key, windowMs, label] of [["dailyCap", DAY_MS, "24h"], ["weeklyCap", WEEK_MS, "7 days"]]) {
+      if (rules[key] === undefined) continue;
+      const spent = this.spent(type, windowMs, now.getTime(), mint);
+      if (spent + amount > rules[key]) {
+        throw new PolicyViolation(`${type}.${key}`, `${spent} already used in the last ${label}, cap is ${rules[key]}`, {
+          limit: rules[key],
+          spent,
+          amount,
+        });
+      }
+    }
+
+    if (recipient !== undefined) {
+      if (rules.denyRecipients && rules.denyRecipients.includes(recipient)) {
+        throw new PolicyViolation(`${type}.denyRecipients`, `recipient ${recipient} is denied`, { recipient });
+      }
+      if (rules.allowRecipients && !rules.allowRecipients.includes(recipient)) {
+        throw new PolicyViolation(`${type}.allowRecipients`, `recipient ${recipient} is not allowed`, { recipient });
+      }
+    }
+
+    if (type === "deposit" && this.policy.maxNotesInFlight !== undefined && notesInFlight !== undefined) {
+      if (notesInFlight >= this.policy.maxNotesInFlight) {
+        throw new PolicyViolation("maxNotesInFlight", `${notesInFlight} notes not withdrawn yet (max ${this.policy.maxNotesInFlight})`, {
+          limit: this.policy.maxNotesInFlight,
+          notesInFlight,
+        });
+      }
+    }
+
+    const windows = rules.timeWindows || this.policy.timeWindows;
+    if (windows && !windows.some(w => this._inWindow(w, now))) {
+      const rule = rules.timeWindows ? `${type}.timeWindows` : "timeWindows";
+      throw new PolicyViolation(rule, `${type} not allowed at ${now.toISOString()} (UTC windows)`, { at: now.getTime() });
+    }
+  }
+
+  /**
+   * Amount used (committed + reserved) for an action type in a rolling window
+   * (one pool: `mint`, or the USDC pool if omitted)
+   */
+  spent(type, windowMs, now = Date.now(), mint = null) {
+    let total = 0;
+    for (const entry of [...this.ledger, ...this.reserved]) {
+      if (entry.type === type && (entry.mint || null) === (mint || null) && now - entry.at < windowMs) {
+        total += entry.amount;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Is `now` inside a { days, start, end } UTC window?
+   * A window with end < start spans midnight.
+   * @private
+   */
+  _inWindow(window, now) {
+    const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+    const start = parseTime(window.start, "start");
+    const end = parseTime(window.end, "end");
+    const overnight = end < start;
+    const inTime = overnight ? (minutes >= start || minutes < end) : (minutes >= start && minutes < end);
+    if (!inTime) return false;
+    if (!window.days) return true;
+
+    // Overnight windows belong to the day they started on
+    const day = overnight && minutes < end ? (now.getUTCDay() + 6) % 7 : now.getUTCDay();
+    return window.days.includes(DAY_NAMES[day]);
+  }
+
+  /**
+   * Re-read the policy file if it changed
+   *
+   * SECURITY: A missing or invalid file throws, so a bad edit blocks
+   * actions instead of silently keeping (or dropping) limits.
+   * @private
+   */
+  _reloadIfChanged() {
+    if (!this.policyFile) return;
+    const mtime = fs.statSync(this.policyFile).mtimeMs;
+    if (mtime === this.policyMtime) return;
+    this.policy = PolicyEngine.readFile(this.policyFile);
+    this.policyMtime = mtime;
+  }
+
+  /**
+   * Load the ledger, or remember why it could not be read
+   * @private
+   */
+  _readLedger() {
+    try {
+      this.ledger = this._loadLedger();
+      this.ledgerError = null;
+    } catch (err) {
+      this.ledgerError = err.message;
+    }
+  }
+
+  /**
+   * SECURITY: Only a missing ledger starts empty - a corrupt one throws, so
+   * damaged state can never reset the caps
+   * @private
+   */
+  _loadLedger() {
+    if (!this.ledgerFile || !fs.existsSync(this.ledgerFile)) {
+      return [];
+    }
+    const ledger = JSON.parse(fs.readFileSync(this.ledgerFile, "utf-8"));
+    if (!Array.isArray(ledger)) {
+      throw new Error("not a list of ledger entries");
+    }
+    return ledger;
+  }
+
+  /**
+   * Persist the ledger (entries older than the weekly window are dropped)
+   * @private
+   */
+  async _saveLedger() {
+    const cutoff = Date.now() - WEEK_MS;
+    this.ledger = this.ledger.filter(e => e.at > cutoff);
+    if (!this.ledgerFile) return;
+
+    await fs.promises.mkdir(path.dirname(this.ledgerFile), { recursive: true, mode: 0o700 });
+    const tempFile = `${this.ledgerFile}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(this.ledger), { mode: 0o600 });
+    await fs.promises.rename(tempFile, this.ledgerFile);
+  }
+}
+
+module.exports = {
+  PolicyEngine,
+  PolicyViolation,
+  validatePolicy,
+};
@@ -0,0 +1,50 @@
+/**
+ * Cipher program error decoding
+ *
+ * Shared by the transaction builders (dry runs) and the send-and-confirm
+ * engine (transactions that landed with an error).
+ */
+
+const anchor = require("@coral-xyz/anchor");
+const fs = require("fs");
+const path = require("path");
+
+const IDL = JSON.parse(fs.readFileSync(path.join(__dirname, "cipher.json"), "utf-8"));
+
+// Anchor framework error codes (< 6000) -> names
+const LANG_ERROR_NAMES = new Map(Object.entries(anchor.LangErrorCode).map(([name, code]) => [code, name]));
+
+/**
+ * Decode a transaction error into { code, name, message }
+ *
+ * Custom program errors are looked up in the Cipher IDL (e.g. 6001 ->
+ * DoubleSpending), then in Anchor's framework errors.
+ *
+ * @param {Object|string|null} err - `err` from simulateTransaction / getTransaction
+ * @returns {Object|null} Decoded error or null if none
+ */
+function decodeProgramError(err) {
+  if (!err) {
+    return null;
+  }
+
+  const detail = err.InstructionError ? err.InstructionError[1] : err;
+  const custom = detail && typeof detail === "object" ? detail.Custom : undefined;
+  if (custom !== undefined) {
+    const idlError = IDL.errors.find(e => e.code === custom);
+    if (idlError) {
+      return { code: custom, name: idlError.name, message: idlError.msg };
+    }
+    if (LANG_ERROR_NAMES.has(custom)) {
+      return { code: custom, name: LANG_ERROR_NAMES.get(custom), message: anchor.LangErrorMessage.get(custom) };
+    }
+    return { code: custom, name: "Custom", message: `Custom program error ${custom}` };
+  }
+
+  const name = typeof detail === "string" ? detail : Object.keys(detail)[0];
+  return { code: null, name, message: JSON.stringify(err) };
+}
+
+module.exports = {
+  decodeProgramError,
+};
@@ -1,20 +1,108 @@
 /**
  * Zero-Knowledge Proof Generation
  * 
- * Wraps snarkjs for deposit/withdraw proof generation
+ * Wraps snarkjs for deposit/withdraw proof generation. With a ProverPool
+ * (options.prover) proving runs in a worker thread instead of blocking
+ * the event loop. Circuit files come from a CircuitRegistry (see
+ * circuits.js): read and hash-checked once, then proved from memory.
  */
 
 const { groth16 } = require("snarkjs");
 const crypto = require("crypto");
-const path = require("path");
 const { getPoseidon } = require("./crypto");
+const { resolveLogger } = require("./logger");
+const { getDefaultRegistry } = require("./circuits");
 
-// Circuit paths
-const CIRCUITS_DIR = path.join(__dirname, "..", "circuits");
-const DEPOSIT_WASM = path.join(CIRCUITS_DIR, "deposit.wasm");
-const DEPOSIT_ZKEY = path.join(CIRCUITS_DIR, "deposit_final.zkey");
-const WITHDRAW_WASM = path.join(CIRCUITS_DIR, "withdraw.wasm");
-const WITHDRAW_ZKEY = path.join(CIRCUITS_DIR, "withdraw_final.zkey");
+// Withdraw public signals: [valid, root, amount, nullifierHash, recipient bytes x32, fee]
+const WITHDRAW_PUBLIC_SIGNALS = 37;
+
+/**
+ * groth16.fullProve on the circuit's checked in-memory artifacts, in the
+ * pool's workers when one is given
+ */
+async function fullProve(input, kind, options) {
+  const { wasm, zkey } = await (options.circuits || getDefaultRegistry()).provingArtifacts(kind);
+  if (options.prover) {
+    return await options.prover.prove(input, wasm, zkey, { signal: options.signal, kind });
+  }
+  options.signal?.throwIfAborted();
+  return await groth16.fullProve(input, wasm, zkey);
+}
+
+/**
+ * Check a Groth16 proof against the circuit's verification key
+ *
+ * @param {string} kind - 'deposit' or 'withdraw'
+ * @param {Object} proof - snarkjs proof (pi_a, pi_b, pi_c)
+ * @param {Array<string>} publicSignals - Decimal strings
+ * @param {Object} [options]
+ * @param {CircuitRegistry} [options.circuits] - Circuit artifacts (default: the bundled ones)
+ * @returns {Promise<boolean>} true if the proof is valid
+ * @throws {CircuitArtifactError} If the verification key is missing or fails its pin
+ */
+async function verifyProof(kind, proof, publicSignals, options = {}) {
+  const vkey = await (options.circuits || getDefaultRegistry()).verificationKey(kind);
+  if (publicSignals.length !== vkey.nPublic) return false;
+  return await groth16.verify(vkey, publicSignals, proof);
+}
+
+/**
+ * Bytes of a proof field: Buffer, byte array or JSON-serialized Buffer
+ * (what a Buffer becomes in a relayer request body)
+ */
+function proofBytes(value, length, name) {
+  const bytes = Buffer.isBuffer(value) ? value
+    : Array.isArray(value) ? value
+    : value && value.type === "Buffer" && Array.isArray(value.data) ? value.data
+    : null;
+  if (!bytes || bytes.length !== length || !Array.from(bytes).every(b => Number.isInteger(b) && b >= 0 && b <= 255)) {
+    throw new Error(`Invalid proof encoding: ${name} must be ${length} bytes`);
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a formatted proof ({ proofA, proofB, proofC, publicSignals },
+ * e.g. from a relayer request) back into snarkjs form
+ *
+ * Reverses formatProof / generateWithdrawProof: G2 coordinates are stored
+ * as (c1, c0). Public signals may be decimal strings or 32-byte values.
+ *
+ * @param {Object} formatted
+ * @returns {Object} { proof, publicSignals, bytes } - bytes: { proofA, proofB, proofC } as Buffers
+ * @throws {Error} "Invalid proof encoding: ..." on malformed input
+ */
+function decodeProof(formatted) {
+  const proofA = proofBytes(formatted.proofA, 64, "proofA");
+  const proofB = proofBytes(formatted.proofB, 128, "proofB");
+  const proofC = proofBytes(formatted.proofC, 64, "proofC");
+  if (!Array.isArray(formatted.publicSignals)) {
+    throw new Error("Invalid proof encoding: publicSignals must be an array");
+  }
+
+  const field = (buf, index) => BigInt("0x" + buf.subarray(index * 32, index * 32 + 32).toString("hex")).toString();
+  const publicSignals = formatted.publicSignals.map((signal, i) => {
+    if (typeof signal === "string" && /^[0-9]{1,78}$/.test(signal)) return BigInt(signal).toString();
+    if (typeof signal === "string") throw new Error(`Invalid proof encoding: publicSignals[${i}]`);
+    return field(proofBytes(signal, 32, `publicSignals[${i}]`), 0);
+  });
+
+  return {
+    proof: {
+      pi_a: [field(proofA, 0), field(proofA, 1), "1"],
+      pi_b: [
+        [field(proofB, 1), field(proofB, 0)],
+        [field(proofB, 3), field(proofB, 2)],
+        ["1", "0"],
+      ],
+      pi_c: [field(proofC, 0), field(proofC, 1), "1"],
+      protocol: "groth16",
+      curve: "bn128",
+    },
+    publicSignals,
+    bytes: { proofA, proofB, proofC },
+  };
+}
 
 /**
  * Generate random bytes
@@ -45,6 +133,15 @@ async function generateCommitment(secret, nullifier, amount) {
   return await hash(nullifierBigInt, secretBigInt, amountBigInt);
 }
 
+/**
+ * Generate nullifier hash (public, marks a note as spent on-chain)
+ * MUST match circuit/frontend: poseidon([nullifier, 0])
+ */
+async function generateNullifierHash(nullifier) {
+  const nullifierBigInt = BigInt('0x' + nullifier.toString('hex'));
+  return await hash(nullifierBigInt, BigInt(0));
+}
+
 /**
  * Format proof for Solana contract
  */
@@ -85,10 +182,16 @@ function formatProof(proof, publicSignals) {
  * @param {Buffer} secret - 32 random bytes
  * @param {Buffer} nullifier - 32 random bytes
  * @param {number} amount - Deposit amount (in USDC units, e.g. 1_000_000 for 1 USDC)
+ * @param {Object} [options]
+ * @param {Logger} [options.logger] - Logger (default: console)
+ * @param {ProverPool} [options.prover] - Prove in a worker thread (default: main thread)
+ * @param {AbortSignal} [options.signal] - Cancel proving (with a prover: also while it runs)
+ * @param {CircuitRegistry} [options.circuits] - Circuit artifacts (default: the bundled ones)
  * @returns {Object} { proof, commitment, secret, nullifier }
  */
-async function generateDepositProof(secret, nullifier, amount) {
-  console.log("🔐 Generating deposit proof...");
+async function generateDepositProof(secret, nullifier, amount, options = {}) {
+  const logger = resolveLogger(options.logger).child({ module: "proof" });
+  logger.info("🔐 Generating deposit proof...");
   const start = Date.now();
 
   // Convert to BigInt
@@ -104,16 +207,12 @@ async function generateDepositProof(secret, nullifier, amount) {
   };
 
   // Generate proof
-  const { proof, publicSignals } = await groth16.fullProve(
-    input,
-    DEPOSIT_WASM,
-    DEPOSIT_ZKEY
-  );
+  const { proof, publicSignals } = await fullProve(input, "deposit", options);
 
   const formatted = formatProof(proof, publicSignals);
 
   const elapsed = ((Date.now() - start) / 1000).toFixed(2);
-  console.log(`✅ Deposit proof generated in ${elapsed}s`);
+  logger.info(`✅ Deposit proof generated in ${elapsed}s`);
 
   return {
     proof: formatted,
@@ -134,7 +233,13 @@ async function generateDepositProof(secret, nullifier, amount) {
  * @param {Array<number>} pathIndices - Merkle path indices
  * @param {string} root - Merkle root
  * @param {number} relayerFee - Relayer fee (0 for now)
- * @returns {Object} { proof }
+ * @param {Object} [options]
+ * @param {Logger} [options.logger] - Logger (default: console)
+ * @param {ProverPool} [options.prover] - Prove in a worker thread (default: main thread)
+ * @param {AbortSignal} [options.signal] - Cancel proving (with a prover: also while it runs)
+ * @param {CircuitRegistry} [options.circuits] - Circuit artifacts (default: the bundled ones)
+ * @returns {Object} { proof, nullifierHash } - proof is verified before it is returned
+ * @throws {CircuitArtifactError} If the withdraw verification key is missing or fails its pin
  */
 async function generateWithdrawProof(
   secret,
@@ -144,9 +249,11 @@ async function generateWithdrawProof(
   pathElements,
   pathIndices,
   root,
-  relayerFee = 0
+  relayerFee = 0,
+  options = {}
 ) {
-  console.log("🔓 Generating withdraw proof...");
+  const logger = resolveLogger(options.logger).child({ module: "proof" });
+  logger.info("🔓 Generating withdraw proof...");
   const start = Date.now();
 
   // Convert to BigInt
@@ -155,7 +262,7 @@ async function generateWithdrawProof(
   const commitment = await generateCommitment(secret, nullifier, amount);
 
   // Compute nullifier hash (matching frontend: poseidon([nullifier, 0]))
-  const nullifierHash = await hash(nullifierBigInt, BigInt(0));
+  const nullifierHash = await generateNullifierHash(nullifier);
 
   // Convert recipient address (base58) to bytes
   const { PublicKey } = require("@solana/web3.js");
@@ -175,12 +282,18 @@ async function generateWithdrawProof(
     pathIndices: pathIndices,
   };
 
+  // SECURITY: Never hand a relayer a proof the program would reject (fees
+  // for a failed TX) - e.g. a zkey that does not match the shipped circuit.
+  // No verification key, no proof: a missing or unpinned key throws here,
+  // before any time is spent proving
+  await (options.circuits || getDefaultRegistry()).verificationKey("withdraw");
+
   // Generate proof
-  const { proof, publicSignals } = await groth16.fullProve(
-    input,
-    WITHDRAW_WASM,
-    WITHDRAW_ZKEY
-  );
+  const { proof, publicSignals } = await fullProve(input, "withdraw", options);
+
+  if (!(await verifyProof("withdraw", proof, publicSignals, options))) {
+    throw new Error("Withdraw proof failed local verification (circuit files do not match)");
+  }
 
   // For withdraw, keep publicSignals as strings (not Buffers!)
   const toBytes = (numStr) => {
@@ -213,7 +326,7 @@ async function generateWithdrawProof(
   };
 
   const elapsed = ((Date.now() - start) / 1000).toFixed(2);
-  console.log(`✅ Withdraw proof generated in ${elapsed}s`);
+  logger.info(`✅ Withdraw proof generated in ${elapsed}s`);
 
   return {
     proof: formatted,
@@ -222,8 +335,12 @@ async function generateWithdrawProof(
 }
 
 module.exports = {
+  WITHDRAW_PUBLIC_SIGNALS,
   randomBytes,
   generateCommitment,
+  generateNullifierHash,
   generateDepositProof,
   generateWithdrawProof,
+  verifyProof,
+  decodeProof,
 };
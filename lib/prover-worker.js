@@ -0,0 +1,39 @@
+/**
+ * Proving Worker (see ProverPool)
+ *
+ * Runs one Groth16 proof at a time: witness calculation, then proving.
+ * Started through web-worker's thread entry (see prover.js).
+ * Messages in:  { id, input, wasmFile, zkeyFile } (paths or in-memory files)
+ * Messages out: { id, type: 'progress', stage: 'witness'|'proving', step? }
+ *               { id, type: 'result', proof, publicSignals }
+ *               { id, type: 'error', message }
+ */
+
+const { parentPort } = require("worker_threads");
+const { groth16, wtns } = require("snarkjs");
+
+// One thread per proof: the pool runs proofs in parallel, the curve code
+// starts no helper threads of its own
+const SINGLE_THREAD = { singleThread: true };
+
+parentPort.on("message", async ({ id, input, wasmFile, zkeyFile }) => {
+  const progress = (stage, step) => parentPort.postMessage({ id, type: "progress", stage, step });
+  try {
+    progress("witness");
+    const witness = { type: "mem" };
+    await wtns.calculate(input, wasmFile, witness);
+
+    progress("proving");
+    // snarkjs reports its proving steps (Multiexp A, ...) at debug level
+    const logger = {
+      debug: (step) => progress("proving", step),
+      info: () => {},
+      warn: () => {},
+      error: () => {},
+    };
+    const { proof, publicSignals } = await groth16.prove(zkeyFile, witness, logger, SINGLE_THREAD);
+    parentPort.postMessage({ id, type: "result", proof, publicSignals });
+  } catch (err) {
+    parentPort.postMessage({ id, type: "error", message: err.message });
+  }
+});
@@ -0,0 +1,278 @@
+/**
+ * Groth16 Proving Pool
+ *
+ * snarkjs proving takes seconds of CPU. On the main thread it stalls the
+ * P2P HTTP server, DHT socket handlers and relayer timers, so an agent
+ * that serves trees and relays for peers offloads its own proofs to
+ * worker threads:
+ *
+ *   const pool = new ProverPool({ size: 2 });
+ *   const { proof, publicSignals } = await pool.prove(input, wasmFile, zkeyFile, { signal });
+ *
+ * - Up to `size` proofs run in parallel; the rest wait in a FIFO queue
+ * - `signal` cancels a queued job, or terminates the worker running it
+ *   (snarkjs cannot be interrupted otherwise)
+ * - 'progress' events: { id, kind, stage: 'queued'|'witness'|'proving'|'done'|'aborted', ... }
+ *
+ * Workers start on demand and exit after `idleTimeout`; idle workers
+ * never keep the process alive.
+ *
+ * PRIVACY: Inputs (secrets, nullifiers) only travel to the worker - they
+ * are never part of progress events or errors.
+ */
+
+const os = require("os");
+const path = require("path");
+const EventEmitter = require("events");
+const { Worker } = require("worker_threads");
+const { resolveLogger } = require("./logger");
+
+const WORKER_FILE = path.join(__dirname, "prover-worker.js");
+// snarkjs' curve code (ffjavascript) loads web-worker, which expects every
+// worker thread to be one it started: workers run web-worker's thread
+// entry, which then loads WORKER_FILE
+const THREAD_ENTRY = require.resolve("web-worker", {
+  paths: [require.resolve("ffjavascript", { paths: [require.resolve("snarkjs")] })],
+});
+const DEFAULT_IDLE_TIMEOUT = 30_000;
+
+/**
+ * Default pool size: leave a core for the main thread (at least 1, at most 2 -
+ * every worker holds its own copy of the proving keys)
+ */
+function defaultPoolSize() {
+  const cores = typeof os.availableParallelism === "function" ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, Math.min(2, cores - 1));
+}
+
+function abortError(signal) {
+  return signal.reason instanceof Error
+    ? signal.reason
+    : new DOMException("Proof generation aborted", "AbortError");
+}
+
+class ProverPool extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size] - Max parallel proofs (default: cores - 1, 1..2)
+   * @param {number} [options.idleTimeout=30000] - ms before an idle worker exits
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    super();
+    this.size = options.size || defaultPoolSize();
+    if (!Number.isSafeInteger(this.size) || this.size < 1) {
+      throw new Error(`Invalid prover pool size: ${options.size}`);
+    }
+    this.idleTimeout = options.idleTimeout ?? DEFAULT_IDLE_TIMEOUT;
+    this.logger = resolveLogger(options.logger).child({ module: "prover" });
+    this.workers = []; // { worker, job, idleTimer }
+    this.queue = []; // Jobs waiting for a worker
+    this.nextJobId = 0;
+  }
+
+  /**
+   * Generate a Groth16 proof in a worker (same result as groth16.fullProve)
+   *
+   * @param {Object} input - Circuit input (strings / arrays of strings)
+   * @param {string|Object} wasmFile - Circuit WASM: path or { type: "mem", data }
+   * @param {string|Object} zkeyFile - Proving key: path or { type: "mem", data }
+   *   (SharedArrayBuffer-backed data reaches the worker without a copy)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancel (rejects with signal.reason)
+   * @param {string} [options.kind] - Label for progress events ('deposit', 'withdraw')
+   * @param {Function} [options.onProgress] - Called with this job's progress events
+   * @returns {Promise<Object>} { proof, publicSignals }
+   */
+  prove(input, wasmFile, zkeyFile, options = {}) {
+    const { signal, kind = null, onProgress } = options;
+    if (signal?.aborted) {
+      return Promise.reject(abortError(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        id: this.nextJobId++,
+        kind,
+        input,
+        wasmFile,
+        zkeyFile,
+        signal,
+        onProgress,
+        started: Date.now(),
+        slot: null,
+        resolve,
+        reject,
+      };
+      job.onAbort = () => this._abort(job);
+      signal?.addEventListener("abort", job.onAbort, { once: true });
+
+      this.queue.push(job);
+      this._dispatch();
+      if (this.queue.includes(job)) {
+        this._progress(job, { stage: "queued", position: this.queue.length });
+      }
+    });
+  }
+
+  /**
+   * @returns {Object} { size, workers, busy, queued }
+   */
+  stats() {
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy: this.workers.filter(slot => slot.job).length,
+      queued: this.queue.length,
+    };
+  }
+
+  /**
+   * Terminate all workers and reject pending jobs
+   *
+   * The pool stays usable: the next prove() starts a fresh worker.
+   */
+  async close() {
+    const error = new Error("Prover pool closed");
+    for (const job of this.queue.splice(0)) {
+      this._settle(job, error);
+    }
+    const slots = this.workers.splice(0);
+    for (const slot of slots) {
+      clearTimeout(slot.idleTimer);
+      if (slot.job) this._settle(slot.job, error);
+    }
+    await Promise.all(slots.map(slot => slot.worker.terminate()));
+  }
+
+  /**
+   * Start queued jobs on idle (or new) workers
+   * @private
+   */
+  _dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find(candidate => !candidate.job);
+      if (!slot) {
+        if (this.workers.length >= this.size) return;
+        slot = this._spawn();
+      }
+      const job = this.queue.shift();
+      clearTimeout(slot.idleTimer);
+      slot.worker.ref();
+      slot.job = job;
+      job.slot = slot;
+      job.started = Date.now();
+      slot.worker.postMessage({ id: job.id, input: job.input, wasmFile: job.wasmFile, zkeyFile: job.zkeyFile });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _spawn() {
+    const worker = new Worker(THREAD_ENTRY, { workerData: { mod: WORKER_FILE, name: "cipher-prover" } });
+    const slot = { worker, job: null, idleTimer: null };
+
+    slot.worker.on("message", (message) => {
+      const job = slot.job;
+      if (!job || message.id !== job.id) return;
+      if (message.type === "progress") {
+        this._progress(job, { stage: message.stage, step: message.step });
+      } else if (message.type === "result") {
+        this._release(slot);
+        this._progress(job, { stage: "done", durationMs: Date.now() - job.started });
+        this._settle(job, null, { proof: message.proof, publicSignals: message.publicSignals });
+      } else {
+        this._release(slot);
+        this._settle(job, new Error(`Proof generation failed: ${message.message}`));
+      }
+    });
+    // Crash (e.g. out of memory): fail its job, replace the worker on demand
+    slot.worker.on("error", (err) => this._lose(slot, err));
+    slot.worker.on("exit", (code) => this._lose(slot, new Error(`Prover worker exited with code ${code}`)));
+
+    this.workers.push(slot);
+    return slot;
+  }
+
+  /**
+   * Worker is idle again: take the next job or schedule its exit
+   * @private
+   */
+  _release(slot) {
+    slot.job = null;
+    slot.worker.unref();
+    this._dispatch();
+    if (!slot.job) {
+      slot.idleTimer = setTimeout(() => this._retire(slot), this.idleTimeout);
+      slot.idleTimer.unref();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _retire(slot) {
+    this.workers = this.workers.filter(candidate => candidate !== slot);
+    slot.worker.terminate();
+  }
+
+  /**
+   * @private
+   */
+  _lose(slot, err) {
+    if (!this.workers.includes(slot)) return; // Retired, aborted or closed
+    this.workers = this.workers.filter(candidate => candidate !== slot);
+    clearTimeout(slot.idleTimer);
+    if (slot.job) {
+      this.logger.warn("⚠️  Prover worker failed", { error: err.message });
+      this._settle(slot.job, err);
+    }
+    this._dispatch();
+  }
+
+  /**
+   * @private
+   */
+  _abort(job) {
+    const error = abortError(job.signal);
+    if (this.queue.includes(job)) {
+      this.queue = this.queue.filter(candidate => candidate !== job);
+    } else if (job.slot && job.slot.job === job) {
+      // Running: the only way to stop snarkjs is to end its thread
+      this._retire(job.slot);
+      this._dispatch();
+    } else {
+      return; // Already settled
+    }
+    this._progress(job, { stage: "aborted" });
+    this._settle(job, error);
+  }
+
+  /**
+   * @private
+   */
+  _settle(job, err, result) {
+    job.signal?.removeEventListener("abort", job.onAbort);
+    job.slot = null;
+    if (err) {
+      job.reject(err);
+    } else {
+      job.resolve(result);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _progress(job, details) {
+    const event = { id: job.id, kind: job.kind, ...details };
+    if (job.onProgress) job.onProgress(event);
+    this.emit("progress", event);
+  }
+}
+
+module.exports = {
+  ProverPool,
+  defaultPoolSize,
+};
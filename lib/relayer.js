@@ -5,23 +5,66 @@
  * - Accepts withdraw requests via HTTP
  * - Queues transactions with delay
  * - Signs and submits after delay (privacy)
- * - No Redis needed (in-memory queue)
+ * - No Redis needed (in-memory queue, persisted to disk on shutdown)
  */
 
 const crypto = require('crypto');
+const fs = require('fs');
+const EventEmitter = require('events');
+const { PublicKey } = require('@solana/web3.js');
+const { EVENTS } = require('./events');
+const { decodeProof, verifyProof, WITHDRAW_PUBLIC_SIGNALS } = require('./proof');
 
 const DEFAULT_DELAY = 60000; // 1 minute default delay
 const RELAYER_FEE = 0; // No fees for now
+const RETRY_DELAY = 60000; // Retry failed withdrawals after 1 minute
+const DEFAULT_MAX_ATTEMPTS = 5;
+const MAX_FINISHED = 1000; // Finished items kept for status lookups
 
-class RelayerService {
+// Program errors that can never succeed on retry
+const PERMANENT_ERRORS = [
+  'DoubleSpending',
+  'InvalidNullifier',
+  'InvalidProof',
+  'ProofInvalid',
+  'VerificationFailed',
+  'InvalidMerkleRoot',
+];
+
+// Queue item states (GET /relayer/status/:queueId)
+const QUEUE_STATUS = {
+  QUEUED: 'queued',
+  EXECUTING: 'executing',
+  RETRYING: 'retrying',
+  EXECUTED: 'executed',
+  FAILED: 'failed',
+  EVICTED: 'evicted',
+};
+
+class RelayerService extends EventEmitter {
   constructor(agent, options = {}) {
+    super();
     this.agent = agent;
     this.maxDelay = options.maxDelay || DEFAULT_DELAY;
     this.minDelay = options.minDelay || DEFAULT_DELAY / 2;
+    this.networkId = options.networkId || null; // Reject withdrawals for other networks
+    this.policy = options.policy || null; // PolicyEngine for 'relay' actions
+    // SECURITY: Groth16-verify every submission before it takes a queue slot (M3).
+    // Without the withdraw verification key every submission gets a 503
+    this.verifyProofs = options.verifyProofs !== false;
+    this.circuits = options.circuits || null; // CircuitRegistry (default: bundled circuits)
     
     this.queue = []; // In-memory queue
+    this.finished = new Map(); // queueId -> executed/failed item (bounded)
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
     this.processing = false;
     this.processTimer = null;
+    this.wakeProcessor = null; // Resolves the processor's wait early
+    this.inFlight = null; // Promise of the withdrawal being executed
+    this.accepting = true;
+    
+    // SECURITY: Holds proofs + recipients - written 0600, removed on restore
+    this.queueFile = options.queueFile || null;
     
     // Rate limiting
     this.rateLimit = options.rateLimit || { requests: 10, window: 60000 }; // 10 req/min
@@ -64,6 +107,15 @@ class RelayerService {
         return;
       }
 
+      // GET /relayer/status/:queueId - State of one withdrawal
+      if (req.url.startsWith('/relayer/status/') && req.method === 'GET') {
+        const queueId = req.url.slice('/relayer/status/'.length);
+        const status = /^[0-9a-f]{32}$/.test(queueId) ? this.getStatus(queueId) : null;
+        res.writeHead(status ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(status || { error: 'Unknown queue ID' }));
+        return;
+      }
+
       // GET /relayer/status - Get relayer status
       if (req.url === '/relayer/status' && req.method === 'GET') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -72,6 +124,7 @@ class RelayerService {
           processing: this.processing,
           fee: RELAYER_FEE,
           maxDelay: this.maxDelay,
+          network: this.networkId,
         }));
         return;
       }
@@ -85,6 +138,12 @@ class RelayerService {
    * Handle withdraw submission with input validation
    */
   async handleSubmit(req, res) {
+    if (!this.accepting) {
+      res.writeHead(503, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Relayer is shutting down' }));
+      return;
+    }
+    
     // Rate limiting check
     const clientIp = req.socket.remoteAddress || 'unknown';
     if (!this._checkRateLimit(clientIp)) {
@@ -111,29 +170,81 @@ class RelayerService {
     req.on('end', async () => {
       try {
         const data = JSON.parse(body);
-        const { proof, recipient, amount, chunkId } = data;
+        const { proof, recipient, amount, chunkId, network } = data;
 
         // Comprehensive input validation
-        const validation = this._validateWithdrawRequest(proof, recipient, amount, chunkId);
+        let validation = this._validateWithdrawRequest(proof, recipient, amount, chunkId);
+        
+        // Token pool (omitted: USDC pool). Only pools this agent serves are relayed
+        let mint = data.mint;
+        if (validation.valid && mint !== undefined && (typeof mint !== 'string' || !this.agent.tokens.has(mint))) {
+          validation = { valid: false, error: 'Unsupported mint' };
+        }
+        // SECURITY: The default pool has one policy key whether or not the client
+        // names its mint (like poolAction) - otherwise alternating doubles the relay caps
+        if (validation.valid && mint !== undefined && this.agent.tokens.defaultMint.equals(new PublicKey(mint))) {
+          mint = undefined;
+        }
+        
+        // SECURITY: A proof for another network's pool must never be relayed here
+        if (validation.valid && network && this.networkId && network !== this.networkId) {
+          validation = { valid: false, error: `Wrong network: relayer serves ${this.networkId}` };
+        }
+        
+        // Invalid proofs would cost this relayer fees for a failed TX
+        if (validation.valid && this.verifyProofs) {
+          try {
+            validation = await this._verifyProof(validation.proof);
+          } catch (err) {
+            this.emit(EVENTS.RELAYER_REJECTED, { status: 503, error: err.message });
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Proof verification unavailable' }));
+            return;
+          }
+        }
         if (!validation.valid) {
+          this.emit(EVENTS.RELAYER_REJECTED, { status: 400, error: validation.error });
           res.writeHead(400, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: validation.error }));
           return;
         }
 
+        // Operator limits on what this relayer pays fees for
+        let ticket = null;
+        if (this.policy) {
+          try {
+            ticket = await this.policy.authorize({ type: 'relay', amount, recipient, mint });
+          } catch (err) {
+            if (err.name !== 'PolicyViolation') throw err;
+            this.emit(EVENTS.RELAYER_REJECTED, { status: 403, error: err.message });
+            res.writeHead(403, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: err.message }));
+            return;
+          }
+        }
+
         // Add to queue
         const queueItem = {
           id: crypto.randomBytes(16).toString('hex'),
-          proof,
+          proof: validation.proof, // Normalized: byte arrays + decimal strings (JSON-safe)
           recipient,
           amount,
           chunkId,
+          mint,
+          status: QUEUE_STATUS.QUEUED,
+          attempts: 0,
           submittedAt: Date.now(),
           executeAt: Date.now() + this.randomDelay(),
         };
 
         this.queue.push(queueItem);
-        console.log(`📝 Relayer: Queued withdraw for ${recipient.substring(0, 8)}... (${this.queue.length} in queue)`);
+        if (ticket) await ticket.commit();
+        this.emit(EVENTS.RELAYER_QUEUED, {
+          queueId: queueItem.id,
+          recipient,
+          executeAt: queueItem.executeAt,
+          queueLength: this.queue.length,
+        });
 
         // Start processing if not already running
         if (!this.processing) {
@@ -148,13 +259,111 @@ class RelayerService {
         }));
 
       } catch (err) {
-        console.error('❌ Relayer submit error:', err.message);
+        this.emit(EVENTS.RELAYER_REJECTED, { status: 500, error: err.message });
         res.writeHead(500, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'Internal server error' }));
       }
     });
   }
 
+  /**
+   * State of a queued or finished withdrawal
+   *
+   * PRIVACY: Only lifecycle fields - never the proof or recipient.
+   * Queue IDs are 128-bit random, so they double as the lookup capability.
+   *
+   * @param {string} queueId - Queue ID returned by /relayer/submit
+   * @returns {Object|null} { queueId, status, attempts, executeAt, txId?, fees?, error? } or null
+   */
+  getStatus(queueId) {
+    const item = this.queue.find(i => i.id === queueId) || this.finished.get(queueId);
+    if (!item) return null;
+
+    const status = {
+      queueId: item.id,
+      status: item.status,
+      attempts: item.attempts,
+      executeAt: item.executeAt,
+    };
+    if (item.txId) status.txId = item.txId;
+    if (item.fees) status.fees = item.fees;
+    if (item.error) status.error = item.error;
+    return status;
+  }
+
+  /**
+   * Pending queue items for operators (admin API)
+   *
+   * PRIVACY: Lifecycle fields only - proofs and recipients stay in the queue.
+   *
+   * @returns {Array<Object>} [{ queueId, status, attempts, amount, mint, chunkId, submittedAt, executeAt, error? }]
+   */
+  listQueue() {
+    return this.queue.map(item => ({
+      queueId: item.id,
+      status: item.status,
+      attempts: item.attempts,
+      amount: item.amount,
+      mint: item.mint || null,
+      chunkId: item.chunkId,
+      submittedAt: item.submittedAt,
+      executeAt: item.executeAt,
+      ...(item.error && { error: item.error }),
+    }));
+  }
+
+  /**
+   * Drop a pending item without executing it
+   *
+   * The withdrawal is not sent; its note stays unspent, so the submitter
+   * can withdraw it again (through any relayer).
+   *
+   * @param {string} queueId
+   * @returns {Object|null} getStatus() of the evicted item, or null if not queued
+   * @throws {Error} If the item is being sent right now
+   */
+  evict(queueId) {
+    const item = this.queue.find(i => i.id === queueId);
+    if (!item) return null;
+    if (item.status === QUEUE_STATUS.EXECUTING) {
+      throw new Error(`Withdrawal ${queueId} is being sent and cannot be evicted`);
+    }
+
+    item.status = QUEUE_STATUS.EVICTED;
+    this._finish(item);
+    this.emit(EVENTS.RELAYER_EVICTED, { queueId, queueLength: this.queue.length });
+    // Let the processor recompute its wait (or go idle)
+    if (this.processTimer) {
+      clearTimeout(this.processTimer);
+      this.processTimer = null;
+    }
+    if (this.wakeProcessor) {
+      this.wakeProcessor();
+    }
+    return this.getStatus(queueId);
+  }
+
+  /**
+   * Move an item out of the queue into the bounded finished map
+   * @private
+   */
+  _finish(item) {
+    this.queue = this.queue.filter(i => i.id !== item.id);
+    // PRIVACY: Drop proof + recipient once the item is done
+    this.finished.set(item.id, {
+      id: item.id,
+      status: item.status,
+      attempts: item.attempts,
+      executeAt: item.executeAt,
+      txId: item.txId,
+      fees: item.fees,
+      error: item.error,
+    });
+    if (this.finished.size > MAX_FINISHED) {
+      this.finished.delete(this.finished.keys().next().value);
+    }
+  }
+
   /**
    * Check rate limit for IP address
    * @private
@@ -209,8 +418,8 @@ class RelayerService {
       return { valid: false, error: 'Invalid proof format' };
     }
     
-    // Proof must have pi_a, pi_b, pi_c, protocol, curve
-    if (!proof.pi_a || !proof.pi_b || !proof.pi_c || !proof.protocol || !proof.curve) {
+    // Proof as the agent sends it: proofA, proofB, proofC, publicSignals
+    if (!proof.proofA || !proof.proofB || !proof.proofC || !proof.publicSignals) {
       return { valid: false, error: 'Incomplete proof structure' };
     }
     
@@ -229,7 +438,8 @@ class RelayerService {
       return { valid: false, error: 'Amount must be an integer' };
     }
     
-    if (amount <= 0 || amount > 1_000_000_000_000) { // 1 million USDC max
+    // Base units of any pool's mint (decimals differ): only bound by JSON precision
+    if (amount <= 0 || !Number.isSafeInteger(amount)) {
       return { valid: false, error: 'Amount out of valid range' };
     }
     
@@ -242,7 +452,58 @@ class RelayerService {
       return { valid: false, error: 'ChunkId out of valid range' };
     }
     
-    return { valid: true };
+    let decoded;
+    try {
+      decoded = decodeProof(proof);
+    } catch (err) {
+      return { valid: false, error: err.message };
+    }
+    const { publicSignals, bytes } = decoded;
+    if (publicSignals.length !== WITHDRAW_PUBLIC_SIGNALS) {
+      return { valid: false, error: `Invalid proof encoding: expected ${WITHDRAW_PUBLIC_SIGNALS} public signals` };
+    }
+    
+    // SECURITY: The request must describe what the proof commits to
+    // Layout: [valid, root, amount, nullifierHash, recipient bytes x32, fee]
+    if (publicSignals[2] !== String(amount)) {
+      return { valid: false, error: 'Proof amount does not match request amount' };
+    }
+    let recipientBytes;
+    try {
+      recipientBytes = new PublicKey(recipient).toBytes();
+    } catch {
+      return { valid: false, error: 'Invalid recipient address' };
+    }
+    if (!publicSignals.slice(4, 36).every((signal, i) => signal === String(recipientBytes[i]))) {
+      return { valid: false, error: 'Proof recipient does not match request recipient' };
+    }
+    
+    return {
+      valid: true,
+      proof: {
+        proofA: Array.from(bytes.proofA),
+        proofB: Array.from(bytes.proofB),
+        proofC: Array.from(bytes.proofC),
+        publicSignals,
+      },
+    };
+  }
+
+  /**
+   * Groth16-verify a normalized proof (from _validateWithdrawRequest)
+   *
+   * PERFORMANCE: ~30ms of CPU per proof; submissions are rate limited per IP.
+   *
+   * @private
+   * @returns {Promise<Object>} { valid, proof } or { valid: false, error }
+   * @throws {CircuitArtifactError} If the withdraw verification key is missing or fails its pin
+   */
+  async _verifyProof(proof) {
+    const decoded = decodeProof(proof);
+    if (!(await verifyProof('withdraw', decoded.proof, decoded.publicSignals, { circuits: this.circuits }))) {
+      return { valid: false, error: 'Proof verification failed' };
+    }
+    return { valid: true, proof };
   }
 
   /**
@@ -263,7 +524,7 @@ class RelayerService {
     if (this.processing) return;
     
     this.processing = true;
-    console.log('🔄 Relayer: Starting queue processor...');
+    this.emit(EVENTS.RELAYER_STARTED, {});
 
     this.processQueue();
   }
@@ -283,43 +544,80 @@ class RelayerService {
         const nextItem = this.queue.sort((a, b) => a.executeAt - b.executeAt)[0];
         const waitTime = nextItem.executeAt - now;
         
-        console.log(`⏳ Relayer: Waiting ${Math.ceil(waitTime / 1000)}s for next transaction...`);
+        this.emit(EVENTS.RELAYER_WAITING, { waitMs: waitTime });
         
         await new Promise(resolve => {
+          this.wakeProcessor = resolve;
           this.processTimer = setTimeout(resolve, waitTime);
         });
+        this.wakeProcessor = null;
+        this.processTimer = null;
         continue;
       }
 
       // Process ready items
       for (const item of readyItems) {
+        if (!this.processing) break;
+        if (!this.queue.includes(item)) continue; // Evicted while an earlier item was sent
         try {
-          console.log(`\n💸 Relayer: Processing withdraw for ${item.recipient.substring(0, 8)}...`);
+          item.status = QUEUE_STATUS.EXECUTING;
+          item.attempts++;
+          this.emit(EVENTS.RELAYER_PROCESSING, { queueId: item.id, recipient: item.recipient });
           
           // Execute withdraw
-          const result = await this.agent.executeWithdraw(
+          const started = Date.now();
+          this.inFlight = this.agent.executeWithdraw(
             item.recipient,
             item.amount,
             item.proof,
-            item.chunkId
+            item.chunkId,
+            item.mint
           );
+          const result = await this.inFlight;
 
-          console.log(`✅ Relayer: TX submitted! ${result.txId}`);
+          item.status = QUEUE_STATUS.EXECUTED;
+          item.txId = result.txId;
+          item.fees = result.fees;
+          this.emit(EVENTS.RELAYER_EXECUTED, {
+            queueId: item.id,
+            txId: result.txId,
+            fees: result.fees,
+            durationMs: Date.now() - started,
+          });
           
           // Remove from queue
-          this.queue = this.queue.filter(i => i.id !== item.id);
+          this._finish(item);
 
         } catch (err) {
-          console.error(`❌ Relayer: Failed to process ${item.id}:`, err.message);
+          item.error = err.message;
+          
+          const permanent = PERMANENT_ERRORS.some(name => err.message.includes(name));
+          if (permanent || item.attempts >= this.maxAttempts) {
+            item.status = QUEUE_STATUS.FAILED;
+            this._finish(item);
+            this.emit(EVENTS.RELAYER_GAVE_UP, {
+              queueId: item.id,
+              error: err.message,
+              attempts: item.attempts,
+            });
+            continue;
+          }
           
           // Retry later (add delay)
-          item.executeAt = Date.now() + 60000; // Retry in 1 minute
+          item.status = QUEUE_STATUS.RETRYING;
+          item.executeAt = Date.now() + RETRY_DELAY;
+          
+          this.emit(EVENTS.RELAYER_FAILED, {
+            queueId: item.id,
+            error: err.message,
+            retryAt: item.executeAt,
+          });
         }
       }
     }
 
     this.processing = false;
-    console.log('🛑 Relayer: Queue empty, processor stopped');
+    this.emit(EVENTS.RELAYER_IDLE, {});
   }
 
   /**
@@ -329,9 +627,108 @@ class RelayerService {
     this.processing = false;
     if (this.processTimer) {
       clearTimeout(this.processTimer);
+      this.processTimer = null;
+    }
+    if (this.wakeProcessor) {
+      this.wakeProcessor();
+    }
+    this.emit(EVENTS.RELAYER_STOPPED, {});
+  }
+
+  /**
+   * Stop accepting submissions, drain the queue and persist the rest
+   *
+   * Items already due before the drain deadline still execute (their
+   * privacy delay is kept, never shortened). A withdrawal that is being
+   * sent is always awaited. Everything else is written to `queueFile`
+   * and picked up again by restoreQueue() on the next start.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.drainTimeout=30000] - Max ms to wait for due items
+   * @returns {Promise<Object>} { executed, persisted }
+   */
+  async shutdown(options = {}) {
+    const { drainTimeout = 30000 } = options;
+    this.accepting = false;
+    
+    const deadline = Date.now() + drainTimeout;
+    // Counted from events: evicted and given-up items also leave the queue,
+    // so the drop in queue length would overcount
+    let executed = 0;
+    const countExecuted = () => executed++;
+    this.on(EVENTS.RELAYER_EXECUTED, countExecuted);
+    while (this.processing && this.queue.some(i => i.executeAt <= deadline) && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, Math.min(250, deadline - Date.now())));
+    }
+    
+    this.stop();
+    if (this.inFlight) {
+      await this.inFlight.catch(() => {});
+    }
+    this.off(EVENTS.RELAYER_EXECUTED, countExecuted);
+    
+    const persisted = this.persistQueue();
+    return { executed, persisted };
+  }
+
+  /**
+   * Write pending queue items to `queueFile`
+   *
+   * @returns {number} Number of items persisted (0 without a queueFile)
+   */
+  persistQueue() {
+    if (!this.queueFile || this.queue.length === 0) {
+      return 0;
+    }
+    
+    const items = this.queue.map(item => ({
+      ...item,
+      // Interrupted sends are retried (the contract rejects a double spend)
+      status: item.status === QUEUE_STATUS.EXECUTING ? QUEUE_STATUS.RETRYING : item.status,
+    }));
+    fs.writeFileSync(this.queueFile, JSON.stringify(items), { mode: 0o600 });
+    this.emit(EVENTS.RELAYER_PERSISTED, { count: items.length });
+    return items.length;
+  }
+
+  /**
+   * Load items persisted by a previous shutdown and resume processing
+   *
+   * An unreadable queue file is renamed to `<queueFile>.corrupt` (and
+   * reported as relayer:queue-corrupt) so its withdrawals can be recovered.
+   *
+   * @returns {number} Number of items restored
+   */
+  restoreQueue() {
+    this.accepting = true;
+    if (!this.queueFile || !fs.existsSync(this.queueFile)) {
+      return 0;
+    }
+    
+    let items;
+    try {
+      items = JSON.parse(fs.readFileSync(this.queueFile, 'utf-8'));
+      if (!Array.isArray(items)) throw new Error('not a list of queue items');
+    } catch (err) {
+      // Keep the withdrawals for the operator: moved aside, never deleted
+      const corruptFile = `${this.queueFile}.corrupt`;
+      fs.renameSync(this.queueFile, corruptFile);
+      this.emit(EVENTS.RELAYER_QUEUE_CORRUPT, { file: corruptFile, error: err.message });
+      return 0;
+    }
+    fs.unlinkSync(this.queueFile);
+    
+    const known = new Set(this.queue.map(i => i.id));
+    const restored = items.filter(i => i && i.id && !known.has(i.id));
+    this.queue.push(...restored);
+    
+    if (restored.length > 0) {
+      this.emit(EVENTS.RELAYER_RESTORED, { count: restored.length });
+      this.startProcessing();
     }
-    console.log('🛑 Relayer service stopped');
+    return restored.length;
   }
 }
 
 module.exports = RelayerService;
+module.exports.QUEUE_STATUS = QUEUE_STATUS;
@@ -0,0 +1,300 @@
+/**
+ * RPC Endpoint Pool
+ *
+ * ConnectionPool stands in for a web3.js Connection backed by several RPC
+ * endpoints (`rpcUrls`). Each endpoint is scored on latency, errors and
+ * slot lag:
+ *
+ * - Reads are idempotent: they go to the best endpoint and fail over to
+ *   the next one on timeouts, transport errors, 429/5xx and "node behind"
+ *   RPC errors (up to `retries` extra attempts)
+ * - Sends go only through endpoints that are healthy right now: health is
+ *   re-checked (getSlot on every endpoint) when older than `sendHealthAge`
+ * - Every request has a timeout (SECURITY-NOTES L2)
+ *
+ * An endpoint is unhealthy while it cools down after errors (1s, 2s, 4s,
+ * ... up to 30s) or while it lags more than `maxSlotLag` slots behind the
+ * highest slot seen on any endpoint.
+ *
+ * Account subscriptions (onAccountChange) use the websocket of the best
+ * endpoint at subscribe time and are not moved when it degrades: callers
+ * detect missed notifications and resubscribe (see
+ * CipherAgent.startTreeUpdates).
+ *
+ * Errors the RPC answers for the request itself (invalid params, account
+ * not found, preflight failures, ...) are returned as-is: another endpoint
+ * would answer the same.
+ */
+
+const { Connection, SendTransactionError } = require("@solana/web3.js");
+const { resolveLogger } = require("./logger");
+
+const DEFAULT_TIMEOUT = 10_000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_MAX_SLOT_LAG = 50;
+const DEFAULT_SEND_HEALTH_AGE = 2_000;
+const MAX_COOLDOWN = 30_000;
+const LATENCY_WEIGHT = 0.3; // EWMA weight of the newest sample
+
+// JSON-RPC errors that mean "this node cannot serve you right now"
+const NODE_BEHIND_CODES = [-32004, -32005, -32014, -32016];
+
+// Idempotent Connection methods served by the pool
+const READ_METHODS = [
+  "getAccountInfo",
+  "getAccountInfoAndContext",
+  "getMultipleAccountsInfo",
+  "getMultipleAccountsInfoAndContext",
+  "getProgramAccounts",
+  "getBalance",
+  "getTokenAccountBalance",
+  "getTransaction",
+  "getSignatureStatus",
+  "getSignatureStatuses",
+  "getSlot",
+  "getBlockHeight",
+  "getLatestBlockhash",
+  "getLatestBlockhashAndContext",
+  "isBlockhashValid",
+  "getMinimumBalanceForRentExemption",
+  "getRecentPrioritizationFees",
+  "getFeeForMessage",
+  "simulateTransaction",
+];
+
+/**
+ * Does this error say something about the endpoint (rather than the request)?
+ */
+function isEndpointError(err) {
+  if (err.name === "AbortError" || err.name === "TimeoutError" || err instanceof TypeError) {
+    return true; // timeout or fetch failed
+  }
+  if (NODE_BEHIND_CODES.includes(err.code)) {
+    return true;
+  }
+  const text = `${err.message} ${err.cause?.code || ""}`;
+  return /^(429|5\d\d) /.test(err.message) || /ECONNREFUSED|ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up/.test(text);
+}
+
+class ConnectionPool {
+  /**
+   * @param {string[]} urls - RPC endpoints (first = preferred until scored)
+   * @param {Object} [options]
+   * @param {string} [options.commitment='confirmed']
+   * @param {number} [options.timeout=10000] - ms per request
+   * @param {number} [options.retries=2] - Extra attempts for reads (on other endpoints first)
+   * @param {number} [options.maxSlotLag=50] - Slots behind the best endpoint before it counts as unhealthy
+   * @param {number} [options.sendHealthAge=2000] - Max age (ms) of the health check sends rely on
+   * @param {Object} [options.logger]
+   * @param {Function} [options.createConnection] - url => Connection (default: web3.js, with timeouts)
+   */
+  constructor(urls, options = {}) {
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new Error("ConnectionPool requires at least one RPC URL");
+    }
+    this.commitment = options.commitment || "confirmed";
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.maxSlotLag = options.maxSlotLag ?? DEFAULT_MAX_SLOT_LAG;
+    this.sendHealthAge = options.sendHealthAge ?? DEFAULT_SEND_HEALTH_AGE;
+    this.logger = resolveLogger(options.logger).child({ module: "rpc" });
+
+    this.endpoints = [...new Set(urls)].map((url, index) => ({
+      url,
+      index,
+      connection: options.createConnection
+        ? options.createConnection(url)
+        : new Connection(url, {
+          commitment: this.commitment,
+          // Fail over instead of web3's built-in 429 backoff
+          disableRetryOnRateLimit: true,
+          fetchMiddleware: (info, init, next) => next(info, { ...init, signal: AbortSignal.timeout(this.timeout) }),
+        }),
+      latency: null, // ms, EWMA
+      slot: null,
+      errors: 0, // consecutive
+      cooldownUntil: 0,
+      requests: 0,
+      failures: 0,
+    }));
+    this.rpcEndpoint = this.endpoints[0].url;
+    this.lastHealthCheck = 0;
+    this.subscriptions = new Map(); // pool id -> { endpoint, id }
+    this.nextSubscriptionId = 0;
+  }
+
+  /**
+   * Endpoint state for status output and metrics
+   *
+   * @returns {Array<Object>} [{ url, healthy, latencyMs, slot, slotLag, errors, requests, failures }]
+   */
+  stats() {
+    const best = this._bestSlot();
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      healthy: this._isHealthy(endpoint),
+      latencyMs: endpoint.latency === null ? null : Math.round(endpoint.latency),
+      slot: endpoint.slot,
+      slotLag: endpoint.slot === null || best === null ? null : best - endpoint.slot,
+      errors: endpoint.errors,
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+    }));
+  }
+
+  /**
+   * Probe every endpoint (getSlot) and update latency, slot and errors
+   *
+   * @returns {Promise<Array<Object>>} stats()
+   */
+  async checkHealth() {
+    await Promise.all(this.endpoints.map(async endpoint => {
+      try {
+        endpoint.slot = await this._call(endpoint, "getSlot", [this.commitment]);
+      } catch {
+        // Recorded by _call
+      }
+    }));
+    this.lastHealthCheck = Date.now();
+    return this.stats();
+  }
+
+  /**
+   * Send through the best endpoint that is healthy right now; transport
+   * errors fail over to the next healthy one
+   */
+  async sendRawTransaction(rawTransaction, options) {
+    if (Date.now() - this.lastHealthCheck >= this.sendHealthAge) {
+      await this.checkHealth();
+    }
+    const healthy = this._ranked().filter(endpoint => this._isHealthy(endpoint));
+    if (healthy.length === 0) {
+      throw new Error(`No healthy RPC endpoint to send through (${this.endpoints.map(e => e.url).join(", ")})`);
+    }
+
+    let lastError;
+    for (const endpoint of healthy) {
+      try {
+        return await this._call(endpoint, "sendRawTransaction", [rawTransaction, options]);
+      } catch (err) {
+        if (err instanceof SendTransactionError || !isEndpointError(err)) {
+          throw err;
+        }
+        lastError = err;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Subscribe through the best endpoint right now
+   *
+   * @returns {number} Subscription ID for removeAccountChangeListener()
+   */
+  onAccountChange(publicKey, callback, config) {
+    const endpoint = this._ranked()[0];
+    const id = endpoint.connection.onAccountChange(publicKey, callback, config);
+    const poolId = this.nextSubscriptionId++;
+    this.subscriptions.set(poolId, { endpoint, id });
+    return poolId;
+  }
+
+  async removeAccountChangeListener(poolId) {
+    const subscription = this.subscriptions.get(poolId);
+    if (!subscription) {
+      throw new Error(`Unknown account subscription ${poolId}`);
+    }
+    this.subscriptions.delete(poolId);
+    await subscription.endpoint.connection.removeAccountChangeListener(subscription.id);
+  }
+
+  /**
+   * Idempotent read with failover
+   * @private
+   */
+  async _read(method, args) {
+    const attempts = this.retries + 1;
+    const tried = new Set();
+    let lastError;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      // Best-ranked endpoint not tried yet (healthy before cooling-down ones)
+      const ranked = this._ranked();
+      const endpoint = ranked.find(candidate => !tried.has(candidate)) || ranked[0];
+      tried.add(endpoint);
+      try {
+        return await this._call(endpoint, method, args);
+      } catch (err) {
+        if (!isEndpointError(err)) {
+          throw err;
+        }
+        lastError = err;
+        this.logger.debug(`RPC ${method} failed on ${endpoint.url}, failing over`, { error: err.message });
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * One request, recorded in the endpoint's score
+   * @private
+   */
+  async _call(endpoint, method, args) {
+    const started = Date.now();
+    endpoint.requests++;
+    try {
+      const result = await endpoint.connection[method](...args);
+      const elapsed = Date.now() - started;
+      endpoint.latency = endpoint.latency === null
+        ? elapsed
+        : LATENCY_WEIGHT * elapsed + (1 - LATENCY_WEIGHT) * endpoint.latency;
+      endpoint.errors = 0;
+      endpoint.cooldownUntil = 0;
+      if (result && result.context && typeof result.context.slot === "number") {
+        endpoint.slot = Math.max(endpoint.slot || 0, result.context.slot);
+      }
+      return result;
+    } catch (err) {
+      if (isEndpointError(err)) {
+        endpoint.failures++;
+        endpoint.errors++;
+        endpoint.cooldownUntil = Date.now() + Math.min(MAX_COOLDOWN, 1000 * 2 ** (endpoint.errors - 1));
+      }
+      throw err;
+    }
+  }
+
+  _bestSlot() {
+    const slots = this.endpoints.map(endpoint => endpoint.slot).filter(slot => slot !== null);
+    return slots.length ? Math.max(...slots) : null;
+  }
+
+  _isHealthy(endpoint) {
+    if (endpoint.cooldownUntil > Date.now()) {
+      return false;
+    }
+    const best = this._bestSlot();
+    return endpoint.slot === null || best === null || best - endpoint.slot <= this.maxSlotLag;
+  }
+
+  /**
+   * Healthy endpoints by latency (unmeasured ones keep config order), then the rest
+   * @private
+   */
+  _ranked() {
+    const score = endpoint => endpoint.latency ?? Number.MAX_SAFE_INTEGER;
+    return [...this.endpoints].sort((a, b) =>
+      (this._isHealthy(b) - this._isHealthy(a)) || (score(a) - score(b)) || (a.index - b.index)
+    );
+  }
+}
+
+for (const method of READ_METHODS) {
+  ConnectionPool.prototype[method] = function (...args) {
+    return this._read(method, args);
+  };
+}
+
+module.exports = {
+  ConnectionPool,
+  READ_METHODS,
+};
@@ -0,0 +1,526 @@
+/**
+ * Transaction Signers for Cipher Agents
+ *
+ * A Signer is anything with:
+ * - publicKey: PublicKey
+ * - signTransaction(tx): Promise<tx>
+ * - signAllTransactions(txs): Promise<txs>
+ *
+ * (the wallet shape Anchor's provider expects). CipherAgent and
+ * transactions.js accept any Signer, so keys don't have to live in the
+ * agent process.
+ *
+ * Built-in adapters:
+ * - KeypairSigner: in-memory Keypair (default)
+ * - KeystoreSigner: password-encrypted keystore file (scrypt + AES-256-GCM)
+ * - RemoteSigner: separate signing process over HTTP (see serveRemoteSigner)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const {
+  Keypair,
+  PublicKey,
+  Transaction,
+  Message,
+  VersionedTransaction,
+  VersionedMessage,
+} = require("@solana/web3.js");
+
+const KEYSTORE_VERSION = 1;
+const KEYSTORE_PASSWORD_ENV = "CIPHER_KEYSTORE_PASSWORD";
+
+// scrypt cost (N=2^15 needs ~32MB, maxmem leaves headroom)
+const SCRYPT_PARAMS = { n: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+const DEFAULT_REMOTE_TIMEOUT = 30000; // 30s
+const MAX_BODY_SIZE = 1024 * 1024; // 1MB
+
+// DER prefix for a raw Ed25519 public key (SubjectPublicKeyInfo)
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+/**
+ * Base class for signers
+ *
+ * Subclasses set `this.publicKey` and implement signTransaction().
+ */
+class Signer {
+  /**
+   * Sign a transaction (legacy or versioned)
+   * @param {Transaction|VersionedTransaction} tx
+   * @returns {Promise<Transaction|VersionedTransaction>} Signed transaction
+   */
+  async signTransaction(tx) {
+    throw new Error(`${this.constructor.name} does not implement signTransaction()`);
+  }
+
+  /**
+   * Sign several transactions
+   * @param {Array<Transaction|VersionedTransaction>} txs
+   * @returns {Promise<Array>} Signed transactions
+   */
+  async signAllTransactions(txs) {
+    const signed = [];
+    for (const tx of txs) {
+      signed.push(await this.signTransaction(tx));
+    }
+    return signed;
+  }
+}
+
+/**
+ * Signer backed by an in-memory Keypair
+ */
+class KeypairSigner extends Signer {
+  /**
+   * @param {Keypair} keypair - Solana keypair
+   */
+  constructor(keypair) {
+    super();
+    this.keypair = keypair;
+    this.publicKey = keypair.publicKey;
+  }
+
+  async signTransaction(tx) {
+    if (tx instanceof VersionedTransaction) {
+      tx.sign([this.keypair]);
+    } else {
+      tx.partialSign(this.keypair);
+    }
+    return tx;
+  }
+}
+
+/**
+ * Encrypt a keypair into keystore JSON (scrypt + AES-256-GCM)
+ *
+ * @param {Keypair} keypair - Keypair to encrypt
+ * @param {string} password - Keystore password
+ * @returns {Object} Keystore data
+ */
+function encryptKeystore(keypair, password) {
+  if (!password) {
+    throw new Error("Keystore password must not be empty");
+  }
+
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(password, salt, 32, {
+    N: SCRYPT_PARAMS.n,
+    r: SCRYPT_PARAMS.r,
+    p: SCRYPT_PARAMS.p,
+    maxmem: SCRYPT_MAXMEM,
+  });
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey: keypair.publicKey.toBase58(),
+    crypto: {
+      cipher: "aes-256-gcm",
+      kdf: "scrypt",
+      kdfparams: { ...SCRYPT_PARAMS, salt: salt.toString("hex") },
+      iv: iv.toString("hex"),
+      tag: cipher.getAuthTag().toString("hex"),
+      ciphertext: ciphertext.toString("hex"),
+    },
+  };
+}
+
+/**
+ * Decrypt keystore JSON into a Keypair
+ *
+ * @param {Object} data - Keystore data
+ * @param {string} password - Keystore password
+ * @returns {Keypair}
+ */
+function decryptKeystore(data, password) {
+  if (!data || data.version !== KEYSTORE_VERSION || !data.crypto) {
+    throw new Error(`Unsupported keystore format (expected version ${KEYSTORE_VERSION})`);
+  }
+
+  const { cipher, kdf, kdfparams, iv, tag, ciphertext } = data.crypto;
+  if (cipher !== "aes-256-gcm" || kdf !== "scrypt") {
+    throw new Error(`Unsupported keystore cipher/kdf: ${cipher}/${kdf}`);
+  }
+
+  const key = crypto.scryptSync(password, Buffer.from(kdfparams.salt, "hex"), 32, {
+    N: kdfparams.n,
+    r: kdfparams.r,
+    p: kdfparams.p,
+    maxmem: SCRYPT_MAXMEM,
+  });
+
+  let secretKey;
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "hex"));
+    decipher.setAuthTag(Buffer.from(tag, "hex"));
+    secretKey = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "hex")),
+      decipher.final(),
+    ]);
+  } catch {
+    throw new Error("Invalid keystore password (or corrupted keystore)");
+  }
+
+  const keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+  if (keypair.publicKey.toBase58() !== data.publicKey) {
+    throw new Error("Keystore public key does not match decrypted key");
+  }
+  return keypair;
+}
+
+/**
+ * Signer backed by a password-encrypted keystore file
+ *
+ * SECURITY: The key is only decrypted in memory. The password comes from
+ * the constructor or CIPHER_KEYSTORE_PASSWORD, never from the file.
+ */
+class KeystoreSigner extends KeypairSigner {
+  /**
+   * @param {string} file - Keystore file path
+   * @param {string} [password] - Password (default: $CIPHER_KEYSTORE_PASSWORD)
+   */
+  constructor(file, password = process.env[KEYSTORE_PASSWORD_ENV]) {
+    if (!password) {
+      throw new Error(`Keystore password required (pass it or set ${KEYSTORE_PASSWORD_ENV})`);
+    }
+    if (!fs.existsSync(file)) {
+      throw new Error(`Keystore file not found: ${file}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+    super(decryptKeystore(data, password));
+    this.file = file;
+  }
+
+  /**
+   * Encrypt a keypair into a new keystore file (0600)
+   *
+   * @param {Keypair} keypair - Keypair to store
+   * @param {string} file - Output path
+   * @param {string} [password] - Password (default: $CIPHER_KEYSTORE_PASSWORD)
+   * @returns {KeystoreSigner}
+   */
+  static create(keypair, file, password = process.env[KEYSTORE_PASSWORD_ENV]) {
+    if (fs.existsSync(file)) {
+      throw new Error(`Refusing to overwrite existing keystore: ${file}`);
+    }
+
+    const data = encryptKeystore(keypair, password);
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), { mode: 0o600 });
+    return new KeystoreSigner(file, password);
+  }
+}
+
+/**
+ * Bytes that get signed for a transaction
+ */
+function serializeMessage(tx) {
+  return tx instanceof VersionedTransaction
+    ? Buffer.from(tx.message.serialize())
+    : tx.serializeMessage();
+}
+
+/**
+ * Verify an Ed25519 signature
+ */
+function verifySignature(publicKey, message, signature) {
+  if (signature.length !== 64) return false;
+
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, publicKey.toBuffer()]),
+    format: "der",
+    type: "spki",
+  });
+  return crypto.verify(null, message, key, signature);
+}
+
+/**
+ * JSON request to a remote signer with timeout
+ *
+ * @param {Object} options - { url, token, timeout }
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Response JSON
+ */
+async function remoteRequest(options, method, pathname, body) {
+  const url = options.url.replace(/\/+$/, "");
+  const timeout = options.timeout || DEFAULT_REMOTE_TIMEOUT;
+
+  // SECURITY: Use AbortController for timeout (prevents hanging)
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const headers = { "Content-Type": "application/json" };
+    if (options.token) {
+      headers.Authorization = `Bearer ${options.token}`;
+    }
+
+    const response = await fetch(`${url}${pathname}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Remote signer error (${response.status}): ${data.error || response.statusText}`);
+    }
+    return data;
+  } catch (err) {
+    if (err.name === "AbortError") {
+      throw new Error(`Remote signer request timed out after ${timeout}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Signer that delegates to a separate signing process over HTTP
+ *
+ * Protocol (JSON, `Authorization: Bearer <token>`):
+ * - GET  /public-key  -> { publicKey }
+ * - POST /sign { publicKey, messages: [base64] } -> { signatures: [base64] }
+ *
+ * Only transaction messages travel over the wire and only signatures come
+ * back, so the remote side can't alter what we send. Every returned
+ * signature is verified before it's attached.
+ */
+class RemoteSigner extends Signer {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Signer base URL (e.g. http://127.0.0.1:8600)
+   * @param {PublicKey|string} options.publicKey - Expected signer public key
+   * @param {string} [options.token] - Bearer token
+   * @param {number} [options.timeout] - Request timeout in ms (default: 30s)
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.url) {
+      throw new Error("RemoteSigner requires a url");
+    }
+    if (!options.publicKey) {
+      throw new Error("RemoteSigner requires a publicKey (or use RemoteSigner.connect)");
+    }
+
+    this.url = options.url.replace(/\/+$/, "");
+    this.publicKey = new PublicKey(options.publicKey);
+    this.token = options.token || null;
+    this.timeout = options.timeout || DEFAULT_REMOTE_TIMEOUT;
+  }
+
+  /**
+   * Create a RemoteSigner, asking the server for its public key if needed
+   *
+   * @param {Object} options - See constructor (publicKey optional)
+   * @returns {Promise<RemoteSigner>}
+   */
+  static async connect(options = {}) {
+    if (!options.url) {
+      throw new Error("RemoteSigner requires a url");
+    }
+    if (options.publicKey) {
+      return new RemoteSigner(options);
+    }
+
+    const { publicKey } = await remoteRequest(options, "GET", "/public-key");
+    return new RemoteSigner({ ...options, publicKey });
+  }
+
+  async signTransaction(tx) {
+    const [signed] = await this.signAllTransactions([tx]);
+    return signed;
+  }
+
+  async signAllTransactions(txs) {
+    const messages = txs.map(serializeMessage);
+
+    const { signatures } = await remoteRequest(this, "POST", "/sign", {
+      publicKey: this.publicKey.toBase58(),
+      messages: messages.map(m => m.toString("base64")),
+    });
+
+    if (!Array.isArray(signatures) || signatures.length !== txs.length) {
+      throw new Error("Remote signer returned wrong number of signatures");
+    }
+
+    txs.forEach((tx, i) => {
+      const signature = Buffer.from(signatures[i], "base64");
+      // SECURITY: Never attach a signature we can't verify
+      if (!verifySignature(this.publicKey, messages[i], signature)) {
+        throw new Error("Remote signer returned an invalid signature");
+      }
+      tx.addSignature(this.publicKey, signature);
+    });
+
+    return txs;
+  }
+}
+
+/**
+ * Rebuild a transaction from its message bytes (server side)
+ */
+function transactionFromMessage(bytes) {
+  if (VersionedMessage.deserializeMessageVersion(bytes) === "legacy") {
+    return Transaction.populate(Message.from(bytes));
+  }
+  return new VersionedTransaction(VersionedMessage.deserialize(bytes));
+}
+
+/**
+ * Read our signature from a signed transaction
+ */
+function extractSignature(tx, publicKey) {
+  if (tx instanceof VersionedTransaction) {
+    const index = tx.message.staticAccountKeys.findIndex(k => k.equals(publicKey));
+    return index >= 0 ? Buffer.from(tx.signatures[index]) : null;
+  }
+  const entry = tx.signatures.find(s => s.publicKey.equals(publicKey));
+  return entry && entry.signature ? Buffer.from(entry.signature) : null;
+}
+
+/**
+ * Serve a Signer over the remote signer protocol
+ *
+ * Run this in the process that holds the keys; agents connect with
+ * RemoteSigner.
+ *
+ * SECURITY: Binds to 127.0.0.1 by default and requires a bearer token.
+ * Use `authorize` to restrict what gets signed.
+ *
+ * @param {Object} signer - Signer holding the key
+ * @param {Object} options
+ * @param {string} options.token - Bearer token clients must send
+ * @param {number} [options.port] - Port (default: 0 = random)
+ * @param {string} [options.host] - Bind address (default: 127.0.0.1)
+ * @param {Function} [options.authorize] - async (transactions) => boolean
+ * @returns {Promise<http.Server>} Listening server
+ */
+function serveRemoteSigner(signer, options = {}) {
+  if (!options.token) {
+    throw new Error("serveRemoteSigner requires a token");
+  }
+
+  const expectedAuth = Buffer.from(`Bearer ${options.token}`);
+  const isAuthorized = (req) => {
+    const auth = Buffer.from(req.headers.authorization || "");
+    return auth.length === expectedAuth.length && crypto.timingSafeEqual(auth, expectedAuth);
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    if (!isAuthorized(req)) {
+      send(res, 401, { error: "Unauthorized" });
+      return;
+    }
+
+    if (req.url === "/public-key" && req.method === "GET") {
+      send(res, 200, { publicKey: signer.publicKey.toBase58() });
+      return;
+    }
+
+    if (req.url !== "/sign" || req.method !== "POST") {
+      send(res, 404, { error: "Not found" });
+      return;
+    }
+
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk.toString();
+      if (body.length > MAX_BODY_SIZE) {
+        send(res, 413, { error: "Request too large" });
+        req.destroy();
+      }
+    });
+
+    req.on("end", async () => {
+      try {
+        const { publicKey, messages } = JSON.parse(body);
+        if (publicKey !== signer.publicKey.toBase58()) {
+          send(res, 400, { error: "Unknown public key" });
+          return;
+        }
+        if (!Array.isArray(messages) || messages.length === 0) {
+          send(res, 400, { error: "messages must be a non-empty array" });
+          return;
+        }
+
+        const txs = messages.map(m => transactionFromMessage(Buffer.from(m, "base64")));
+        if (options.authorize && !(await options.authorize(txs))) {
+          send(res, 403, { error: "Signing not authorized" });
+          return;
+        }
+
+        const signed = await signer.signAllTransactions(txs);
+        const signatures = signed.map(tx => extractSignature(tx, signer.publicKey));
+        if (signatures.some(s => !s)) {
+          send(res, 400, { error: "Signer is not a required signer of the transaction" });
+          return;
+        }
+
+        send(res, 200, { signatures: signatures.map(s => s.toString("base64")) });
+      } catch (err) {
+        send(res, 400, { error: err.message });
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port || 0, options.host || "127.0.0.1", () => resolve(server));
+  });
+}
+
+/**
+ * Check whether a value implements the Signer interface
+ */
+function isSigner(value) {
+  return !!value
+    && !!value.publicKey
+    && typeof value.publicKey.toBase58 === "function"
+    && typeof value.signTransaction === "function"
+    && typeof value.signAllTransactions === "function";
+}
+
+/**
+ * Normalize a Keypair or Signer into a Signer
+ *
+ * @param {Keypair|Object} value - Keypair or Signer
+ * @returns {Object} Signer
+ */
+function toSigner(value) {
+  if (isSigner(value)) {
+    return value;
+  }
+  if (value instanceof Keypair || (value && value.secretKey && value.publicKey)) {
+    return new KeypairSigner(value);
+  }
+  throw new Error("Invalid signer: expected a Keypair or an object with publicKey, signTransaction and signAllTransactions");
+}
+
+module.exports = {
+  Signer,
+  KeypairSigner,
+  KeystoreSigner,
+  RemoteSigner,
+  serveRemoteSigner,
+  encryptKeystore,
+  decryptKeystore,
+  isSigner,
+  toSigner,
+  KEYSTORE_PASSWORD_ENV,
+};
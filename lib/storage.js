@@ -7,13 +7,17 @@
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const { resolveLogger } = require("./logger");
 
 const DEFAULT_STORAGE_DIR = path.join(os.homedir(), ".cipher");
 const DEFAULT_STORAGE_FILE = path.join(DEFAULT_STORAGE_DIR, "deposits.json");
 
 class DepositStorage {
-  constructor(storageFile = DEFAULT_STORAGE_FILE) {
+  constructor(storageFile = DEFAULT_STORAGE_FILE, options = {}) {
     this.storageFile = storageFile;
+    this.logger = resolveLogger(options.logger).child({ module: "storage" });
+    // Records without a `mint` predate multi-token pools (USDC pool)
+    this.defaultMint = options.defaultMint ? options.defaultMint.toString() : null;
     this.ensureStorageDir();
   }
 
@@ -31,8 +35,8 @@ class DepositStorage {
       const stats = fs.statSync(dir);
       const mode = stats.mode & 0o777;
       if (mode !== 0o700) {
-        console.warn(`⚠️  WARNING: ${dir} has insecure permissions (${mode.toString(8)})`);
-        console.warn(`   Run: chmod 700 ${dir}`);
+        this.logger.warn(`⚠️  WARNING: ${dir} has insecure permissions (${mode.toString(8)})`);
+        this.logger.warn(`   Run: chmod 700 ${dir}`);
       }
     } catch (err) {
       // Ignore permission check errors on Windows
@@ -52,7 +56,7 @@ class DepositStorage {
       const data = await fs.promises.readFile(this.storageFile, "utf-8");
       return JSON.parse(data);
     } catch (err) {
-      console.warn("Failed to load deposits:", err.message);
+      this.logger.warn("Failed to load deposits", { error: err.message });
       return [];
     }
   }
@@ -85,17 +89,17 @@ class DepositStorage {
       const stats = fs.statSync(this.storageFile);
       const mode = stats.mode & 0o777;
       if (mode > 0o600) {
-        console.warn(`⚠️  WARNING: ${this.storageFile} has insecure permissions`);
-        console.warn(`   Run: chmod 600 ${this.storageFile}`);
+        this.logger.warn(`⚠️  WARNING: ${this.storageFile} has insecure permissions`);
+        this.logger.warn(`   Run: chmod 600 ${this.storageFile}`);
         // Try to fix automatically
         try {
           fs.chmodSync(this.storageFile, 0o600);
         } catch (chmodErr) {
-          console.error("   Failed to fix permissions automatically");
+          this.logger.error("   Failed to fix permissions automatically");
         }
       }
     } catch (err) {
-      console.error("Failed to save deposits:", err.message);
+      this.logger.error("Failed to save deposits", { error: err.message });
       throw err;
     }
   }
@@ -122,16 +126,27 @@ class DepositStorage {
   /**
    * Find an unwithdrawn deposit
    * @param {number} [amount] - Optional amount filter
+   * @param {string} [mint] - Optional pool filter (base58 mint)
    * @returns {Promise<Object|null>} Deposit record or null
    */
-  async findUnwithdrawnDeposit(amount = null) {
+  async findUnwithdrawnDeposit(amount = null, mint = null) {
     const deposits = await this.loadDeposits();
     
-    if (amount !== null) {
-      return deposits.find(d => !d.withdrawn && d.amount === amount) || null;
-    }
-    
-    return deposits.find(d => !d.withdrawn) || null;
+    return deposits.find(d =>
+      !d.withdrawn &&
+      (amount === null || d.amount === amount) &&
+      (mint === null || (d.mint || this.defaultMint) === mint.toString())
+    ) || null;
+  }
+
+  /**
+   * Find a deposit by its code
+   * @param {string} code - Deposit code
+   * @returns {Promise<Object|null>} Deposit record or null
+   */
+  async findDepositByCode(code) {
+    const deposits = await this.loadDeposits();
+    return deposits.find(d => d.code === code) || null;
   }
 
   /**
@@ -152,6 +167,30 @@ class DepositStorage {
     }
   }
 
+  /**
+   * Undo markAsWithdrawn for a withdrawal that was never accepted
+   *
+   * Only clears the given marker (e.g. 'PENDING'), so a withdrawal that
+   * completed meanwhile is never reopened.
+   *
+   * @param {string} code - Deposit code
+   * @param {string} withdrawTxId - Marker set by markAsWithdrawn
+   * @returns {Promise<boolean>} True if the deposit is unwithdrawn again
+   */
+  async unmarkWithdrawn(code, withdrawTxId) {
+    const deposits = await this.loadDeposits();
+    const deposit = deposits.find(d => d.code === code);
+    
+    if (!deposit || !deposit.withdrawn || deposit.withdrawTxId !== withdrawTxId) {
+      return false;
+    }
+    deposit.withdrawn = false;
+    delete deposit.withdrawTxId;
+    delete deposit.withdrawTimestamp;
+    await this.saveDeposits(deposits);
+    return true;
+  }
+
   /**
    * Get all deposits
    * @returns {Promise<Array>} All deposit records
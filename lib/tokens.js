@@ -0,0 +1,83 @@
+/**
+ * Token Pools for Cipher Agents
+ *
+ * Pools are keyed by mint, but the agent serves one: its USDC mint (SPL
+ * Token, 6 decimals). Mint arguments across the API (deposit, withdraw,
+ * balances, relayed withdrawals) resolve here and anything else is
+ * rejected before proving.
+ *
+ * SECURITY: No further pools until the program binds the mint. Every
+ * pool shares one merkle tree and escrow and the commitment does not
+ * cover the mint, so a note deposited with a worthless mint would
+ * withdraw from the USDC escrow.
+ */
+
+const { PublicKey } = require("@solana/web3.js");
+
+const USDC_DECIMALS = 6;
+
+/**
+ * Human-readable amount, e.g. "1.5 USDC"
+ *
+ * @param {number} amount - Amount in base units
+ * @param {Object} [token] - { decimals, symbol } (default: USDC)
+ * @returns {string}
+ */
+function formatAmount(amount, token = {}) {
+  const decimals = token.decimals ?? USDC_DECIMALS;
+  return `${amount / 10 ** decimals} ${token.symbol || "USDC"}`;
+}
+
+class TokenPools {
+  /**
+   * @param {PublicKey|string} defaultMint - USDC pool (used when no mint is given)
+   */
+  constructor(defaultMint) {
+    this.defaultMint = new PublicKey(defaultMint);
+    this.pool = {
+      mint: this.defaultMint,
+      symbol: "USDC",
+      decimals: USDC_DECIMALS,
+      isDefault: true,
+    };
+  }
+
+  /**
+   * Mints of all served pools
+   * @returns {PublicKey[]}
+   */
+  list() {
+    return [this.defaultMint];
+  }
+
+  /**
+   * Is `mint` a served pool?
+   */
+  has(mint) {
+    try {
+      return new PublicKey(mint).equals(this.defaultMint);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve a pool
+   *
+   * @param {string|PublicKey} [mint] - Default: the USDC pool
+   * @returns {Promise<Object>} { mint, symbol, decimals, isDefault }
+   * @throws {Error} If the mint is not the USDC pool
+   */
+  async get(mint) {
+    if (mint && !this.has(mint)) {
+      throw new Error(`Unsupported mint ${mint} (served: ${this.defaultMint.toBase58()})`);
+    }
+    return { ...this.pool };
+  }
+}
+
+module.exports = {
+  TokenPools,
+  formatAmount,
+  USDC_DECIMALS,
+};
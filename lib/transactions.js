@@ -3,41 +3,205 @@
  */
 
 const anchor = require("@coral-xyz/anchor");
-const { PublicKey, SystemProgram } = require("@solana/web3.js");
+const { PublicKey, SystemProgram, Transaction, ComputeBudgetProgram } = require("@solana/web3.js");
 const { getAssociatedTokenAddress } = require("@solana/spl-token");
+const { toSigner } = require("./signer");
+const { FeePlanner, MAX_COMPUTE_UNITS } = require("./fees");
+const { decodeProgramError } = require("./program-errors");
+const { sendAndConfirmRawTransaction } = require("./confirm");
 const fs = require("fs");
 const path = require("path");
 
 const IDL = JSON.parse(fs.readFileSync(path.join(__dirname, "cipher.json"), "utf-8"));
 const TOKEN_PROGRAM_ID = new PublicKey("TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA");
 
+// Limit for sends (and dry runs) whose sizing simulation failed
+const DEFAULT_COMPUTE_UNITS = 1_000_000;
+
+
+/**
+ * IDL bound to a program ID (network profiles may deploy elsewhere)
+ */
+function programIdl(programId) {
+  return { ...IDL, address: programId.toString() };
+}
+
+/**
+ * Derive the UsedNullifier PDA for a nullifier hash
+ *
+ * The contract creates this account on withdraw, so its existence means
+ * the note is spent.
+ *
+ * @param {PublicKey} programId - Cipher program ID
+ * @param {string|bigint} nullifierHash - Nullifier hash (decimal string or BigInt)
+ * @returns {PublicKey} PDA address
+ */
+function deriveNullifierPda(programId, nullifierHash) {
+  const nullifierHashBuffer = Buffer.alloc(32);
+  let nullifierHashBigIntMut = BigInt(nullifierHash);
+  for (let i = 31; i >= 0; i--) {
+    nullifierHashBuffer[i] = Number(nullifierHashBigIntMut & 0xffn);
+    nullifierHashBigIntMut >>= 8n;
+  }
+
+  const [usedNullifierPda] = PublicKey.findProgramAddressSync(
+    [Buffer.from("nullifier"), nullifierHashBuffer],
+    programId
+  );
+  return usedNullifierPda;
+}
+
+/**
+ * Compute-budget instructions (limit + price)
+ */
+function computeBudget(units, microLamports) {
+  return [
+    ComputeBudgetProgram.setComputeUnitLimit({ units }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports }),
+  ];
+}
+
+/**
+ * Size and price the compute budget of an instruction
+ *
+ * The instruction is simulated at the maximum limit first; the limit is
+ * then set to the consumed units plus the planner's margin, and the price
+ * comes from the planner's strategy. If the simulation fails, the default
+ * limit is used so the program error surfaces as before.
+ *
+ * @returns {Promise<Object>} { unitsConsumed, computeUnitLimit, computeUnitPrice }
+ */
+async function planComputeBudget(connection, payer, instruction, planner) {
+  const writable = instruction.keys.filter(key => key.isWritable).map(key => key.pubkey);
+
+  // Price instruction included (at 0) so its units are part of the measurement
+  const simulationTx = new Transaction().add(...computeBudget(MAX_COMPUTE_UNITS, 0), instruction);
+  simulationTx.feePayer = payer;
+  const [{ value: simulation }, computeUnitPrice] = await Promise.all([
+    connection.simulateTransaction(simulationTx),
+    // Best effort: without fee data, send unprioritized rather than not at all
+    planner.unitPrice(connection, writable).catch(() => 0),
+  ]);
+
+  const unitsConsumed = simulation.err ? null : simulation.unitsConsumed ?? null;
+  const computeUnitLimit = unitsConsumed ? planner.unitLimit(unitsConsumed) : DEFAULT_COMPUTE_UNITS;
+  return { unitsConsumed, computeUnitLimit, computeUnitPrice };
+}
+
+/**
+ * Simulate a built Anchor instruction instead of sending it
+ *
+ * The compute budget is planned exactly as in sendWithFees, then the
+ * transaction that would be sent (limit + price + instruction) is
+ * simulated. No signature is requested (sigVerify off), so dry runs work
+ * with remote signers and wallets without funds for fees.
+ *
+ * @param {Program} program - Anchor program (provider wallet is the fee payer)
+ * @param {MethodsBuilder} builder - Instruction without compute budget
+ * @param {FeePlanner} [planner] - Default: percentile strategy
+ * @returns {Promise<Object>} { dryRun, success, logs, unitsConsumed, err, error, fees } -
+ *   fees as in sendWithFees
+ */
+async function simulateMethod(program, builder, planner = new FeePlanner()) {
+  const { connection, wallet } = program.provider;
+  const instruction = await builder.instruction();
+  const { computeUnitLimit, computeUnitPrice } = await planComputeBudget(connection, wallet.publicKey, instruction, planner);
+
+  const tx = new Transaction().add(...computeBudget(computeUnitLimit, computeUnitPrice), instruction);
+  tx.feePayer = wallet.publicKey;
+  // Legacy transactions get a fresh blockhash from the connection
+  const { value } = await connection.simulateTransaction(tx);
+  return {
+    dryRun: true,
+    success: value.err === null,
+    logs: value.logs || [],
+    unitsConsumed: value.unitsConsumed ?? null,
+    err: value.err,
+    error: decodeProgramError(value.err),
+    fees: {
+      unitsConsumed: value.unitsConsumed ?? null,
+      computeUnitLimit,
+      computeUnitPrice,
+      ...FeePlanner.fees({ computeUnitLimit, computeUnitPrice, signatures: 1 }),
+    },
+  };
+}
+
+/**
+ * Send a built Anchor instruction with a sized compute budget
+ *
+ * The budget comes from planComputeBudget (sized from a simulation,
+ * priced by the planner). The signed transaction goes through the
+ * send-and-confirm engine (confirm.js): rebroadcast until confirmed or
+ * its blockhash expires.
+ *
+ * @param {Program} program - Anchor program (provider wallet signs)
+ * @param {MethodsBuilder} builder - Instruction without compute budget
+ * @param {FeePlanner} [planner] - Default: percentile strategy
+ * @param {Object} [confirm] - Engine options: { commitment, resendInterval, pollInterval, signal }
+ * @returns {Promise<Object>} { signature, slot, confirmationStatus, fees: { unitsConsumed,
+ *   computeUnitLimit, computeUnitPrice, baseFee, priorityFee, totalFee } } (fees in
+ *   lamports, price in micro-lamports per unit)
+ * @throws {TransactionNotConfirmed} If the transaction failed, expired or was dropped
+ */
+async function sendWithFees(program, builder, planner = new FeePlanner(), confirm = {}) {
+  const { connection, wallet } = program.provider;
+  const instruction = await builder.instruction();
+  const { unitsConsumed, computeUnitLimit, computeUnitPrice } = await planComputeBudget(
+    connection,
+    wallet.publicKey,
+    instruction,
+    planner
+  );
+
+  const tx = new Transaction().add(...computeBudget(computeUnitLimit, computeUnitPrice), instruction);
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash("confirmed");
+  tx.recentBlockhash = blockhash;
+  tx.feePayer = wallet.publicKey;
+  const signed = await wallet.signTransaction(tx);
+
+  const { signature, slot, confirmationStatus } = await sendAndConfirmRawTransaction(connection, signed.serialize(), {
+    ...confirm,
+    lastValidBlockHeight,
+  });
+  return {
+    signature,
+    slot,
+    confirmationStatus,
+    fees: {
+      unitsConsumed,
+      computeUnitLimit,
+      computeUnitPrice,
+      ...FeePlanner.fees({ computeUnitLimit, computeUnitPrice, signatures: 1 }),
+    },
+  };
+}
+
 /**
  * Build and send deposit transaction
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {Object} signer - Signer (see signer.js) or Keypair paying for the deposit
+ * @param {PublicKey} mint - Pool mint (escrow + user token accounts are its ATAs)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Simulate instead of sending (see simulateMethod)
+ * @param {FeePlanner} [options.fees] - Compute-unit price strategy (see fees.js)
+ * @param {Object} [options.confirm] - Send-and-confirm options (see confirm.js)
+ * @returns {Promise<Object>} { signature, fees, ... } (see sendWithFees), or the
+ *   simulation result on dry runs
  */
 async function sendDepositTransaction(
   connection,
-  wallet,
+  signer,
   programId,
-  usdcMint,
+  mint,
   proof,
   amount,
-  chunkId
+  chunkId,
+  options = {}
 ) {
-  // Create wallet adapter
-  const walletAdapter = {
-    publicKey: wallet.publicKey,
-    signTransaction: async (tx) => {
-      // Sign with the keypair
-      tx.partialSign(wallet);
-      return tx;
-    },
-    signAllTransactions: async (txs) => {
-      for (const tx of txs) {
-        tx.partialSign(wallet);
-      }
-      return txs;
-    },
-  };
+  // Any Signer works as Anchor wallet (Keypairs are wrapped)
+  const walletAdapter = toSigner(signer);
   
   // Setup Anchor provider
   const provider = new anchor.AnchorProvider(
@@ -46,13 +210,8 @@ async function sendDepositTransaction(
     { commitment: "confirmed" }
   );
 
-  // Anchor v0.30: IDL contains address, pass provider only
-  const program = new anchor.Program(IDL, provider);
-  
-  // Verify programId matches (for safety)
-  if (program.programId.toString() !== programId.toString()) {
-    throw new Error(`Program ID mismatch! Expected ${programId}, got ${program.programId}`);
-  }
+  // Anchor v0.30: IDL contains address - point it at the network's program
+  const program = new anchor.Program(programIdl(programId), provider);
 
   // Derive PDAs
   const [masterPda] = PublicKey.findProgramAddressSync(
@@ -106,12 +265,12 @@ async function sendDepositTransaction(
 
   // Token accounts
   const userTokenAccount = await getAssociatedTokenAddress(
-    usdcMint,
-    wallet.publicKey
+    mint,
+    walletAdapter.publicKey
   );
 
   const escrowTokenAccount = await getAssociatedTokenAddress(
-    usdcMint,
+    mint,
     escrowPda,
     true
   );
@@ -124,13 +283,7 @@ async function sendDepositTransaction(
     publicInputs: proof.publicSignals.map(s => Array.from(s)),
   };
 
-  // Send transaction with increased compute budget
-  const { ComputeBudgetProgram } = require("@solana/web3.js");
-  const computeBudgetIx = ComputeBudgetProgram.setComputeUnitLimit({ 
-    units: 1_000_000 
-  });
-
-  const tx = await program.methods
+  const builder = program.methods
     .deposit(depositProof)
     .accounts({
       merkleChunk: merkleChunkPda,
@@ -141,43 +294,43 @@ async function sendDepositTransaction(
       userTokenAccount: userTokenAccount,
       master: masterPda,
       merkleRootAccount: merkleRootPda,
-      user: wallet.publicKey,
+      user: walletAdapter.publicKey,
       tokenProgram: TOKEN_PROGRAM_ID,
       systemProgram: SystemProgram.programId,
-    })
-    .preInstructions([computeBudgetIx])
-    .rpc();
+    });
 
-  return tx;
+  if (options.dryRun) {
+    return await simulateMethod(program, builder, options.fees);
+  }
+  return await sendWithFees(program, builder, options.fees, options.confirm);
 }
 
 /**
  * Build and send withdraw transaction
+ *
+ * @param {Connection} connection - Solana connection
+ * @param {Object} signer - Signer (see signer.js) or Keypair of the relayer
+ * @param {PublicKey} mint - Pool mint (escrow + user token accounts are its ATAs)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Simulate instead of sending (see simulateMethod)
+ * @param {FeePlanner} [options.fees] - Compute-unit price strategy (see fees.js)
+ * @param {Object} [options.confirm] - Send-and-confirm options (see confirm.js)
+ * @returns {Promise<Object>} { signature, fees, ... } (see sendWithFees), or the
+ *   simulation result on dry runs
  */
 async function sendWithdrawTransaction(
   connection,
-  wallet,
+  signer,
   programId,
-  usdcMint,
+  mint,
   proof,
   recipient,
   chunkId,
-  nullifierHash
+  nullifierHash,
+  options = {}
 ) {
-  // Create wallet adapter
-  const walletAdapter = {
-    publicKey: wallet.publicKey,
-    signTransaction: async (tx) => {
-      tx.partialSign(wallet);
-      return tx;
-    },
-    signAllTransactions: async (txs) => {
-      for (const tx of txs) {
-        tx.partialSign(wallet);
-      }
-      return txs;
-    },
-  };
+  // Any Signer works as Anchor wallet (Keypairs are wrapped)
+  const walletAdapter = toSigner(signer);
   
   const provider = new anchor.AnchorProvider(
     connection,
@@ -185,13 +338,8 @@ async function sendWithdrawTransaction(
     { commitment: "confirmed" }
   );
 
-  // Anchor v0.30: IDL contains address
-  const program = new anchor.Program(IDL, provider);
-  
-  // Verify programId matches
-  if (program.programId.toString() !== programId.toString()) {
-    throw new Error(`Program ID mismatch! Expected ${programId}, got ${program.programId}`);
-  }
+  // Anchor v0.30: IDL contains address - point it at the network's program
+  const program = new anchor.Program(programIdl(programId), provider);
 
   // Derive PDAs
   const [escrowPda] = PublicKey.findProgramAddressSync(
@@ -216,26 +364,16 @@ async function sendWithdrawTransaction(
   );
 
   // Nullifier PDA
-  const nullifierHashBuffer = Buffer.alloc(32);
-  let nullifierHashBigIntMut = BigInt(nullifierHash);
-  for (let i = 31; i >= 0; i--) {
-    nullifierHashBuffer[i] = Number(nullifierHashBigIntMut & 0xffn);
-    nullifierHashBigIntMut >>= 8n;
-  }
-
-  const [usedNullifierPda] = PublicKey.findProgramAddressSync(
-    [Buffer.from("nullifier"), nullifierHashBuffer],
-    program.programId
-  );
+  const usedNullifierPda = deriveNullifierPda(program.programId, nullifierHash);
 
   // Token accounts
   const recipientTokenAccount = await getAssociatedTokenAddress(
-    usdcMint,
+    mint,
     new PublicKey(recipient)
   );
 
   const escrowTokenAccount = await getAssociatedTokenAddress(
-    usdcMint,
+    mint,
     escrowPda,
     true
   );
@@ -266,12 +404,11 @@ async function sendWithdrawTransaction(
     ]
   };
 
-  // Send transaction with increased compute budget
-  const ix = await program.methods
+  const builder = program.methods
     .withdraw(withdrawProof, chunkId)
     .accounts({
       usedNullifier: usedNullifierPda,
-      signer: wallet.publicKey,
+      signer: walletAdapter.publicKey,
       recipient: recipientTokenAccount,
       escrow: escrowPda,
       escrowTokenAccount: escrowTokenAccount,
@@ -280,37 +417,18 @@ async function sendWithdrawTransaction(
       merkleChunk: merkleChunkPda,
       tokenProgram: TOKEN_PROGRAM_ID,
       systemProgram: SystemProgram.programId,
-    })
-    .instruction();
+    });
 
-  // Add compute budget instruction
-  const { ComputeBudgetProgram } = require("@solana/web3.js");
-  const computeBudgetIx = ComputeBudgetProgram.setComputeUnitLimit({ 
-    units: 1_000_000 
-  });
-
-  // Build and send transaction manually
-  const tx = await program.methods
-    .withdraw(withdrawProof, chunkId)
-    .accounts({
-      usedNullifier: usedNullifierPda,
-      signer: wallet.publicKey,
-      recipient: recipientTokenAccount,
-      escrow: escrowPda,
-      escrowTokenAccount: escrowTokenAccount,
-      recipientTokenAccount: recipientTokenAccount,
-      merkleRootAccount: merkleRootPda,
-      merkleChunk: merkleChunkPda,
-      tokenProgram: TOKEN_PROGRAM_ID,
-      systemProgram: SystemProgram.programId,
-    })
-    .preInstructions([computeBudgetIx])
-    .rpc();
-
-  return tx;
+  if (options.dryRun) {
+    return await simulateMethod(program, builder, options.fees);
+  }
+  return await sendWithFees(program, builder, options.fees, options.confirm);
 }
 
 module.exports = {
+  decodeProgramError,
+  deriveNullifierPda,
   sendDepositTransaction,
   sendWithdrawTransaction,
+  sendWithFees,
 };
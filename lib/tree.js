@@ -6,6 +6,7 @@
 
 const { Connection, PublicKey } = require("@solana/web3.js");
 const { getPoseidon, initPoseidon } = require("./crypto");
+const { resolveLogger } = require("./logger");
 
 const TREE_HEIGHT = 20;
 const LEAVES_CAPACITY = 1_048_576; // 2^20
@@ -36,18 +37,19 @@ const ZERO_HASHES = [
 ];
 
 class MerkleTreeBuilder {
-  constructor(programId, connection) {
+  constructor(programId, connection, options = {}) {
     this.programId = programId;
     this.connection = connection;
+    this.logger = resolveLogger(options.logger).child({ module: "tree" });
     this.poseidon = null;
     this.trees = {}; // { chunkId: { leaves: [], tree: [] } }
   }
 
   async init() {
     if (!this.poseidon) {
-      console.log("🔧 Initializing Poseidon hash (shared instance)...");
+      this.logger.debug("🔧 Initializing Poseidon hash (shared instance)...");
       this.poseidon = await getPoseidon();
-      console.log("✅ Poseidon ready");
+      this.logger.debug("✅ Poseidon ready");
     }
   }
 
@@ -56,7 +58,7 @@ class MerkleTreeBuilder {
    * Uses Anchor to properly decode account data
    */
   async fetchLeavesFromChain(chunkId) {
-    console.log(`📥 Fetching leaves for chunk ${chunkId} from chain...`);
+    this.logger.info(`📥 Fetching leaves for chunk ${chunkId} from chain...`);
     
     // We need Anchor to decode properly
     const anchor = require("@coral-xyz/anchor");
@@ -66,7 +68,7 @@ class MerkleTreeBuilder {
     // Load IDL
     const idl = JSON.parse(fs.readFileSync(path.join(__dirname, "cipher.json"), "utf-8"));
     const provider = new anchor.AnchorProvider(this.connection, {}, {});
-    const program = new anchor.Program(idl, provider);
+    const program = new anchor.Program({ ...idl, address: this.programId.toBase58() }, provider);
     
     const leaves = [];
     
@@ -84,7 +86,7 @@ class MerkleTreeBuilder {
       const chunkAccount = await program.account.merkleTreeChunk.fetch(chunkAddress);
       maxStorageId = chunkAccount.currentStorageId;
     } catch (e) {
-      console.log(`  Warning: Could not fetch chunk account, using fallback`);
+      this.logger.warn(`  Warning: Could not fetch chunk account, using fallback`);
     }
     
     // Fetch all storage accounts for this chunk
@@ -108,17 +110,233 @@ class MerkleTreeBuilder {
           leaves.push(this.bufferToBigInt(leafBuf));
         }
         
-        console.log(`  Storage ${storageId}: ${storage.leaves.length} leaves`);
+        this.logger.debug(`  Storage ${storageId}: ${storage.leaves.length} leaves`);
       } catch (err) {
         // Storage account doesn't exist, we're done
         break;
       }
     }
 
-    console.log(`✅ Fetched ${leaves.length} leaves for chunk ${chunkId}`);
+    this.logger.info(`✅ Fetched ${leaves.length} leaves for chunk ${chunkId}`);
     return leaves;
   }
 
+  /**
+   * Fetch the on-chain MerkleTreeChunk account (root + leaf count)
+   * Used to verify locally built/cached/peer trees against the contract
+   *
+   * @param {number} chunkId - Chunk ID
+   * @returns {Promise<Object>} { chunkId, currentIndex, currentStorageId, root }
+   */
+  async fetchChunkState(chunkId) {
+    const anchor = require("@coral-xyz/anchor");
+    const fs = require("fs");
+    const path = require("path");
+
+    const idl = JSON.parse(fs.readFileSync(path.join(__dirname, "cipher.json"), "utf-8"));
+    const provider = new anchor.AnchorProvider(this.connection, {}, {});
+    const program = new anchor.Program({ ...idl, address: this.programId.toBase58() }, provider);
+
+    const chunkAccount = await program.account.merkleTreeChunk.fetch(this.chunkAddress(chunkId));
+    return {
+      chunkId,
+      currentIndex: chunkAccount.currentIndex,
+      currentStorageId: chunkAccount.currentStorageId,
+      root: this.bufferToBigInt(Buffer.from(chunkAccount.root)),
+    };
+  }
+
+  /**
+   * Derive the leaf index of a confirmed deposit from chain state
+   *
+   * The deposit instruction appends the commitment to one of its two
+   * LeaveStorage accounts (current or rollover). The index is its position
+   * in that storage plus the leaf counts of all earlier storages
+   * (countLeavesBefore).
+   *
+   * SECURITY: Replaces the commitment search over the whole tree at
+   * withdraw time (SECURITY-NOTES H5)
+   *
+   * @param {string} signature - Confirmed deposit transaction
+   * @param {number} chunkId - Chunk the deposit was sent to
+   * @param {string|bigint} commitment - Deposit commitment
+   * @returns {Promise<number>} Leaf index within the chunk
+   */
+  async fetchDepositLeafIndex(signature, chunkId, commitment) {
+    const tx = await this.connection.getTransaction(signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0,
+    });
+    if (!tx) {
+      throw new Error(`Deposit transaction ${signature} not found`);
+    }
+    if (tx.meta && tx.meta.err) {
+      throw new Error(`Deposit transaction failed: ${JSON.stringify(tx.meta.err)}`);
+    }
+
+    // Deposit accounts: [merkle_chunk, leave_storage, new_leave_storage, ...]
+    const message = tx.transaction.message;
+    const keys = message.staticAccountKeys;
+    const ix = message.compiledInstructions.find(i => keys[i.programIdIndex].equals(this.programId));
+    if (!ix) {
+      throw new Error(`Transaction ${signature} is not a Cipher deposit`);
+    }
+    const storageKeys = [keys[ix.accountKeyIndexes[1]], keys[ix.accountKeyIndexes[2]]];
+
+    const target = BigInt(commitment);
+    const storages = await this.connection.getMultipleAccountsInfo(storageKeys, "confirmed");
+    let storageId = null;
+    let position = -1;
+    for (let i = 0; i < storages.length && position < 0; i++) {
+      if (!storages[i]) continue;
+      const storage = this.decodeLeaveStorage(storages[i].data);
+      if (!this.leaveStorageAddress(chunkId, storage.storageId).equals(storageKeys[i])) {
+        throw new Error(`Deposit transaction ${signature} does not belong to chunk ${chunkId}`);
+      }
+      position = storage.leaves.findIndex(leaf => leaf === target);
+      storageId = storage.storageId;
+    }
+    if (position < 0) {
+      throw new Error(`Commitment not found in storage written by ${signature}`);
+    }
+
+    return (await this.countLeavesBefore(chunkId, storageId)) + position;
+  }
+
+  /**
+   * Decode a raw LeaveStorage account
+   * Layout: discriminator(8) | storage_id u16 | leaves vec<[u8; 32]>
+   */
+  decodeLeaveStorage(data) {
+    const storageId = data.readUInt16LE(8);
+    const count = data.readUInt32LE(10);
+    const leaves = [];
+    for (let i = 0; i < count; i++) {
+      const start = 14 + i * 32;
+      leaves.push(this.bufferToBigInt(data.subarray(start, start + 32)));
+    }
+    return { storageId, leaves };
+  }
+
+  /**
+   * Number of leaves in storages 1..storageId-1 of a chunk
+   *
+   * PERFORMANCE: Reads only the vec length (4 bytes at offset 10) of each
+   * storage, 100 accounts per RPC call.
+   *
+   * @param {number} chunkId - Chunk ID
+   * @param {number} storageId - First storage not counted
+   * @returns {Promise<number>} Leaf index of the first leaf in `storageId`
+   * @throws {Error} If an earlier storage account does not exist
+   */
+  async countLeavesBefore(chunkId, storageId) {
+    const earlier = [];
+    for (let id = 1; id < storageId; id++) {
+      earlier.push(this.leaveStorageAddress(chunkId, id));
+    }
+
+    let count = 0;
+    for (let i = 0; i < earlier.length; i += 100) {
+      const infos = await this.connection.getMultipleAccountsInfo(earlier.slice(i, i + 100), {
+        commitment: "confirmed",
+        dataSlice: { offset: 10, length: 4 },
+      });
+      for (const info of infos) {
+        if (!info) {
+          throw new Error(`Missing leave storage before storage ${storageId} in chunk ${chunkId}`);
+        }
+        count += info.data.readUInt32LE(0);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * LeaveStorage PDA for a chunk + storage ID
+   */
+  leaveStorageAddress(chunkId, storageId) {
+    const [address] = PublicKey.findProgramAddressSync(
+      [
+        Buffer.from("leave_storage"),
+        Buffer.from(this.toU32Bytes(chunkId)),
+        Buffer.from(this.toU16Bytes(storageId)),
+      ],
+      this.programId
+    );
+    return address;
+  }
+
+  /**
+   * Decode a raw MerkleTreeChunk account
+   * Layout: discriminator(8) | chunk_id u32 | current_storage_id u16 |
+   * filled_subtrees [[u8; 32]; 20] | current_index u32 | root [u8; 32]
+   */
+  decodeChunk(data) {
+    return {
+      chunkId: data.readUInt32LE(8),
+      currentStorageId: data.readUInt16LE(12),
+      currentIndex: data.readUInt32LE(654),
+      root: this.bufferToBigInt(data.subarray(658, 690)),
+    };
+  }
+
+  /**
+   * MerkleTreeChunk PDA for a chunk ID
+   */
+  chunkAddress(chunkId) {
+    const [address] = PublicKey.findProgramAddressSync(
+      [
+        Buffer.from("merkle_chunk"),
+        Buffer.from(this.toU32Bytes(chunkId)),
+      ],
+      this.programId
+    );
+    return address;
+  }
+
+  /**
+   * Keep a loaded tree current with account subscriptions
+   *
+   * Subscribes (onAccountChange) to the chunk's MerkleTreeChunk and its
+   * current LeaveStorage account; each LeaveStorage notification appends
+   * the new leaves through updateTree(). When the chunk rolls over to a
+   * new storage, the old one is read once more and the new one watched.
+   *
+   * PERFORMANCE: One notification per deposit instead of refetching every
+   * LeaveStorage account of the chunk on each poll.
+   *
+   * SECURITY: When the local leaf count reaches the chunk's, the local root
+   * must equal the on-chain root. Mismatches (and leaves that differ from
+   * the local ones) are reported to onError and the subscription stops
+   * applying updates - the caller reloads the tree.
+   *
+   * @param {number} chunkId - Chunk with a tree in this.trees
+   * @param {Object} [handlers]
+   * @param {Function} [handlers.onUpdate] - (leafCount, started) after new leaves were appended
+   *   (`started`: ms timestamp the notification was applied from)
+   * @param {Function} [handlers.onError] - (error) when the tree can no longer be kept in sync
+   * @returns {Promise<Object>} Subscription: { chunkId, storageId, lastNotification, unsubscribe() }
+   * @throws If the connection has no account subscriptions or the tree is not loaded
+   */
+  async subscribe(chunkId, handlers = {}) {
+    if (typeof this.connection.onAccountChange !== "function") {
+      throw new Error("Connection does not support account subscriptions");
+    }
+    if (!this.trees[chunkId]) {
+      throw new Error(`Tree for chunk ${chunkId} not loaded`);
+    }
+    if (!this.poseidon) await this.init();
+
+    const subscription = new ChunkSubscription(this, chunkId, handlers);
+    try {
+      await subscription.start();
+    } catch (err) {
+      await subscription.unsubscribe();
+      throw err;
+    }
+    return subscription;
+  }
+
   /**
    * Update tree incrementally (only add new leaves)
    * MUCH faster than full rebuild!
@@ -136,16 +354,16 @@ class MerkleTreeBuilder {
     const currentLeafCount = newLeaves.length;
     
     if (currentLeafCount === previousLeafCount) {
-      console.log(`✅ No new leaves for chunk ${chunkId}`);
+      this.logger.debug(`✅ No new leaves for chunk ${chunkId}`);
       return treeData.tree;
     }
     
     if (currentLeafCount < previousLeafCount) {
-      console.log(`⚠️ Leaf count decreased, rebuilding...`);
+      this.logger.warn(`⚠️ Leaf count decreased, rebuilding...`);
       return await this.buildTree(chunkId, newLeaves);
     }
     
-    console.log(`🔄 Updating tree for chunk ${chunkId} (${previousLeafCount} -> ${currentLeafCount} leaves)...`);
+    this.logger.info(`🔄 Updating tree for chunk ${chunkId} (${previousLeafCount} -> ${currentLeafCount} leaves)...`);
     const start = Date.now();
     
     const tree = treeData.tree;
@@ -198,8 +416,8 @@ class MerkleTreeBuilder {
     const root = tree[tree.length - 1];
     const elapsed = ((Date.now() - start) / 1000).toFixed(2);
     
-    console.log(`✅ Tree updated in ${elapsed}s`);
-    console.log(`   Root: ${root.toString().substring(0, 20)}...`);
+    this.logger.info(`✅ Tree updated in ${elapsed}s`);
+    this.logger.debug(`   Root: ${root.toString().substring(0, 20)}...`);
     
     // Update stored data
     this.trees[chunkId] = {
@@ -262,9 +480,9 @@ class MerkleTreeBuilder {
     const root = tree.get(treeSize - 1) || ZERO_HASHES[TREE_HEIGHT - 1];
     const elapsed = ((Date.now() - start) / 1000).toFixed(2);
     
-    console.log(`✅ Sparse tree built in ${elapsed}s`);
-    console.log(`   Root: ${root.toString().substring(0, 20)}...`);
-    console.log(`   Memory: ${tree.size} nodes stored (vs ${treeSize} in full tree)`);
+    this.logger.info(`✅ Sparse tree built in ${elapsed}s`);
+    this.logger.debug(`   Root: ${root.toString().substring(0, 20)}...`);
+    this.logger.debug(`   Memory: ${tree.size} nodes stored (vs ${treeSize} in full tree)`);
     
     // Convert Map to Array for compatibility with existing code
     // Only convert accessed indices (lazy conversion)
@@ -295,7 +513,7 @@ class MerkleTreeBuilder {
     if (!this.poseidon) await this.init();
     
     const numLeaves = currentLeaves.length;
-    console.log(`🌳 Building Merkle tree for chunk ${chunkId} (${numLeaves} leaves)...`);
+    this.logger.info(`🌳 Building Merkle tree for chunk ${chunkId} (${numLeaves} leaves)...`);
     
     if (numLeaves > LEAVES_CAPACITY) {
       throw new Error(`Too many leaves: ${numLeaves} > ${LEAVES_CAPACITY}`);
@@ -305,7 +523,7 @@ class MerkleTreeBuilder {
     // Saves 99%+ memory (64MB → ~100KB for < 10k leaves)
     const SPARSE_THRESHOLD = 10000;
     if (numLeaves < SPARSE_THRESHOLD) {
-      console.log(`   Using sparse tree (saves ~${((1 - numLeaves / LEAVES_CAPACITY) * 100).toFixed(1)}% memory)`);
+      this.logger.debug(`   Using sparse tree (saves ~${((1 - numLeaves / LEAVES_CAPACITY) * 100).toFixed(1)}% memory)`);
       return await this.buildSparseTree(chunkId, currentLeaves);
     }
 
@@ -355,8 +573,8 @@ class MerkleTreeBuilder {
     const root = tree[treeSize - 1];
     const elapsed = ((Date.now() - start) / 1000).toFixed(2);
     
-    console.log(`✅ Tree built in ${elapsed}s`);
-    console.log(`   Root: ${root.toString().substring(0, 20)}...`);
+    this.logger.info(`✅ Tree built in ${elapsed}s`);
+    this.logger.debug(`   Root: ${root.toString().substring(0, 20)}...`);
     
     // Store for later
     this.trees[chunkId] = {
@@ -445,4 +663,141 @@ class MerkleTreeBuilder {
   }
 }
 
+/**
+ * Account subscriptions for one chunk (see MerkleTreeBuilder.subscribe)
+ *
+ * Notifications are applied one at a time, in arrival order.
+ * @private
+ */
+class ChunkSubscription {
+  constructor(builder, chunkId, handlers) {
+    this.builder = builder;
+    this.chunkId = chunkId;
+    this.onUpdate = handlers.onUpdate || (() => {});
+    this.onError = handlers.onError || (() => {});
+    this.storageId = null;
+    this.base = 0; // leaves in storages before `storageId`
+    this.chunkListener = null;
+    this.storageListener = null;
+    this.lastNotification = null;
+    this.closed = false;
+    this.queue = Promise.resolve();
+  }
+
+  get connection() {
+    return this.builder.connection;
+  }
+
+  async start() {
+    const chunkAddress = this.builder.chunkAddress(this.chunkId);
+    this.chunkListener = this.connection.onAccountChange(
+      chunkAddress,
+      (info) => this._enqueue(() => this._applyChunk(this.builder.decodeChunk(info.data))),
+      "confirmed"
+    );
+
+    const info = await this.connection.getAccountInfo(chunkAddress, "confirmed");
+    if (!info) {
+      throw new Error(`Chunk ${this.chunkId} not found on chain`);
+    }
+    await this._enqueue(() => this._applyChunk(this.builder.decodeChunk(info.data)), { rethrow: true });
+  }
+
+  async unsubscribe() {
+    this.closed = true;
+    const listeners = [this.chunkListener, this.storageListener].filter(id => id !== null);
+    this.chunkListener = null;
+    this.storageListener = null;
+    await Promise.all(listeners.map(id => this.connection.removeAccountChangeListener(id).catch(() => {})));
+  }
+
+  /**
+   * Run `fn` after every earlier notification; failures end the subscription
+   */
+  _enqueue(fn, { rethrow = false } = {}) {
+    const run = this.queue.then(async () => {
+      if (this.closed) return;
+      this.lastNotification = Date.now();
+      await fn();
+    });
+    this.queue = run.catch(err => {
+      if (!this.closed && !rethrow) {
+        this.closed = true;
+        this.onError(err);
+      }
+    });
+    return rethrow ? run : this.queue;
+  }
+
+  async _applyChunk(chunk) {
+    if (chunk.currentStorageId !== this.storageId) {
+      // Rollover: leaves may have landed in the old storage before the switch
+      if (this.storageId !== null && chunk.currentStorageId > this.storageId) {
+        await this._readStorage(this.storageId);
+      }
+      await this._watchStorage(chunk.currentStorageId);
+    }
+
+    const treeData = this.builder.trees[this.chunkId];
+    if (treeData.leaves.length === chunk.currentIndex && treeData.root !== chunk.root) {
+      throw new Error(`Local root for chunk ${this.chunkId} differs from on-chain root at ${chunk.currentIndex} leaves`);
+    }
+  }
+
+  async _watchStorage(storageId) {
+    if (this.storageListener !== null) {
+      const previous = this.storageListener;
+      this.storageListener = null;
+      await this.connection.removeAccountChangeListener(previous).catch(() => {});
+    }
+
+    const base = await this.builder.countLeavesBefore(this.chunkId, storageId);
+    this.storageId = storageId;
+    this.base = base;
+    this.storageListener = this.connection.onAccountChange(
+      this.builder.leaveStorageAddress(this.chunkId, storageId),
+      (info) => this._enqueue(() => this._applyStorage(this.builder.decodeLeaveStorage(info.data))),
+      "confirmed"
+    );
+    // Leaves appended before the subscription was active
+    await this._readStorage(storageId);
+  }
+
+  async _readStorage(storageId) {
+    const info = await this.connection.getAccountInfo(this.builder.leaveStorageAddress(this.chunkId, storageId), "confirmed");
+    if (info) {
+      await this._applyStorage(this.builder.decodeLeaveStorage(info.data));
+    }
+  }
+
+  /**
+   * Append the leaves of a storage that the local tree does not have yet
+   */
+  async _applyStorage(storage) {
+    if (storage.storageId !== this.storageId) {
+      return; // Late notification for a storage rolled over from (read in _applyChunk)
+    }
+    const base = this.base;
+    const leaves = storage.leaves;
+    const known = this.builder.trees[this.chunkId].leaves;
+    if (base < 0 || base > known.length) {
+      throw new Error(`Leave storage for chunk ${this.chunkId} does not line up with the local tree`);
+    }
+    const overlap = Math.min(leaves.length, known.length - base);
+    for (let i = 0; i < overlap; i++) {
+      if (known[base + i] !== leaves[i]) {
+        throw new Error(`Leaf ${base + i} of chunk ${this.chunkId} differs from the local tree`);
+      }
+    }
+    if (base + leaves.length <= known.length) {
+      return;
+    }
+
+    const started = Date.now();
+    await this.builder.updateTree(this.chunkId, [...known.slice(0, base), ...leaves]);
+    this.onUpdate(base + leaves.length, started);
+  }
+}
+
 module.exports = MerkleTreeBuilder;
+module.exports.ZERO_HASHES = ZERO_HASHES;
@@ -131,17 +131,15 @@ async function runTests() {
     const mockAgent = { wallet: {}, connection: {} };
     const relayer = new RelayerService(mockAgent);
     
-    // Test validation function
-    const validProof = {
-      pi_a: ["1", "2", "3"],
-      pi_b: [["4", "5"], ["6", "7"], ["8", "9"]],
-      pi_c: ["10", "11", "12"],
-      protocol: "groth16",
-      curve: "bn128"
-    };
-    
+    // Test validation function (proof as the agent sends it, after JSON)
     const validRecipient = "11111111111111111111111111111111";
     const validAmount = 1000000;
+    const validProof = JSON.parse(JSON.stringify({
+      proofA: Buffer.alloc(64, 1),
+      proofB: Buffer.alloc(128, 2),
+      proofC: Buffer.alloc(64, 3),
+      publicSignals: ["1", "42", String(validAmount), "7", ...new Array(32).fill("0"), "0"],
+    }));
     const validChunkId = 1;
     
     const result = relayer._validateWithdrawRequest(
@@ -264,6 +262,2272 @@ async function runTests() {
     failed++;
   }
 
+  // Test 7: Lifecycle events
+  try {
+    const RelayerService = require("./lib/relayer");
+    const { EVENTS, RELAYER_EVENTS, forwardEvents, attachConsoleReporter } = require("./lib/events");
+    const EventEmitter = require("events");
+    console.log("📝 Test 7: Lifecycle events");
+    
+    const mockAgent = { wallet: {}, connection: {} };
+    const relayer = new RelayerService(mockAgent);
+    const target = new EventEmitter();
+    forwardEvents(relayer, target, RELAYER_EVENTS);
+    
+    let received = null;
+    target.on(EVENTS.RELAYER_STOPPED, (payload) => { received = payload; });
+    relayer.stop();
+    
+    if (!received) {
+      throw new Error("Relayer event not forwarded");
+    }
+    
+    // Console reporter must be detachable
+    const detach = attachConsoleReporter(target);
+    if (target.listenerCount(EVENTS.DEPOSIT_CONFIRMED) !== 1) {
+      throw new Error("Console reporter not attached");
+    }
+    detach();
+    if (target.listenerCount(EVENTS.DEPOSIT_CONFIRMED) !== 0) {
+      throw new Error("Console reporter not detached");
+    }
+    
+    console.log("   ✅ Component events forwarded");
+    console.log("   ✅ Console reporter attaches and detaches\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 8: Logger redaction
+  try {
+    const { createLogger } = require("./lib/logger");
+    console.log("📝 Test 8: Logger levels and redaction");
+    
+    const lines = [];
+    const stream = { write: (line) => lines.push(JSON.parse(line)) };
+    const logger = createLogger({ level: "info", format: "json", stream });
+    
+    logger.debug("hidden");
+    logger.info("Discovered peer: 8.8.8.8:8547", {
+      depositCode: "secret-code",
+      nullifierHash: "1234",
+      nested: { secret: Buffer.alloc(32) },
+      root: "1".repeat(77),
+    });
+    
+    if (lines.length !== 1) {
+      throw new Error("Level filtering failed");
+    }
+    
+    const record = lines[0];
+    if (record.msg.includes("8.8.8.8")) {
+      throw new Error("Peer IP not redacted");
+    }
+    if (record.depositCode !== "[redacted]" || record.nullifierHash !== "[redacted]") {
+      throw new Error("Secret fields not redacted");
+    }
+    if (record.nested.secret !== "[redacted]" || record.root !== "[redacted]") {
+      throw new Error("Nested/field-element values not redacted");
+    }
+    
+    console.log("   ✅ Levels filter records");
+    console.log("   ✅ Secrets, deposit codes and IPs redacted\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 9: CLI argument parsing
+  try {
+    const { parseArgs, parseAmount, resolveCommand, COMMANDS } = require("./lib/cli");
+    console.log("📝 Test 9: CLI argument parsing");
+    
+    const { positionals, flags } = parseArgs([
+      "withdraw", "--recipient", "11111111111111111111111111111111", "--amount=0.5", "--json",
+    ]);
+    if (positionals.join(" ") !== "withdraw" || flags.recipient !== "11111111111111111111111111111111") {
+      throw new Error("Positionals/flags not parsed");
+    }
+    if (flags.amount !== "0.5" || flags.json !== true) {
+      throw new Error("--flag=value or boolean flag not parsed");
+    }
+    
+    if (parseAmount("1") !== 1_000_000 || parseAmount("0.5") !== 500_000) {
+      throw new Error("USDC amounts not converted to base units");
+    }
+    for (const bad of ["-1", "0", "1.0000001", "abc"]) {
+      let threw = false;
+      try { parseAmount(bad); } catch { threw = true; }
+      if (!threw) throw new Error(`Invalid amount accepted: ${bad}`);
+    }
+    
+    if (resolveCommand(["tree", "verify"]) !== COMMANDS.tree.verify) {
+      throw new Error("Subcommand not resolved");
+    }
+    let threw = false;
+    try { resolveCommand(["tree"]); } catch { threw = true; }
+    if (!threw) throw new Error("Missing subcommand accepted");
+    
+    console.log("   ✅ Flags, values and booleans parsed");
+    console.log("   ✅ Amounts validated and converted");
+    console.log("   ✅ Commands/subcommands resolved\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 10: Signers (keypair, keystore, remote)
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair, Transaction, SystemProgram } = require("@solana/web3.js");
+    const {
+      KeypairSigner,
+      KeystoreSigner,
+      RemoteSigner,
+      serveRemoteSigner,
+      toSigner,
+    } = require("./lib/signer");
+    console.log("📝 Test 10: Pluggable signers");
+    
+    const keypair = Keypair.generate();
+    const makeTx = () => new Transaction({
+      feePayer: keypair.publicKey,
+      recentBlockhash: Keypair.generate().publicKey.toBase58(),
+    }).add(SystemProgram.transfer({
+      fromPubkey: keypair.publicKey,
+      toPubkey: Keypair.generate().publicKey,
+      lamports: 1,
+    }));
+    
+    // Keypair adapter
+    const signer = toSigner(keypair);
+    if (!(signer instanceof KeypairSigner) || toSigner(signer) !== signer) {
+      throw new Error("toSigner did not wrap Keypair / pass Signer through");
+    }
+    const tx = await signer.signTransaction(makeTx());
+    if (!tx.verifySignatures()) throw new Error("Keypair signature invalid");
+    
+    // Encrypted keystore
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-keystore-"));
+    const file = path.join(dir, "keystore.json");
+    KeystoreSigner.create(keypair, file, "correct horse");
+    if (fs.readFileSync(file, "utf-8").includes(Buffer.from(keypair.secretKey).toString("hex"))) {
+      throw new Error("Keystore contains plaintext key");
+    }
+    const loaded = new KeystoreSigner(file, "correct horse");
+    if (!loaded.publicKey.equals(keypair.publicKey)) throw new Error("Keystore key mismatch");
+    let threw = false;
+    try { new KeystoreSigner(file, "wrong"); } catch { threw = true; }
+    if (!threw) throw new Error("Wrong keystore password accepted");
+    fs.rmSync(dir, { recursive: true, force: true });
+    
+    // Remote signer over HTTP
+    const server = await serveRemoteSigner(signer, { token: "s3cret" });
+    try {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      const remote = await RemoteSigner.connect({ url, token: "s3cret" });
+      if (!remote.publicKey.equals(keypair.publicKey)) throw new Error("Remote public key mismatch");
+      
+      const [a, b] = await remote.signAllTransactions([makeTx(), makeTx()]);
+      if (!a.verifySignatures() || !b.verifySignatures()) throw new Error("Remote signature invalid");
+      
+      threw = false;
+      try {
+        await new RemoteSigner({ url, token: "wrong", publicKey: keypair.publicKey }).signTransaction(makeTx());
+      } catch (err) {
+        threw = err.message.includes("401");
+      }
+      if (!threw) throw new Error("Bad token not rejected");
+    } finally {
+      server.close();
+    }
+    
+    console.log("   ✅ Keypair adapter signs");
+    console.log("   ✅ Keystore encrypted, wrong password rejected");
+    console.log("   ✅ Remote signer signs, bad token rejected\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 11: Network profiles
+  try {
+    const { NETWORKS, resolveNetwork } = require("./lib/networks");
+    const { DHTNode } = require("./lib/dht");
+    console.log("📝 Test 11: Network profiles");
+    
+    const devnet = resolveNetwork("devnet");
+    if (devnet.usdcMint.toBase58() !== NETWORKS.devnet.usdcMint || !devnet.dhtBootstrapNodes.length) {
+      throw new Error("Devnet profile not applied");
+    }
+    const ids = new Set(Object.values(NETWORKS).map(n => n.networkId));
+    if (ids.size !== Object.keys(NETWORKS).length) {
+      throw new Error("Networks share a DHT network ID");
+    }
+    
+    const overridden = resolveNetwork("devnet", { rpcUrl: "http://127.0.0.1:8899" });
+    if (overridden.rpcUrl !== "http://127.0.0.1:8899" || overridden.networkId !== devnet.networkId) {
+      throw new Error("Overrides not applied");
+    }
+    
+    let threw = false;
+    try { resolveNetwork("mainnet-beta"); } catch { threw = true; }
+    if (!threw) throw new Error("mainnet-beta without programId accepted");
+    
+    const custom = resolveNetwork({
+      name: "staging",
+      networkId: "cipher-agent-staging-v1",
+      rpcUrl: "http://127.0.0.1:8899",
+      programId: NETWORKS.devnet.programId,
+      usdcMint: NETWORKS.devnet.usdcMint,
+    });
+    if (!custom.dataDir.endsWith("staging") || custom.dhtBootstrapNodes.length !== 0) {
+      throw new Error("Custom profile defaults not applied");
+    }
+    
+    // DHT drops agents announced for another network
+    const dht = new DHTNode({ networkId: devnet.networkId });
+    dht.iterativeFindNode = async () => [{ host: "127.0.0.1", port: 1 }];
+    dht.sendRequest = async () => ({
+      type: "VALUE",
+      data: { value: { id: "aa", httpPort: 8547, network: NETWORKS["mainnet-beta"].networkId } },
+    });
+    if ((await dht.findAgents()).length !== 0) {
+      throw new Error("Agent from other network returned");
+    }
+    
+    console.log("   ✅ Profiles resolve with overrides");
+    console.log("   ✅ Each network has its own DHT network ID");
+    console.log("   ✅ Agents from other networks ignored\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 12: Withdraw from deposit code
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { encodeDepositCode } = require("./lib/deposit-code");
+    const { randomBytes, generateNullifierHash } = require("./lib/proof");
+    const { deriveNullifierPda } = require("./lib/transactions");
+    console.log("📝 Test 12: Withdraw from deposit code");
+    
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-code-"));
+    const agent = new CipherAgent({
+      keypair: Keypair.generate(),
+      rpcUrl: "http://127.0.0.1:9",
+      dataDir,
+      logger: { level: "silent" },
+    });
+    
+    const nullifier = randomBytes(32);
+    const code = encodeDepositCode(randomBytes(32), nullifier, 1, 1000000);
+    const nullifierHash = await generateNullifierHash(nullifier);
+    const spentPda = deriveNullifierPda(agent.programId, nullifierHash);
+    agent.connection.getAccountInfo = async (pubkey) => (pubkey.equals(spentPda) ? { data: Buffer.alloc(8) } : null);
+    
+    let error = null;
+    try { await agent.withdrawWithCode("not-a-code", Keypair.generate().publicKey); } catch (err) { error = err; }
+    if (!error || !error.message.startsWith("Invalid deposit code")) {
+      throw new Error("Invalid code accepted");
+    }
+    
+    error = null;
+    try { await agent.withdrawWithCode(code, Keypair.generate().publicKey.toBase58()); } catch (err) { error = err; }
+    if (!error || !error.message.includes("already withdrawn")) {
+      throw new Error("Spent nullifier not detected");
+    }
+    if (fs.existsSync(path.join(dataDir, "deposits.json"))) {
+      throw new Error("Storage written for foreign code");
+    }
+    
+    // Relayer rejects: the stored PENDING marker is rolled back (retryable)
+    const http = require("http");
+    const server = http.createServer((req, res) => {
+      res.writeHead(400, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Proof verification failed" }));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    await agent.storage.addDeposit(code, "deposit-tx", { amount: 1000000 });
+    agent._proveWithdrawal = async () => ({ proof: {}, nullifierHash: "1" });
+    const failures = [];
+    agent.on(CipherAgent.EVENTS.WITHDRAW_FAILED, e => failures.push(e));
+    const note = { depositCode: code, amount: 1000000, chunkId: 1, withdrawn: false };
+    const pool = { mint: agent.usdcMint };
+    error = null;
+    await agent._submitWithdrawal(pool, note, Keypair.generate().publicKey, { relayerUrl: `http://127.0.0.1:${server.address().port}` }, { commit: async () => {} })
+      .catch(err => { error = err; });
+    server.close();
+    const stored = await agent.storage.findDepositByCode(code);
+    if (!error || !/Relayer rejected/.test(error.message) || stored.withdrawn || stored.withdrawTxId || note.withdrawn || failures[0]?.rolledBack !== true) {
+      throw new Error("Rejected withdrawal left the note marked as withdrawn");
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ Invalid codes rejected");
+    console.log("   ✅ Spent nullifier detected before proving");
+    console.log("   ✅ Relayer rejection rolls back the stored withdrawal marker\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 13: Leaf index from deposit transaction
+  try {
+    const MerkleTreeBuilder = require("./lib/tree");
+    const { PublicKey } = require("@solana/web3.js");
+    console.log("📝 Test 13: Leaf index from deposit transaction");
+    
+    const programId = new PublicKey("Dn1AjFeQbQsv3ufRw9KbPKQmp1is8VhGPVsKodqA4WLN");
+    const builder = new MerkleTreeBuilder(programId, null, { logger: { level: "silent" } });
+    const chunkId = 1;
+    const commitment = BigInt(424242);
+    
+    const storageData = (storageId, leaves) => {
+      const data = Buffer.alloc(14 + leaves.length * 32);
+      data.writeUInt16LE(storageId, 8);
+      data.writeUInt32LE(leaves.length, 10);
+      leaves.forEach((leaf, i) => {
+        Buffer.from(leaf.toString(16).padStart(64, "0"), "hex").copy(data, 14 + i * 32);
+      });
+      return data;
+    };
+    const accounts = new Map([
+      [builder.leaveStorageAddress(chunkId, 1).toBase58(), storageData(1, [1n, 2n, 3n, 4n])],
+      [builder.leaveStorageAddress(chunkId, 2).toBase58(), storageData(2, [5n, 6n])],
+      [builder.leaveStorageAddress(chunkId, 3).toBase58(), storageData(3, [7n, commitment])],
+    ]);
+    const keys = [
+      PublicKey.default,
+      builder.leaveStorageAddress(chunkId, 3),
+      builder.leaveStorageAddress(chunkId, 4),
+      programId,
+    ];
+    builder.connection = {
+      getTransaction: async () => ({
+        meta: { err: null },
+        transaction: {
+          message: {
+            staticAccountKeys: keys,
+            compiledInstructions: [{ programIdIndex: 3, accountKeyIndexes: [0, 1, 2] }],
+          },
+        },
+      }),
+      getMultipleAccountsInfo: async (pubkeys, config) => pubkeys.map(pk => {
+        const data = accounts.get(pk.toBase58());
+        if (!data) return null;
+        const slice = config && config.dataSlice;
+        return { data: slice ? data.subarray(slice.offset, slice.offset + slice.length) : data };
+      }),
+    };
+    
+    const leafIndex = await builder.fetchDepositLeafIndex("sig", chunkId, commitment.toString());
+    if (leafIndex !== 7) {
+      throw new Error(`Wrong leaf index: ${leafIndex}`);
+    }
+    
+    let threw = false;
+    try { await builder.fetchDepositLeafIndex("sig", 2, commitment); } catch { threw = true; }
+    if (!threw) throw new Error("Storage from another chunk accepted");
+    
+    console.log("   ✅ Leaf index derived from written storage + earlier counts");
+    console.log("   ✅ Storage from another chunk rejected\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 14: Withdrawal status tracking
+  try {
+    const http = require("http");
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair } = require("@solana/web3.js");
+    const RelayerService = require("./lib/relayer");
+    const CipherAgent = require("./lib/index");
+    console.log("📝 Test 14: Withdrawal status tracking");
+    
+    const mockAgent = {
+      executeWithdraw: async (recipient) => {
+        if (recipient === "spent") throw new Error("AnchorError: Error Code: DoubleSpending");
+        return { txId: "tx-" + recipient };
+      },
+    };
+    const relayer = new RelayerService(mockAgent);
+    const item = (id, recipient) => ({ id, recipient, proof: {}, amount: 1, chunkId: 1, status: "queued", attempts: 0, executeAt: 0 });
+    const okId = "a".repeat(32);
+    const spentId = "b".repeat(32);
+    relayer.queue.push(item(okId, "ok"), item(spentId, "spent"));
+    relayer.processing = true;
+    await relayer.processQueue();
+    
+    if (relayer.getStatus(okId).status !== "executed" || relayer.getStatus(okId).txId !== "tx-ok") {
+      throw new Error("Executed item not tracked");
+    }
+    const spent = relayer.getStatus(spentId);
+    if (spent.status !== "failed" || !spent.error.includes("DoubleSpending") || spent.attempts !== 1) {
+      throw new Error("Permanent failure retried");
+    }
+    
+    const server = http.createServer((req, res) => { res.writeHead(404); res.end(); });
+    relayer.addEndpoints(server);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const relayerUrl = `http://127.0.0.1:${server.address().port}`;
+    
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-status-"));
+    const agent = new CipherAgent({
+      keypair: Keypair.generate(),
+      rpcUrl: "http://127.0.0.1:9",
+      dataDir,
+      logger: { level: "silent" },
+    });
+    agent.isNullifierUsed = async () => true;
+    
+    try {
+      if (await agent.getWithdrawalStatus("c".repeat(32), { relayerUrl }) !== null) {
+        throw new Error("Unknown queue ID not 404");
+      }
+      agent.withdrawals.set(okId, { relayerUrl, nullifierHash: "123" });
+      const landed = await agent.waitForWithdrawal(okId, { timeout: 2000, interval: 100 });
+      if (landed.txId !== "tx-ok" || !landed.verifiedOnChain) {
+        throw new Error("Executed withdrawal not confirmed");
+      }
+      let error = null;
+      try { await agent.waitForWithdrawal(spentId, { relayerUrl, timeout: 2000, interval: 100 }); } catch (err) { error = err; }
+      if (!error || !error.message.includes("DoubleSpending")) {
+        throw new Error("Failed withdrawal not reported");
+      }
+    } finally {
+      server.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+    
+    console.log("   ✅ Relayer tracks executed + failed items");
+    console.log("   ✅ GET /relayer/status/:queueId serves item state");
+    console.log("   ✅ waitForWithdrawal confirms against the nullifier\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 15: Graceful shutdown
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    console.log("📝 Test 15: Graceful shutdown");
+    
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-shutdown-"));
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const createAgent = () => new CipherAgent({
+      keypair: Keypair.generate(),
+      rpcUrl: "http://127.0.0.1:9",
+      dataDir,
+      dhtBootstrapNodes: [],
+      p2pPort: port,
+      discoveryPort: port + 1,
+      dhtPort: port + 2,
+      logger: { level: "silent" },
+    });
+    const handles = () => process.getActiveResourcesInfo()
+      .filter(r => ["Timeout", "TCPServerWrap", "UDPWrap"].includes(r)).length;
+    const baseline = handles();
+    
+    const agent = createAgent();
+    await agent.startP2P();
+    agent.relayer.queue.push({
+      id: "d".repeat(32), proof: {}, recipient: "r", amount: 1, chunkId: 1,
+      status: "queued", attempts: 0, executeAt: Date.now() + 3600000,
+    });
+    agent.relayer.startProcessing();
+    
+    const result = await agent.shutdown({ drainTimeout: 100 });
+    const queueFile = path.join(dataDir, "relayer-queue.json");
+    if (result.persisted !== 1 || !fs.existsSync(queueFile)) {
+      throw new Error("Pending withdrawal not persisted");
+    }
+    if ((fs.statSync(queueFile).mode & 0o777) !== 0o600) {
+      throw new Error("Queue file readable by others");
+    }
+    await new Promise(resolve => setTimeout(resolve, 50)); // Closed handles are released by the event loop
+    if (handles() > baseline) {
+      throw new Error(`${handles() - baseline} timer/socket handle(s) left open`);
+    }
+    
+    const restarted = createAgent();
+    await restarted.startP2P();
+    const restored = restarted.relayer.queue.length;
+    await restarted.shutdown({ drainTimeout: 0 });
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    if (restored !== 1) {
+      throw new Error("Persisted withdrawal not restored");
+    }
+    
+    // Only sent withdrawals count as executed (not evicted / given up ones)
+    const RelayerService = require("./lib/relayer");
+    const draining = new RelayerService({
+      executeWithdraw: async (recipient) => {
+        if (recipient === "bad") throw new Error("AnchorError: Error Code: InvalidProof");
+        return { txId: "tx-" + recipient };
+      },
+    });
+    for (const [id, recipient] of [["e", "ok"], ["f", "bad"], ["g", "evicted"]]) {
+      draining.queue.push({ id: id.repeat(32), proof: {}, recipient, amount: 1, chunkId: 1, status: "queued", attempts: 0, executeAt: 0 });
+    }
+    draining.evict("g".repeat(32));
+    draining.startProcessing();
+    const drained = await draining.shutdown({ drainTimeout: 2000 });
+    if (drained.executed !== 1 || draining.queue.length !== 0) {
+      throw new Error(`Expected 1 executed withdrawal, got ${drained.executed}`);
+    }
+    
+    // A corrupt queue file is kept aside and reported, never deleted
+    const corruptDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-queue-"));
+    const corruptQueue = new RelayerService({}, { queueFile: path.join(corruptDir, "relayer-queue.json") });
+    fs.writeFileSync(corruptQueue.queueFile, "[{\"id\": ");
+    const corruptEvents = [];
+    corruptQueue.on(CipherAgent.EVENTS.RELAYER_QUEUE_CORRUPT, e => corruptEvents.push(e));
+    corruptQueue.on(CipherAgent.EVENTS.RELAYER_REJECTED, () => corruptEvents.push("rejected"));
+    const recovered = corruptQueue.restoreQueue();
+    const keptFile = `${corruptQueue.queueFile}.corrupt`;
+    const kept = fs.existsSync(keptFile) && fs.readFileSync(keptFile, "utf-8");
+    fs.rmSync(corruptDir, { recursive: true, force: true });
+    if (recovered !== 0 || kept !== "[{\"id\": " || corruptEvents.length !== 1 || corruptEvents[0].file !== keptFile) {
+      throw new Error("Corrupt queue file not kept and reported");
+    }
+    
+    console.log("   ✅ Pending withdrawals persisted (0600) and restored");
+    console.log("   ✅ Drain counts only executed withdrawals");
+    console.log("   ✅ Corrupt queue file kept as .corrupt and reported");
+    console.log("   ✅ No timers or sockets left after shutdown\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 16: Resumable mixing plan
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const MixingScheduler = require("./lib/mixer");
+    const { createLogger } = require("./lib/logger");
+    const { encodeDepositCode } = require("./lib/deposit-code");
+    const { randomBytes, generateNullifierHash } = require("./lib/proof");
+    console.log("📝 Test 16: Resumable mixing plan");
+    
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-mixer-"));
+    const stateFile = path.join(dataDir, "mixer-state.json");
+    const stored = [];
+    const fakeAgent = {
+      isRunning: true,
+      logger: createLogger({ level: "silent" }),
+      emit: () => {},
+      getBalance: async () => 10_000_000,
+      deposit: async (amount) => {
+        stored.push({ txId: `tx${stored.length}`, amount, withdrawn: false, timestamp: new Date().toISOString() });
+        fakeAgent.isRunning = false; // stop() right after the deposit
+        return { txId: stored[stored.length - 1].txId };
+      },
+      storage: { getAllDeposits: async () => stored },
+    };
+    
+    await new MixingScheduler(fakeAgent, stateFile).run({ withdrawInterval: [10, 10] });
+    const plan = JSON.parse(fs.readFileSync(stateFile, "utf-8"));
+    if (plan.nextDeposit !== null || plan.withdrawals.length !== 1 || plan.withdrawals[0].depositTxId !== "tx0") {
+      throw new Error("Withdrawal not planned after deposit");
+    }
+    if ((fs.statSync(stateFile).mode & 0o777) !== 0o600) {
+      throw new Error("Plan file readable by others");
+    }
+    
+    // Restart: same target time, no immediate withdrawal
+    const resumed = new MixingScheduler(fakeAgent, stateFile);
+    resumed.state = resumed.load();
+    const step = resumed.nextStep();
+    if (step.kind !== "withdraw" || step.dueAt !== plan.withdrawals[0].dueAt || step.dueAt <= Date.now()) {
+      throw new Error("Plan not resumed with original target time");
+    }
+    
+    // Crash mid-deposit: the stored deposit gets its withdrawal planned
+    resumed.state = { ...plan, nextDeposit: { dueAt: 0, startedAt: Date.now() - 1000 }, withdrawals: [] };
+    stored.push({ txId: "tx1", amount: 1, withdrawn: false, timestamp: new Date().toISOString() });
+    stored[0].withdrawn = true;
+    await resumed.reconcile();
+    if (resumed.state.nextDeposit !== null || resumed.state.withdrawals[0]?.depositTxId !== "tx1") {
+      throw new Error("Interrupted deposit not reconciled");
+    }
+    
+    // Crash mid-withdrawal (PENDING): resubmitted unless the nullifier is spent on chain
+    const submitted = [];
+    const spent = new Set();
+    fakeAgent.isNullifierUsed = async (hash) => spent.has(hash.toString());
+    fakeAgent.withdrawWithCode = async (code, recipient, options) => { submitted.push({ code, options }); };
+    const pendingNote = async (txId) => {
+      const nullifier = randomBytes(32);
+      const code = encodeDepositCode(randomBytes(32), nullifier, 1, 1);
+      stored.push({ txId, code, amount: 1, withdrawn: true, withdrawTxId: "PENDING", timestamp: new Date().toISOString() });
+      return { code, nullifierHash: (await generateNullifierHash(nullifier)).toString() };
+    };
+    const unsettled = await pendingNote("tx2");
+    const settled = await pendingNote("tx3");
+    spent.add(settled.nullifierHash);
+    resumed.state.withdrawals = [{ depositTxId: "tx2", amount: 1, dueAt: 0 }, { depositTxId: "tx3", amount: 1, dueAt: 0 }];
+    for (const entry of [...resumed.state.withdrawals]) await resumed.runWithdrawal(entry);
+    if (submitted.length !== 1 || submitted[0].code !== unsettled.code || submitted[0].options.force !== true || resumed.state.withdrawals.length !== 0) {
+      throw new Error("PENDING withdrawals not reconciled against the chain");
+    }
+    
+    // Dry run: simulated deposits plan simulated withdrawals, nothing is written
+    const dryStateFile = path.join(dataDir, "dry-mixer-state.json");
+    const dryAgent = {
+      ...fakeAgent,
+      isRunning: true,
+      dryRun: true,
+      deposit: async () => { dryAgent.isRunning = false; return { success: true, dryRun: true }; },
+      storage: { getAllDeposits: async () => { throw new Error("storage read in dry run"); } },
+    };
+    const dry = new MixingScheduler(dryAgent, dryStateFile);
+    await dry.run({ withdrawInterval: [10, 10] });
+    const [simulated] = dry.state.withdrawals;
+    if (fs.existsSync(dryStateFile) || !simulated?.simulated || simulated.depositTxId !== null) {
+      throw new Error("Dry-run deposit planned a real withdrawal or persisted the plan");
+    }
+    submitted.length = 0;
+    await dry.runWithdrawal(simulated);
+    if (submitted.length !== 0 || dry.state.withdrawals.length !== 0 || !dry.state.nextDeposit) {
+      throw new Error("Simulated withdrawal not skipped");
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ Plan persisted (0600) after each step");
+    console.log("   ✅ Restart resumes original target times");
+    console.log("   ✅ Interrupted deposit reconciled from storage");
+    console.log("   ✅ PENDING withdrawal resubmitted unless spent on chain");
+    console.log("   ✅ Dry run plans simulated withdrawals in memory only\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 17: Spending policy
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const http = require("http");
+    const RelayerService = require("./lib/relayer");
+    const { TokenPools } = require("./lib/tokens");
+    const { PolicyEngine, PolicyViolation } = require("./lib/policy");
+    console.log("📝 Test 17: Spending policy");
+    
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-policy-"));
+    const allowed = Keypair.generate().publicKey.toBase58();
+    const policyFile = path.join(dataDir, "policy.json");
+    fs.writeFileSync(policyFile, JSON.stringify({
+      deposit: { maxPerTx: 2_000_000, dailyCap: 3_000_000 },
+      withdraw: { allowRecipients: [allowed] },
+      maxNotesInFlight: 2,
+    }));
+    
+    const expectViolation = async (promise, rule) => {
+      try {
+        await promise;
+      } catch (err) {
+        if (!(err instanceof PolicyViolation) || err.rule !== rule) {
+          throw new Error(`Expected ${rule} violation, got: ${err.message}`);
+        }
+        return;
+      }
+      throw new Error(`${rule} not enforced`);
+    };
+    
+    const engine = PolicyEngine.fromFile(policyFile, { ledgerFile: path.join(dataDir, "ledger.json") });
+    await expectViolation(engine.authorize({ type: "deposit", amount: 2_500_000 }), "deposit.maxPerTx");
+    await expectViolation(engine.authorize({ type: "deposit", amount: 1, notesInFlight: 2 }), "maxNotesInFlight");
+    
+    // Reservations count towards caps; released ones don't, committed ones persist
+    const first = await engine.authorize({ type: "deposit", amount: 2_000_000 });
+    await expectViolation(engine.authorize({ type: "deposit", amount: 2_000_000 }), "deposit.dailyCap");
+    first.release();
+    await (await engine.authorize({ type: "deposit", amount: 2_000_000 })).commit();
+    const restarted = PolicyEngine.fromFile(policyFile, { ledgerFile: path.join(dataDir, "ledger.json") });
+    await expectViolation(restarted.authorize({ type: "deposit", amount: 2_000_000 }), "deposit.dailyCap");
+    
+    // A corrupt ledger blocks spending (never resets the caps) until it is fixed
+    const ledgerFile = path.join(dataDir, "ledger.json");
+    const ledgerContents = fs.readFileSync(ledgerFile, "utf-8");
+    fs.writeFileSync(ledgerFile, ledgerContents.slice(0, -5));
+    const damaged = PolicyEngine.fromFile(policyFile, { ledgerFile });
+    await expectViolation(damaged.authorize({ type: "deposit", amount: 1 }), "ledger");
+    if (fs.readFileSync(ledgerFile, "utf-8") !== ledgerContents.slice(0, -5)) throw new Error("Corrupt ledger overwritten");
+    fs.writeFileSync(ledgerFile, ledgerContents);
+    await expectViolation(damaged.authorize({ type: "deposit", amount: 2_000_000 }), "deposit.dailyCap");
+    
+    // Recipient allowlist + UTC time windows
+    await expectViolation(engine.authorize({ type: "withdraw", amount: 1, recipient: Keypair.generate().publicKey.toBase58() }), "withdraw.allowRecipients");
+    (await engine.authorize({ type: "withdraw", amount: 1, recipient: allowed })).release();
+    const windowed = new PolicyEngine({ timeWindows: [{ days: ["mon"], start: "22:00", end: "02:00" }] });
+    windowed.check({ type: "relay", amount: 1, now: new Date("2024-01-02T01:00:00Z") }); // Monday night
+    await expectViolation(Promise.resolve().then(() => windowed.check({ type: "relay", amount: 1, now: new Date("2024-01-02T03:00:00Z") })), "timeWindows");
+    
+    // Edited file is picked up; typos are rejected
+    fs.writeFileSync(policyFile, JSON.stringify({ deposit: { maxPerTx: 1 } }));
+    fs.utimesSync(policyFile, new Date(), new Date(Date.now() + 5000));
+    await expectViolation(engine.authorize({ type: "deposit", amount: 2 }), "deposit.maxPerTx");
+    for (const time of ["24:00", "24:59"]) {
+      let rejected = false;
+      try { new PolicyEngine({ timeWindows: [{ start: "08:00", end: time }] }); } catch { rejected = true; }
+      if (!rejected) throw new Error(`Time ${time} accepted`);
+    }
+    let typoRejected = false;
+    try {
+      new PolicyEngine({ deposit: { dailycap: 1 } });
+    } catch (err) {
+      typoRejected = err.message.includes("deposit.dailycap");
+    }
+    if (!typoRejected) throw new Error("Unknown policy key accepted");
+    
+    // Agent blocks before proving and emits policy:violation
+    const agent = new CipherAgent({
+      keypair: Keypair.generate(),
+      rpcUrl: "http://127.0.0.1:9",
+      dataDir,
+      logger: { level: "silent" },
+      policy: { deposit: { maxPerTx: 1 } },
+    });
+    let violationEvent = null;
+    agent.on(CipherAgent.EVENTS.POLICY_VIOLATION, e => { violationEvent = e; });
+    await expectViolation(agent.deposit(1_000_000), "deposit.maxPerTx");
+    if (!violationEvent || violationEvent.action !== "deposit") throw new Error("policy:violation not emitted");
+    
+    // Relay caps: the default pool is one bucket whether or not its mint is sent
+    const usdcMint = Keypair.generate().publicKey;
+    const relayer = new RelayerService({ tokens: new TokenPools(usdcMint) }, {
+      policy: new PolicyEngine({ relay: { dailyCap: 1_000_000 } }),
+      verifyProofs: false,
+    });
+    relayer.processing = true; // Queue only
+    const server = http.createServer((req, res) => { res.writeHead(404); res.end(); });
+    relayer.addEndpoints(server);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const relay = async (mint) => {
+      const recipient = Keypair.generate().publicKey;
+      const proof = {
+        proofA: Buffer.alloc(64, 1),
+        proofB: Buffer.alloc(128, 2),
+        proofC: Buffer.alloc(64, 3),
+        publicSignals: ["1", "42", "600000", "7", ...[...recipient.toBytes()].map(String), "0"],
+      };
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/relayer/submit`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ proof, recipient: recipient.toBase58(), amount: 600_000, chunkId: 1, mint }),
+      });
+      return response.status;
+    };
+    const statuses = [await relay(usdcMint.toBase58()), await relay(undefined), await relay(undefined), await relay(usdcMint.toBase58())];
+    server.close();
+    if (statuses.join(",") !== "200,403,403,403" || relayer.queue.some(item => item.mint !== undefined)) {
+      throw new Error(`Relay cap split by mint form: ${statuses.join(",")}`);
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ Per-tx limit, caps and notes in flight enforced");
+    console.log("   ✅ Caps survive restarts via the ledger, a corrupt ledger blocks spending");
+    console.log("   ✅ Recipient allowlist and UTC time windows");
+    console.log("   ✅ Policy file reloaded, unknown keys rejected");
+    console.log("   ✅ Agent deposit blocked with PolicyViolation");
+    console.log("   ✅ Relay caps shared by requests with and without the default mint\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 18: Approval providers
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const http = require("http");
+    const crypto = require("crypto");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { encodeDepositCode } = require("./lib/deposit-code");
+    const { HttpApprover, AutoApprover, ApprovalRejected, awaitApproval } = require("./lib/approval");
+    console.log("📝 Test 18: Approval providers");
+    
+    // Auto-approve below the threshold, reject above without a fallback
+    const auto = new AutoApprover({ below: 1_000_000 });
+    const small = await awaitApproval(auto, { id: "a1", action: "deposit", amount: 999_999 });
+    const large = await awaitApproval(auto, { id: "a2", action: "deposit", amount: 1_000_000 });
+    if (!small.approved || large.approved) throw new Error("AutoApprover threshold not applied");
+    
+    // Timeout aborts the provider's wait
+    let aborted = false;
+    const slow = (request, { signal }) => new Promise(() => signal.addEventListener("abort", () => { aborted = true; }));
+    const late = await awaitApproval(slow, { id: "a3", action: "deposit", amount: 1 }, { timeout: 50 });
+    if (late.approved || late.reason !== "timeout" || !aborted) throw new Error("Approval timeout not enforced");
+    
+    // HTTP endpoints: token required, pending list, approve by ID
+    const token = crypto.randomBytes(16).toString("hex");
+    const approver = new HttpApprover({ token });
+    const server = http.createServer((req, res) => { res.writeHead(404); res.end(); });
+    approver.addEndpoints(server);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const auth = { Authorization: `Bearer ${token}` };
+    
+    const decision = awaitApproval(approver, { id: "abcd", action: "withdraw", amount: 5, recipient: "x" });
+    const unauthorized = await fetch(`${base}/approvals`);
+    const listed = await (await fetch(`${base}/approvals`, { headers: auth })).json();
+    const answer = await fetch(`${base}/approvals/abcd/approve`, { method: "POST", headers: auth });
+    const result = await decision;
+    server.close();
+    if (unauthorized.status !== 401) throw new Error("Approval endpoint served without token");
+    if (listed.pending.length !== 1 || listed.pending[0].id !== "abcd") throw new Error("Pending approval not listed");
+    if (answer.status !== 200 || !result.approved || approver.pending.size !== 0) throw new Error("HTTP approval not applied");
+    
+    // Rejection cancels before proving and leaves DepositStorage untouched
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-approval-"));
+    const agent = new CipherAgent({
+      keypair: Keypair.generate(),
+      rpcUrl: "http://127.0.0.1:9",
+      dataDir,
+      logger: { level: "silent" },
+      approval: async () => ({ approved: false, reason: "rejected" }),
+    });
+    const code = encodeDepositCode(crypto.randomBytes(32), crypto.randomBytes(32), 1, 1_000_000);
+    await agent.storage.addDeposit(code, "tx1", { commitment: "1", amount: 1_000_000, leafIndex: 0 });
+    const note = { depositCode: code, amount: 1_000_000, chunkId: 1, commitment: "1", leafIndex: 0 };
+    for (const attempt of [() => agent.deposit(1_000_000), () => agent._withdrawNote(note, Keypair.generate().publicKey)]) {
+      try {
+        await attempt();
+        throw new Error("Rejected action went through");
+      } catch (err) {
+        if (!(err instanceof ApprovalRejected)) throw err;
+      }
+    }
+    const stats = await agent.storage.getStats();
+    if (stats.total !== 1 || stats.withdrawn !== 0 || note.withdrawn) throw new Error("Rejection changed deposit state");
+    if (agent.policy.reserved.size !== 0) throw new Error("Policy reservation leaked");
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ Auto-approve threshold");
+    console.log("   ✅ Timeout aborts the pending approval");
+    console.log("   ✅ HTTP approvals require the token");
+    console.log("   ✅ Rejections leave DepositStorage untouched\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 19: Dry-run deposits
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair, ComputeBudgetInstruction } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { decodeProgramError } = require("./lib/transactions");
+    console.log("📝 Test 19: Dry-run deposits");
+    
+    const chunkFull = decodeProgramError({ InstructionError: [1, { Custom: 6000 }] });
+    const notInitialized = decodeProgramError({ InstructionError: [1, { Custom: 3012 }] });
+    if (chunkFull.name !== "ChunkFull" || notInitialized.name !== "AccountNotInitialized") {
+      throw new Error("Program errors not decoded");
+    }
+    if (decodeProgramError("AccountNotFound").name !== "AccountNotFound" || decodeProgramError(null) !== null) {
+      throw new Error("Transaction errors not decoded");
+    }
+    
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-dryrun-"));
+    const agent = new CipherAgent({
+      keypair: Keypair.generate(),
+      rpcUrl: "http://127.0.0.1:9",
+      dataDir,
+      logger: { level: "silent" },
+      dryRun: true,
+      approval: async () => false, // Dry runs move nothing, so nothing to approve
+    });
+    
+    const simulatedTxs = [];
+    agent.connection = {
+      getAccountInfo: async () => ({ data: Buffer.alloc(64) }), // Master: chunk 0, chunk: storage 0
+      getRecentPrioritizationFees: async () => [{ slot: 1, prioritizationFee: 500 }],
+      simulateTransaction: async (tx) => {
+        simulatedTxs.push(tx);
+        // Sizing simulation passes; the priced transaction hits a program error
+        return simulatedTxs.length === 1
+          ? { value: { err: null, logs: [], unitsConsumed: 4000 } }
+          : { value: { err: { InstructionError: [2, { Custom: 6000 }] }, logs: ["Program log: ChunkFull"], unitsConsumed: 4321 } };
+      },
+      sendRawTransaction: async () => { throw new Error("Dry run sent a transaction"); },
+    };
+    let simulatedEvent = null;
+    agent.on(CipherAgent.EVENTS.DEPOSIT_SIMULATED, e => { simulatedEvent = e; });
+    
+    const result = await agent.deposit(1_000_000);
+    if (!result.dryRun || result.success || result.error.name !== "ChunkFull" || result.unitsConsumed !== 4321) {
+      throw new Error("Simulation result not returned");
+    }
+    const simulatedTx = simulatedTxs[1];
+    if (simulatedTxs.length !== 2 || simulatedTx.instructions.length !== 3 || !simulatedTx.feePayer.equals(agent.wallet.publicKey)) {
+      throw new Error("Compute budget + deposit instruction not simulated");
+    }
+    // Same budget a real send would carry: limit sized by the planner, price from recent fees
+    const { units } = ComputeBudgetInstruction.decodeSetComputeUnitLimit(simulatedTx.instructions[0]);
+    const { microLamports } = ComputeBudgetInstruction.decodeSetComputeUnitPrice(simulatedTx.instructions[1]);
+    if (units !== agent.fees.unitLimit(4000) || Number(microLamports) !== 500) {
+      throw new Error(`Dry run budget not planned: ${units} units at ${microLamports}`);
+    }
+    if (result.fees.computeUnitLimit !== units || result.fees.computeUnitPrice !== 500 || !(result.fees.priorityFee > 0)) {
+      throw new Error("Planned fees not returned");
+    }
+    if (simulatedTxs.some(tx => tx.signatures.some(s => s.signature !== null))) throw new Error("Dry run asked for a signature");
+    const stats = await agent.storage.getStats();
+    if (stats.total !== 0 || agent.deposits.length !== 0 || agent.depositCount !== 0) {
+      throw new Error("Dry run stored a note");
+    }
+    if (agent.policy.ledger.length !== 0) throw new Error("Dry run charged the policy caps");
+    if (!simulatedEvent || simulatedEvent.error.code !== 6000) throw new Error("deposit:simulated not emitted");
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ IDL + Anchor errors decoded");
+    console.log("   ✅ Exact deposit transaction simulated with its planned fees, never signed or sent");
+    console.log("   ✅ Nothing written to storage, deposits or policy ledger\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 20: Offline deposit -> tree -> withdraw on the program emulator
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const http = require("http");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { EmulatedConnection, StandInWithdrawProver } = require("./lib/emulator");
+    console.log("📝 Test 20: Offline flows on the program emulator");
+    
+    const connection = await EmulatedConnection.create({ chunkCapacity: 3, leavesPerStorage: 2 });
+    const keypair = Keypair.generate();
+    connection.airdrop(keypair.publicKey, 1_000_000_000);
+    connection.mintTo(keypair.publicKey, 5_000_000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-emulator-"));
+    const prover = new StandInWithdrawProver({ size: 1 });
+    const agent = new CipherAgent({
+      keypair,
+      connection,
+      programId: connection.programId,
+      usdcMint: connection.usdcMint,
+      dataDir,
+      prover,
+      circuits: prover.circuits,
+      relayerMinDelay: 1,
+      relayerMaxDelay: 1,
+      logger: { level: "silent" },
+    });
+    
+    // Three deposits: the third rolls over into LeaveStorage 2
+    for (let i = 0; i < 3; i++) {
+      await agent.deposit(1_000_000);
+    }
+    if (agent.deposits.map(d => d.leafIndex).join() !== "0,1,2") {
+      throw new Error("Leaf indexes not derived from the deposit transactions");
+    }
+    const escrow = await connection.getTokenAccountBalance(connection.escrowTokenAccount);
+    if (escrow.value.amount !== "3000000") throw new Error("Escrow not credited");
+    
+    // Tree rebuilt from LeaveStorage accounts matches the chunk root
+    const leaves = await agent.treeBuilder.fetchLeavesFromChain(1);
+    await agent.treeBuilder.buildTree(1, leaves);
+    const chunk = await agent.treeBuilder.fetchChunkState(1);
+    if (chunk.currentIndex !== 3 || chunk.currentStorageId !== 2 || BigInt(agent.treeBuilder.getMerklePath(1, 2).root) !== chunk.root) {
+      throw new Error("Local tree does not match the emulated chunk");
+    }
+    
+    // Full chunk rejects deposits with ChunkFull (nothing stored)
+    let chunkFull = null;
+    await agent.deposit(1_000_000).catch(err => { chunkFull = err; });
+    if (!chunkFull || !/ChunkFull/.test(chunkFull.message) || (await agent.storage.getStats()).total !== 3) {
+      throw new Error("ChunkFull not raised");
+    }
+    
+    // Withdraw (Groth16 check not emulated): public signals as the circuit emits them
+    const recipient = Keypair.generate().publicKey;
+    const recipientTokenAccount = connection.mintTo(recipient, 0);
+    const proof = {
+      proofA: Buffer.alloc(64),
+      proofB: Buffer.alloc(128),
+      proofC: Buffer.alloc(64),
+      publicSignals: ["1", chunk.root.toString(), "1000000", "123456789", ...[...recipient.toBuffer()].map(String), "0"],
+    };
+    await agent.executeWithdraw(recipient.toBase58(), 1_000_000, proof, 1);
+    const received = await connection.getTokenAccountBalance(recipientTokenAccount);
+    if (received.value.amount !== "1000000" || !(await agent.isNullifierUsed("123456789"))) {
+      throw new Error("Withdraw not executed");
+    }
+    
+    let doubleSpend = null;
+    await agent.executeWithdraw(recipient.toBase58(), 1_000_000, proof, 1).catch(err => { doubleSpend = err; });
+    if (!doubleSpend || !/DoubleSpending/.test(doubleSpend.message)) throw new Error("DoubleSpending not raised");
+    
+    const unknownRoot = { ...proof, publicSignals: ["1", "42", "1000000", "987654321", ...proof.publicSignals.slice(4)] };
+    let badRoot = null;
+    await agent.executeWithdraw(recipient.toBase58(), 1_000_000, unknownRoot, 1).catch(err => { badRoot = err; });
+    if (!badRoot || !/InvalidMerkleRoot/.test(badRoot.message)) throw new Error("InvalidMerkleRoot not raised");
+    
+    // Round trip: agent.withdraw() to a base58 recipient proves a stored note
+    // (stand-in withdraw key), the agent's relayer queues and executes it
+    const relayerServer = http.createServer((req, res) => { res.writeHead(404); res.end(); });
+    agent.relayer.addEndpoints(relayerServer);
+    await new Promise(resolve => relayerServer.listen(0, "127.0.0.1", resolve));
+    const payee = Keypair.generate().publicKey;
+    const payeeTokenAccount = connection.mintTo(payee, 0);
+    const executed = new Promise(resolve => agent.once(CipherAgent.EVENTS.RELAYER_EXECUTED, resolve));
+    const withdrawal = await agent.withdraw(payee.toBase58(), 1_000_000, {
+      relayerUrl: `http://127.0.0.1:${relayerServer.address().port}`,
+    });
+    await executed;
+    relayerServer.close();
+    const paid = await connection.getTokenAccountBalance(payeeTokenAccount);
+    const marked = (await agent.storage.getAllDeposits()).filter(d => d.withdrawTxId === withdrawal.queueId);
+    if (paid.value.amount !== "1000000" || !(await agent.isNullifierUsed(withdrawal.nullifierHash)) || marked.length !== 1) {
+      throw new Error("agent.withdraw() round trip not paid out");
+    }
+    await prover.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ Deposits land in emulated LeaveStorage/MerkleTreeChunk accounts");
+    console.log("   ✅ Rebuilt tree matches the emulated root");
+    console.log("   ✅ executeWithdraw pays out and marks the nullifier");
+    console.log("   ✅ deposit -> agent.withdraw() (base58 recipient) -> relayer -> payout");
+    console.log("   ✅ ChunkFull, DoubleSpending and InvalidMerkleRoot surface as program errors\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 21: Only the USDC pool until the program binds the mint
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair } = require("@solana/web3.js");
+    const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require("@solana/spl-token");
+    const CipherAgent = require("./lib/index");
+    const { EmulatedConnection } = require("./lib/emulator");
+    const { encodeDepositCode, decodeDepositCode } = require("./lib/deposit-code");
+    const { sendDepositTransaction } = require("./lib/transactions");
+    console.log("📝 Test 21: Token pools (USDC only)");
+    
+    const connection = await EmulatedConnection.create();
+    const keypair = Keypair.generate();
+    connection.airdrop(keypair.publicKey, 1_000_000_000);
+    connection.mintTo(keypair.publicKey, 2_000_000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-tokens-"));
+    const agent = new CipherAgent({
+      keypair,
+      connection,
+      programId: connection.programId,
+      usdcMint: connection.usdcMint,
+      dataDir,
+      logger: { level: "silent" },
+    });
+    
+    // Deposits (also naming the USDC mint) give V1 codes - readable by older decoders
+    const result = await agent.deposit({ mint: connection.usdcMint, amount: 1_000_000 });
+    const decoded = decodeDepositCode(result.depositCode);
+    if (decoded.version !== 1 || decoded.mint !== null || agent.tokens.list().length !== 1) {
+      throw new Error(`Expected a V1 code for the USDC pool, got V${decoded.version}`);
+    }
+    
+    // Other mints are rejected before anything is proved
+    const otherMint = Keypair.generate().publicKey;
+    let unsupported = null;
+    await agent.deposit({ mint: otherMint, amount: 1 }).catch(err => { unsupported = err; });
+    if (!unsupported || !/Unsupported mint/.test(unsupported.message)) throw new Error("Other mint deposited");
+    const code = encodeDepositCode(Buffer.alloc(32, 1), Buffer.alloc(32, 2), 1, 1_000_000, otherMint);
+    unsupported = null;
+    await agent.withdrawWithCode(code, Keypair.generate().publicKey).catch(err => { unsupported = err; });
+    if (!unsupported || !/Unsupported mint/.test(unsupported.message)) throw new Error("Foreign-mint code accepted");
+    
+    // The program only takes the SPL Token program
+    const simulate = connection.simulateTransaction.bind(connection);
+    connection.simulateTransaction = (tx, ...rest) => {
+      for (const key of tx.instructions.flatMap(ix => ix.keys)) {
+        if (key.pubkey.equals(TOKEN_PROGRAM_ID)) key.pubkey = TOKEN_2022_PROGRAM_ID;
+      }
+      return simulate(tx, ...rest);
+    };
+    const proof = {
+      proofA: Buffer.alloc(64),
+      proofB: Buffer.alloc(128),
+      proofC: Buffer.alloc(64),
+      publicSignals: [Buffer.alloc(32), Buffer.alloc(32)],
+    };
+    const simulated = await sendDepositTransaction(connection, keypair, connection.programId, connection.usdcMint, proof, 1_000_000, 1, { dryRun: true });
+    if (simulated.success || !/InvalidProgramId|Program ID was not as expected/.test(JSON.stringify(simulated.error) + simulated.logs.join("\n"))) {
+      throw new Error(`Token-2022 program accepted: ${JSON.stringify(simulated.error)}`);
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ USDC deposits issue V1 codes");
+    console.log("   ✅ Other mints and codes naming them rejected before proving");
+    console.log("   ✅ Program rejects token programs other than SPL Token\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 22: Compute-unit sizing and priority fees
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { EmulatedConnection } = require("./lib/emulator");
+    const { FeePlanner } = require("./lib/fees");
+    console.log("📝 Test 22: Priority fees and compute-unit sizing");
+    
+    // Strategies over recent per-slot fees (nearest-rank percentile, capped)
+    const recent = { getRecentPrioritizationFees: async () => [0, 100, 200, 300, 5000].map(f => ({ slot: 1, prioritizationFee: f })) };
+    const prices = await Promise.all([
+      new FeePlanner({ strategy: "percentile", percentile: 50 }).unitPrice(recent),
+      new FeePlanner({ strategy: "max", maxMicroLamports: 1000 }).unitPrice(recent),
+      new FeePlanner({ strategy: "fixed", microLamports: 42 }).unitPrice(recent),
+    ]);
+    if (prices.join() !== "200,1000,42") throw new Error(`Unexpected prices ${prices.join()}`);
+    let badOption = null;
+    try { new FeePlanner({ stratgy: "max" }); } catch (err) { badOption = err; }
+    if (!badOption) throw new Error("Unknown fee option accepted");
+    
+    const connection = await EmulatedConnection.create();
+    const dataDirs = [];
+    const makeAgent = (fees) => {
+      const keypair = Keypair.generate();
+      connection.airdrop(keypair.publicKey, 1_000_000_000);
+      connection.mintTo(keypair.publicKey, 5_000_000);
+      const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-fees-"));
+      dataDirs.push(dataDir);
+      return new CipherAgent({
+        keypair, connection, fees, dataDir,
+        programId: connection.programId,
+        usdcMint: connection.usdcMint,
+        logger: { level: "silent" },
+      });
+    };
+    
+    // Limit sized from simulation; the reported fee is what the payer paid
+    const first = makeAgent({ strategy: "fixed", microLamports: 5000 });
+    const before = await connection.getBalance(first.wallet.publicKey);
+    const { txId, fees } = await first.deposit(1_000_000);
+    const after = await connection.getBalance(first.wallet.publicKey);
+    const landed = await connection.getTransaction(txId);
+    if (!(fees.computeUnitLimit >= fees.unitsConsumed && fees.computeUnitLimit < 1_000_000)) {
+      throw new Error(`Compute-unit limit not sized (${fees.computeUnitLimit})`);
+    }
+    if (fees.computeUnitPrice !== 5000 || landed.meta.fee !== fees.totalFee || before - after !== fees.totalFee) {
+      throw new Error("Reported fee does not match the fee paid");
+    }
+    
+    // Recent fees on the written accounts drive the next price (capped)
+    const second = makeAgent({ strategy: "max", maxMicroLamports: 3000 });
+    const result = await second.deposit(1_000_000);
+    if (result.fees.computeUnitPrice !== 3000 || result.fees.priorityFee !== Math.ceil(result.fees.computeUnitLimit * 3000 / 1e6)) {
+      throw new Error("Price not taken from recent prioritization fees");
+    }
+    dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+    
+    console.log("   ✅ Fixed, percentile and max strategies (with cap)");
+    console.log("   ✅ Compute-unit limit sized from simulation");
+    console.log("   ✅ Fees paid reported in deposit results\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 23: Send-and-confirm engine (rebroadcast, expiry, finalized)
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair, Transaction, SystemProgram } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { EmulatedConnection } = require("./lib/emulator");
+    const { sendAndConfirmRawTransaction, TransactionNotConfirmed } = require("./lib/confirm");
+    console.log("📝 Test 23: Send-and-confirm engine");
+    
+    const connection = await EmulatedConnection.create();
+    const keypair = Keypair.generate();
+    connection.airdrop(keypair.publicKey, 1_000_000_000);
+    connection.mintTo(keypair.publicKey, 5_000_000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-confirm-"));
+    const agent = new CipherAgent({
+      keypair, connection, dataDir,
+      programId: connection.programId,
+      usdcMint: connection.usdcMint,
+      confirm: { pollInterval: 10, resendInterval: 20 },
+      logger: { level: "silent" },
+    });
+    
+    // Dropped broadcast: the rebroadcast lands
+    connection.dropTransactions(1);
+    await agent.deposit(1_000_000);
+    if ((await agent.storage.getStats()).total !== 1) throw new Error("Rebroadcast deposit not stored");
+    
+    // Never lands: expired once the block height passes lastValidBlockHeight, nothing stored
+    connection.dropTransactions(Infinity);
+    const failedEvents = [];
+    agent.on(CipherAgent.EVENTS.DEPOSIT_FAILED, e => failedEvents.push(e));
+    const blocks = setInterval(() => connection.advanceSlots(5), 20);
+    let expired = null;
+    await agent.deposit(1_000_000).catch(err => { expired = err; });
+    clearInterval(blocks);
+    connection.dropTransactions(0);
+    if (!(expired instanceof TransactionNotConfirmed) || expired.outcome !== "expired" || failedEvents[0]?.outcome !== "expired") {
+      throw new Error(`Expected expired outcome, got ${expired && expired.message}`);
+    }
+    if ((await agent.storage.getStats()).total !== 1) throw new Error("Expired deposit was stored");
+    
+    // Preflight rejection settles as failed
+    let rejected = null;
+    await agent.executeWithdraw(Keypair.generate().publicKey.toBase58(), 1, {
+      proofA: Buffer.alloc(64), proofB: Buffer.alloc(128), proofC: Buffer.alloc(64),
+      publicSignals: ["1", "42", "1", "1", ...new Array(32).fill("0"), "0"],
+    }, 1).catch(err => { rejected = err; });
+    if (!rejected || rejected.outcome !== "failed" || !/InvalidMerkleRoot|ConstraintTokenOwner|AccountNotInitialized/.test(rejected.message)) {
+      throw new Error("Preflight failure not reported as failed");
+    }
+    
+    // Finalized waits for finalization depth
+    const signTransfer = async () => {
+      const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash();
+      const tx = new Transaction({ feePayer: keypair.publicKey, recentBlockhash: blockhash })
+        .add(SystemProgram.transfer({ fromPubkey: keypair.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1_000_000 }));
+      tx.sign(keypair);
+      return { raw: tx.serialize(), lastValidBlockHeight };
+    };
+    const transfer = await signTransfer();
+    const ticker = setInterval(() => connection.advanceSlots(4), 10);
+    const finalized = await sendAndConfirmRawTransaction(connection, transfer.raw, {
+      lastValidBlockHeight: transfer.lastValidBlockHeight, commitment: "finalized", pollInterval: 5,
+    }).finally(() => clearInterval(ticker));
+    if (finalized.confirmationStatus !== "finalized" || connection.slot - finalized.slot < 32) {
+      throw new Error("Returned before finalization");
+    }
+    
+    // Seen on a fork, then gone before expiry: dropped
+    let height = 0;
+    let polls = 0;
+    const forked = {
+      sendRawTransaction: async () => "sig",
+      getBlockHeight: async () => (height += 50),
+      getSignatureStatuses: async () => ({ value: [polls++ < 1 ? { slot: 1, err: null, confirmationStatus: "processed" } : null] }),
+    };
+    const dropped = await sendAndConfirmRawTransaction(forked, (await signTransfer()).raw, {
+      lastValidBlockHeight: 120, pollInterval: 1,
+    }).catch(err => err);
+    if (dropped.outcome !== "dropped") throw new Error(`Expected dropped, got ${dropped.message}`);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ Dropped broadcasts are rebroadcast until they land");
+    console.log("   ✅ Expired, failed and dropped outcomes distinguished");
+    console.log("   ✅ Finalized commitment waits for finalization");
+    console.log("   ✅ Deposits stored only after the outcome settles\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 24: RPC endpoint pool (failover, health, timeouts)
+  try {
+    const http = require("http");
+    const { ConnectionPool } = require("./lib/rpc-pool");
+    console.log("📝 Test 24: RPC endpoint pool");
+    
+    const calls = { a: 0, b: 0 };
+    const behaviour = { a: "down", b: "ok" };
+    const slots = { a: 1000, b: 1000 };
+    const mock = (name) => ({
+      getAccountInfo: async () => {
+        calls[name]++;
+        if (behaviour[name] === "down") throw new TypeError("fetch failed");
+        if (behaviour[name] === "invalid") throw Object.assign(new Error("Invalid param"), { code: -32602 });
+        return { data: Buffer.from(name) };
+      },
+      getSlot: async () => {
+        if (behaviour[name] === "down") throw new TypeError("fetch failed");
+        return slots[name];
+      },
+      sendRawTransaction: async () => {
+        if (behaviour[name] === "down") throw new TypeError("fetch failed");
+        return `sent-by-${name}`;
+      },
+    });
+    const pool = new ConnectionPool(["http://a", "http://b"], {
+      createConnection: url => mock(url.slice(7)),
+      sendHealthAge: 0,
+      logger: { level: "silent" },
+    });
+    
+    // Read fails over; the failed endpoint then cools down and is skipped
+    const first = await pool.getAccountInfo("x");
+    await pool.getAccountInfo("x");
+    if (first.data.toString() !== "b" || calls.a !== 1 || calls.b !== 2 || pool.stats()[0].healthy) {
+      throw new Error("Read did not fail over to the healthy endpoint");
+    }
+    
+    // Request errors are not retried on other endpoints
+    behaviour.b = "invalid";
+    calls.b = 0;
+    const invalid = await pool.getAccountInfo("x").catch(err => err);
+    if (invalid.code !== -32602 || calls.b !== 1 || calls.a !== 1) throw new Error("Request error was retried");
+    
+    // Sends only through endpoints healthy right now (b lags 200 slots)
+    behaviour.a = "ok";
+    pool.endpoints[0].cooldownUntil = 0;
+    slots.b = 800;
+    if (await pool.sendRawTransaction(Buffer.alloc(1)) !== "sent-by-a") throw new Error("Send not routed to the healthy endpoint");
+    behaviour.a = "down";
+    const noneHealthy = await pool.sendRawTransaction(Buffer.alloc(1)).catch(err => err);
+    if (!/No healthy RPC endpoint/.test(noneHealthy.message)) throw new Error("Send went through a lagging endpoint");
+    
+    // Per-request timeout against a hanging endpoint, failover to a live one
+    const hanging = http.createServer(() => {});
+    const live = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ jsonrpc: "2.0", id: JSON.parse(body).id, result: 4242 }));
+      });
+    });
+    await Promise.all([hanging, live].map(server => new Promise(resolve => server.listen(0, "127.0.0.1", resolve))));
+    const url = server => `http://127.0.0.1:${server.address().port}`;
+    const timed = new ConnectionPool([url(hanging), url(live)], { timeout: 300, logger: { level: "silent" } });
+    const started = Date.now();
+    const slot = await timed.getSlot();
+    const elapsed = Date.now() - started;
+    for (const server of [hanging, live]) {
+      server.closeAllConnections();
+      server.close();
+    }
+    if (slot !== 4242 || elapsed > 3000) throw new Error(`Timeout/failover failed (slot ${slot}, ${elapsed} ms)`);
+    
+    console.log("   ✅ Reads fail over and skip cooling-down endpoints");
+    console.log("   ✅ Request errors are returned, not retried");
+    console.log("   ✅ Sends only through healthy, non-lagging endpoints");
+    console.log("   ✅ Per-request timeouts\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 25: Push-based tree updates (account subscriptions, polling fallback)
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { EVENTS } = CipherAgent;
+    const { EmulatedConnection } = require("./lib/emulator");
+    console.log("📝 Test 25: Push-based tree updates");
+    
+    const connection = await EmulatedConnection.create({ leavesPerStorage: 2 });
+    const keypair = Keypair.generate();
+    connection.airdrop(keypair.publicKey, 1_000_000_000);
+    connection.mintTo(keypair.publicKey, 10_000_000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-push-"));
+    const agent = new CipherAgent({
+      keypair,
+      connection,
+      programId: connection.programId,
+      usdcMint: connection.usdcMint,
+      dataDir,
+      logger: { level: "silent" },
+    });
+    const waitFor = async (what, predicate, timeout = 10000) => {
+      const deadline = Date.now() + timeout;
+      while (!predicate()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+    const seen = [];
+    for (const name of [EVENTS.TREE_SUBSCRIBED, EVENTS.TREE_SUBSCRIPTION_LOST, EVENTS.TREE_UPDATED]) {
+      agent.on(name, payload => seen.push({ name, ...payload }));
+    }
+    const count = (name, source) => seen.filter(e => e.name === name && (!source || e.source === source)).length;
+    const leafCount = () => agent.treeBuilder.trees[1].leaves.length;
+    let fullFetches = 0;
+    const fetchLeaves = agent.treeBuilder.fetchLeavesFromChain.bind(agent.treeBuilder);
+    agent.treeBuilder.fetchLeavesFromChain = (chunkId) => {
+      fullFetches++;
+      return fetchLeaves(chunkId);
+    };
+    
+    await agent.deposit(1_000_000);
+    await agent.treeBuilder.buildTree(1, await fetchLeaves(1));
+    agent.startTreeUpdates(1, 200);
+    await waitFor("subscription", () => count(EVENTS.TREE_SUBSCRIBED) === 1);
+    
+    // Two deposits: the second rolls over into LeaveStorage 2
+    const fetchesBefore = fullFetches;
+    await agent.deposit(1_000_000);
+    await agent.deposit(1_000_000);
+    await waitFor("pushed leaves", () => leafCount() === 3);
+    const chunk = await agent.treeBuilder.fetchChunkState(1);
+    if (fullFetches !== fetchesBefore || count(EVENTS.TREE_UPDATED, "push") !== 2) {
+      throw new Error("Leaves were not pushed");
+    }
+    if (agent.treeBuilder.trees[1].root !== chunk.root || chunk.currentStorageId !== 2) {
+      throw new Error("Pushed tree does not match the chunk root");
+    }
+    
+    // Websocket silently drops: the chunk check notices and polling catches up
+    connection.pauseSubscriptions();
+    await agent.deposit(1_000_000);
+    await waitFor("subscription loss", () => count(EVENTS.TREE_SUBSCRIPTION_LOST) === 1);
+    await waitFor("polled leaves", () => leafCount() === 4);
+    if (fullFetches === fetchesBefore || count(EVENTS.TREE_UPDATED, "push") !== 2) {
+      throw new Error("Missed leaves not polled");
+    }
+    
+    // Back online: the next poll subscribes again
+    connection.pauseSubscriptions(false);
+    await waitFor("resubscription", () => count(EVENTS.TREE_SUBSCRIBED) === 2);
+    await agent.deposit(1_000_000);
+    await waitFor("pushed leaf after reconnect", () => count(EVENTS.TREE_UPDATED, "push") === 3);
+    agent.stopTreeUpdates();
+    const listeners = connection.accountListeners.size;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    if (leafCount() !== 5 || listeners !== 0) throw new Error("Subscriptions not cleaned up");
+    if (await agent.treeBuilder.countLeavesBefore(1, 3) !== 4 || await agent.treeBuilder.countLeavesBefore(1, 1) !== 0) {
+      throw new Error("Leaf counts of earlier storages wrong");
+    }
+    
+    console.log("   ✅ New leaves (incl. storage rollover) pushed without refetching the chunk");
+    console.log("   ✅ Dropped notifications fall back to polling");
+    console.log("   ✅ Resubscribes once notifications work again\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 26: Prometheus metrics endpoint
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const http = require("http");
+    const EventEmitter = require("events");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { AgentMetrics } = require("./lib/metrics");
+    const { ConnectionPool } = require("./lib/rpc-pool");
+    const { EmulatedConnection } = require("./lib/emulator");
+    console.log("📝 Test 26: Prometheus metrics");
+    
+    const connection = await EmulatedConnection.create();
+    const keypair = Keypair.generate();
+    connection.airdrop(keypair.publicKey, 1_000_000_000);
+    connection.mintTo(keypair.publicKey, 10_000_000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-metrics-"));
+    const config = {
+      keypair,
+      connection,
+      programId: connection.programId,
+      usdcMint: connection.usdcMint,
+      dataDir,
+      logger: { level: "silent" },
+    };
+    if (new CipherAgent(config).metrics !== null) throw new Error("Metrics enabled by default");
+    const agent = new CipherAgent({ ...config, metrics: { enabled: true } });
+    await agent.deposit(1_000_000);
+    agent.relayer.queue.push({ id: "pending" });
+    
+    // Served next to the existing handler, loopback only
+    const server = http.createServer((req, res) => { res.writeHead(404); res.end(); });
+    agent.metrics.addEndpoints(server);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const scrape = await new Promise((resolve, reject) => {
+      http.get(`http://127.0.0.1:${server.address().port}/metrics`, res => {
+        let body = "";
+        res.on("data", chunk => { body += chunk; });
+        res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body }));
+      }).on("error", reject);
+    });
+    server.close();
+    agent.relayer.queue.length = 0;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    const expected = [
+      "# TYPE cipher_deposits_total counter",
+      "cipher_deposits_total{outcome=\"confirmed\"} 1",
+      "cipher_proof_duration_seconds_count{kind=\"deposit\"} 1",
+      "cipher_proof_duration_seconds_bucket{kind=\"deposit\",le=\"+Inf\"} 1",
+      "cipher_relayer_queue_depth 1",
+      "cipher_peers 0",
+      `cipher_token_balance{mint="${connection.usdcMint.toBase58()}",symbol="USDC"} 9000000`,
+    ];
+    const missing = expected.filter(line => !scrape.body.includes(line));
+    if (scrape.status !== 200 || !/^text\/plain; version=0\.0\.4/.test(scrape.type) || missing.length) {
+      throw new Error(`Unexpected scrape (${scrape.status}): missing ${missing.join(" | ")}`);
+    }
+    if (!/^cipher_sol_balance_lamports \d+$/m.test(scrape.body)) throw new Error("SOL balance missing");
+    
+    let forbidden = null;
+    agent.metrics.handleRequest(
+      { socket: { remoteAddress: "203.0.113.7" }, method: "GET" },
+      { writeHead: (status) => { forbidden = status; }, end: () => {} }
+    );
+    if (forbidden !== 403) throw new Error("Remote scrape not rejected");
+    
+    // RPC endpoints are labelled by origin (paths/queries often hold API keys)
+    const pool = new ConnectionPool(["https://rpc.example.com/v1/?api-key=secret"], {
+      createConnection: () => ({ getSlot: async () => 7 }),
+      logger: { level: "silent" },
+    });
+    await pool.getSlot();
+    const stub = Object.assign(new EventEmitter(), {
+      connection: pool,
+      treeBuilder: { trees: {} },
+      relayer: { queue: [] },
+      p2p: { peers: new Map(), dht: null },
+    });
+    const rpcMetrics = new AgentMetrics(stub, { logger: { level: "silent" } });
+    rpcMetrics.balances = { sol: 0, tokens: [], fetchedAt: Date.now() };
+    const text = await rpcMetrics.collect();
+    if (!text.includes("cipher_rpc_requests_total{endpoint=\"https://rpc.example.com\"} 1") || text.includes("secret")) {
+      throw new Error("RPC endpoint metrics missing or leak the URL");
+    }
+    
+    console.log("   ✅ Off by default");
+    console.log("   ✅ Deposits, proof durations, queue depth and balances exported");
+    console.log("   ✅ Remote scrapes rejected (localOnly)");
+    console.log("   ✅ RPC endpoints labelled by origin only\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 27: MCP tool server
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const http = require("http");
+    const crypto = require("crypto");
+    const { PassThrough } = require("stream");
+    const bs58 = require("bs58");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { McpServer } = require("./lib/mcp");
+    const { EmulatedConnection, StandInWithdrawProver } = require("./lib/emulator");
+    console.log("📝 Test 27: MCP tool server");
+    
+    const connection = await EmulatedConnection.create();
+    const keypair = Keypair.generate();
+    connection.airdrop(keypair.publicKey, 1_000_000_000);
+    connection.mintTo(keypair.publicKey, 10_000_000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-mcp-"));
+    const prover = new StandInWithdrawProver({ size: 1 });
+    const agent = new CipherAgent({
+      keypair,
+      connection,
+      programId: connection.programId,
+      usdcMint: connection.usdcMint,
+      dataDir,
+      prover,
+      circuits: prover.circuits,
+      policy: { deposit: { maxPerTx: 2_000_000 } },
+      logger: { level: "silent" },
+    });
+    
+    // Relayer that queues whatever it gets (withdraw_deposit submits for real)
+    const submissions = [];
+    const relayer = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        res.setHeader("Content-Type", "application/json");
+        if (req.method === "POST") {
+          submissions.push(JSON.parse(body));
+          res.end(JSON.stringify({ queueId: crypto.randomBytes(16).toString("hex"), estimatedExecutionTime: 0 }));
+        } else {
+          res.end(JSON.stringify({ queueId: req.url.split("/").pop(), status: "queued" }));
+        }
+      });
+    });
+    await new Promise(resolve => relayer.listen(0, "127.0.0.1", resolve));
+    const relayerUrl = `http://127.0.0.1:${relayer.address().port}`;
+    
+    // Newline-delimited JSON-RPC over a pair of streams (stdio in the CLI)
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const server = new McpServer(agent, { input, output, relayerUrl, logger: { level: "silent" } });
+    const listening = server.listen();
+    const responses = new Map();
+    let buffered = "";
+    output.on("data", chunk => {
+      buffered += chunk;
+      let newline;
+      while ((newline = buffered.indexOf("\n")) !== -1) {
+        const message = JSON.parse(buffered.slice(0, newline));
+        buffered = buffered.slice(newline + 1);
+        responses.get(message.id)?.(message);
+      }
+    });
+    let nextId = 1;
+    const request = (method, params) => new Promise(resolve => {
+      const id = nextId++;
+      responses.set(id, resolve);
+      input.write(JSON.stringify({ jsonrpc: "2.0", id, method, params }) + "\n");
+    });
+    
+    const init = await request("initialize", { protocolVersion: "2024-11-05", capabilities: {}, clientInfo: { name: "test" } });
+    input.write(JSON.stringify({ jsonrpc: "2.0", method: "notifications/initialized" }) + "\n");
+    if (init.result.protocolVersion !== "2024-11-05" || !init.result.capabilities.tools) {
+      throw new Error("Unexpected initialize result");
+    }
+    const { result: { tools } } = await request("tools/list");
+    const names = tools.map(t => t.name).sort().join(",");
+    if (names !== "deposit,get_balance,get_contract_status,list_deposits,relayer_status,withdraw_deposit,withdraw_with_code,withdrawal_status") {
+      throw new Error(`Unexpected tools: ${names}`);
+    }
+    if (tools.some(t => t.inputSchema.type !== "object")) throw new Error("Tool without an input schema");
+    
+    // Arguments are checked against the schema before the agent is called
+    const invalid = await request("tools/call", { name: "deposit", arguments: { amount: "1", memo: "x" } });
+    if (invalid.error?.code !== -32602) throw new Error("Invalid arguments accepted");
+    
+    const deposit = await request("tools/call", { name: "deposit", arguments: { amount: 1_000_000 } });
+    const [stored] = await agent.storage.getAllDeposits();
+    const text = deposit.result.content[0].text;
+    if (deposit.result.isError || !deposit.result.structuredContent.success || !stored) {
+      throw new Error(`Deposit failed: ${text}`);
+    }
+    if (text.includes(stored.code) || text.includes(stored.commitment) || /depositCode|commitment/.test(text)) {
+      throw new Error("Deposit secrets returned to the model");
+    }
+    const listed = await request("tools/call", { name: "list_deposits", arguments: {} });
+    const deposits = listed.result.structuredContent.deposits;
+    if (deposits.length !== 1 || deposits[0].amount !== 1_000_000 || listed.result.content[0].text.includes(stored.code)) {
+      throw new Error("list_deposits unexpected or leaks codes");
+    }
+    
+    // Policy applies to tool calls: a tool error the model can read
+    const blocked = await request("tools/call", { name: "deposit", arguments: { amount: 5_000_000 } });
+    if (!blocked.result?.isError || !/PolicyViolation/.test(blocked.result.content[0].text)) {
+      throw new Error("Policy violation not reported as a tool error");
+    }
+    const balance = await request("tools/call", { name: "get_balance", arguments: {} });
+    if (balance.result.structuredContent.balances[0].amount !== 9_000_000) throw new Error("Unexpected balance");
+    
+    // Own deposits are withdrawn by txId or amount; the code is looked up agent-side
+    // and the note is proved and submitted for real (recipient arrives as base58)
+    await request("tools/call", { name: "deposit", arguments: { amount: 1_000_000 } });
+    const recipient = Keypair.generate().publicKey.toBase58();
+    const recipientBytes = [...bs58.decode(recipient)].map(String).join();
+    const byTxId = await request("tools/call", { name: "withdraw_deposit", arguments: { txId: stored.txId, recipient } });
+    const byAmount = await request("tools/call", { name: "withdraw_deposit", arguments: { amount: 1_000_000, recipient } });
+    if (byTxId.result.isError || byAmount.result.isError) {
+      throw new Error(`withdraw_deposit failed: ${(byTxId.result.isError ? byTxId : byAmount).result.content[0].text}`);
+    }
+    const records = await agent.storage.getAllDeposits();
+    if (submissions.length !== 2 || records.some(d => !d.withdrawn || d.withdrawTxId === "PENDING") ||
+        records.find(d => d.txId === stored.txId).withdrawTxId !== byTxId.result.structuredContent.queueId ||
+        submissions.some(s => s.recipient !== recipient || s.proof.publicSignals.slice(4, 36).join() !== recipientBytes)) {
+      throw new Error("withdraw_deposit did not prove and submit the stored notes to the recipient");
+    }
+    if (byTxId.result.content[0].text.includes(stored.code)) throw new Error("withdraw_deposit leaks the code");
+    const ambiguous = await request("tools/call", { name: "withdraw_deposit", arguments: { txId: stored.txId, amount: 1, recipient } });
+    if (!ambiguous.result?.isError) throw new Error("txId and amount together accepted");
+    
+    // Status only from the relayer a tracked withdrawal went to
+    const { queueId } = byTxId.result.structuredContent;
+    const status = await request("tools/call", { name: "withdrawal_status", arguments: { queueId } });
+    const redirected = await request("tools/call", { name: "withdrawal_status", arguments: { queueId, relayerUrl: "http://169.254.169.254" } });
+    const untracked = await request("tools/call", { name: "withdrawal_status", arguments: { queueId: "0".repeat(32) } });
+    relayer.close();
+    if (status.result?.structuredContent?.status !== "queued" || redirected.error?.code !== -32602 ||
+        !untracked.result?.isError || !/Unknown withdrawal/.test(untracked.result.content[0].text)) {
+      throw new Error("withdrawal_status not limited to tracked withdrawals");
+    }
+    
+    input.end();
+    await listening;
+    await prover.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ initialize / tools/list (8 tools with input schemas)");
+    console.log("   ✅ Schema-invalid arguments rejected with -32602");
+    console.log("   ✅ Deposit via tool call, code and commitment redacted");
+    console.log("   ✅ Policy violations returned as tool errors");
+    console.log("   ✅ withdraw_deposit finds the code agent-side and submits a proof (by txId or amount)");
+    console.log("   ✅ withdrawal_status only asks relayers of tracked withdrawals\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 28: Admin API
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const http = require("http");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { AdminServer } = require("./lib/admin");
+    const { EmulatedConnection, StandInWithdrawProver } = require("./lib/emulator");
+    console.log("📝 Test 28: Admin API");
+    
+    const connection = await EmulatedConnection.create();
+    const keypair = Keypair.generate();
+    connection.airdrop(keypair.publicKey, 1_000_000_000);
+    connection.mintTo(keypair.publicKey, 10_000_000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-admin-"));
+    const socketPath = path.join(dataDir, "admin.sock");
+    const prover = new StandInWithdrawProver({ size: 1 });
+    const agent = new CipherAgent({
+      keypair,
+      connection,
+      programId: connection.programId,
+      usdcMint: connection.usdcMint,
+      dataDir,
+      prover,
+      circuits: prover.circuits,
+      relayerMinDelay: 1,
+      relayerMaxDelay: 1,
+      admin: { enabled: true, socketPath },
+      logger: { level: "silent" },
+    });
+    await agent.admin.start();
+    
+    const tokenFile = path.join(dataDir, "admin-token");
+    const token = fs.readFileSync(tokenFile, "utf-8").trim();
+    if ((fs.statSync(tokenFile).mode & 0o777) !== 0o600 || (fs.statSync(socketPath).mode & 0o777) !== 0o600) {
+      throw new Error("Token file or socket not 0600");
+    }
+    const call = (method, urlPath, body, auth = `Bearer ${token}`) => new Promise((resolve, reject) => {
+      const req = http.request({ socketPath, method, path: urlPath, headers: { authorization: auth } }, res => {
+        let data = "";
+        res.on("data", chunk => { data += chunk; });
+        res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on("error", reject);
+      req.end(body ? JSON.stringify(body) : undefined);
+    });
+    
+    if ((await call("GET", "/admin/status", null, "Bearer wrong")).status !== 401) throw new Error("Bad token accepted");
+    if ((await call("GET", "/admin/nope")).status !== 404) throw new Error("Unknown route not 404");
+    
+    // Pause holds the mixing loop before its next step
+    const paused = await call("POST", "/admin/mixer/pause");
+    if (!paused.body.changed || !(await call("GET", "/admin/status")).body.mixer.paused) throw new Error("Pause not applied");
+    agent.isRunning = true;
+    const loop = agent.mixer.run({ amount: 1_000_000 });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    if ((await agent.storage.getStats()).total !== 0) throw new Error("Paused mixer deposited");
+    agent.isRunning = false;
+    agent.mixer.wake();
+    await loop;
+    await call("POST", "/admin/mixer/resume");
+    
+    // Deposit on demand: the code stays in storage
+    const deposit = await call("POST", "/admin/deposit", { amount: 1_000_000 });
+    if (deposit.status !== 200 || !deposit.body.success || "depositCode" in deposit.body || "commitment" in deposit.body) {
+      throw new Error(`Unexpected deposit response: ${JSON.stringify(deposit.body)}`);
+    }
+    if ((await call("POST", "/admin/deposit", { amount: -1 })).status !== 400) throw new Error("Invalid amount accepted");
+    if ((await call("GET", "/admin/storage")).body.total !== 1) throw new Error("Storage stats wrong");
+    
+    const reload = await call("POST", "/admin/tree/reload", {});
+    if (reload.status !== 200 || reload.body.leafCount !== 1) throw new Error("Tree reload failed");
+    
+    // Queue listing hides proofs/recipients; evicted items report their state
+    const queueId = "ab".repeat(16);
+    agent.relayer.queue.push({
+      id: queueId, proof: { secret: 1 }, recipient: "r", amount: 1, chunkId: 1,
+      status: "queued", attempts: 0, submittedAt: Date.now(), executeAt: Date.now() + 60000,
+    });
+    const queue = await call("GET", "/admin/relayer/queue");
+    if (queue.body.queue.length !== 1 || "proof" in queue.body.queue[0] || "recipient" in queue.body.queue[0]) {
+      throw new Error("Queue listing unexpected or leaks proof data");
+    }
+    const evicted = await call("DELETE", `/admin/relayer/queue/${queueId}`);
+    if (evicted.body.status !== "evicted" || agent.relayer.queue.length !== 0 || agent.relayer.getStatus(queueId).status !== "evicted") {
+      throw new Error("Eviction failed");
+    }
+    if ((await call("DELETE", `/admin/relayer/queue/${queueId}`)).status !== 404) throw new Error("Second eviction not 404");
+    if ((await call("GET", "/admin/dht")).body.running !== false) throw new Error("DHT state wrong");
+    
+    // Withdraw by amount: the base58 recipient is proved, relayed (the agent's
+    // own relayer) and paid out on the emulator
+    const relayerServer = http.createServer((req, res) => { res.writeHead(404); res.end(); });
+    agent.relayer.addEndpoints(relayerServer);
+    await new Promise(resolve => relayerServer.listen(0, "127.0.0.1", resolve));
+    const relayerUrl = `http://127.0.0.1:${relayerServer.address().port}`;
+    const recipient = Keypair.generate().publicKey;
+    const recipientTokenAccount = connection.mintTo(recipient, 0);
+    if ((await call("POST", "/admin/withdraw", { recipient: "not-a-key", amount: 1_000_000, relayerUrl })).status !== 400) {
+      throw new Error("Invalid recipient not rejected with 400");
+    }
+    const executed = new Promise(resolve => agent.once(CipherAgent.EVENTS.RELAYER_EXECUTED, resolve));
+    const withdrawal = await call("POST", "/admin/withdraw", { recipient: recipient.toBase58(), amount: 1_000_000, relayerUrl });
+    if (withdrawal.status !== 200 || !withdrawal.body.queueId || "nullifierHash" in withdrawal.body) {
+      throw new Error(`Unexpected withdraw response: ${JSON.stringify(withdrawal.body)}`);
+    }
+    await executed;
+    relayerServer.close();
+    if ((await connection.getTokenAccountBalance(recipientTokenAccount)).value.amount !== "1000000") {
+      throw new Error("Withdrawal not paid out");
+    }
+    
+    await agent.admin.stop();
+    let publicRejected = false;
+    try {
+      new AdminServer(agent, { host: "0.0.0.0", tokenFile });
+    } catch {
+      publicRejected = true;
+    }
+    if (!publicRejected) throw new Error("Non-loopback bind accepted");
+    await prover.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ Unix socket + token file 0600, bearer token required");
+    console.log("   ✅ Pause holds the mixing loop");
+    console.log("   ✅ Deposit, storage stats and tree reload (no codes returned)");
+    console.log("   ✅ Relayer queue listed without proofs, items evicted");
+    console.log("   ✅ Withdraw to a base58 recipient paid out, invalid recipient 400");
+    console.log("   ✅ Non-loopback bind refused\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 29: Worker-thread proving pool
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const crypto = require("crypto");
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    const { EVENTS } = require("./lib/events");
+    const { ProverPool } = require("./lib/prover");
+    const { verifyProof } = require("./lib/proof");
+    const { EmulatedConnection } = require("./lib/emulator");
+    console.log("📝 Test 29: Worker-thread proving pool");
+    
+    const wasmFile = path.join(__dirname, "circuits", "deposit.wasm");
+    const zkeyFile = path.join(__dirname, "circuits", "deposit_final.zkey");
+    const input = () => ({
+      nullifier: BigInt("0x" + crypto.randomBytes(31).toString("hex")).toString(),
+      secret: BigInt("0x" + crypto.randomBytes(31).toString("hex")).toString(),
+      deposit_amount: "1000000",
+    });
+    
+    // One worker: the second job queues, the aborted one never runs
+    const pool = new ProverPool({ size: 1, logger: { level: "silent" } });
+    const stages = [];
+    pool.on("progress", e => stages.push(`${e.id}:${e.stage}`));
+    const controller = new AbortController();
+    const first = pool.prove(input(), wasmFile, zkeyFile, { kind: "deposit" });
+    const aborted = pool.prove(input(), wasmFile, zkeyFile, { signal: controller.signal }).then(() => null, err => err);
+    const third = pool.prove(input(), wasmFile, zkeyFile);
+    controller.abort();
+    const [a, abortErr, c] = await Promise.all([first, aborted, third]);
+    if (abortErr?.name !== "AbortError") throw new Error("Queued job not aborted");
+    if (a.publicSignals[1] !== "1000000" || c.publicSignals.length !== 2) throw new Error("Unexpected proof output");
+    if (!(await verifyProof("deposit", a.proof, a.publicSignals))) throw new Error("Worker proof does not verify");
+    if (!stages.includes("1:queued") || !stages.includes("1:aborted") || stages.some(s => s === "1:witness")) {
+      throw new Error(`Unexpected progress: ${stages.join(",")}`);
+    }
+    
+    // Aborting a running proof ends its worker; the pool replaces it
+    const running = new AbortController();
+    const killed = await pool.prove(input(), wasmFile, zkeyFile, {
+      signal: running.signal,
+      onProgress: e => { if (e.stage === "witness") running.abort(); },
+    }).then(() => null, err => err);
+    if (killed?.name !== "AbortError" || pool.stats().workers !== 0) throw new Error("Running job not terminated");
+    await pool.prove(input(), wasmFile, zkeyFile);
+    await pool.close();
+    
+    // Agent proves through its pool and reports progress
+    const connection = await EmulatedConnection.create();
+    const keypair = Keypair.generate();
+    connection.airdrop(keypair.publicKey, 1_000_000_000);
+    connection.mintTo(keypair.publicKey, 10_000_000);
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-prover-"));
+    const agent = new CipherAgent({
+      keypair,
+      connection,
+      programId: connection.programId,
+      usdcMint: connection.usdcMint,
+      dataDir,
+      prover: { size: 1 },
+      logger: { level: "silent" },
+    });
+    const progress = [];
+    agent.on(EVENTS.PROOF_PROGRESS, e => progress.push(`${e.kind}:${e.stage}`));
+    await agent.deposit(1_000_000);
+    if (!progress.includes("deposit:done")) throw new Error("No proof progress from the agent");
+    
+    const cancelled = await agent.deposit(1_000_000, { signal: AbortSignal.abort() }).then(() => null, err => err);
+    if (cancelled?.name !== "AbortError" || (await agent.storage.getStats()).total !== 1) {
+      throw new Error("Cancelled deposit not rejected cleanly");
+    }
+    await agent.prover.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    
+    console.log("   ✅ Jobs queue beyond the pool size");
+    console.log("   ✅ Queued and running jobs abort (worker replaced)");
+    console.log("   ✅ Agent proves in the pool with progress events and AbortSignal\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 30: Local proof verification (agent self-check, relayer submissions)
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const crypto = require("crypto");
+    const http = require("http");
+    const { Keypair } = require("@solana/web3.js");
+    const RelayerService = require("./lib/relayer");
+    const { CircuitRegistry, getDefaultRegistry } = require("./lib/circuits");
+    const { StandInWithdrawProver } = require("./lib/emulator");
+    const MerkleTreeBuilder = require("./lib/tree");
+    const {
+      generateDepositProof,
+      generateWithdrawProof,
+      generateCommitment,
+      randomBytes,
+      decodeProof,
+      verifyProof,
+    } = require("./lib/proof");
+    console.log("📝 Test 30: Local proof verification");
+    
+    // Real deposit proof (shipped deposit vkey), also after a JSON round trip
+    const { proof: formatted } = await generateDepositProof(randomBytes(31), randomBytes(31), 1_000_000, { logger: { level: "silent" } });
+    const wire = decodeProof(JSON.parse(JSON.stringify(formatted)));
+    if (!(await verifyProof("deposit", wire.proof, wire.publicSignals))) {
+      throw new Error("Valid deposit proof rejected");
+    }
+    const otherAmount = [wire.publicSignals[0], "2000000"];
+    const flipped = Buffer.from(formatted.proofC);
+    flipped[63] ^= 1;
+    const tampered = decodeProof({ ...formatted, proofC: flipped });
+    if (await verifyProof("deposit", wire.proof, otherAmount) ||
+        await verifyProof("deposit", tampered.proof, tampered.publicSignals).catch(() => false)) {
+      throw new Error("Tampered deposit proof accepted");
+    }
+    
+    // Relayer: request fields must match the proof, failures are precise 400s
+    const submit = async (relayer, body) => {
+      const server = http.createServer((req, res) => { res.writeHead(404); res.end(); });
+      relayer.addEndpoints(server);
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/relayer/submit`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+        return { status: response.status, ...(await response.json()) };
+      } finally {
+        server.close();
+      }
+    };
+    const queueOnly = (options) => {
+      const relayer = new RelayerService({}, options);
+      relayer.processing = true;
+      return relayer;
+    };
+    // Forged: valid curve points from the deposit proof, made-up withdraw signals
+    const recipient = Keypair.generate().publicKey;
+    const proof = {
+      proofA: formatted.proofA,
+      proofB: formatted.proofB,
+      proofC: formatted.proofC,
+      publicSignals: ["1", "42", "1000000", "7", ...[...recipient.toBytes()].map(String), "0"],
+    };
+    const request = { proof, recipient: recipient.toBase58(), amount: 1_000_000, chunkId: 1 };
+    const relayer = queueOnly();
+    
+    const checks = [
+      [{ ...request, amount: 2_000_000 }, /amount does not match/],
+      [{ ...request, recipient: Keypair.generate().publicKey.toBase58() }, /recipient does not match/],
+      [{ ...request, proof: { ...proof, proofB: Buffer.alloc(64) } }, /Invalid proof encoding: proofB must be 128 bytes/],
+      [{ ...request, proof: { ...proof, publicSignals: proof.publicSignals.slice(1) } }, /expected 37 public signals/],
+    ];
+    for (const [body, error] of checks) {
+      const result = await submit(relayer, body);
+      if (result.status !== 400 || !error.test(result.error)) {
+        throw new Error(`Expected 400 ${error}, got ${result.status} ${result.error}`);
+      }
+    }
+    
+    // Verification is the default: without a withdraw verification key nothing is queued
+    const keyless = queueOnly({ circuits: new CircuitRegistry({ withdraw: { vkey: "no-such-vkey.json" } }) });
+    const unavailable = await submit(keyless, request);
+    if (unavailable.status !== 503 || keyless.queue.length !== 0) {
+      throw new Error(`Expected 503 without a verification key, got ${unavailable.status}`);
+    }
+    
+    // Turned off: the proof is queued unverified (JSON-safe: byte arrays, not serialized Buffers)
+    const unverified = queueOnly({ verifyProofs: false });
+    const accepted = await submit(unverified, request);
+    const queued = unverified.queue[0]?.proof;
+    if (accepted.status !== 200 || !Array.isArray(queued.proofA) || queued.proofA.length !== 64 || queued.publicSignals[2] !== "1000000") {
+      throw new Error("Submission not queued in normalized form");
+    }
+    
+    // Test key: the deposit key with its IC padded to the 37 withdraw inputs
+    const depositKey = await getDefaultRegistry().verificationKey("deposit");
+    const testKey = { ...depositKey, nPublic: 37, IC: Array.from({ length: 38 }, (_, i) => depositKey.IC[i % depositKey.IC.length]) };
+    const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-vkey-"));
+    const keyFile = path.join(keyDir, "withdraw_vkey.json");
+    fs.writeFileSync(keyFile, JSON.stringify(testKey));
+    const keyHash = crypto.createHash("sha256").update(fs.readFileSync(keyFile)).digest("hex");
+    
+    // Unpinned key: refused like a missing one
+    const unpinnedKey = queueOnly({ circuits: new CircuitRegistry({ withdraw: { vkey: keyFile } }) });
+    const refused = await submit(unpinnedKey, request);
+    if (refused.status !== 503 || unpinnedKey.queue.length !== 0) {
+      throw new Error(`Expected 503 for an unpinned verification key, got ${refused.status}`);
+    }
+    
+    // Pinned key: the forged proof fails the pairing check
+    const verifying = queueOnly({
+      circuits: new CircuitRegistry({ withdraw: { vkey: keyFile, sha256: { vkey: keyHash } } }),
+    });
+    const forged = await submit(verifying, request);
+    fs.rmSync(keyDir, { recursive: true, force: true });
+    if (forged.status !== 400 || forged.error !== "Proof verification failed" || verifying.queue.length !== 0) {
+      throw new Error(`Forged proof not rejected: ${forged.status} ${forged.error}`);
+    }
+    
+    // Withdraw proofs for a one-leaf tree
+    const secret = randomBytes(31);
+    const nullifier = randomBytes(31);
+    const builder = new MerkleTreeBuilder(Keypair.generate().publicKey, null, { logger: { level: "silent" } });
+    await builder.buildTree(1, [await generateCommitment(secret, nullifier, 1_000_000)]);
+    const merklePath = builder.getMerklePath(1, 0);
+    const proveWithdraw = (options) => generateWithdrawProof(
+      secret, nullifier, recipient.toBase58(), 1_000_000,
+      merklePath.pathElements, merklePath.pathIndices, merklePath.root, 0,
+      { logger: { level: "silent" }, ...options }
+    );
+    
+    // No withdraw verification key: the agent refuses to prove at all
+    let proved = false;
+    const missingKey = await proveWithdraw({
+      circuits: new CircuitRegistry({ withdraw: { vkey: "no-such-vkey.json" } }),
+      prover: { prove: async () => { proved = true; } },
+    }).catch(err => err);
+    if (missingKey.code !== "missing" || proved) {
+      throw new Error(`Withdraw proved without a verification key: ${missingKey.message}`);
+    }
+    
+    // Stand-in key (emulator prover): self-checked, accepted by the relayer,
+    // rejected with another nullifier hash
+    const standIn = new StandInWithdrawProver({ size: 1 });
+    const { proof: standInProof } = await proveWithdraw({ circuits: standIn.circuits, prover: standIn });
+    const standInVerifier = queueOnly({ circuits: standIn.circuits });
+    const standInOk = await submit(standInVerifier, { ...request, proof: standInProof });
+    const standInForged = { ...standInProof, publicSignals: standInProof.publicSignals.map((signal, i) => i === 3 ? "7" : signal) };
+    const standInRejected = await submit(standInVerifier, { ...request, proof: standInForged });
+    await standIn.close();
+    if (standInOk.status !== 200 || standInRejected.status !== 400 || standInVerifier.queue.length !== 1) {
+      throw new Error(`Stand-in withdraw verification wrong: valid ${standInOk.status}, forged ${standInRejected.status}`);
+    }
+    
+    // Real withdraw proof end to end - needs the withdraw zkey + vkey installed
+    // (not in the package, see SECURITY-NOTES M3)
+    const withdrawKeys = await getDefaultRegistry().preload(["withdraw"]);
+    const installed = withdrawKeys.every(artifact => !artifact.error);
+    if (installed) {
+      const { proof: real } = await proveWithdraw();
+      const verifier = queueOnly();
+      const realForged = { ...real, publicSignals: real.publicSignals.map((signal, i) => i === 3 ? "7" : signal) };
+      const ok = await submit(verifier, { ...request, proof: real });
+      const rejected = await submit(verifier, { ...request, proof: realForged });
+      if (ok.status !== 200 || rejected.status !== 400 || verifier.queue.length !== 1) {
+        throw new Error(`Withdraw verification wrong: real ${ok.status}, forged ${rejected.status}`);
+      }
+    }
+    
+    console.log("   ✅ Shipped verification key accepts real proofs, rejects tampered ones");
+    console.log("   ✅ Relayer rejects mismatched or malformed proofs with precise 400s");
+    console.log("   ✅ Verification by default: 503 without a pinned key, forged proofs rejected with one");
+    console.log("   ✅ No withdraw verification key: proving refused before it starts");
+    console.log("   ✅ Stand-in withdraw key: self-checked proof accepted, forged nullifier hash rejected");
+    console.log(installed
+      ? "   ✅ Real withdraw proof accepted, forged nullifier hash rejected\n"
+      : "   ⏭️  Real withdraw proof skipped (withdraw zkey/vkey not installed)\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
+  // Test 31: Circuit artifact registry (pinned hashes, overrides, preloading)
+  try {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const { CircuitRegistry, CircuitArtifactError } = require("./lib/circuits");
+    const { ProverPool } = require("./lib/prover");
+    const { generateDepositProof, randomBytes, decodeProof, verifyProof } = require("./lib/proof");
+    console.log("📝 Test 31: Circuit artifact registry");
+    
+    // Bundled circuits: deposit files pinned, withdraw proving/verification keys not shipped
+    const registry = new CircuitRegistry();
+    const report = await registry.preload();
+    const entry = (circuit, artifact) => report.find(a => a.circuit === circuit && a.artifact === artifact);
+    if (!["wasm", "zkey", "vkey"].every(artifact => entry("deposit", artifact).sha256) || !entry("withdraw", "wasm").sha256) {
+      throw new Error("Bundled artifacts not loaded");
+    }
+    const missing = entry("withdraw", "zkey").error;
+    if (!(missing instanceof CircuitArtifactError) || missing.code !== "missing" || !missing.message.includes("withdraw_final.zkey")) {
+      throw new Error(`Missing zkey not reported: ${missing && missing.message}`);
+    }
+    const first = await registry.load("deposit", "zkey");
+    if (first !== await registry.load("deposit", "zkey")) throw new Error("Artifact read twice");
+    
+    // Tampered copy fails its pin; re-pinning the new hash (config) accepts it
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-circuits-"));
+    const wasm = fs.readFileSync(path.join(__dirname, "circuits", "deposit.wasm"));
+    wasm[wasm.length - 1] ^= 1;
+    fs.writeFileSync(path.join(dir, "deposit.wasm"), wasm);
+    let tampered = null;
+    await new CircuitRegistry({ dir }).load("deposit", "wasm").catch(err => { tampered = err; });
+    if (!tampered || tampered.code !== "integrity" || tampered.file !== path.join(dir, "deposit.wasm")) {
+      throw new Error("Tampered wasm accepted");
+    }
+    const actual = tampered.message.match(/has SHA-256 ([0-9a-f]{64})/)[1];
+    const repinned = new CircuitRegistry({ dir, deposit: { sha256: { wasm: actual } } });
+    if ((await repinned.load("deposit", "wasm")).sha256 !== actual) throw new Error("Re-pinned wasm rejected");
+    
+    // Unpinned files are refused, not loaded with a warning
+    let unpinned = null;
+    await new CircuitRegistry({ dir, deposit: { sha256: { wasm: null } } }).load("deposit", "wasm").catch(err => { unpinned = err; });
+    if (!unpinned || unpinned.code !== "unpinned" || !unpinned.message.includes(`has ${actual}`)) {
+      throw new Error("Unpinned wasm loaded");
+    }
+    
+    // Missing artifact: clear error before snarkjs runs
+    let noZkey = null;
+    await generateDepositProof(randomBytes(31), randomBytes(31), 1, { circuits: new CircuitRegistry({ dir }), logger: { level: "silent" } })
+      .catch(err => { noZkey = err; });
+    if (!noZkey || noZkey.name !== "CircuitArtifactError" || !/Missing deposit circuit zkey \(v1\): .*circuits\.deposit\.zkey/.test(noZkey.message)) {
+      throw new Error(`Missing zkey not reported: ${noZkey && noZkey.message}`);
+    }
+    
+    // Versions and config validation
+    const unknown = (() => { try { new CircuitRegistry({ withdraw: { version: "v9" } }).resolve("withdraw"); } catch (err) { return err; } })();
+    if (!unknown || unknown.code !== "unknown") throw new Error("Unknown version accepted");
+    const custom = new CircuitRegistry({ deposit: { version: "custom", wasm: "deposit.wasm", zkey: "deposit_final.zkey", vkey: "deposit_vkey.json" } });
+    if (custom.resolve("deposit").sha256.zkey !== null) throw new Error("Custom build inherited pins");
+    const customLoad = await custom.load("deposit", "vkey").catch(err => err);
+    if (customLoad.code !== "unpinned") throw new Error("Custom build without pins loaded");
+    for (const bad of [{ depositt: {} }, { deposit: { zkeyFile: "x" } }, { deposit: { sha256: { zkey: "abc" } } }]) {
+      let rejected = false;
+      try { new CircuitRegistry(bad); } catch { rejected = true; }
+      if (!rejected) throw new Error(`Invalid config accepted: ${JSON.stringify(bad)}`);
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    
+    // Agent startup check: a registry that throws leaves every circuit unavailable, no unhandled rejection
+    const { Keypair } = require("@solana/web3.js");
+    const CipherAgent = require("./lib/index");
+    class BrokenRegistry extends CircuitRegistry {
+      async preload() { throw new Error("registry offline"); }
+    }
+    const agentDir = fs.mkdtempSync(path.join(os.tmpdir(), "cipher-circuits-agent-"));
+    const agent = new CipherAgent({
+      keypair: Keypair.generate(),
+      rpcUrl: "http://127.0.0.1:9",
+      dataDir: agentDir,
+      logger: { level: "silent" },
+      circuits: new BrokenRegistry(),
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    const status = agent.circuitStatus;
+    if (!status || !["deposit", "withdraw"].every(circuit => status.some(a => a.circuit === circuit && a.error?.message === "registry offline"))) {
+      throw new Error("Failed circuit check not recorded");
+    }
+    fs.rmSync(agentDir, { recursive: true, force: true });
+    
+    // Proving from the checked in-memory files (shared with pool workers)
+    const pool = new ProverPool({ size: 1, logger: { level: "silent" } });
+    try {
+      const { proof } = await generateDepositProof(randomBytes(31), randomBytes(31), 1_000_000, { circuits: registry, prover: pool, logger: { level: "silent" } });
+      const decoded = decodeProof(proof);
+      if (!(await verifyProof("deposit", decoded.proof, decoded.publicSignals, { circuits: registry }))) {
+        throw new Error("In-memory proof does not verify");
+      }
+    } finally {
+      await pool.close();
+    }
+    
+    console.log("   ✅ Bundled artifacts pinned, missing ones reported with their path");
+    console.log("   ✅ Tampered and unpinned files rejected, config overrides and re-pins applied");
+    console.log("   ✅ Failed startup check logged and recorded as unavailable");
+    console.log("   ✅ Artifacts loaded once and proved from memory (also in workers)\n");
+    passed++;
+  } catch (err) {
+    console.error(`   ❌ FAILED: ${err.message}\n`);
+    failed++;
+  }
+
   console.log("━".repeat(50));
   console.log(`\n📊 Final Results: ${passed}/${passed + failed} tests passed\n`);
 
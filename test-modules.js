@@ -13,6 +13,25 @@ const tests = [
   { name: "relayer.js", module: "./lib/relayer" },
   { name: "p2p.js", module: "./lib/p2p" },
   { name: "dht.js", module: "./lib/dht" },
+  { name: "events.js", module: "./lib/events" },
+  { name: "logger.js", module: "./lib/logger" },
+  { name: "cli.js", module: "./lib/cli" },
+  { name: "signer.js", module: "./lib/signer" },
+  { name: "networks.js", module: "./lib/networks" },
+  { name: "mixer.js", module: "./lib/mixer" },
+  { name: "policy.js", module: "./lib/policy" },
+  { name: "approval.js", module: "./lib/approval" },
+  { name: "emulator.js", module: "./lib/emulator" },
+  { name: "tokens.js", module: "./lib/tokens" },
+  { name: "fees.js", module: "./lib/fees" },
+  { name: "confirm.js", module: "./lib/confirm" },
+  { name: "rpc-pool.js", module: "./lib/rpc-pool" },
+  { name: "metrics.js", module: "./lib/metrics" },
+  { name: "mcp.js", module: "./lib/mcp" },
+  { name: "admin.js", module: "./lib/admin" },
+  { name: "circuits.js", module: "./lib/circuits" },
+  { name: "prover.js", module: "./lib/prover" },
+  { name: "program-errors.js", module: "./lib/program-errors" },
   { name: "index.js (main)", module: "./lib/index" },
 ];
 